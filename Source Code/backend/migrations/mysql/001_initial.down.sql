@@ -0,0 +1,7 @@
+-- 001 initial schema: drop everything (all data is lost)
+
+DROP VIEW IF EXISTS v_bin_status;
+
+DROP TABLE IF EXISTS logs;
+DROP TABLE IF EXISTS bins;
+DROP TABLE IF EXISTS users;
@@ -1,12 +1,9 @@
--- Smart Bin IoT Database Schema
--- MySQL 8.0+
-
--- Create database
-CREATE DATABASE IF NOT EXISTS smartbin_iot CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-USE smartbin_iot;
+-- 001 initial schema (MySQL 8.0+)
+-- Users, bins and logs as in the first schema.sql; the migrations after
+-- this one add everything since. Sample data is in the dev seed (npm run seed)
 
 -- Users table (for RFID authentication)
-CREATE TABLE IF NOT EXISTS users (
+CREATE TABLE users (
     id INT AUTO_INCREMENT PRIMARY KEY,
     rfid_uid VARCHAR(50) UNIQUE NOT NULL,
     name VARCHAR(100) NOT NULL,
@@ -20,7 +17,7 @@ CREATE TABLE IF NOT EXISTS users (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Bins table (smart bin devices)
-CREATE TABLE IF NOT EXISTS bins (
+CREATE TABLE bins (
     id INT AUTO_INCREMENT PRIMARY KEY,
     bin_id VARCHAR(50) UNIQUE NOT NULL COMMENT 'MQTT topic identifier e.g. BIN_01',
     name VARCHAR(100) NOT NULL,
@@ -38,7 +35,7 @@ CREATE TABLE IF NOT EXISTS bins (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Logs table (access logs and events)
-CREATE TABLE IF NOT EXISTS logs (
+CREATE TABLE logs (
     id INT AUTO_INCREMENT PRIMARY KEY,
     bin_id VARCHAR(50) NOT NULL,
     event_type ENUM('rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change') NOT NULL,
@@ -56,20 +53,9 @@ CREATE TABLE IF NOT EXISTS logs (
     FOREIGN KEY (bin_id) REFERENCES bins(bin_id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
--- Insert sample admin user
-INSERT INTO users (rfid_uid, name, email, role, is_active) VALUES
-('04A1B2C3D4E5F6', 'Admin User', 'admin@smartbin.local', 'admin', TRUE),
-('43 E8 2B 16', 'John Doe', 'john@example.com', 'user', TRUE),
-('E0 A4 34 5F', 'Jane Smith', 'jane@example.com', 'user', TRUE);
-
--- Insert sample bin
-INSERT INTO bins (bin_id, name, location, capacity_cm, mode, threshold_cm) VALUES
-('BIN_01', 'Main Entrance Bin', 'Building A - Floor 1', 200, 'AUTO', 50),
-('BIN_02', 'Cafeteria Bin', 'Building B - Cafeteria', 180, 'AUTH', 50);
-
--- Create view for latest bin status
-CREATE OR REPLACE VIEW v_bin_status AS
-SELECT 
+-- View for latest bin status
+CREATE VIEW v_bin_status AS
+SELECT
     b.id,
     b.bin_id,
     b.name,
@@ -81,7 +67,7 @@ SELECT
     b.last_seen,
     b.current_level_percent,
     b.current_distance_cm,
-    CASE 
+    CASE
         WHEN b.current_level_percent >= 80 THEN 'critical'
         WHEN b.current_level_percent >= 60 THEN 'warning'
         ELSE 'normal'
@@ -89,9 +75,3 @@ SELECT
     b.created_at,
     b.updated_at
 FROM bins b;
-
--- Grant privileges (adjust user as needed)
--- GRANT ALL PRIVILEGES ON smartbin_iot.* TO 'root'@'localhost';
--- FLUSH PRIVILEGES;
-
-SELECT 'Database schema created successfully!' AS message;
@@ -0,0 +1,3 @@
+-- 002 telemetry: drop it (all readings are lost)
+
+DROP TABLE telemetry;
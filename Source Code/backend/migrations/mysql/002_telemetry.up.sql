@@ -0,0 +1,11 @@
+-- 002 telemetry: every level reading, for fill history
+
+CREATE TABLE telemetry (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    bin_id VARCHAR(50) NOT NULL,
+    level_percent INT NOT NULL,
+    distance_cm INT NOT NULL,
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_bin_time (bin_id, recorded_at),
+    FOREIGN KEY (bin_id) REFERENCES bins(bin_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
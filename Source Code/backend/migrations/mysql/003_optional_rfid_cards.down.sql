@@ -0,0 +1,5 @@
+-- 003 optional RFID cards: every user needs a card again
+-- Fails while users without a card exist; UIDs stay normalized
+
+ALTER TABLE users
+    MODIFY COLUMN rfid_uid VARCHAR(50) NOT NULL;
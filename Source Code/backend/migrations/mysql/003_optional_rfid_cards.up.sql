@@ -0,0 +1,11 @@
+-- 003 optional RFID cards: users may exist without a card, and UIDs are
+-- stored normalized (uppercase hex without separators, see src/rfid.js).
+-- Safe to run again on a database that already has it
+
+ALTER TABLE users
+    MODIFY COLUMN rfid_uid VARCHAR(50) NULL COMMENT 'Normalized: uppercase hex, no separators';
+
+-- Fails on the unique key if two users hold the same card in different formats
+UPDATE users
+SET rfid_uid = UPPER(REGEXP_REPLACE(rfid_uid, '[[:space:]:-]', ''))
+WHERE rfid_uid IS NOT NULL;
@@ -0,0 +1,13 @@
+-- 005 operator roles: back to admin-only operators
+-- Deletes operator and viewer accounts and the access_denied logs
+
+DROP TABLE operator_scopes;
+
+DELETE FROM operators WHERE role <> 'admin';
+ALTER TABLE operators
+    MODIFY COLUMN role ENUM('admin') DEFAULT 'admin';
+
+DELETE FROM logs WHERE event_type = 'access_denied' OR bin_id IS NULL;
+ALTER TABLE logs
+    MODIFY COLUMN bin_id VARCHAR(50) NOT NULL,
+    MODIFY COLUMN event_type ENUM('rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change') NOT NULL;
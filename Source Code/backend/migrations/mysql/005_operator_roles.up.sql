@@ -0,0 +1,20 @@
+-- 005 operator roles: admin/operator/viewer roles, bin and location scopes,
+-- and access_denied log events (which may not concern a bin)
+
+ALTER TABLE logs
+    MODIFY COLUMN bin_id VARCHAR(50) NULL COMMENT 'NULL for events not tied to a bin',
+    MODIFY COLUMN event_type ENUM('rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change', 'access_denied') NOT NULL;
+
+-- Existing operators keep the admin role
+ALTER TABLE operators
+    MODIFY COLUMN role ENUM('admin', 'operator', 'viewer') DEFAULT 'viewer';
+
+-- Operator scopes (no rows = access to all bins)
+CREATE TABLE operator_scopes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    operator_id INT NOT NULL,
+    scope_type ENUM('bin', 'location') NOT NULL,
+    scope_value VARCHAR(200) NOT NULL COMMENT 'bin_id, or location prefix',
+    UNIQUE KEY uq_scope (operator_id, scope_type, scope_value),
+    FOREIGN KEY (operator_id) REFERENCES operators(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
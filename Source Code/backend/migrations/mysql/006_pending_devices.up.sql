@@ -0,0 +1,9 @@
+-- 006 pending devices: unknown bin IDs seen on MQTT, waiting for approval
+
+CREATE TABLE pending_devices (
+    bin_id VARCHAR(50) PRIMARY KEY,
+    first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_topic VARCHAR(200) NULL,
+    message_count INT DEFAULT 1
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+-- 007 alerts: drop alert history
+
+DROP TABLE alerts;
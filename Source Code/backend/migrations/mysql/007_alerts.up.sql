@@ -0,0 +1,23 @@
+-- 007 alerts: alert lifecycle (open, acknowledged, resolved)
+
+-- Alerts table (one active alert per bin and condition)
+CREATE TABLE alerts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    bin_id VARCHAR(50) NOT NULL,
+    type ENUM('full_warning', 'unauthorized_access', 'offline') NOT NULL,
+    state ENUM('open', 'acknowledged', 'resolved') DEFAULT 'open',
+    message TEXT NULL,
+    level_percent INT NULL COMMENT 'Latest level for full_warning',
+    occurrences INT DEFAULT 1 COMMENT 'Times the condition was seen while active',
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_at TIMESTAMP NULL,
+    acknowledged_by VARCHAR(50) NULL,
+    resolved_at TIMESTAMP NULL,
+    resolved_by VARCHAR(50) NULL,
+    resolution VARCHAR(50) NULL COMMENT 'bin_emptied, device_online, manual',
+    INDEX idx_bin_type_state (bin_id, type, state),
+    INDEX idx_state (state),
+    INDEX idx_opened (opened_at),
+    FOREIGN KEY (bin_id) REFERENCES bins(bin_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
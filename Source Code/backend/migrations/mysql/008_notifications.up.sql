@@ -0,0 +1,36 @@
+-- 008 notifications: alert subscriptions per operator and their deliveries
+
+-- Notification subscriptions (per operator: which bins/alert types, where to send)
+CREATE TABLE notification_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    operator_id INT NOT NULL,
+    channel ENUM('email', 'webhook') NOT NULL,
+    target VARCHAR(500) NOT NULL COMMENT 'Email address or webhook URL',
+    bin_ids TEXT NULL COMMENT 'Comma-separated bin IDs, NULL = all bins in scope',
+    alert_types VARCHAR(200) NULL COMMENT 'Comma-separated alert types, NULL = all',
+    quiet_start TIME NULL COMMENT 'Quiet hours start (server local time)',
+    quiet_end TIME NULL COMMENT 'Quiet hours end, may be before start (overnight)',
+    escalate_after_minutes INT NULL COMMENT 'Escalate if still unacknowledged after N minutes',
+    escalation_target VARCHAR(500) NULL COMMENT 'Second contact on the same channel',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_operator (operator_id),
+    FOREIGN KEY (operator_id) REFERENCES operators(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Notification deliveries (one row per send attempt)
+CREATE TABLE notification_deliveries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    alert_id INT NOT NULL,
+    subscription_id INT NOT NULL,
+    stage ENUM('initial', 'escalation') NOT NULL,
+    channel ENUM('email', 'webhook') NOT NULL,
+    target VARCHAR(500) NOT NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_alert (alert_id),
+    FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+    FOREIGN KEY (subscription_id) REFERENCES notification_subscriptions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- 009 commands: commands sent to devices and their acknowledgement status
+
+CREATE TABLE commands (
+    id CHAR(36) PRIMARY KEY COMMENT 'UUID, sent to the device as command_id',
+    bin_id VARCHAR(50) NOT NULL,
+    action ENUM('open', 'close') NOT NULL,
+    reason VARCHAR(50) NULL COMMENT 'manual_control, rfid_authorized',
+    requested_by VARCHAR(100) NULL COMMENT 'Operator username or RFID user name',
+    status ENUM('pending', 'acked', 'failed', 'timed_out') DEFAULT 'pending',
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    INDEX idx_bin_created (bin_id, created_at),
+    INDEX idx_status (status),
+    FOREIGN KEY (bin_id) REFERENCES bins(bin_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,27 @@
+-- 010 bin coordinates: drop bin coordinates
+
+CREATE OR REPLACE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.created_at,
+    b.updated_at
+FROM bins b;
+
+ALTER TABLE bins
+    DROP COLUMN latitude,
+    DROP COLUMN longitude;
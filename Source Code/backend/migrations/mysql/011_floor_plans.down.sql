@@ -0,0 +1,36 @@
+-- 011 floor plans: drop floor plans and bin positions
+
+CREATE OR REPLACE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.latitude,
+    b.longitude,
+    b.created_at,
+    b.updated_at
+FROM bins b;
+
+-- The foreign key has no name in 011 (or the old schema.sql), so MySQL named it bins_ibfk_1
+ALTER TABLE bins
+    DROP FOREIGN KEY bins_ibfk_1;
+
+ALTER TABLE bins
+    DROP COLUMN floor_plan_id,
+    DROP COLUMN plan_x,
+    DROP COLUMN plan_y;
+
+DROP TABLE floor_plans;
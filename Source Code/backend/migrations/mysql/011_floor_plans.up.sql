@@ -0,0 +1,44 @@
+-- 011 floor plans: one image per building, bins placed on it
+
+CREATE TABLE floor_plans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    building VARCHAR(100) UNIQUE NOT NULL,
+    image MEDIUMBLOB NULL,
+    image_type VARCHAR(50) NULL COMMENT 'MIME type of image',
+    uploaded_by VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE bins
+    ADD COLUMN floor_plan_id INT NULL AFTER longitude,
+    ADD COLUMN plan_x DECIMAL(6,5) NULL COMMENT 'Position on the floor plan, 0-1 of image width' AFTER floor_plan_id,
+    ADD COLUMN plan_y DECIMAL(6,5) NULL COMMENT 'Position on the floor plan, 0-1 of image height' AFTER plan_x,
+    ADD FOREIGN KEY (floor_plan_id) REFERENCES floor_plans(id) ON DELETE SET NULL;
+
+CREATE OR REPLACE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.created_at,
+    b.updated_at
+FROM bins b;
@@ -0,0 +1,7 @@
+-- 012 collections: drop collection history and its log events
+
+DROP TABLE collections;
+
+DELETE FROM logs WHERE event_type = 'collection';
+ALTER TABLE logs
+    MODIFY COLUMN event_type ENUM('rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change', 'access_denied') NOT NULL;
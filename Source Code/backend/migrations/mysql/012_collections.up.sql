@@ -0,0 +1,19 @@
+-- 012 collections: bin emptying detected from a sustained level drop
+
+ALTER TABLE logs
+    MODIFY COLUMN event_type ENUM('rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change', 'access_denied', 'collection') NOT NULL;
+
+CREATE TABLE collections (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    bin_id VARCHAR(50) NOT NULL,
+    level_before INT NOT NULL COMMENT 'Peak level before the drop',
+    level_after INT NOT NULL COMMENT 'Level once the drop was confirmed',
+    started_at TIMESTAMP NULL COMMENT 'Last reading at the peak level',
+    collected_at TIMESTAMP NOT NULL COMMENT 'First reading after the drop',
+    duration_seconds INT NULL COMMENT 'started_at to collected_at',
+    full_since TIMESTAMP NULL COMMENT 'Start of the full period before collection, if it got full',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_bin_collected (bin_id, collected_at),
+    INDEX idx_collected (collected_at),
+    FOREIGN KEY (bin_id) REFERENCES bins(bin_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
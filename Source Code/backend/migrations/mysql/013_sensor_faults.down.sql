@@ -0,0 +1,37 @@
+-- 013 sensor faults: drop fault flags and sensor_fault alerts
+
+CREATE OR REPLACE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.created_at,
+    b.updated_at
+FROM bins b;
+
+DELETE FROM alerts WHERE type = 'sensor_fault';
+ALTER TABLE alerts
+    MODIFY COLUMN type ENUM('full_warning', 'unauthorized_access', 'offline') NOT NULL,
+    MODIFY COLUMN resolution VARCHAR(50) NULL COMMENT 'bin_emptied, device_online, manual';
+
+ALTER TABLE bins
+    DROP COLUMN sensor_fault,
+    DROP COLUMN sensor_fault_since;
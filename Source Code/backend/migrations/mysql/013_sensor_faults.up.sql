@@ -0,0 +1,39 @@
+-- 013 sensor faults: bins flagged with a level sensor fault, and its alert type
+
+ALTER TABLE bins
+    ADD COLUMN sensor_fault VARCHAR(50) NULL COMMENT 'stuck, jump, level_mismatch, out_of_range; NULL when healthy' AFTER current_distance_cm,
+    ADD COLUMN sensor_fault_since TIMESTAMP NULL AFTER sensor_fault;
+
+ALTER TABLE alerts
+    MODIFY COLUMN type ENUM('full_warning', 'unauthorized_access', 'offline', 'sensor_fault') NOT NULL,
+    MODIFY COLUMN resolution VARCHAR(50) NULL COMMENT 'bin_emptied, device_online, sensor_recovered, manual';
+
+CREATE OR REPLACE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.sensor_fault IS NOT NULL THEN 'sensor_fault'
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.sensor_fault,
+    b.sensor_fault_since,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.created_at,
+    b.updated_at
+FROM bins b;
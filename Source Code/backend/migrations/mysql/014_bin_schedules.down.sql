@@ -0,0 +1,39 @@
+-- 014 bin schedules: drop schedules
+-- Bins keep the mode/threshold they have now, not their base settings
+
+CREATE OR REPLACE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.sensor_fault IS NOT NULL THEN 'sensor_fault'
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.sensor_fault,
+    b.sensor_fault_since,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.created_at,
+    b.updated_at
+FROM bins b;
+
+DROP TABLE bin_schedules;
+
+ALTER TABLE bins
+    DROP COLUMN schedule_ids,
+    DROP COLUMN base_mode,
+    DROP COLUMN base_threshold_cm;
@@ -0,0 +1,57 @@
+-- 014 bin schedules: recurring mode/threshold changes for bins or a location group
+
+ALTER TABLE bins
+    ADD COLUMN schedule_ids VARCHAR(200) NULL COMMENT 'Schedules in effect as id:version list, NULL = none' AFTER plan_y,
+    ADD COLUMN base_mode ENUM('AUTO', 'AUTH') NULL COMMENT 'Mode to restore when the schedules end' AFTER schedule_ids,
+    ADD COLUMN base_threshold_cm INT NULL COMMENT 'Threshold to restore when the schedules end' AFTER base_mode;
+
+CREATE TABLE bin_schedules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    bin_ids TEXT NULL COMMENT 'Comma-separated bin IDs',
+    location VARCHAR(200) NULL COMMENT 'Location prefix; bin_ids and location both NULL = all bins',
+    days VARCHAR(20) NULL COMMENT 'Comma-separated weekdays 0-6 (0 = Sunday) the window starts on, NULL = every day',
+    start_time TIME NULL COMMENT 'Window start (server local time), NULL with end_time = all day',
+    end_time TIME NULL COMMENT 'Window end, may be before start (overnight)',
+    mode ENUM('AUTO', 'AUTH') NULL COMMENT 'Mode during the window, NULL = unchanged',
+    threshold_cm INT NULL COMMENT 'Threshold during the window, NULL = unchanged',
+    priority INT DEFAULT 0 COMMENT 'Higher wins when schedules overlap',
+    version INT DEFAULT 1 COMMENT 'Bumped on every change so bins re-apply the schedule',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE OR REPLACE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.sensor_fault IS NOT NULL THEN 'sensor_fault'
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.sensor_fault,
+    b.sensor_fault_since,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.schedule_ids,
+    b.base_mode,
+    b.base_threshold_cm,
+    b.created_at,
+    b.updated_at
+FROM bins b;
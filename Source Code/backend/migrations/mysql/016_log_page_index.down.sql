@@ -0,0 +1,4 @@
+-- 016 log page index: drop it
+
+ALTER TABLE logs
+    DROP INDEX idx_bin_timestamp;
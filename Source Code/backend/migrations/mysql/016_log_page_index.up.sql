@@ -0,0 +1,4 @@
+-- 016 log page index: per-bin log pages (cursor pagination)
+
+ALTER TABLE logs
+    ADD INDEX idx_bin_timestamp (bin_id, timestamp) COMMENT 'Per-bin log pages';
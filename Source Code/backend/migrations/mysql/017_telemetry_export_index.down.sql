@@ -0,0 +1,4 @@
+-- 017 telemetry export index: drop it
+
+ALTER TABLE telemetry
+    DROP INDEX idx_recorded;
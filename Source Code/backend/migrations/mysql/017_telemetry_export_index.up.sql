@@ -0,0 +1,4 @@
+-- 017 telemetry export index: fleet-wide telemetry exports by time
+
+ALTER TABLE telemetry
+    ADD INDEX idx_recorded (recorded_at) COMMENT 'Fleet-wide telemetry exports';
@@ -0,0 +1,33 @@
+-- 018 usage reports: what opened the lid, and hourly/daily usage rollups
+
+ALTER TABLE logs
+    ADD COLUMN source ENUM('proximity', 'rfid', 'manual') NULL COMMENT 'What opened/closed the lid (lid events)' AFTER user_name;
+
+-- Hourly usage per bin for reports (rolled up from logs and collections)
+CREATE TABLE usage_hourly (
+    bin_id VARCHAR(50) NOT NULL,
+    hour_start DATETIME NOT NULL,
+    opens_proximity INT NOT NULL DEFAULT 0,
+    opens_rfid INT NOT NULL DEFAULT 0,
+    opens_manual INT NOT NULL DEFAULT 0,
+    rfid_granted INT NOT NULL DEFAULT 0,
+    rfid_denied INT NOT NULL DEFAULT 0,
+    collections INT NOT NULL DEFAULT 0,
+    collection_gap_seconds BIGINT NOT NULL DEFAULT 0 COMMENT 'Sum of the times since each previous collection',
+    collection_gaps INT NOT NULL DEFAULT 0 COMMENT 'Collections that had a previous one',
+    PRIMARY KEY (bin_id, hour_start),
+    INDEX idx_hour (hour_start),
+    FOREIGN KEY (bin_id) REFERENCES bins(bin_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Daily RFID scans per card and bin for reports (rolled up from logs)
+CREATE TABLE usage_rfid_daily (
+    day DATE NOT NULL,
+    bin_id VARCHAR(50) NOT NULL,
+    rfid_uid VARCHAR(50) NOT NULL,
+    user_name VARCHAR(100) NULL COMMENT 'NULL for unknown cards',
+    granted INT NOT NULL DEFAULT 0,
+    denied INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, bin_id, rfid_uid),
+    FOREIGN KEY (bin_id) REFERENCES bins(bin_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,4 @@
+-- 019 active alert key: drop it
+
+ALTER TABLE alerts
+    DROP INDEX idx_active_bin_type;
@@ -0,0 +1,16 @@
+-- 019 active alert key: at most one open or acknowledged alert per bin and type,
+-- so concurrent raises of the same condition cannot both insert one.
+-- Needs MySQL 8.0.13 or later (functional key part)
+
+-- Alerts opened twice before this key existed: keep the first, resolve the rest
+UPDATE alerts a
+    JOIN (SELECT bin_id, type, MIN(id) AS first_id
+          FROM alerts
+          WHERE state <> 'resolved'
+          GROUP BY bin_id, type) active ON active.bin_id = a.bin_id AND active.type = a.type
+SET a.state = 'resolved', a.resolved_at = NOW(), a.resolution = 'duplicate'
+WHERE a.state <> 'resolved' AND a.id <> active.first_id;
+
+-- Resolved alerts index as NULL, which a unique key never compares equal
+ALTER TABLE alerts
+    ADD UNIQUE INDEX idx_active_bin_type (bin_id, type, (IF(state = 'resolved', NULL, 1))) COMMENT 'One active alert per bin and type';
@@ -0,0 +1,93 @@
+-- 001 initial schema (SQLite 3.35+)
+-- Users, bins and logs as in the first schema.sql, in SQLite's dialect: ENUM
+-- columns are TEXT with a CHECK, BOOLEAN columns are 0/1 and timestamps are
+-- UTC 'YYYY-MM-DD HH:MM:SS' text. The migrations after this one add
+-- everything since. Sample data is in the dev seed (npm run seed)
+
+-- Users table (for RFID authentication)
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rfid_uid TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    role TEXT DEFAULT 'user' CHECK (role IN ('admin', 'user')),
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_users_role ON users (role);
+
+-- Bins table (smart bin devices)
+CREATE TABLE bins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT UNIQUE NOT NULL, -- MQTT topic identifier e.g. BIN_01
+    name TEXT NOT NULL,
+    location TEXT,
+    capacity_cm INTEGER DEFAULT 200, -- Total height in cm
+    mode TEXT DEFAULT 'AUTO' CHECK (mode IN ('AUTO', 'AUTH')), -- AUTO=proximity, AUTH=RFID required
+    threshold_cm INTEGER DEFAULT 50, -- Proximity threshold for AUTO mode
+    is_online INTEGER DEFAULT 0,
+    last_seen TEXT NULL,
+    current_level_percent INTEGER DEFAULT 0,
+    current_distance_cm INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Logs table (access logs and events)
+CREATE TABLE logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change'
+    )),
+    rfid_uid TEXT NULL, -- If RFID event
+    user_name TEXT NULL, -- Resolved user name
+    level_percent INTEGER NULL, -- If level event
+    distance_cm INTEGER NULL, -- If level event
+    success INTEGER DEFAULT 1,
+    message TEXT NULL,
+    timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_logs_bin_id ON logs (bin_id);
+CREATE INDEX idx_logs_event_type ON logs (event_type);
+CREATE INDEX idx_logs_timestamp ON logs (timestamp);
+CREATE INDEX idx_logs_rfid ON logs (rfid_uid);
+
+-- updated_at follows every change, like ON UPDATE CURRENT_TIMESTAMP in MySQL
+CREATE TRIGGER trg_users_updated_at AFTER UPDATE ON users
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER trg_bins_updated_at AFTER UPDATE ON bins
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE bins SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- View for latest bin status
+CREATE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.created_at,
+    b.updated_at
+FROM bins b;
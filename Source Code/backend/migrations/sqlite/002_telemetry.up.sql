@@ -0,0 +1,11 @@
+-- 002 telemetry: every level reading, for fill history
+
+CREATE TABLE telemetry (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    level_percent INTEGER NOT NULL,
+    distance_cm INTEGER NOT NULL,
+    recorded_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_telemetry_bin_time ON telemetry (bin_id, recorded_at);
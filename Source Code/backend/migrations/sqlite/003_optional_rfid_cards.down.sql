@@ -0,0 +1,27 @@
+-- 003 optional RFID cards: every user needs a card again
+-- Fails while users without a card exist; UIDs stay normalized
+
+CREATE TABLE users_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rfid_uid TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    role TEXT DEFAULT 'user' CHECK (role IN ('admin', 'user')),
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO users_new (id, rfid_uid, name, email, role, is_active, created_at, updated_at)
+SELECT id, rfid_uid, name, email, role, is_active, created_at, updated_at FROM users;
+
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+CREATE INDEX idx_users_role ON users (role);
+
+CREATE TRIGGER trg_users_updated_at AFTER UPDATE ON users
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
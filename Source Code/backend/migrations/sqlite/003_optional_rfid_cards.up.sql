@@ -0,0 +1,30 @@
+-- 003 optional RFID cards: users may exist without a card, and UIDs are
+-- stored normalized (uppercase hex without separators, see src/rfid.js).
+-- Safe to run again on a database that already has it
+
+-- Rebuilt to drop NOT NULL from rfid_uid; fails on the unique key if two
+-- users hold the same card in different formats
+CREATE TABLE users_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rfid_uid TEXT UNIQUE NULL, -- Normalized: uppercase hex, no separators
+    name TEXT NOT NULL,
+    email TEXT,
+    role TEXT DEFAULT 'user' CHECK (role IN ('admin', 'user')),
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO users_new (id, rfid_uid, name, email, role, is_active, created_at, updated_at)
+SELECT id, upper(replace(replace(replace(rfid_uid, ' ', ''), ':', ''), '-', '')), name, email, role, is_active, created_at, updated_at FROM users;
+
+DROP TABLE users;
+ALTER TABLE users_new RENAME TO users;
+
+CREATE INDEX idx_users_role ON users (role);
+
+CREATE TRIGGER trg_users_updated_at AFTER UPDATE ON users
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
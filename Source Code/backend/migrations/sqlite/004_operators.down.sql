@@ -0,0 +1,4 @@
+-- 004 operators: drop operator accounts and sessions
+
+DROP TABLE refresh_tokens;
+DROP TABLE operators;
@@ -0,0 +1,32 @@
+-- 004 operators: dashboard/API accounts and their refresh tokens
+
+-- Operators table (dashboard/API accounts, separate from RFID users)
+CREATE TABLE operators (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL, -- scrypt$salt$hash
+    role TEXT DEFAULT 'admin' CHECK (role IN ('admin')),
+    is_active INTEGER DEFAULT 1,
+    token_version INTEGER DEFAULT 0, -- Bumped to revoke all issued access tokens
+    last_login TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens (only SHA-256 hashes are stored)
+CREATE TABLE refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operator_id INTEGER NOT NULL REFERENCES operators (id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_operator ON refresh_tokens (operator_id);
+
+CREATE TRIGGER trg_operators_updated_at AFTER UPDATE ON operators
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE operators SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,60 @@
+-- 005 operator roles: back to admin-only operators
+-- Deletes operator and viewer accounts and the access_denied logs
+
+DROP TABLE operator_scopes;
+
+-- Foreign keys are off while a migration runs (see stores/sqlite.js), so nothing cascades
+DELETE FROM refresh_tokens WHERE operator_id IN (SELECT id FROM operators WHERE role <> 'admin');
+DELETE FROM operators WHERE role <> 'admin';
+
+CREATE TABLE operators_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL, -- scrypt$salt$hash
+    role TEXT DEFAULT 'admin' CHECK (role IN ('admin')),
+    is_active INTEGER DEFAULT 1,
+    token_version INTEGER DEFAULT 0, -- Bumped to revoke all issued access tokens
+    last_login TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO operators_new (id, username, password_hash, role, is_active, token_version, last_login, created_at, updated_at)
+SELECT id, username, password_hash, role, is_active, token_version, last_login, created_at, updated_at FROM operators;
+
+DROP TABLE operators;
+ALTER TABLE operators_new RENAME TO operators;
+
+CREATE TRIGGER trg_operators_updated_at AFTER UPDATE ON operators
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE operators SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+DELETE FROM logs WHERE event_type = 'access_denied' OR bin_id IS NULL;
+
+CREATE TABLE logs_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change'
+    )),
+    rfid_uid TEXT NULL, -- If RFID event
+    user_name TEXT NULL, -- Resolved user name
+    level_percent INTEGER NULL, -- If level event
+    distance_cm INTEGER NULL, -- If level event
+    success INTEGER DEFAULT 1,
+    message TEXT NULL,
+    timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO logs_new (id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp)
+SELECT id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp FROM logs;
+
+DROP TABLE logs;
+ALTER TABLE logs_new RENAME TO logs;
+
+CREATE INDEX idx_logs_bin_id ON logs (bin_id);
+CREATE INDEX idx_logs_event_type ON logs (event_type);
+CREATE INDEX idx_logs_timestamp ON logs (timestamp);
+CREATE INDEX idx_logs_rfid ON logs (rfid_uid);
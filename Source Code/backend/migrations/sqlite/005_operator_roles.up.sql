@@ -0,0 +1,63 @@
+-- 005 operator roles: admin/operator/viewer roles, bin and location scopes,
+-- and access_denied log events (which may not concern a bin)
+
+-- Rebuilt for the new event type and a nullable bin_id
+CREATE TABLE logs_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NULL REFERENCES bins (bin_id) ON DELETE CASCADE, -- NULL for events not tied to a bin
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change', 'access_denied'
+    )),
+    rfid_uid TEXT NULL, -- If RFID event
+    user_name TEXT NULL, -- Resolved user name
+    level_percent INTEGER NULL, -- If level event
+    distance_cm INTEGER NULL, -- If level event
+    success INTEGER DEFAULT 1,
+    message TEXT NULL,
+    timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO logs_new (id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp)
+SELECT id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp FROM logs;
+
+DROP TABLE logs;
+ALTER TABLE logs_new RENAME TO logs;
+
+CREATE INDEX idx_logs_bin_id ON logs (bin_id);
+CREATE INDEX idx_logs_event_type ON logs (event_type);
+CREATE INDEX idx_logs_timestamp ON logs (timestamp);
+CREATE INDEX idx_logs_rfid ON logs (rfid_uid);
+
+-- Rebuilt for the new roles; existing operators keep the admin role
+CREATE TABLE operators_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL, -- scrypt$salt$hash
+    role TEXT DEFAULT 'viewer' CHECK (role IN ('admin', 'operator', 'viewer')),
+    is_active INTEGER DEFAULT 1,
+    token_version INTEGER DEFAULT 0, -- Bumped to revoke all issued access tokens
+    last_login TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO operators_new (id, username, password_hash, role, is_active, token_version, last_login, created_at, updated_at)
+SELECT id, username, password_hash, role, is_active, token_version, last_login, created_at, updated_at FROM operators;
+
+DROP TABLE operators;
+ALTER TABLE operators_new RENAME TO operators;
+
+CREATE TRIGGER trg_operators_updated_at AFTER UPDATE ON operators
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE operators SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- Operator scopes (no rows = access to all bins)
+CREATE TABLE operator_scopes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operator_id INTEGER NOT NULL REFERENCES operators (id) ON DELETE CASCADE,
+    scope_type TEXT NOT NULL CHECK (scope_type IN ('bin', 'location')),
+    scope_value TEXT NOT NULL, -- bin_id, or location prefix
+    UNIQUE (operator_id, scope_type, scope_value)
+);
@@ -0,0 +1,3 @@
+-- 006 pending devices: drop the approval queue
+
+DROP TABLE pending_devices;
@@ -0,0 +1,9 @@
+-- 006 pending devices: unknown bin IDs seen on MQTT, waiting for approval
+
+CREATE TABLE pending_devices (
+    bin_id TEXT PRIMARY KEY,
+    first_seen TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_seen TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_topic TEXT NULL,
+    message_count INTEGER DEFAULT 1
+);
@@ -0,0 +1,23 @@
+-- 007 alerts: alert lifecycle (open, acknowledged, resolved)
+
+-- Alerts table (one active alert per bin and condition)
+CREATE TABLE alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('full_warning', 'unauthorized_access', 'offline')),
+    state TEXT DEFAULT 'open' CHECK (state IN ('open', 'acknowledged', 'resolved')),
+    message TEXT NULL,
+    level_percent INTEGER NULL, -- Latest level for full_warning
+    occurrences INTEGER DEFAULT 1, -- Times the condition was seen while active
+    opened_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_at TEXT NULL,
+    acknowledged_by TEXT NULL,
+    resolved_at TEXT NULL,
+    resolved_by TEXT NULL,
+    resolution TEXT NULL -- bin_emptied, device_online, manual
+);
+
+CREATE INDEX idx_alerts_bin_type_state ON alerts (bin_id, type, state);
+CREATE INDEX idx_alerts_state ON alerts (state);
+CREATE INDEX idx_alerts_opened ON alerts (opened_at);
@@ -0,0 +1,4 @@
+-- 008 notifications: drop subscriptions and delivery history
+
+DROP TABLE notification_deliveries;
+DROP TABLE notification_subscriptions;
@@ -0,0 +1,41 @@
+-- 008 notifications: alert subscriptions per operator and their deliveries
+
+-- Notification subscriptions (per operator: which bins/alert types, where to send)
+CREATE TABLE notification_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operator_id INTEGER NOT NULL REFERENCES operators (id) ON DELETE CASCADE,
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook')),
+    target TEXT NOT NULL, -- Email address or webhook URL
+    bin_ids TEXT NULL, -- Comma-separated bin IDs, NULL = all bins in scope
+    alert_types TEXT NULL, -- Comma-separated alert types, NULL = all
+    quiet_start TEXT NULL, -- Quiet hours start 'HH:MM:SS' (server local time)
+    quiet_end TEXT NULL, -- Quiet hours end, may be before start (overnight)
+    escalate_after_minutes INTEGER NULL, -- Escalate if still unacknowledged after N minutes
+    escalation_target TEXT NULL, -- Second contact on the same channel
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_subscriptions_operator ON notification_subscriptions (operator_id);
+
+-- Notification deliveries (one row per send attempt)
+CREATE TABLE notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_id INTEGER NOT NULL REFERENCES alerts (id) ON DELETE CASCADE,
+    subscription_id INTEGER NOT NULL REFERENCES notification_subscriptions (id) ON DELETE CASCADE,
+    stage TEXT NOT NULL CHECK (stage IN ('initial', 'escalation')),
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook')),
+    target TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+    error TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_deliveries_alert ON notification_deliveries (alert_id);
+
+CREATE TRIGGER trg_subscriptions_updated_at AFTER UPDATE ON notification_subscriptions
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE notification_subscriptions SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,3 @@
+-- 009 commands: drop command history
+
+DROP TABLE commands;
@@ -0,0 +1,16 @@
+-- 009 commands: commands sent to devices and their acknowledgement status
+
+CREATE TABLE commands (
+    id TEXT PRIMARY KEY, -- UUID, sent to the device as command_id
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('open', 'close')),
+    reason TEXT NULL, -- manual_control, rfid_authorized
+    requested_by TEXT NULL, -- Operator username or RFID user name
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'acked', 'failed', 'timed_out')),
+    error TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    completed_at TEXT NULL
+);
+
+CREATE INDEX idx_commands_bin_created ON commands (bin_id, created_at);
+CREATE INDEX idx_commands_status ON commands (status);
@@ -0,0 +1,29 @@
+-- 010 bin coordinates: latitude/longitude for collection route planning
+
+ALTER TABLE bins ADD COLUMN latitude REAL NULL; -- For collection route planning
+ALTER TABLE bins ADD COLUMN longitude REAL NULL;
+
+DROP VIEW v_bin_status;
+CREATE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.latitude,
+    b.longitude,
+    b.created_at,
+    b.updated_at
+FROM bins b;
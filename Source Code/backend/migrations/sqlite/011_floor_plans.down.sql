@@ -0,0 +1,60 @@
+-- 011 floor plans: drop floor plans and bin positions
+
+DROP VIEW v_bin_status;
+
+-- Rebuilt: a column with a foreign key cannot be dropped
+CREATE TABLE bins_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT UNIQUE NOT NULL, -- MQTT topic identifier e.g. BIN_01
+    name TEXT NOT NULL,
+    location TEXT,
+    capacity_cm INTEGER DEFAULT 200, -- Total height in cm
+    mode TEXT DEFAULT 'AUTO' CHECK (mode IN ('AUTO', 'AUTH')), -- AUTO=proximity, AUTH=RFID required
+    threshold_cm INTEGER DEFAULT 50, -- Proximity threshold for AUTO mode
+    is_online INTEGER DEFAULT 0,
+    last_seen TEXT NULL,
+    current_level_percent INTEGER DEFAULT 0,
+    current_distance_cm INTEGER DEFAULT 0,
+    latitude REAL NULL, -- For collection route planning
+    longitude REAL NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO bins_new (id, bin_id, name, location, capacity_cm, mode, threshold_cm, is_online, last_seen, current_level_percent, current_distance_cm, latitude, longitude, created_at, updated_at)
+SELECT id, bin_id, name, location, capacity_cm, mode, threshold_cm, is_online, last_seen, current_level_percent, current_distance_cm, latitude, longitude, created_at, updated_at FROM bins;
+
+DROP TABLE bins;
+ALTER TABLE bins_new RENAME TO bins;
+
+CREATE TRIGGER trg_bins_updated_at AFTER UPDATE ON bins
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE bins SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+CREATE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.latitude,
+    b.longitude,
+    b.created_at,
+    b.updated_at
+FROM bins b;
+
+DROP TABLE floor_plans;
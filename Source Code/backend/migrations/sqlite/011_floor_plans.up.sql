@@ -0,0 +1,49 @@
+-- 011 floor plans: one image per building, bins placed on it
+
+CREATE TABLE floor_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    building TEXT UNIQUE NOT NULL,
+    image BLOB NULL,
+    image_type TEXT NULL, -- MIME type of image
+    uploaded_by TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE bins ADD COLUMN floor_plan_id INTEGER NULL REFERENCES floor_plans (id) ON DELETE SET NULL;
+ALTER TABLE bins ADD COLUMN plan_x REAL NULL; -- Position on the floor plan, 0-1 of image width
+ALTER TABLE bins ADD COLUMN plan_y REAL NULL; -- Position on the floor plan, 0-1 of image height
+
+CREATE TRIGGER trg_floor_plans_updated_at AFTER UPDATE ON floor_plans
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE floor_plans SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+DROP VIEW v_bin_status;
+CREATE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.created_at,
+    b.updated_at
+FROM bins b;
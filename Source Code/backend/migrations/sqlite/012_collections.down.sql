@@ -0,0 +1,31 @@
+-- 012 collections: drop collection history and its log events
+
+DROP TABLE collections;
+
+DELETE FROM logs WHERE event_type = 'collection';
+
+CREATE TABLE logs_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NULL REFERENCES bins (bin_id) ON DELETE CASCADE, -- NULL for events not tied to a bin
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change', 'access_denied'
+    )),
+    rfid_uid TEXT NULL, -- If RFID event
+    user_name TEXT NULL, -- Resolved user name
+    level_percent INTEGER NULL, -- If level event
+    distance_cm INTEGER NULL, -- If level event
+    success INTEGER DEFAULT 1,
+    message TEXT NULL,
+    timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO logs_new (id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp)
+SELECT id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp FROM logs;
+
+DROP TABLE logs;
+ALTER TABLE logs_new RENAME TO logs;
+
+CREATE INDEX idx_logs_bin_id ON logs (bin_id);
+CREATE INDEX idx_logs_event_type ON logs (event_type);
+CREATE INDEX idx_logs_timestamp ON logs (timestamp);
+CREATE INDEX idx_logs_rfid ON logs (rfid_uid);
@@ -0,0 +1,43 @@
+-- 012 collections: bin emptying detected from a sustained level drop
+
+-- Rebuilt for the new event type
+CREATE TABLE logs_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NULL REFERENCES bins (bin_id) ON DELETE CASCADE, -- NULL for events not tied to a bin
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert', 'config_change', 'access_denied', 'collection'
+    )),
+    rfid_uid TEXT NULL, -- If RFID event
+    user_name TEXT NULL, -- Resolved user name
+    level_percent INTEGER NULL, -- If level event
+    distance_cm INTEGER NULL, -- If level event
+    success INTEGER DEFAULT 1,
+    message TEXT NULL,
+    timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO logs_new (id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp)
+SELECT id, bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message, timestamp FROM logs;
+
+DROP TABLE logs;
+ALTER TABLE logs_new RENAME TO logs;
+
+CREATE INDEX idx_logs_bin_id ON logs (bin_id);
+CREATE INDEX idx_logs_event_type ON logs (event_type);
+CREATE INDEX idx_logs_timestamp ON logs (timestamp);
+CREATE INDEX idx_logs_rfid ON logs (rfid_uid);
+
+CREATE TABLE collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    level_before INTEGER NOT NULL, -- Peak level before the drop
+    level_after INTEGER NOT NULL, -- Level once the drop was confirmed
+    started_at TEXT NULL, -- Last reading at the peak level
+    collected_at TEXT NOT NULL, -- First reading after the drop
+    duration_seconds INTEGER NULL, -- started_at to collected_at
+    full_since TEXT NULL, -- Start of the full period before collection, if it got full
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_collections_bin_collected ON collections (bin_id, collected_at);
+CREATE INDEX idx_collections_collected ON collections (collected_at);
@@ -0,0 +1,63 @@
+-- 013 sensor faults: bins flagged with a level sensor fault, and its alert type
+
+ALTER TABLE bins ADD COLUMN sensor_fault TEXT NULL; -- stuck, jump, level_mismatch, out_of_range; NULL when healthy
+ALTER TABLE bins ADD COLUMN sensor_fault_since TEXT NULL;
+
+-- Rebuilt for the new alert type
+CREATE TABLE alerts_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('full_warning', 'unauthorized_access', 'offline', 'sensor_fault')),
+    state TEXT DEFAULT 'open' CHECK (state IN ('open', 'acknowledged', 'resolved')),
+    message TEXT NULL,
+    level_percent INTEGER NULL, -- Latest level for full_warning
+    occurrences INTEGER DEFAULT 1, -- Times the condition was seen while active
+    opened_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_at TEXT NULL,
+    acknowledged_by TEXT NULL,
+    resolved_at TEXT NULL,
+    resolved_by TEXT NULL,
+    resolution TEXT NULL -- bin_emptied, device_online, sensor_recovered, manual
+);
+
+INSERT INTO alerts_new (id, bin_id, type, state, message, level_percent, occurrences, opened_at, last_seen_at, acknowledged_at, acknowledged_by, resolved_at, resolved_by, resolution)
+SELECT id, bin_id, type, state, message, level_percent, occurrences, opened_at, last_seen_at, acknowledged_at, acknowledged_by, resolved_at, resolved_by, resolution FROM alerts;
+
+DROP TABLE alerts;
+ALTER TABLE alerts_new RENAME TO alerts;
+
+CREATE INDEX idx_alerts_bin_type_state ON alerts (bin_id, type, state);
+CREATE INDEX idx_alerts_state ON alerts (state);
+CREATE INDEX idx_alerts_opened ON alerts (opened_at);
+
+DROP VIEW v_bin_status;
+CREATE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.sensor_fault IS NOT NULL THEN 'sensor_fault'
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.sensor_fault,
+    b.sensor_fault_since,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.created_at,
+    b.updated_at
+FROM bins b;
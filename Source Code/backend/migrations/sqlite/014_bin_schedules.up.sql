@@ -0,0 +1,63 @@
+-- 014 bin schedules: recurring mode/threshold changes for bins or a location group
+
+ALTER TABLE bins ADD COLUMN schedule_ids TEXT NULL; -- Schedules in effect as id:version list, NULL = none
+ALTER TABLE bins ADD COLUMN base_mode TEXT NULL CHECK (base_mode IN ('AUTO', 'AUTH')); -- Mode to restore when the schedules end
+ALTER TABLE bins ADD COLUMN base_threshold_cm INTEGER NULL; -- Threshold to restore when the schedules end
+
+CREATE TABLE bin_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    bin_ids TEXT NULL, -- Comma-separated bin IDs
+    location TEXT NULL, -- Location prefix; bin_ids and location both NULL = all bins
+    days TEXT NULL, -- Comma-separated weekdays 0-6 (0 = Sunday) the window starts on, NULL = every day
+    start_time TEXT NULL, -- Window start 'HH:MM:SS' (server local time), NULL with end_time = all day
+    end_time TEXT NULL, -- Window end, may be before start (overnight)
+    mode TEXT NULL CHECK (mode IN ('AUTO', 'AUTH')), -- Mode during the window, NULL = unchanged
+    threshold_cm INTEGER NULL, -- Threshold during the window, NULL = unchanged
+    priority INTEGER DEFAULT 0, -- Higher wins when schedules overlap
+    version INTEGER DEFAULT 1, -- Bumped on every change so bins re-apply the schedule
+    is_active INTEGER DEFAULT 1,
+    created_by TEXT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER trg_bin_schedules_updated_at AFTER UPDATE ON bin_schedules
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE bin_schedules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+DROP VIEW v_bin_status;
+CREATE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.sensor_fault IS NOT NULL THEN 'sensor_fault'
+        WHEN b.current_level_percent >= 80 THEN 'critical'
+        WHEN b.current_level_percent >= 60 THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    b.sensor_fault,
+    b.sensor_fault_since,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.schedule_ids,
+    b.base_mode,
+    b.base_threshold_cm,
+    b.created_at,
+    b.updated_at
+FROM bins b;
@@ -0,0 +1,61 @@
+-- 015 fill levels: warning/critical levels per bin with a fleet-wide default
+
+-- Fleet-wide settings (single row, id = 1)
+CREATE TABLE fleet_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    warning_percent INTEGER NOT NULL DEFAULT 60, -- Default level for warning status
+    critical_percent INTEGER NOT NULL DEFAULT 80, -- Default level for critical status and full alerts
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO fleet_settings (id) VALUES (1);
+
+ALTER TABLE bins ADD COLUMN warning_percent INTEGER NULL; -- Level for warning status, NULL = fleet default
+ALTER TABLE bins ADD COLUMN critical_percent INTEGER NULL; -- Level for critical status and full alerts, NULL = fleet default
+
+CREATE TRIGGER trg_fleet_settings_updated_at AFTER UPDATE ON fleet_settings
+WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+    UPDATE fleet_settings SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- warning_percent/critical_percent are the levels in effect (per bin or fleet default);
+-- bin_warning_percent/bin_critical_percent are the per-bin values (NULL = fleet default)
+DROP VIEW v_bin_status;
+CREATE VIEW v_bin_status AS
+SELECT
+    b.id,
+    b.bin_id,
+    b.name,
+    b.location,
+    b.capacity_cm,
+    b.mode,
+    b.threshold_cm,
+    b.is_online,
+    b.last_seen,
+    b.current_level_percent,
+    b.current_distance_cm,
+    CASE
+        WHEN b.sensor_fault IS NOT NULL THEN 'sensor_fault'
+        WHEN b.current_level_percent >= COALESCE(b.critical_percent, f.critical_percent) THEN 'critical'
+        WHEN b.current_level_percent >= COALESCE(b.warning_percent, f.warning_percent) THEN 'warning'
+        ELSE 'normal'
+    END AS status,
+    COALESCE(b.warning_percent, f.warning_percent) AS warning_percent,
+    COALESCE(b.critical_percent, f.critical_percent) AS critical_percent,
+    b.warning_percent AS bin_warning_percent,
+    b.critical_percent AS bin_critical_percent,
+    b.sensor_fault,
+    b.sensor_fault_since,
+    b.latitude,
+    b.longitude,
+    b.floor_plan_id,
+    b.plan_x,
+    b.plan_y,
+    b.schedule_ids,
+    b.base_mode,
+    b.base_threshold_cm,
+    b.created_at,
+    b.updated_at
+FROM bins b
+JOIN fleet_settings f ON f.id = 1;
@@ -0,0 +1,4 @@
+-- 016 log page index: back to the plain bin_id index
+
+CREATE INDEX idx_logs_bin_id ON logs (bin_id);
+DROP INDEX idx_logs_bin_timestamp;
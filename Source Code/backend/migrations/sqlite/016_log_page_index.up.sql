@@ -0,0 +1,5 @@
+-- 016 log page index: per-bin log pages (cursor pagination)
+-- Replaces the bin_id index, which it covers
+
+CREATE INDEX idx_logs_bin_timestamp ON logs (bin_id, timestamp);
+DROP INDEX idx_logs_bin_id;
@@ -0,0 +1,3 @@
+-- 017 telemetry export index: drop it
+
+DROP INDEX idx_telemetry_recorded;
@@ -0,0 +1,3 @@
+-- 017 telemetry export index: fleet-wide telemetry exports by time
+
+CREATE INDEX idx_telemetry_recorded ON telemetry (recorded_at);
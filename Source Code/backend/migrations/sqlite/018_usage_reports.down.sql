@@ -0,0 +1,6 @@
+-- 018 usage reports: drop the rollups and the lid source of logs
+
+DROP TABLE usage_rfid_daily;
+DROP TABLE usage_hourly;
+
+ALTER TABLE logs DROP COLUMN source;
@@ -0,0 +1,33 @@
+-- 018 usage reports: what opened the lid, and hourly/daily usage rollups
+
+ALTER TABLE logs ADD COLUMN source TEXT NULL CHECK (source IN ('proximity', 'rfid', 'manual')); -- What opened/closed the lid (lid events)
+
+-- Hourly usage per bin for reports (rolled up from logs and collections)
+-- hour_start is the start of the server-local hour, stored in UTC like every timestamp
+CREATE TABLE usage_hourly (
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    hour_start TEXT NOT NULL,
+    opens_proximity INTEGER NOT NULL DEFAULT 0,
+    opens_rfid INTEGER NOT NULL DEFAULT 0,
+    opens_manual INTEGER NOT NULL DEFAULT 0,
+    rfid_granted INTEGER NOT NULL DEFAULT 0,
+    rfid_denied INTEGER NOT NULL DEFAULT 0,
+    collections INTEGER NOT NULL DEFAULT 0,
+    collection_gap_seconds INTEGER NOT NULL DEFAULT 0, -- Sum of the times since each previous collection
+    collection_gaps INTEGER NOT NULL DEFAULT 0, -- Collections that had a previous one
+    PRIMARY KEY (bin_id, hour_start)
+);
+
+CREATE INDEX idx_usage_hourly_hour ON usage_hourly (hour_start);
+
+-- Daily RFID scans per card and bin for reports (rolled up from logs)
+-- day is the server-local date 'YYYY-MM-DD'
+CREATE TABLE usage_rfid_daily (
+    day TEXT NOT NULL,
+    bin_id TEXT NOT NULL REFERENCES bins (bin_id) ON DELETE CASCADE,
+    rfid_uid TEXT NOT NULL,
+    user_name TEXT NULL, -- NULL for unknown cards
+    granted INTEGER NOT NULL DEFAULT 0,
+    denied INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, bin_id, rfid_uid)
+);
@@ -0,0 +1,3 @@
+-- 019 active alert key: drop it
+
+DROP INDEX idx_alerts_active_bin_type;
@@ -0,0 +1,11 @@
+-- 019 active alert key: at most one open or acknowledged alert per bin and type,
+-- so concurrent raises of the same condition cannot both insert one
+
+-- Alerts opened twice before this key existed: keep the first, resolve the rest
+UPDATE alerts
+SET state = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolution = 'duplicate'
+WHERE state <> 'resolved'
+  AND id > (SELECT MIN(kept.id) FROM alerts kept
+            WHERE kept.bin_id = alerts.bin_id AND kept.type = alerts.type AND kept.state <> 'resolved');
+
+CREATE UNIQUE INDEX idx_alerts_active_bin_type ON alerts (bin_id, type) WHERE state <> 'resolved';
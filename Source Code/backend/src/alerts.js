@@ -0,0 +1,98 @@
+/**
+ * Alert lifecycle
+ * One active alert per bin and condition: open → acknowledged → resolved
+ */
+
+import * as db from './db.js';
+import * as notifier from './notifier.js';
+
+export const ALERT_TYPES = ['full_warning', 'unauthorized_access', 'offline', 'sensor_fault'];
+export const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Raise an alert for a condition
+ * If the same condition is already active, only its occurrence count is bumped.
+ * The schema allows one active alert per bin and type, so when a concurrent
+ * raise inserts it first this one is counted as a bump too
+ * Returns { alert, created }
+ */
+export async function raiseAlert(binId, type, { message = null, levelPercent = null } = {}) {
+  const active = await db.getActiveAlert(binId, type);
+
+  if (active) {
+    await db.bumpAlert(active.id, levelPercent);
+    return { alert: active, created: false };
+  }
+
+  let alert;
+  try {
+    alert = await db.createAlert(binId, type, message, levelPercent);
+  } catch (error) {
+    if (error.code !== db.DUPLICATE) throw error;
+
+    const raised = await db.getActiveAlert(binId, type);
+    if (!raised) throw error;
+    await db.bumpAlert(raised.id, levelPercent);
+    return { alert: raised, created: false };
+  }
+
+  await db.logEvent(binId, 'alert', {
+    levelPercent,
+    success: false,
+    message
+  });
+
+  console.log(`🚨 Alert #${alert.id} opened: ${type} on ${binId}`);
+
+  // Notify subscribers in the background (SMTP/webhooks must not block MQTT handling)
+  notifier.processAlerts();
+
+  return { alert, created: true };
+}
+
+/**
+ * Resolve the active alert for a condition, if any
+ * Returns the resolved alert or null
+ */
+export async function resolveCondition(binId, type, resolution) {
+  const active = await db.getActiveAlert(binId, type);
+  if (!active) return null;
+
+  await db.resolveAlert(active.id, resolution, null);
+  console.log(`✅ Alert #${active.id} resolved: ${type} on ${binId} (${resolution})`);
+
+  return db.getAlertById(active.id);
+}
+
+/**
+ * Acknowledge an open alert
+ * Returns the updated alert, or null if it is not open
+ */
+export async function acknowledge(alertId, username) {
+  const alert = await db.getAlertById(alertId);
+  if (!alert || alert.state !== 'open') return null;
+
+  await db.acknowledgeAlert(alertId, username);
+  return db.getAlertById(alertId);
+}
+
+/**
+ * Manually resolve an active alert
+ * Returns the updated alert, or null if it is already resolved
+ */
+export async function resolve(alertId, username) {
+  const alert = await db.getAlertById(alertId);
+  if (!alert || alert.state === 'resolved') return null;
+
+  await db.resolveAlert(alertId, 'manual', username);
+  return db.getAlertById(alertId);
+}
+
+export default {
+  ALERT_TYPES,
+  ALERT_STATES,
+  raiseAlert,
+  resolveCondition,
+  acknowledge,
+  resolve
+};
@@ -4,73 +4,391 @@
  */
 
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import config from './config.js';
 import * as db from './db.js';
+import * as auth from './auth.js';
 import * as mqttClient from './mqttClient.js';
+import * as prediction from './prediction.js';
+import { isValidUid, normalizeUid } from './rfid.js';
+import { parseTimeOfDay } from './timeOfDay.js';
+import { ROLES, SCOPE_TYPES, hasPermission, canAccessBin } from './permissions.js';
+import * as alerts from './alerts.js';
+import * as notifier from './notifier.js';
+import * as events from './events.js';
+import * as routePlanner from './routePlanner.js';
+import * as collections from './collections.js';
+import * as scheduler from './scheduler.js';
+import * as exporter from './exporter.js';
+import * as reports from './reports.js';
 
 const router = express.Router();
 
 /**
- * Middleware: Simple JWT authentication
- * For demo purposes - in production, implement proper user auth
+ * Middleware: JWT authentication
+ * Requires a valid, non-revoked access token for an active operator
  */
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+async function authenticateToken(req, res, next) {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    const operator = await auth.verifyAccessToken(token);
+    if (!operator) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const scopes = await db.getOperatorScopes(operator.id);
+    req.user = auth.toPublicOperator(operator, scopes);
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+/**
+ * Middleware: authentication for export downloads
+ * A plain link cannot set headers, so it passes a download token (see
+ * POST /exports/token) as ?token=; other clients use the Authorization header
+ */
+async function authenticateDownload(req, res, next) {
+  if (req.headers['authorization'] || !req.query.token) {
+    return authenticateToken(req, res, next);
   }
 
-  jwt.verify(token, config.jwt.secret, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  try {
+    const operator = await auth.verifyDownloadToken(req.query.token);
+    if (!operator) {
+      return res.status(401).json({ error: 'Invalid or expired download token' });
     }
-    req.user = user;
+
+    const scopes = await db.getOperatorScopes(operator.id);
+    req.user = auth.toPublicOperator(operator, scopes);
     next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+/**
+ * Record a denied request in logs
+ */
+async function recordDenied(req, binId, reason) {
+  const message = `${req.user.role} "${req.user.username}" denied ${req.method} ${req.originalUrl}: ${reason}`;
+  console.warn(`⛔ ${message}`);
+
+  await db.logEvent(binId, 'access_denied', {
+    userName: req.user.username,
+    success: false,
+    message
   });
 }
 
+/**
+ * Middleware: require a permission (use after authenticateToken)
+ * With binParam (or getBinId for routes on other resources), the operator's
+ * scopes must also cover that bin
+ */
+function authorize(permission, { binParam = null, getBinId = null } = {}) {
+  return async (req, res, next) => {
+    try {
+      let binId = null;
+      if (binParam) binId = req.params[binParam];
+      if (getBinId) binId = await getBinId(req);
+
+      const bin = binId ? await db.getBinById(binId) : null;
+
+      if (!hasPermission(req.user.role, permission)) {
+        await recordDenied(req, bin ? bin.bin_id : null, `missing permission ${permission}`);
+        return res.status(403).json({ error: `Permission denied: ${permission}` });
+      }
+
+      if (bin && !canAccessBin(req.user.scopes, bin)) {
+        await recordDenied(req, bin.bin_id, `bin ${bin.bin_id} is outside operator scope`);
+        return res.status(403).json({ error: `No access to bin ${bin.bin_id}` });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ error: 'Authorization failed' });
+    }
+  };
+}
+
+/**
+ * Validate role and scopes for operator create/update
+ * Returns an error message or null
+ */
+function validateOperatorAccess(role, scopes) {
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Invalid role. Must be one of: ${ROLES.join(', ')}`;
+  }
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes)) {
+      return 'Scopes must be an array';
+    }
+    for (const scope of scopes) {
+      if (!scope || !SCOPE_TYPES.includes(scope.scope_type) || !scope.scope_value) {
+        return `Invalid scope. Each needs scope_type (${SCOPE_TYPES.join(', ')}) and scope_value`;
+      }
+    }
+  }
+
+  return null;
+}
+
 /**
  * POST /api/auth/login
- * Demo login endpoint - returns JWT
- * In production: verify actual credentials
+ * Verify operator credentials, returns access and refresh tokens
  */
 router.post('/auth/login', async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    // DEMO ONLY: Accept admin/admin123
-    if (username === 'admin' && password === 'admin123') {
-      const token = jwt.sign(
-        { username: 'admin', role: 'admin' },
-        config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
-      );
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
 
-      return res.json({
-        success: true,
-        token,
-        user: { username: 'admin', role: 'admin' }
-      });
+    const session = await auth.login(username, password);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    res.status(401).json({ error: 'Invalid credentials' });
+    console.log(`🔑 Operator logged in: ${username}`);
+
+    res.json({ success: true, ...session });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair (refresh tokens are single-use)
+ */
+router.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const session = await auth.refresh(refreshToken);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the given refresh token, or every session with { all: true }
+ */
+router.post('/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body;
+
+    if (all) {
+      await auth.revokeAllSessions(req.user.id);
+    } else if (refreshToken) {
+      await auth.revokeRefreshToken(refreshToken);
+    }
+
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Current operator
+ */
+router.get('/auth/me', authenticateToken, (req, res) => {
+  res.json({ success: true, data: req.user });
+});
+
+/**
+ * POST /api/auth/password
+ * Change own password; revokes all existing sessions and returns a new token pair
+ */
+router.post('/auth/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const operator = await db.getOperatorById(req.user.id);
+    const valid = await auth.verifyPassword(currentPassword || '', operator.password_hash);
+    if (!valid) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordError = auth.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await db.updateOperatorPassword(operator.id, await auth.hashPassword(newPassword));
+    await auth.revokeAllSessions(operator.id);
+
+    console.log(`🔑 Password changed for ${operator.username}`);
+
+    const session = await auth.issueTokens(await db.getOperatorById(operator.id));
+    res.json({ success: true, message: 'Password changed', ...session });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+/**
+ * GET /api/operators
+ * List operator accounts with their scopes
+ */
+router.get('/operators', authenticateToken, authorize('operators:manage'), async (req, res) => {
+  try {
+    const operators = await db.listOperators();
+    const data = await Promise.all(operators.map(async operator => ({
+      ...operator,
+      scopes: await db.getOperatorScopes(operator.id)
+    })));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error listing operators:', error);
+    res.status(500).json({ error: 'Failed to list operators' });
+  }
+});
+
+/**
+ * POST /api/operators
+ * Create an operator account with a role and optional scopes
+ */
+router.post('/operators', authenticateToken, authorize('operators:manage'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer', scopes = [] } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+
+    const passwordError = auth.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const accessError = validateOperatorAccess(role, scopes);
+    if (accessError) {
+      return res.status(400).json({ error: accessError });
+    }
+
+    if (await db.getOperatorByUsername(username)) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const operator = await db.createOperator({
+      username,
+      passwordHash: await auth.hashPassword(password),
+      role
+    });
+    await db.setOperatorScopes(operator.id, scopes);
+
+    console.log(`👤 Operator created: ${username} (${role}, by ${req.user.username})`);
+
+    res.status(201).json({
+      success: true,
+      data: auth.toPublicOperator(operator, await db.getOperatorScopes(operator.id))
+    });
+  } catch (error) {
+    console.error('Error creating operator:', error);
+    res.status(500).json({ error: 'Failed to create operator' });
+  }
+});
+
+/**
+ * PUT /api/operators/:id
+ * Change role, active state or scopes (scopes replace the existing list)
+ */
+router.put('/operators/:id', authenticateToken, authorize('operators:manage'), async (req, res) => {
+  try {
+    const operatorId = parseInt(req.params.id);
+    const { role, is_active, scopes } = req.body;
+
+    const operator = await db.getOperatorById(operatorId);
+    if (!operator) {
+      return res.status(404).json({ error: 'Operator not found' });
+    }
+
+    const accessError = validateOperatorAccess(role, scopes);
+    if (accessError) {
+      return res.status(400).json({ error: accessError });
+    }
+
+    if (operatorId === req.user.id && ((role && role !== 'admin') || is_active === false)) {
+      return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+    }
+
+    const updates = {};
+    if (role) updates.role = role;
+    if (is_active !== undefined) updates.is_active = Boolean(is_active);
+
+    await db.updateOperator(operatorId, updates);
+    if (scopes !== undefined) {
+      await db.setOperatorScopes(operatorId, scopes);
+    }
+
+    // Deactivation ends all sessions right away
+    if (updates.is_active === false) {
+      await auth.revokeAllSessions(operatorId);
+    }
+
+    console.log(`👤 Operator ${operator.username} updated by ${req.user.username}`);
+
+    const updated = await db.getOperatorById(operatorId);
+    res.json({
+      success: true,
+      data: auth.toPublicOperator(updated, await db.getOperatorScopes(operatorId))
+    });
+  } catch (error) {
+    console.error('Error updating operator:', error);
+    res.status(500).json({ error: 'Failed to update operator' });
+  }
+});
+
+/**
+ * Add the time-to-full prediction and the schedules in effect to a bin
+ */
+async function withDetails(bin, schedules) {
+  return {
+    ...await prediction.withPrediction(bin),
+    active_schedules: scheduler.activeSchedules(bin, schedules)
+  };
+}
+
 /**
  * GET /api/bins
- * Get all bins with current status
+ * Get all bins (within the operator's scopes) with current status, time-to-full
+ * prediction and active schedules
  */
-router.get('/bins', async (req, res) => {
+router.get('/bins', authenticateToken, authorize('bins:read'), async (req, res) => {
   try {
-    const bins = await db.getAllBins();
-    res.json({ success: true, data: bins });
+    const bins = (await db.getAllBins()).filter(bin => canAccessBin(req.user.scopes, bin));
+    const schedules = await db.getSchedules();
+    const data = await Promise.all(bins.map(bin => withDetails(bin, schedules)));
+    res.json({ success: true, data });
   } catch (error) {
     console.error('Error fetching bins:', error);
     res.status(500).json({ error: 'Failed to fetch bins' });
@@ -79,9 +397,9 @@ router.get('/bins', async (req, res) => {
 
 /**
  * GET /api/bins/:id
- * Get specific bin details
+ * Get specific bin details with time-to-full prediction and active schedules
  */
-router.get('/bins/:id', async (req, res) => {
+router.get('/bins/:id', authenticateToken, authorize('bins:read', { binParam: 'id' }), async (req, res) => {
   try {
     const bin = await db.getBinById(req.params.id);
     
@@ -89,21 +407,161 @@ router.get('/bins/:id', async (req, res) => {
       return res.status(404).json({ error: 'Bin not found' });
     }
 
-    res.json({ success: true, data: bin });
+    res.json({ success: true, data: await withDetails(bin, await db.getSchedules()) });
   } catch (error) {
     console.error('Error fetching bin:', error);
     res.status(500).json({ error: 'Failed to fetch bin' });
   }
 });
 
+// Points a history response aims for without ?bucket=
+const HISTORY_POINTS = 200;
+
+// Most points a history response returns: a smaller ?bucket= is widened to fit
+const MAX_HISTORY_POINTS = 1000;
+
+// Longest range a history request may cover
+const MAX_HISTORY_DAYS = 366;
+
+/**
+ * Parse a bucket size like "300", "5m", "1h" or "1d" into seconds
+ */
+function parseBucket(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  const seconds = parseInt(match[1]) * units[match[2]];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * GET /api/bins/:id/history?from=&to=&bucket=
+ * Get downsampled level history (min/avg/max per bucket) and alert markers
+ * Defaults to the last 24h, with a bucket size giving at most ~200 points.
+ * The range may span up to MAX_HISTORY_DAYS; a bucket that would give more
+ * than MAX_HISTORY_POINTS is widened (range.bucket_seconds has the one used)
+ */
+router.get('/bins/:id/history', authenticateToken, authorize('bins:read', { binParam: 'id' }), async (req, res) => {
+  try {
+    const binId = req.params.id;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Invalid date. Use ISO 8601 for from/to' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: '"from" must be before "to"' });
+    }
+
+    const rangeSeconds = (to - from) / 1000;
+    if (rangeSeconds > MAX_HISTORY_DAYS * 86400) {
+      return res.status(400).json({ error: `Range too long. At most ${MAX_HISTORY_DAYS} days per request` });
+    }
+
+    let bucketSeconds;
+    if (req.query.bucket) {
+      bucketSeconds = parseBucket(req.query.bucket);
+      if (!bucketSeconds) {
+        return res.status(400).json({ error: 'Invalid bucket. Use seconds or e.g. 5m, 1h, 1d' });
+      }
+      bucketSeconds = Math.max(bucketSeconds, Math.ceil(rangeSeconds / MAX_HISTORY_POINTS));
+    } else {
+      bucketSeconds = Math.max(60, Math.ceil(rangeSeconds / HISTORY_POINTS));
+    }
+
+    const bin = await db.getBinById(binId);
+    if (!bin) {
+      return res.status(404).json({ error: 'Bin not found' });
+    }
+
+    const history = await db.getTelemetryHistory(binId, from, to, bucketSeconds);
+    const alerts = await db.getAlertMarkers(binId, from, to, bucketSeconds);
+
+    res.json({
+      success: true,
+      data: history,
+      alerts,
+      range: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucket_seconds: bucketSeconds
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching bin history:', error);
+    res.status(500).json({ error: 'Failed to fetch bin history' });
+  }
+});
+
+/**
+ * Validate optional bin coordinates: both given (or both null to clear)
+ * Returns an error message or null
+ */
+function validateCoordinates({ latitude, longitude }) {
+  if (latitude === undefined && longitude === undefined) return null;
+  if (latitude === null && longitude === null) return null;
+
+  if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+      !routePlanner.isValidCoordinate(latitude, longitude)) {
+    return 'latitude and longitude must be given together (-90..90, -180..180)';
+  }
+  return null;
+}
+
+/**
+ * Validate optional threshold/capacity distances: positive whole centimetres
+ * Returns an error message or null
+ */
+function validateSizes({ threshold_cm, capacity_cm }) {
+  if (threshold_cm !== undefined && !(Number.isInteger(threshold_cm) && threshold_cm > 0)) {
+    return 'threshold_cm must be a positive integer';
+  }
+  if (capacity_cm !== undefined && !(Number.isInteger(capacity_cm) && capacity_cm > 0)) {
+    return 'capacity_cm must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Validate warning/critical levels (null = back to the fleet default)
+ * The levels in effect afterwards must keep warning below critical; fields
+ * left out keep the bin's current level (or the fleet default for new bins)
+ * Returns an error message or null
+ */
+async function validateLevels(levels, bin = null) {
+  for (const field of ['warning_percent', 'critical_percent']) {
+    const value = levels[field];
+    if (value != null && !(Number.isInteger(value) && value >= 1 && value <= 100)) {
+      return `${field} must be an integer between 1 and 100 (or null for the fleet default)`;
+    }
+  }
+
+  const fleet = await db.getFleetSettings();
+  const inEffect = (field) => {
+    if (levels[field] === undefined) return bin ? bin[field] : fleet[field];
+    return levels[field] ?? fleet[field];
+  };
+
+  if (inEffect('warning_percent') >= inEffect('critical_percent')) {
+    return 'warning_percent must be below critical_percent';
+  }
+  return null;
+}
+
 /**
  * PUT /api/bins/:id/config
- * Update bin configuration (no auth for demo)
+ * Update bin configuration
  */
-router.put('/bins/:id/config', async (req, res) => {
+router.put('/bins/:id/config', authenticateToken, authorize('bins:configure', { binParam: 'id' }), async (req, res) => {
   try {
     const binId = req.params.id;
-    const { mode, threshold_cm, capacity_cm, name, location } = req.body;
+    const {
+      mode, threshold_cm, capacity_cm, name, location, latitude, longitude, warning_percent, critical_percent
+    } = req.body;
 
     // Validate bin exists
     const bin = await db.getBinById(binId);
@@ -116,6 +574,16 @@ router.put('/bins/:id/config', async (req, res) => {
       return res.status(400).json({ error: 'Invalid mode. Must be AUTO or AUTH' });
     }
 
+    const fieldError = validateSizes({ threshold_cm, capacity_cm }) || validateCoordinates({ latitude, longitude });
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const levelError = await validateLevels({ warning_percent, critical_percent }, bin);
+    if (levelError) {
+      return res.status(400).json({ error: levelError });
+    }
+
     // Prepare updates
     const updates = {};
     if (mode) updates.mode = mode;
@@ -123,6 +591,19 @@ router.put('/bins/:id/config', async (req, res) => {
     if (capacity_cm !== undefined) updates.capacity_cm = capacity_cm;
     if (name) updates.name = name;
     if (location) updates.location = location;
+    if (latitude !== undefined) {
+      updates.latitude = latitude;
+      updates.longitude = longitude;
+    }
+    if (warning_percent !== undefined) updates.warning_percent = warning_percent;
+    if (critical_percent !== undefined) updates.critical_percent = critical_percent;
+
+    // While a schedule is in effect, manual changes also become the settings
+    // restored when it ends
+    if (bin.schedule_ids) {
+      if (updates.mode) updates.base_mode = updates.mode;
+      if (updates.threshold_cm !== undefined) updates.base_threshold_cm = updates.threshold_cm;
+    }
 
     // Update database
     await db.updateBinConfig(binId, updates);
@@ -131,8 +612,12 @@ router.put('/bins/:id/config', async (req, res) => {
     const updatedBin = await db.getBinById(binId);
     mqttClient.publishConfig(binId, updatedBin);
 
+    const schedules = await db.getSchedules();
+    scheduler.publishConfigEvent(updatedBin, schedules);
+
     // Log the change
     await db.logEvent(binId, 'config_change', {
+      userName: req.user.username,
       message: `Configuration updated`,
       success: true
     });
@@ -142,7 +627,7 @@ router.put('/bins/:id/config', async (req, res) => {
     res.json({
       success: true,
       message: 'Configuration updated',
-      data: updatedBin
+      data: { ...updatedBin, active_schedules: scheduler.activeSchedules(updatedBin, schedules) }
     });
   } catch (error) {
     console.error('Error updating bin config:', error);
@@ -152,9 +637,10 @@ router.put('/bins/:id/config', async (req, res) => {
 
 /**
  * POST /api/bins/:id/command
- * Send command to bin (no auth for demo)
+ * Send command to bin. Returns 202 with the command (status "pending");
+ * poll GET /api/commands/:id for the device acknowledgement
  */
-router.post('/bins/:id/command', async (req, res) => {
+router.post('/bins/:id/command', authenticateToken, authorize('bins:command', { binParam: 'id' }), async (req, res) => {
   try {
     const binId = req.params.id;
     const { action } = req.body;
@@ -169,23 +655,20 @@ router.post('/bins/:id/command', async (req, res) => {
       return res.status(404).json({ error: 'Bin not found' });
     }
 
-    // Publish command
-    mqttClient.publishCommand(binId, {
-      action,
+    // The lid_open/lid_close log is written once the device acknowledges
+    const command = await mqttClient.sendCommand(bin, action, {
       reason: 'manual_control',
-      user: 'admin',
-      ts: new Date().toISOString()
+      requestedBy: req.user.username
     });
 
-    // Log the command
-    await db.logEvent(binId, action === 'open' ? 'lid_open' : 'lid_close', {
-      message: `Manual ${action}`,
-      success: true
-    });
+    if (command.status === 'failed') {
+      return res.status(409).json({ error: command.error, data: command });
+    }
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Command "${action}" sent to ${binId}`
+      message: `Command "${action}" sent to ${binId}`,
+      data: command
     });
   } catch (error) {
     console.error('Error sending command:', error);
@@ -194,49 +677,1722 @@ router.post('/bins/:id/command', async (req, res) => {
 });
 
 /**
- * GET /api/logs
- * Get event logs with optional bin filter
+ * GET /api/bins/:id/commands?limit=20
+ * Recent commands sent to a bin and their outcome
+ */
+router.get('/bins/:id/commands', authenticateToken, authorize('bins:read', { binParam: 'id' }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const data = await db.getCommands(req.params.id, limit);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching commands:', error);
+    res.status(500).json({ error: 'Failed to fetch commands' });
+  }
+});
+
+/**
+ * Bin of the command in :id, for scope checks
+ */
+async function commandBinId(req) {
+  const command = await db.getCommandById(req.params.id);
+  return command ? command.bin_id : null;
+}
+
+/**
+ * GET /api/commands/:id
+ * Get a single command and its status
+ */
+router.get('/commands/:id', authenticateToken, authorize('bins:read', { getBinId: commandBinId }), async (req, res) => {
+  try {
+    const command = await db.getCommandById(req.params.id);
+    if (!command) {
+      return res.status(404).json({ error: 'Command not found' });
+    }
+    res.json({ success: true, data: command });
+  } catch (error) {
+    console.error('Error fetching command:', error);
+    res.status(500).json({ error: 'Failed to fetch command' });
+  }
+});
+
+/**
+ * GET /api/routes/plan?depot=lat,lng&minLevel=&shiftHours=
+ * Collection route for bins at or above minLevel (default: each bin's critical
+ * level), or predicted to be full
+ * before the shift ends. Stops are ordered as a round trip from the depot
+ * (nearest neighbour + 2-opt on straight-line distances). Due bins without
+ * coordinates are listed under "unlocated"
  */
-router.get('/logs', async (req, res) => {
+router.get('/routes/plan', authenticateToken, authorize('bins:read'), async (req, res) => {
   try {
-    const binId = req.query.bin || null;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
+    const depot = routePlanner.parseCoordinates(req.query.depot || config.routes.depot);
+    if (!depot) {
+      return res.status(400).json({ error: 'depot is required as "lat,lng"' });
+    }
+
+    const minLevel = req.query.minLevel ? Number(req.query.minLevel) : config.routes.minLevel;
+    if (minLevel !== null && !(Number.isFinite(minLevel) && minLevel >= 0 && minLevel <= 100)) {
+      return res.status(400).json({ error: 'minLevel must be between 0 and 100' });
+    }
 
-    const logs = await db.getLogs(binId, limit, offset);
+    const shiftHours = req.query.shiftHours ? Number(req.query.shiftHours) : config.routes.shiftHours;
+    if (!Number.isFinite(shiftHours) || shiftHours < 0 || shiftHours > 24) {
+      return res.status(400).json({ error: 'shiftHours must be between 0 and 24' });
+    }
+
+    const now = new Date();
+    const shiftEnd = new Date(now.getTime() + shiftHours * 3600000);
+
+    const bins = (await db.getAllBins()).filter(bin => canAccessBin(req.user.scopes, bin));
+    const withPredictions = await Promise.all(bins.map(prediction.withPrediction));
+    const { due, unlocated } = routePlanner.selectBins(withPredictions, { minLevel, until: shiftEnd });
+
+    const toStop = bin => ({
+      bin_id: bin.bin_id,
+      name: bin.name,
+      location: bin.location,
+      latitude: bin.latitude,
+      longitude: bin.longitude,
+      level_percent: bin.current_level_percent,
+      predicted_full_at: bin.predicted_full_at,
+      is_online: Boolean(bin.is_online),
+      reason: bin.reason
+    });
+
+    const route = routePlanner.planRoute(depot, due.map(toStop));
 
     res.json({
       success: true,
-      data: logs,
-      pagination: {
-        limit,
-        offset,
-        count: logs.length
+      data: {
+        depot,
+        min_level: minLevel,
+        shift_end: shiftEnd.toISOString(),
+        generated_at: now.toISOString(),
+        ...route,
+        unlocated: unlocated.map(toStop)
       }
     });
   } catch (error) {
-    console.error('Error fetching logs:', error);
-    res.status(500).json({ error: 'Failed to fetch logs' });
+    console.error('Error planning route:', error);
+    res.status(500).json({ error: 'Failed to plan route' });
   }
 });
 
+// Most recent collections returned alongside the statistics
+const RECENT_COLLECTIONS = 50;
+
 /**
- * GET /api/users/:rfid
- * Check if RFID is authorized (for testing)
+ * GET /api/collections?bin=&from=&to=&earlyBelow=&lateAfterHours=
+ * Detected bin emptyings with per-bin statistics: count, average level at
+ * collection and too early / too late / on time counts. Defaults to the last
+ * 30 days and the COLLECTION_EARLY_PERCENT / COLLECTION_LATE_HOURS thresholds
  */
-router.get('/users/:rfid', async (req, res) => {
+router.get('/collections', authenticateToken, authorize('bins:read'), async (req, res) => {
   try {
-    const user = await db.getUserByRFID(req.params.rfid);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Invalid date. Use ISO 8601 for from/to' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: '"from" must be before "to"' });
     }
 
-    res.json({ success: true, data: user });
-  } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ error: 'Failed to fetch user' });
+    const thresholds = {
+      earlyPercent: req.query.earlyBelow ? Number(req.query.earlyBelow) : config.collections.earlyPercent,
+      lateHours: req.query.lateAfterHours ? Number(req.query.lateAfterHours) : config.collections.lateHours
+    };
+    if (!Number.isFinite(thresholds.earlyPercent) || thresholds.earlyPercent < 0 || thresholds.earlyPercent > 100) {
+      return res.status(400).json({ error: 'earlyBelow must be between 0 and 100' });
+    }
+    if (!Number.isFinite(thresholds.lateHours) || thresholds.lateHours < 0) {
+      return res.status(400).json({ error: 'lateAfterHours must be a positive number' });
+    }
+
+    const bins = await db.getAllBins();
+    const visible = new Set(bins.filter(bin => canAccessBin(req.user.scopes, bin)).map(bin => bin.bin_id));
+
+    const rows = (await db.getCollections({ binId: req.query.bin || null, from, to }))
+      .filter(collection => visible.has(collection.bin_id));
+    const perBin = collections.summarize(rows, thresholds);
+
+    const totals = perBin.reduce((sum, stats) => ({
+      count: sum.count + stats.count,
+      too_early: sum.too_early + stats.too_early,
+      too_late: sum.too_late + stats.too_late,
+      on_time: sum.on_time + stats.on_time
+    }), { count: 0, too_early: 0, too_late: 0, on_time: 0 });
+    totals.avg_level_before = rows.length > 0
+      ? Math.round(rows.reduce((sum, row) => sum + row.level_before, 0) / rows.length * 10) / 10
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        thresholds: { early_below_percent: thresholds.earlyPercent, late_after_hours: thresholds.lateHours },
+        totals,
+        bins: perBin,
+        recent: rows.slice(0, RECENT_COLLECTIONS).map(row => ({ ...row, ...collections.classify(row, thresholds) }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+});
+
+// Bin IDs become MQTT topic levels, so no "/", "+" or "#"
+const BIN_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+/**
+ * Validate fields for a new bin
+ * Returns an error message or null
+ */
+function validateNewBin({ bin_id, name, mode, threshold_cm, capacity_cm, latitude, longitude }) {
+  if (!bin_id || !BIN_ID_PATTERN.test(bin_id)) {
+    return 'Invalid bin_id. Use letters, digits, "_" or "-" (max 50)';
+  }
+  if (!name) {
+    return 'Name is required';
+  }
+  if (mode && !['AUTO', 'AUTH'].includes(mode)) {
+    return 'Invalid mode. Must be AUTO or AUTH';
+  }
+  return validateSizes({ threshold_cm, capacity_cm }) || validateCoordinates({ latitude, longitude });
+}
+
+/**
+ * Create a bin row and publish its initial retained config
+ */
+async function registerBin(fields, username) {
+  const bin = await db.createBin(fields);
+  await db.deletePendingDevice(bin.bin_id);
+
+  mqttClient.publishConfig(bin.bin_id, bin);
+
+  await db.logEvent(bin.bin_id, 'config_change', {
+    userName: username,
+    message: 'Bin registered',
+    success: true
+  });
+
+  console.log(`🗑️  Bin registered: ${bin.bin_id} (by ${username})`);
+  return bin;
+}
+
+/**
+ * POST /api/bins
+ * Register a new bin
+ */
+router.post('/bins', authenticateToken, authorize('bins:manage'), async (req, res) => {
+  try {
+    const {
+      bin_id, name, location, capacity_cm, mode, threshold_cm, latitude, longitude, warning_percent, critical_percent
+    } = req.body;
+    const fields = {
+      bin_id, name, location, capacity_cm, mode, threshold_cm, latitude, longitude, warning_percent, critical_percent
+    };
+
+    const validationError = validateNewBin(fields) || await validateLevels(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (await db.getBinById(bin_id)) {
+      return res.status(409).json({ error: `Bin ${bin_id} already exists` });
+    }
+
+    const bin = await registerBin(fields, req.user.username);
+    res.status(201).json({ success: true, data: bin });
+  } catch (error) {
+    if (error.code === db.DUPLICATE) {
+      return res.status(409).json({ error: `Bin ${req.body.bin_id} already exists` });
+    }
+    console.error('Error creating bin:', error);
+    res.status(500).json({ error: 'Failed to create bin' });
+  }
+});
+
+/**
+ * DELETE /api/bins/:id
+ * Remove a bin with its logs and telemetry, and clear its retained config
+ */
+router.delete('/bins/:id', authenticateToken, authorize('bins:manage'), async (req, res) => {
+  try {
+    const binId = req.params.id;
+
+    const deleted = await db.deleteBin(binId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Bin not found' });
+    }
+
+    mqttClient.clearConfig(binId);
+
+    console.log(`🗑️  Bin deleted: ${binId} (by ${req.user.username})`);
+
+    res.json({ success: true, message: `Bin ${binId} deleted` });
+  } catch (error) {
+    console.error('Error deleting bin:', error);
+    res.status(500).json({ error: 'Failed to delete bin' });
+  }
+});
+
+/**
+ * GET /api/fleet/levels
+ * Fleet-wide default warning/critical levels (bins without their own use these)
+ */
+router.get('/fleet/levels', authenticateToken, authorize('bins:read'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await db.getFleetSettings() });
+  } catch (error) {
+    console.error('Error fetching fleet levels:', error);
+    res.status(500).json({ error: 'Failed to fetch fleet levels' });
+  }
+});
+
+/**
+ * PUT /api/fleet/levels
+ * Change the fleet-wide default warning/critical levels
+ */
+router.put('/fleet/levels', authenticateToken, authorize('bins:manage'), async (req, res) => {
+  try {
+    const { warning_percent, critical_percent } = req.body;
+
+    if (warning_percent === undefined || warning_percent === null ||
+        critical_percent === undefined || critical_percent === null) {
+      return res.status(400).json({ error: 'warning_percent and critical_percent are required' });
+    }
+
+    const levelError = await validateLevels({ warning_percent, critical_percent });
+    if (levelError) {
+      return res.status(400).json({ error: levelError });
+    }
+
+    const fleet = await db.updateFleetSettings({ warning_percent, critical_percent });
+    console.log(`📏 Fleet levels set to warning ${warning_percent}%, critical ${critical_percent}% by ${req.user.username}`);
+
+    // Bins on the fleet default may change status
+    const schedules = await db.getSchedules();
+    for (const bin of await db.getAllBins()) {
+      if (bin.bin_warning_percent === null || bin.bin_critical_percent === null) {
+        scheduler.publishConfigEvent(bin, schedules);
+      }
+    }
+
+    res.json({ success: true, data: fleet });
+  } catch (error) {
+    console.error('Error updating fleet levels:', error);
+    res.status(500).json({ error: 'Failed to update fleet levels' });
+  }
+});
+
+/**
+ * GET /api/devices/pending
+ * Unknown bin IDs seen on MQTT, waiting for approval
+ */
+router.get('/devices/pending', authenticateToken, authorize('bins:manage'), async (req, res) => {
+  try {
+    const devices = await db.getPendingDevices();
+    res.json({ success: true, data: devices });
+  } catch (error) {
+    console.error('Error fetching pending devices:', error);
+    res.status(500).json({ error: 'Failed to fetch pending devices' });
+  }
+});
+
+/**
+ * POST /api/devices/pending/:binId/approve
+ * Approve an unknown device: creates the bin and publishes its config
+ */
+router.post('/devices/pending/:binId/approve', authenticateToken, authorize('bins:manage'), async (req, res) => {
+  try {
+    const binId = req.params.binId;
+    const {
+      name, location, capacity_cm, mode, threshold_cm, latitude, longitude, warning_percent, critical_percent
+    } = req.body;
+
+    const pending = await db.getPendingDevice(binId);
+    if (!pending) {
+      return res.status(404).json({ error: 'Pending device not found' });
+    }
+
+    const fields = {
+      bin_id: binId, name: name || binId, location, capacity_cm, mode, threshold_cm,
+      latitude, longitude, warning_percent, critical_percent
+    };
+    const validationError = validateNewBin(fields) || await validateLevels(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const bin = await registerBin(fields, req.user.username);
+    res.status(201).json({ success: true, data: bin });
+  } catch (error) {
+    if (error.code === db.DUPLICATE) {
+      return res.status(409).json({ error: 'Bin already exists' });
+    }
+    console.error('Error approving device:', error);
+    res.status(500).json({ error: 'Failed to approve device' });
+  }
+});
+
+/**
+ * DELETE /api/devices/pending/:binId
+ * Dismiss a pending device (it reappears if it keeps publishing)
+ */
+router.delete('/devices/pending/:binId', authenticateToken, authorize('bins:manage'), async (req, res) => {
+  try {
+    const deleted = await db.deletePendingDevice(req.params.binId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Pending device not found' });
+    }
+    res.json({ success: true, message: 'Pending device dismissed' });
+  } catch (error) {
+    console.error('Error dismissing device:', error);
+    res.status(500).json({ error: 'Failed to dismiss device' });
+  }
+});
+
+// Floor plan images accepted for upload (no SVG: it could carry scripts)
+const FLOOR_PLAN_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const FLOOR_PLAN_MAX_SIZE = '5mb';
+
+/**
+ * Load the floor plan in :id; sends 404 and returns null if missing
+ */
+async function loadFloorPlan(req, res) {
+  const plan = await db.getFloorPlanById(parseInt(req.params.id));
+  if (!plan) {
+    res.status(404).json({ error: 'Floor plan not found' });
+    return null;
+  }
+  return plan;
+}
+
+/**
+ * GET /api/floor-plans
+ * List floor plans (image data via GET /api/floor-plans/:id/image)
+ */
+router.get('/floor-plans', authenticateToken, authorize('bins:read'), async (req, res) => {
+  try {
+    const data = await db.getFloorPlans();
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching floor plans:', error);
+    res.status(500).json({ error: 'Failed to fetch floor plans' });
+  }
+});
+
+/**
+ * POST /api/floor-plans
+ * Create a floor plan for a building: { building }
+ */
+router.post('/floor-plans', authenticateToken, authorize('bins:configure'), async (req, res) => {
+  try {
+    const building = typeof req.body.building === 'string' ? req.body.building.trim() : '';
+    if (!building || building.length > 100) {
+      return res.status(400).json({ error: 'building is required (max 100 characters)' });
+    }
+
+    if (await db.getFloorPlanByBuilding(building)) {
+      return res.status(409).json({ error: `A floor plan for ${building} already exists` });
+    }
+
+    const plan = await db.createFloorPlan(building, req.user.username);
+    console.log(`🗺️  Floor plan created: ${building} (by ${req.user.username})`);
+    res.status(201).json({ success: true, data: plan });
+  } catch (error) {
+    console.error('Error creating floor plan:', error);
+    res.status(500).json({ error: 'Failed to create floor plan' });
+  }
+});
+
+/**
+ * GET /api/floor-plans/:id/image
+ * Floor plan image
+ */
+router.get('/floor-plans/:id/image', authenticateToken, authorize('bins:read'), async (req, res) => {
+  try {
+    const image = await db.getFloorPlanImage(parseInt(req.params.id));
+    if (!image) {
+      return res.status(404).json({ error: 'Floor plan image not found' });
+    }
+
+    res.set('Content-Type', image.image_type);
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(image.image);
+  } catch (error) {
+    console.error('Error fetching floor plan image:', error);
+    res.status(500).json({ error: 'Failed to fetch floor plan image' });
+  }
+});
+
+/**
+ * PUT /api/floor-plans/:id/image
+ * Upload or replace the image; the request body is the raw PNG/JPEG/WebP/GIF
+ * file with a matching Content-Type (max 5 MB)
+ */
+router.put(
+  '/floor-plans/:id/image',
+  authenticateToken,
+  authorize('bins:configure'),
+  express.raw({ type: FLOOR_PLAN_TYPES, limit: FLOOR_PLAN_MAX_SIZE }),
+  async (req, res) => {
+    try {
+      const plan = await loadFloorPlan(req, res);
+      if (!plan) return;
+
+      const imageType = (req.headers['content-type'] || '').split(';')[0].trim();
+      if (!FLOOR_PLAN_TYPES.includes(imageType) || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({ error: `Upload the image as ${FLOOR_PLAN_TYPES.join(', ')}` });
+      }
+
+      await db.setFloorPlanImage(plan.id, req.body, imageType, req.user.username);
+      console.log(`🗺️  Floor plan image uploaded for ${plan.building} (${req.body.length} bytes)`);
+
+      res.json({ success: true, data: await db.getFloorPlanById(plan.id) });
+    } catch (error) {
+      console.error('Error uploading floor plan image:', error);
+      res.status(500).json({ error: 'Failed to upload floor plan image' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/floor-plans/:id
+ * Remove a floor plan; bins placed on it lose their position
+ */
+router.delete('/floor-plans/:id', authenticateToken, authorize('bins:manage'), async (req, res) => {
+  try {
+    const plan = await loadFloorPlan(req, res);
+    if (!plan) return;
+
+    await db.deleteFloorPlan(plan.id);
+    console.log(`🗺️  Floor plan deleted: ${plan.building} (by ${req.user.username})`);
+    res.json({ success: true, message: `Floor plan for ${plan.building} deleted` });
+  } catch (error) {
+    console.error('Error deleting floor plan:', error);
+    res.status(500).json({ error: 'Failed to delete floor plan' });
+  }
+});
+
+/**
+ * PUT /api/bins/:id/position
+ * Place a bin on a floor plan: { floor_plan_id, x, y } with x/y as 0-1
+ * fractions of the image size, or { floor_plan_id: null } to remove it
+ */
+router.put('/bins/:id/position', authenticateToken, authorize('bins:configure', { binParam: 'id' }), async (req, res) => {
+  try {
+    const { floor_plan_id: floorPlanId, x, y } = req.body;
+
+    const bin = await db.getBinById(req.params.id);
+    if (!bin) {
+      return res.status(404).json({ error: 'Bin not found' });
+    }
+
+    if (floorPlanId !== null) {
+      if (!Number.isInteger(floorPlanId) || !(await db.getFloorPlanById(floorPlanId))) {
+        return res.status(400).json({ error: 'floor_plan_id must be an existing floor plan (or null)' });
+      }
+      const inRange = value => typeof value === 'number' && value >= 0 && value <= 1;
+      if (!inRange(x) || !inRange(y)) {
+        return res.status(400).json({ error: 'x and y must be between 0 and 1' });
+      }
+    }
+
+    await db.updateBinPosition(bin.bin_id, { floorPlanId, x, y });
+
+    const updatedBin = await db.getBinById(bin.bin_id);
+    events.publishEvent('position', {
+      bin_id: updatedBin.bin_id,
+      floor_plan_id: updatedBin.floor_plan_id,
+      plan_x: updatedBin.plan_x,
+      plan_y: updatedBin.plan_y
+    });
+
+    res.json({ success: true, data: updatedBin });
+  } catch (error) {
+    console.error('Error updating bin position:', error);
+    res.status(500).json({ error: 'Failed to update bin position' });
+  }
+});
+
+/**
+ * Validate a complete bin schedule
+ * Returns an error message or null
+ */
+function validateSchedule(schedule) {
+  if (typeof schedule.name !== 'string' || !schedule.name.trim()) {
+    return 'name is required';
+  }
+  if (schedule.bin_ids != null &&
+      !(Array.isArray(schedule.bin_ids) && schedule.bin_ids.length > 0 &&
+        schedule.bin_ids.every(id => typeof id === 'string' && id))) {
+    return 'bin_ids must be a non-empty array of bin IDs or null';
+  }
+  if (schedule.location != null && (typeof schedule.location !== 'string' || !schedule.location)) {
+    return 'location must be a location prefix or null';
+  }
+  if (schedule.bin_ids && schedule.location) {
+    return 'Set bin_ids or location, not both';
+  }
+  if (schedule.days != null &&
+      !(Array.isArray(schedule.days) && schedule.days.length > 0 &&
+        schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    return 'days must be null or a list of weekdays 0-6 (0 = Sunday)';
+  }
+  if (Boolean(schedule.start_time) !== Boolean(schedule.end_time)) {
+    return 'start_time and end_time must be set together';
+  }
+  if (schedule.start_time &&
+      (parseTimeOfDay(schedule.start_time) === null || parseTimeOfDay(schedule.end_time) === null)) {
+    return 'start_time and end_time must be HH:MM';
+  }
+  if (schedule.mode != null && !['AUTO', 'AUTH'].includes(schedule.mode)) {
+    return 'Invalid mode. Must be AUTO or AUTH';
+  }
+  if (schedule.threshold_cm != null && !(Number.isInteger(schedule.threshold_cm) && schedule.threshold_cm > 0)) {
+    return 'threshold_cm must be a positive integer';
+  }
+  if (schedule.mode == null && schedule.threshold_cm == null) {
+    return 'Set mode, threshold_cm or both';
+  }
+  if (schedule.priority != null && !Number.isInteger(schedule.priority)) {
+    return 'priority must be an integer';
+  }
+  return null;
+}
+
+/**
+ * Check that an operator's scopes cover every bin a schedule can reach
+ * Returns an error message or null (also for unknown bin IDs)
+ */
+async function checkScheduleTargets(scopes, schedule) {
+  for (const binId of schedule.bin_ids || []) {
+    const bin = await db.getBinById(binId);
+    if (!bin) return `Bin ${binId} not found`;
+    if (!canAccessBin(scopes, bin)) return `No access to bin ${binId}`;
+  }
+
+  if (!scopes || scopes.length === 0 || schedule.bin_ids) return null;
+
+  const covered = Boolean(schedule.location) && scopes.some(scope =>
+    scope.scope_type === 'location' && schedule.location.startsWith(scope.scope_value)
+  );
+  return covered ? null : 'Schedule reaches bins outside your scope';
+}
+
+/**
+ * GET /api/schedules
+ * List bin schedules, highest priority first
+ */
+router.get('/schedules', authenticateToken, authorize('bins:read'), async (req, res) => {
+  try {
+    const schedules = await db.getSchedules();
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules' });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a recurring schedule, e.g. mode AUTH from 22:00 to 06:00 for a location
+ */
+router.post('/schedules', authenticateToken, authorize('bins:configure'), async (req, res) => {
+  try {
+    const {
+      name, bin_ids = null, location = null, days = null, start_time = null, end_time = null,
+      mode = null, threshold_cm = null, priority = 0
+    } = req.body;
+    const fields = { name, bin_ids, location, days, start_time, end_time, mode, threshold_cm, priority };
+
+    const validationError = validateSchedule(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const targetError = await checkScheduleTargets(req.user.scopes, fields);
+    if (targetError) {
+      return res.status(403).json({ error: targetError });
+    }
+
+    const schedule = await db.createSchedule(fields, req.user.username);
+    console.log(`🕒 Schedule #${schedule.id} "${schedule.name}" created by ${req.user.username}`);
+
+    await scheduler.applySchedules();
+
+    res.status(201).json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Update a schedule (only the given fields); bins follow the change right away
+ */
+router.put('/schedules/:id', authenticateToken, authorize('bins:configure'), async (req, res) => {
+  try {
+    const schedule = await db.getScheduleById(parseInt(req.params.id));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const fieldNames = [
+      'name', 'bin_ids', 'location', 'days', 'start_time', 'end_time',
+      'mode', 'threshold_cm', 'priority', 'is_active'
+    ];
+    const updates = {};
+    for (const field of fieldNames) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const updated = { ...schedule, ...updates };
+    const validationError = validateSchedule(updated);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const targetError = await checkScheduleTargets(req.user.scopes, schedule) ||
+      await checkScheduleTargets(req.user.scopes, updated);
+    if (targetError) {
+      return res.status(403).json({ error: targetError });
+    }
+    if (updates.is_active !== undefined) updates.is_active = Boolean(updates.is_active);
+
+    await db.updateSchedule(schedule.id, updates);
+    await scheduler.applySchedules();
+
+    res.json({ success: true, data: await db.getScheduleById(schedule.id) });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Remove a schedule; bins it was applied to return to their own settings
+ */
+router.delete('/schedules/:id', authenticateToken, authorize('bins:configure'), async (req, res) => {
+  try {
+    const schedule = await db.getScheduleById(parseInt(req.params.id));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const targetError = await checkScheduleTargets(req.user.scopes, schedule);
+    if (targetError) {
+      return res.status(403).json({ error: targetError });
+    }
+
+    await db.deleteSchedule(schedule.id);
+    await scheduler.applySchedules();
+
+    console.log(`🗑️  Schedule #${schedule.id} "${schedule.name}" deleted by ${req.user.username}`);
+    res.json({ success: true, message: 'Schedule deleted' });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// Event types in the logs table
+const LOG_EVENT_TYPES = [
+  'rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert',
+  'config_change', 'access_denied', 'collection'
+];
+
+// Largest page of logs per request
+const MAX_LOG_PAGE = 500;
+
+/**
+ * Parse log filters from the query string:
+ * type (comma-separated), success, rfid, user, from, to, q
+ * (bin is applied with the operator's scopes, see binFilter)
+ * Returns { filters } or { error }
+ */
+function parseLogFilters(query) {
+  const filters = {
+    userName: query.user || null,
+    search: query.q || null
+  };
+
+  if (query.type) {
+    filters.eventTypes = query.type.split(',');
+    const unknown = filters.eventTypes.find(type => !LOG_EVENT_TYPES.includes(type));
+    if (unknown) {
+      return { error: `Invalid type "${unknown}". Must be one of: ${LOG_EVENT_TYPES.join(', ')}` };
+    }
+  }
+
+  if (query.success !== undefined && query.success !== '') {
+    if (!['true', 'false', '1', '0'].includes(query.success)) {
+      return { error: 'success must be true or false' };
+    }
+    filters.success = query.success === 'true' || query.success === '1';
+  }
+
+  if (query.rfid) filters.rfidUid = normalizeUid(query.rfid);
+
+  for (const field of ['from', 'to']) {
+    if (!query[field]) continue;
+    filters[field] = new Date(query[field]);
+    if (isNaN(filters[field].getTime())) {
+      return { error: 'Invalid date. Use ISO 8601 for from/to' };
+    }
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    return { error: '"from" must be before "to"' };
+  }
+
+  return { filters };
+}
+
+/**
+ * Cursor for the page after a log row (opaque to clients)
+ */
+function encodeLogCursor(log) {
+  return Buffer.from(`${new Date(log.timestamp).getTime()}:${log.id}`).toString('base64url');
+}
+
+/**
+ * Decode a log cursor into { timestamp, id }, or null if it is invalid
+ */
+function decodeLogCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+  if (!match) return null;
+  return { timestamp: new Date(parseInt(match[1])), id: parseInt(match[2]) };
+}
+
+/**
+ * GET /api/logs?bin=&type=&success=&rfid=&user=&from=&to=&q=&limit=&cursor=
+ * Get event logs, newest first, with filters and cursor pagination
+ * Pass pagination.next_cursor as cursor for the next page (null on the last page).
+ * total counts every log matching the filters. Without bin, every bin the
+ * operator can access
+ */
+router.get('/logs', authenticateToken, authorize('logs:read'), async (req, res) => {
+  try {
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { binIds, status, error: binError } = await binFilter(req);
+    if (binError) {
+      return res.status(status).json({ error: binError });
+    }
+    filters.binIds = binIds;
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, MAX_LOG_PAGE));
+
+    let after = null;
+    if (req.query.cursor) {
+      after = decodeLogCursor(req.query.cursor);
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    // One extra row tells whether there is a next page
+    const rows = await db.getLogs(filters, { limit: limit + 1, after });
+    const logs = rows.slice(0, limit);
+    const total = await db.countLogs(filters);
+
+    res.json({
+      success: true,
+      data: logs,
+      pagination: {
+        limit,
+        count: logs.length,
+        total,
+        next_cursor: rows.length > limit ? encodeLogCursor(logs[logs.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching logs:', error);
+    res.status(500).json({ error: 'Failed to fetch logs' });
+  }
+});
+
+// Columns in log exports, in file order
+const LOG_EXPORT_COLUMNS = [
+  'id', 'timestamp', 'bin_id', 'event_type', 'rfid_uid', 'user_name', 'source',
+  'level_percent', 'distance_cm', 'success', 'message'
+];
+
+// Columns in telemetry exports, in file order
+const TELEMETRY_EXPORT_COLUMNS = ['id', 'bin_id', 'level_percent', 'distance_cm', 'recorded_at'];
+
+/**
+ * Export format from ?format= (csv by default), or null if it is not supported
+ */
+function parseExportFormat(query) {
+  const format = query.format || 'csv';
+  return exporter.EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Download file name: prefix, optional bin and today's date
+ */
+function exportFilename(prefix, binId) {
+  const date = new Date().toISOString().slice(0, 10);
+  return [prefix, binId, date].filter(Boolean).join('-').replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * POST /api/exports/token
+ * Short-lived token for one export link (?token= on the export routes); it is
+ * not accepted anywhere else
+ */
+router.post('/exports/token', authenticateToken, async (req, res) => {
+  try {
+    const operator = await db.getOperatorById(req.user.id);
+    res.json({ success: true, ...auth.issueDownloadToken(operator) });
+  } catch (error) {
+    console.error('Error issuing download token:', error);
+    res.status(500).json({ error: 'Failed to issue download token' });
+  }
+});
+
+/**
+ * GET /api/logs/export?format=csv|ndjson&bin=&type=&success=&rfid=&user=&from=&to=&q=&token=
+ * Download every log matching the filters (same as GET /logs), newest first
+ * token is a download token from POST /exports/token, so a plain link can download it
+ */
+router.get('/logs/export', authenticateDownload, authorize('logs:read'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query);
+    if (!format) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${exporter.EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { binIds, status, error: binError } = await binFilter(req);
+    if (binError) {
+      return res.status(status).json({ error: binError });
+    }
+    filters.binIds = binIds;
+
+    const batches = exporter.readBatches((after, limit) => db.getLogs(filters, { limit, after }));
+    const rowCount = await exporter.streamExport(res, {
+      format,
+      filename: exportFilename('logs', req.query.bin),
+      columns: LOG_EXPORT_COLUMNS,
+      batches
+    });
+    console.log(`📤 ${req.user.username} exported ${rowCount} logs as ${format}`);
+  } catch (error) {
+    console.error('Error exporting logs:', error);
+    res.status(500).json({ error: 'Failed to export logs' });
+  }
+});
+
+/**
+ * Bins a fleet-wide query may read: the ?bin= bin, or every bin in the
+ * operator's scopes (binIds undefined = all bins)
+ * Returns { binIds } or { status, error }
+ */
+async function binFilter(req) {
+  if (req.query.bin) {
+    const bin = await db.getBinById(req.query.bin);
+    if (!bin) {
+      return { status: 404, error: 'Bin not found' };
+    }
+    if (!canAccessBin(req.user.scopes, bin)) {
+      await recordDenied(req, bin.bin_id, `bin ${bin.bin_id} is outside operator scope`);
+      return { status: 403, error: `No access to bin ${bin.bin_id}` };
+    }
+    return { binIds: [bin.bin_id] };
+  }
+
+  if (!req.user.scopes || req.user.scopes.length === 0) {
+    return { binIds: undefined };
+  }
+
+  const bins = (await db.getAllBins()).filter(bin => canAccessBin(req.user.scopes, bin));
+  return { binIds: bins.map(bin => bin.bin_id) };
+}
+
+/**
+ * GET /api/telemetry/export?format=csv|ndjson&bin=&from=&to=&token=
+ * Download raw level readings, oldest first. Takes the same from/to as
+ * GET /bins/:id/history (default: the last 24h); without bin, every bin the
+ * operator can access. token as for GET /logs/export
+ */
+router.get('/telemetry/export', authenticateDownload, authorize('bins:read'), async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query);
+    if (!format) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${exporter.EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Invalid date. Use ISO 8601 for from/to' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: '"from" must be before "to"' });
+    }
+
+    const { binIds, status, error } = await binFilter(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const filters = { binIds, from, to };
+    const batches = exporter.readBatches((after, limit) => db.getTelemetry(filters, { limit, after }));
+    const rowCount = await exporter.streamExport(res, {
+      format,
+      filename: exportFilename('telemetry', req.query.bin),
+      columns: TELEMETRY_EXPORT_COLUMNS,
+      batches
+    });
+    console.log(`📤 ${req.user.username} exported ${rowCount} readings as ${format}`);
+  } catch (error) {
+    console.error('Error exporting telemetry:', error);
+    res.status(500).json({ error: 'Failed to export telemetry' });
+  }
+});
+
+/**
+ * Parse report query: period (day, week or month; default day), from/to
+ * (default: a range that suits the period, ending now) and bin
+ * Returns { period, filters } or { status, error }
+ */
+async function parseReportQuery(req) {
+  const period = req.query.period || 'day';
+  if (!reports.REPORT_PERIODS.includes(period)) {
+    return { status: 400, error: `Invalid period. Must be one of: ${reports.REPORT_PERIODS.join(', ')}` };
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - reports.DEFAULT_RANGE_DAYS[period] * 86400000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { status: 400, error: 'Invalid date. Use ISO 8601 for from/to' };
+  }
+  if (from >= to) {
+    return { status: 400, error: '"from" must be before "to"' };
+  }
+
+  const { binIds, status, error } = await binFilter(req);
+  if (error) {
+    return { status, error };
+  }
+
+  return { period, filters: { binIds, from, to } };
+}
+
+/**
+ * Range and freshness of a report response
+ */
+function reportMeta(period, filters) {
+  const rolledUpAt = reports.getLastRollupAt();
+  return {
+    period,
+    from: filters.from.toISOString(),
+    to: filters.to.toISOString(),
+    rolled_up_at: rolledUpAt ? rolledUpAt.toISOString() : null
+  };
+}
+
+/**
+ * GET /api/reports/usage?period=day|week|month&from=&to=&bin=
+ * Lid openings by source, RFID grants/denials, collections (fill cycles) and
+ * average hours between collections: per period, per bin and per bin and period
+ */
+router.get('/reports/usage', authenticateToken, authorize('logs:read'), async (req, res) => {
+  try {
+    const { period, filters, status, error } = await parseReportQuery(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const rows = await db.getUsageByPeriod(period, filters);
+
+    res.json({
+      success: true,
+      data: { ...reportMeta(period, filters), ...reports.usageReport(rows) }
+    });
+  } catch (error) {
+    console.error('Error fetching usage report:', error);
+    res.status(500).json({ error: 'Failed to fetch usage report' });
+  }
+});
+
+/**
+ * GET /api/reports/users?period=day|week|month&from=&to=&bin=
+ * RFID scans per card (granted and denied): totals for the range and per period
+ */
+router.get('/reports/users', authenticateToken, authorize('logs:read'), async (req, res) => {
+  try {
+    const { period, filters, status, error } = await parseReportQuery(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const rows = await db.getRfidUsageByPeriod(period, filters);
+
+    res.json({
+      success: true,
+      data: { ...reportMeta(period, filters), ...reports.rfidReport(rows) }
+    });
+  } catch (error) {
+    console.error('Error fetching user report:', error);
+    res.status(500).json({ error: 'Failed to fetch user report' });
+  }
+});
+
+/**
+ * GET /api/reports/heatmap?from=&to=&bin=
+ * Lid openings by weekday (0 = Sunday) and hour of day, server local time
+ */
+router.get('/reports/heatmap', authenticateToken, authorize('logs:read'), async (req, res) => {
+  try {
+    const { period, filters, status, error } = await parseReportQuery(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const rows = await db.getUsageHeatmap(filters);
+
+    res.json({
+      success: true,
+      data: { ...reportMeta(period, filters), ...reports.heatmap(rows) }
+    });
+  } catch (error) {
+    console.error('Error fetching usage heatmap:', error);
+    res.status(500).json({ error: 'Failed to fetch usage heatmap' });
+  }
+});
+
+/**
+ * Bin of the alert in :id, for scope checks
+ */
+async function alertBinId(req) {
+  const alert = await db.getAlertById(parseInt(req.params.id));
+  return alert ? alert.bin_id : null;
+}
+
+// Most alerts listed per request
+const MAX_ALERT_PAGE = 500;
+
+/**
+ * GET /api/alerts?state=&bin=&type=&limit=
+ * Alert inbox. state accepts a comma-separated list; defaults to open,acknowledged.
+ * Without bin, every bin the operator can access
+ */
+router.get('/alerts', authenticateToken, authorize('alerts:read'), async (req, res) => {
+  try {
+    const states = (req.query.state || 'open,acknowledged').split(',');
+    if (states.some(state => !alerts.ALERT_STATES.includes(state))) {
+      return res.status(400).json({ error: `Invalid state. Use: ${alerts.ALERT_STATES.join(', ')}` });
+    }
+
+    const type = req.query.type || null;
+    if (type && !alerts.ALERT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Use: ${alerts.ALERT_TYPES.join(', ')}` });
+    }
+
+    const { binIds, status, error } = await binFilter(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const data = await db.getAlerts({
+      states,
+      binIds,
+      type,
+      limit: Math.max(1, Math.min(parseInt(req.query.limit) || 100, MAX_ALERT_PAGE))
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get a single alert
+ */
+router.get('/alerts/:id', authenticateToken, authorize('alerts:read', { getBinId: alertBinId }), async (req, res) => {
+  try {
+    const alert = await db.getAlertById(parseInt(req.params.id));
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({ error: 'Failed to fetch alert' });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/ack
+ * Acknowledge an open alert
+ */
+router.post('/alerts/:id/ack', authenticateToken, authorize('alerts:manage', { getBinId: alertBinId }), async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+
+    if (!(await db.getAlertById(alertId))) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const alert = await alerts.acknowledge(alertId, req.user.username);
+    if (!alert) {
+      return res.status(409).json({ error: 'Only open alerts can be acknowledged' });
+    }
+
+    mqttClient.publishAlertState(alert);
+    console.log(`👍 Alert #${alertId} acknowledged by ${req.user.username}`);
+
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/resolve
+ * Manually resolve an alert (e.g. unauthorized_access after checking the bin)
+ */
+router.post('/alerts/:id/resolve', authenticateToken, authorize('alerts:manage', { getBinId: alertBinId }), async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+
+    if (!(await db.getAlertById(alertId))) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const alert = await alerts.resolve(alertId, req.user.username);
+    if (!alert) {
+      return res.status(409).json({ error: 'Alert is already resolved' });
+    }
+
+    mqttClient.publishAlertState(alert);
+    console.log(`✅ Alert #${alertId} resolved by ${req.user.username}`);
+
+    res.json({ success: true, data: alert });
+  } catch (error) {
+    console.error('Error resolving alert:', error);
+    res.status(500).json({ error: 'Failed to resolve alert' });
+  }
+});
+
+/**
+ * GET /api/alerts/:id/notifications
+ * Notification delivery attempts for an alert
+ */
+router.get('/alerts/:id/notifications', authenticateToken, authorize('alerts:read', { getBinId: alertBinId }), async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+
+    if (!(await db.getAlertById(alertId))) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const deliveries = await db.getDeliveries([alertId]);
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    console.error('Error fetching alert notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch alert notifications' });
+  }
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check a notification target for a channel
+ */
+function isValidTarget(channel, target) {
+  if (typeof target !== 'string') return false;
+  if (channel === 'email') return EMAIL_PATTERN.test(target);
+
+  try {
+    const url = new URL(target);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate a complete notification subscription
+ * Returns an error message or null
+ */
+function validateSubscription(sub) {
+  if (!notifier.CHANNELS.includes(sub.channel)) {
+    return `Invalid channel. Must be one of: ${notifier.CHANNELS.join(', ')}`;
+  }
+  if (!isValidTarget(sub.channel, sub.target)) {
+    return sub.channel === 'email' ? 'target must be an email address' : 'target must be an http(s) URL';
+  }
+  if (sub.bin_ids != null && !(Array.isArray(sub.bin_ids) && sub.bin_ids.every(id => typeof id === 'string' && id))) {
+    return 'bin_ids must be an array of bin IDs or null';
+  }
+  if (sub.alert_types != null &&
+      !(Array.isArray(sub.alert_types) && sub.alert_types.every(type => alerts.ALERT_TYPES.includes(type)))) {
+    return `alert_types must be null or a list of: ${alerts.ALERT_TYPES.join(', ')}`;
+  }
+  if (Boolean(sub.quiet_start) !== Boolean(sub.quiet_end)) {
+    return 'quiet_start and quiet_end must be set together';
+  }
+  if (sub.quiet_start && (parseTimeOfDay(sub.quiet_start) === null || parseTimeOfDay(sub.quiet_end) === null)) {
+    return 'quiet_start and quiet_end must be HH:MM';
+  }
+  if (sub.escalate_after_minutes != null &&
+      !(Number.isInteger(sub.escalate_after_minutes) && sub.escalate_after_minutes > 0)) {
+    return 'escalate_after_minutes must be a positive integer';
+  }
+  if (Boolean(sub.escalate_after_minutes) !== Boolean(sub.escalation_target)) {
+    return 'escalate_after_minutes and escalation_target must be set together';
+  }
+  if (sub.escalation_target && !isValidTarget(sub.channel, sub.escalation_target)) {
+    return `escalation_target must be a valid ${sub.channel === 'email' ? 'email address' : 'http(s) URL'}`;
+  }
+  return null;
+}
+
+/**
+ * Webhooks make the server send requests to a URL the operator chooses, so a
+ * webhook subscription needs alerts:manage and targets outside local networks
+ * Returns { status, error } or null (also null for other channels)
+ */
+async function checkWebhookAccess(req, sub) {
+  if (sub.channel !== 'webhook') return null;
+
+  if (!hasPermission(req.user.role, 'alerts:manage')) {
+    await recordDenied(req, null, 'missing permission alerts:manage (webhook subscription)');
+    return { status: 403, error: 'Permission denied: alerts:manage' };
+  }
+
+  for (const target of [sub.target, sub.escalation_target].filter(Boolean)) {
+    const targetError = await notifier.checkWebhookTarget(target);
+    if (targetError) return { status: 400, error: targetError };
+  }
+  return null;
+}
+
+/**
+ * Load the subscription in :id if the operator owns it (or manages operators)
+ * Sends 404 and returns null otherwise
+ */
+async function loadOwnSubscription(req, res) {
+  const subscription = await db.getSubscriptionById(parseInt(req.params.id));
+
+  if (!subscription ||
+      (subscription.operator_id !== req.user.id && !hasPermission(req.user.role, 'operators:manage'))) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+
+  return subscription;
+}
+
+/**
+ * GET /api/notifications/subscriptions?operator=
+ * List own notification subscriptions (admins may pass another operator id)
+ */
+router.get('/notifications/subscriptions', authenticateToken, authorize('alerts:read'), async (req, res) => {
+  try {
+    let operatorId = req.user.id;
+    if (req.query.operator && hasPermission(req.user.role, 'operators:manage')) {
+      operatorId = parseInt(req.query.operator);
+    }
+
+    const subscriptions = await db.getSubscriptions(operatorId);
+    res.json({ success: true, data: subscriptions });
+  } catch (error) {
+    console.error('Error listing subscriptions:', error);
+    res.status(500).json({ error: 'Failed to list subscriptions' });
+  }
+});
+
+/**
+ * POST /api/notifications/subscriptions
+ * Subscribe to alerts by email or webhook (webhooks need alerts:manage)
+ */
+router.post('/notifications/subscriptions', authenticateToken, authorize('alerts:read'), async (req, res) => {
+  try {
+    const {
+      operator_id, channel, target, bin_ids = null, alert_types = null,
+      quiet_start = null, quiet_end = null, escalate_after_minutes = null, escalation_target = null
+    } = req.body;
+    const fields = {
+      channel, target, bin_ids, alert_types,
+      quiet_start, quiet_end, escalate_after_minutes, escalation_target
+    };
+
+    const validationError = validateSubscription(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const webhookError = await checkWebhookAccess(req, fields);
+    if (webhookError) {
+      return res.status(webhookError.status).json({ error: webhookError.error });
+    }
+
+    let operatorId = req.user.id;
+    if (operator_id && operator_id !== req.user.id) {
+      if (!hasPermission(req.user.role, 'operators:manage')) {
+        return res.status(403).json({ error: 'Permission denied: operators:manage' });
+      }
+      if (!(await db.getOperatorById(operator_id))) {
+        return res.status(404).json({ error: 'Operator not found' });
+      }
+      operatorId = operator_id;
+    }
+
+    const subscription = await db.createSubscription(operatorId, fields);
+    console.log(`📨 Notification subscription #${subscription.id} (${channel}) created by ${req.user.username}`);
+
+    res.status(201).json({ success: true, data: subscription });
+  } catch (error) {
+    console.error('Error creating subscription:', error);
+    res.status(500).json({ error: 'Failed to create subscription' });
+  }
+});
+
+/**
+ * PUT /api/notifications/subscriptions/:id
+ * Update a subscription (only the given fields)
+ */
+router.put('/notifications/subscriptions/:id', authenticateToken, authorize('alerts:read'), async (req, res) => {
+  try {
+    const subscription = await loadOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const fieldNames = [
+      'channel', 'target', 'bin_ids', 'alert_types', 'quiet_start', 'quiet_end',
+      'escalate_after_minutes', 'escalation_target', 'is_active'
+    ];
+    const updates = {};
+    for (const field of fieldNames) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    const validationError = validateSubscription({ ...subscription, ...updates });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (['channel', 'target', 'escalation_target'].some(field => updates[field] !== undefined)) {
+      const webhookError = await checkWebhookAccess(req, { ...subscription, ...updates });
+      if (webhookError) {
+        return res.status(webhookError.status).json({ error: webhookError.error });
+      }
+    }
+    if (updates.is_active !== undefined) updates.is_active = Boolean(updates.is_active);
+
+    await db.updateSubscription(subscription.id, updates);
+
+    res.json({ success: true, data: await db.getSubscriptionById(subscription.id) });
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/subscriptions/:id
+ * Remove a subscription
+ */
+router.delete('/notifications/subscriptions/:id', authenticateToken, authorize('alerts:read'), async (req, res) => {
+  try {
+    const subscription = await loadOwnSubscription(req, res);
+    if (!subscription) return;
+
+    await db.deleteSubscription(subscription.id);
+    res.json({ success: true, message: 'Subscription deleted' });
+  } catch (error) {
+    console.error('Error deleting subscription:', error);
+    res.status(500).json({ error: 'Failed to delete subscription' });
+  }
+});
+
+/**
+ * POST /api/notifications/subscriptions/:id/test
+ * Send a test notification to the subscription target (webhooks need alerts:manage)
+ * A failed send only reports that it failed; the reason is logged on the server
+ */
+router.post('/notifications/subscriptions/:id/test', authenticateToken, authorize('alerts:read'), async (req, res) => {
+  try {
+    const subscription = await loadOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const webhookError = await checkWebhookAccess(req, subscription);
+    if (webhookError) {
+      return res.status(webhookError.status).json({ error: webhookError.error });
+    }
+
+    const sample = {
+      id: 0,
+      bin_id: 'TEST',
+      type: 'full_warning',
+      state: 'open',
+      message: `Test notification for ${req.user.username}`,
+      level_percent: null,
+      occurrences: 1,
+      opened_at: new Date()
+    };
+
+    try {
+      await notifier.send(subscription.channel, subscription.target, notifier.formatNotification(sample, 'initial'));
+    } catch (e) {
+      console.warn(`⚠️  Test notification for subscription #${subscription.id} failed:`, e.message);
+      return res.status(502).json({ error: 'Delivery failed' });
+    }
+
+    res.json({ success: true, message: `Test notification sent to ${subscription.target}` });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+/**
+ * GET /api/users?search=&active=
+ * List RFID users, optionally filtered by name/email/UID and active state
+ */
+router.get('/users', authenticateToken, authorize('users:read'), async (req, res) => {
+  try {
+    const search = req.query.search || null;
+    let active = null;
+    if (req.query.active !== undefined) {
+      active = req.query.active === 'true' || req.query.active === '1';
+    }
+
+    const users = await db.listUsers({ search, active });
+    res.json({ success: true, data: users });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+/**
+ * GET /api/users/:rfid
+ * Check if RFID is authorized (for testing)
+ */
+router.get('/users/:rfid', authenticateToken, authorize('users:read'), async (req, res) => {
+  try {
+    const user = await db.getUserByRFID(req.params.rfid);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, data: user });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+/**
+ * Validate an RFID UID and check no other user holds it
+ * Returns an error { status, error } or null if the UID can be used
+ */
+async function checkRfidAvailable(rfidUid, userId = null) {
+  if (!isValidUid(rfidUid)) {
+    return { status: 400, error: 'Invalid RFID UID. Expected 4, 7 or 10 bytes in hex' };
+  }
+
+  const holder = await db.findUserByRFID(rfidUid);
+  if (holder && holder.id !== userId) {
+    return { status: 409, error: `RFID UID already assigned to ${holder.name}` };
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/users
+ * Create an RFID user (card is optional, can be assigned later)
+ */
+router.post('/users', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const { name, email, role = 'user', rfid_uid } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!['admin', 'user'].includes(role)) {
+      return res.status(400).json({ error: 'Invalid role. Must be admin or user' });
+    }
+
+    if (rfid_uid) {
+      const rfidError = await checkRfidAvailable(rfid_uid);
+      if (rfidError) {
+        return res.status(rfidError.status).json({ error: rfidError.error });
+      }
+    }
+
+    const user = await db.createUser({ name, email, role, rfidUid: rfid_uid });
+
+    console.log(`👤 User created: ${user.name} (${user.rfid_uid || 'no card'})`);
+
+    res.status(201).json({ success: true, data: user });
+  } catch (error) {
+    if (error.code === db.DUPLICATE) {
+      return res.status(409).json({ error: 'RFID UID already assigned' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Update user details or deactivate/reactivate (is_active)
+ */
+router.put('/users/:id', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { name, email, role, is_active } = req.body;
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (role && !['admin', 'user'].includes(role)) {
+      return res.status(400).json({ error: 'Invalid role. Must be admin or user' });
+    }
+
+    // Prepare updates
+    const updates = {};
+    if (name) updates.name = name;
+    if (email !== undefined) updates.email = email;
+    if (role) updates.role = role;
+    if (is_active !== undefined) updates.is_active = Boolean(is_active);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update. Send name, email, role or is_active' });
+    }
+
+    await db.updateUser(userId, updates);
+    const updatedUser = await db.getUserById(userId);
+
+    console.log(`👤 User ${userId} updated:`, updates);
+
+    res.json({ success: true, message: 'User updated', data: updatedUser });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+/**
+ * PUT /api/users/:id/rfid
+ * Assign or reassign a card to a user (rfid_uid: null removes it)
+ */
+router.put('/users/:id/rfid', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { rfid_uid } = req.body;
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (rfid_uid) {
+      const rfidError = await checkRfidAvailable(rfid_uid, userId);
+      if (rfidError) {
+        return res.status(rfidError.status).json({ error: rfidError.error });
+      }
+    }
+
+    await db.updateUser(userId, { rfid_uid: rfid_uid || null });
+    const updatedUser = await db.getUserById(userId);
+
+    console.log(`🏷️  User ${userId} card: ${user.rfid_uid || 'none'} → ${updatedUser.rfid_uid || 'none'}`);
+
+    res.json({ success: true, message: 'RFID card updated', data: updatedUser });
+  } catch (error) {
+    if (error.code === db.DUPLICATE) {
+      return res.status(409).json({ error: 'RFID UID already assigned' });
+    }
+    console.error('Error updating RFID card:', error);
+    res.status(500).json({ error: 'Failed to update RFID card' });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete a user
+ */
+router.delete('/users/:id', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const deleted = await db.deleteUser(parseInt(req.params.id));
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, message: 'User deleted' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+/**
+ * Middleware: take the access token from ?token= (EventSource cannot set headers)
+ */
+function tokenFromQuery(req, res, next) {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
   }
+  next();
+}
+
+/**
+ * GET /api/stream?token=
+ * Server-Sent Events stream of processed events: level, status, alert, rfid, command
+ * Operators with scopes only receive events for bins they can access
+ */
+router.get('/stream', tokenFromQuery, authenticateToken, authorize('bins:read'), (req, res) => {
+  const token = req.headers['authorization'].split(' ')[1];
+  const { scopes } = req.user;
+
+  const canSee = scopes && scopes.length > 0
+    ? async (binId) => {
+      const bin = await db.getBinById(binId);
+      return Boolean(bin) && canAccessBin(scopes, bin);
+    }
+    : null;
+
+  events.openStream(req, res, { expiresAt: auth.getTokenExpiry(token), canSee });
 });
 
 /**
@@ -248,7 +2404,8 @@ router.get('/health', (req, res) => {
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    stream_clients: events.clientCount()
   });
 });
 
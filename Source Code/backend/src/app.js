@@ -0,0 +1,56 @@
+/**
+ * Express application: middleware, API routes and error handling
+ * Shared by the server (index.js) and the end-to-end tests
+ */
+
+import express from 'express';
+import cors from 'cors';
+import apiRouter from './api.js';
+
+/**
+ * Create the Express app (not listening yet)
+ */
+export function createApp() {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request logging
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+  });
+
+  // API routes
+  app.use('/api', apiRouter);
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      name: 'Smart Bin IoT Backend',
+      version: '1.0.0',
+      status: 'running',
+      endpoints: {
+        health: '/api/health',
+        bins: '/api/bins',
+        logs: '/api/logs',
+        login: '/api/auth/login'
+      }
+    });
+  });
+
+  // Error handling middleware (body parser errors such as 413 keep their status)
+  app.use((err, req, res, next) => {
+    console.error('Error:', err);
+    res.status(err.status || 500).json({ error: err.expose ? err.message : 'Internal server error' });
+  });
+
+  return app;
+}
+
+export default {
+  createApp
+};
@@ -0,0 +1,245 @@
+/**
+ * Operator authentication
+ * Password hashing (scrypt), access/refresh token issuing and revocation
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import config from './config.js';
+import * as db from './db.js';
+import { permissionsFor } from './permissions.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Lifetime of a download token: long enough to start the download it was issued for
+const DOWNLOAD_TOKEN_SECONDS = 60;
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check password strength rules, returns an error message or null
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Refresh tokens are random strings; only their SHA-256 is stored
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public operator fields (never expose password_hash)
+ */
+export function toPublicOperator(operator, scopes = []) {
+  return {
+    id: operator.id,
+    username: operator.username,
+    role: operator.role,
+    permissions: permissionsFor(operator.role),
+    scopes,
+    is_active: Boolean(operator.is_active),
+    last_login: operator.last_login
+  };
+}
+
+/**
+ * Issue an access token (JWT) and a refresh token for an operator
+ */
+export async function issueTokens(operator) {
+  const token = jwt.sign(
+    {
+      sub: operator.id,
+      username: operator.username,
+      role: operator.role,
+      ver: operator.token_version
+    },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + config.jwt.refreshExpiresDays * 24 * 60 * 60 * 1000);
+  await db.storeRefreshToken(operator.id, hashToken(refreshToken), expiresAt);
+
+  const scopes = await db.getOperatorScopes(operator.id);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: config.jwt.expiresIn,
+    user: toPublicOperator(operator, scopes)
+  };
+}
+
+/**
+ * Verify username/password and issue tokens
+ * Returns null for unknown user, wrong password or inactive account
+ */
+export async function login(username, password) {
+  const operator = await db.getOperatorByUsername(username);
+  if (!operator || !operator.is_active) return null;
+
+  const valid = await verifyPassword(password, operator.password_hash);
+  if (!valid) return null;
+
+  await db.touchOperatorLogin(operator.id);
+  return issueTokens(operator);
+}
+
+/**
+ * Exchange a refresh token for a new token pair (the old one is revoked)
+ * Returns null if the token is unknown, expired or revoked
+ */
+export async function refresh(refreshToken) {
+  const stored = await db.getRefreshToken(hashToken(refreshToken));
+  if (!stored || stored.revoked_at || new Date(stored.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const operator = await db.getOperatorById(stored.operator_id);
+  if (!operator || !operator.is_active) return null;
+
+  await db.revokeRefreshToken(stored.token_hash);
+  return issueTokens(operator);
+}
+
+/**
+ * Revoke a single refresh token (logout on one device)
+ */
+export async function revokeRefreshToken(refreshToken) {
+  await db.revokeRefreshToken(hashToken(refreshToken));
+}
+
+/**
+ * Revoke every session of an operator: refresh tokens and outstanding access tokens
+ */
+export async function revokeAllSessions(operatorId) {
+  await db.revokeOperatorRefreshTokens(operatorId);
+  await db.bumpOperatorTokenVersion(operatorId);
+}
+
+/**
+ * Issue a download token: a short-lived JWT that only the export routes accept,
+ * so an export link can carry it in the query instead of the access token
+ */
+export function issueDownloadToken(operator) {
+  const token = jwt.sign(
+    { sub: operator.id, ver: operator.token_version, purpose: 'export' },
+    config.jwt.secret,
+    { expiresIn: DOWNLOAD_TOKEN_SECONDS }
+  );
+  return { token, expiresIn: DOWNLOAD_TOKEN_SECONDS };
+}
+
+/**
+ * Verify a JWT issued for a purpose (null for access tokens) and check it was
+ * not revoked. Returns the operator row or null
+ */
+async function verifyToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.jwt.secret);
+  } catch (e) {
+    return null;
+  }
+
+  if ((payload.purpose || null) !== purpose) return null;
+
+  const operator = await db.getOperatorById(payload.sub);
+  if (!operator || !operator.is_active || operator.token_version !== payload.ver) {
+    return null;
+  }
+
+  return operator;
+}
+
+/**
+ * Verify an access token and check it was not revoked
+ * Returns the operator row or null
+ */
+export async function verifyAccessToken(token) {
+  return verifyToken(token, null);
+}
+
+/**
+ * Verify a download token (see issueDownloadToken)
+ * Returns the operator row or null
+ */
+export async function verifyDownloadToken(token) {
+  return verifyToken(token, 'export');
+}
+
+/**
+ * Expiry time of an access token in ms (null if it has none)
+ */
+export function getTokenExpiry(token) {
+  const payload = jwt.decode(token);
+  return payload && payload.exp ? payload.exp * 1000 : null;
+}
+
+/**
+ * Create the first admin operator from config if no operators exist yet
+ */
+export async function ensureInitialOperator() {
+  const count = await db.countOperators();
+  if (count > 0) return;
+
+  const { username, password } = config.initialAdmin;
+  if (!password) {
+    console.warn('⚠️  No operators exist. Set ADMIN_PASSWORD to create the first admin.');
+    return;
+  }
+
+  await db.createOperator({
+    username,
+    passwordHash: await hashPassword(password),
+    role: 'admin'
+  });
+  console.log(`👤 Created initial admin operator: ${username}`);
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  toPublicOperator,
+  issueTokens,
+  login,
+  refresh,
+  revokeRefreshToken,
+  revokeAllSessions,
+  issueDownloadToken,
+  verifyAccessToken,
+  verifyDownloadToken,
+  getTokenExpiry,
+  ensureInitialOperator
+};
@@ -0,0 +1,116 @@
+/**
+ * Embedded MQTT broker
+ * Optional in-process broker (aedes) for development and tests, so the whole
+ * stack runs on a laptop without network access. It listens on loopback by
+ * default; on any other address clients must log in with the configured
+ * username and password
+ */
+
+import net from 'net';
+import crypto from 'crypto';
+import { Aedes } from 'aedes';
+import config from './config.js';
+
+let broker = null;
+let tcpServer = null;
+
+/**
+ * Start listening; rejects on errors such as a port already in use
+ */
+function listen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+/**
+ * Close a server, ignoring one that is not listening
+ */
+function closeServer(server) {
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+/**
+ * Check if an address is only reachable from this machine
+ */
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || (net.isIPv4(host) && host.startsWith('127.'));
+}
+
+/**
+ * Compare a client's credentials with the configured ones in constant time
+ */
+function checkCredentials(expected, username, password) {
+  const hash = value => crypto.createHash('sha256').update(String(value ?? '')).digest();
+  const userMatches = crypto.timingSafeEqual(hash(username), hash(expected.username));
+  const passwordMatches = crypto.timingSafeEqual(hash(password), hash(expected.password));
+  return userMatches && passwordMatches;
+}
+
+/**
+ * Start the broker
+ * options: { host, port, username, password } (default: config.mqtt.embedded;
+ * port 0 picks a free port). Without a username and password it refuses to
+ * listen beyond loopback
+ * Returns the URL it listens on: { url }
+ */
+export async function startBroker(options = config.mqtt.embedded) {
+  if (broker) throw new Error('Embedded MQTT broker is already running');
+  const { host, port, username, password } = options;
+  const displayHost = host === '0.0.0.0' ? 'localhost' : host;
+  const secured = Boolean(username && password);
+
+  if (!secured && !isLoopback(host)) {
+    throw new Error(`Embedded MQTT broker on ${host} is reachable from the network: ` +
+      'set MQTT_EMBEDDED_USERNAME and MQTT_EMBEDDED_PASSWORD, or MQTT_EMBEDDED_HOST=127.0.0.1');
+  }
+
+  const authenticate = (client, clientUsername, clientPassword, callback) => {
+    if (checkCredentials({ username, password }, clientUsername, clientPassword)) {
+      return callback(null, true);
+    }
+    console.warn(`⚠️  MQTT client ${client.id} refused: wrong username or password`);
+    const error = new Error('Bad username or password');
+    error.returnCode = 4;
+    callback(error, false);
+  };
+
+  try {
+    broker = await Aedes.createBroker(secured ? { authenticate } : {});
+    broker.on('clientError', (client, err) => {
+      console.warn(`⚠️  MQTT client ${client.id} error: ${err.message}`);
+    });
+
+    tcpServer = net.createServer(broker.handle);
+    const tcpPort = await listen(tcpServer, port, host);
+
+    const url = `mqtt://${displayHost}:${tcpPort}`;
+    console.log(`📡 Embedded MQTT broker listening on ${url}${secured ? ' (login required)' : ''}`);
+    return { url };
+  } catch (error) {
+    await stopBroker();
+    throw error;
+  }
+}
+
+/**
+ * Disconnect all clients and stop listening
+ */
+export async function stopBroker() {
+  if (!broker) return;
+
+  await new Promise(resolve => broker.close(resolve));
+  if (tcpServer) await closeServer(tcpServer);
+
+  broker = null;
+  tcpServer = null;
+}
+
+export default {
+  startBroker,
+  stopBroker
+};
@@ -0,0 +1,161 @@
+/**
+ * Collection (emptying) detection and statistics
+ * A collection is a large level drop that holds for several readings; each one
+ * is stored with the level before and after and how long the drop took
+ */
+
+import * as db from './db.js';
+import { publishEvent } from './events.js';
+
+// A drop of at least this many percentage points from the recent peak is an emptying
+// (prediction.js uses the same size to restart its fit)
+export const DROP_PERCENT = 30;
+
+// Readings that must stay low before the drop counts (filters single bad readings)
+const CONFIRM_READINGS = 3;
+
+// How far back to look for the level before the drop
+const LOOKBACK_MINUTES = 60;
+
+/**
+ * Detect a collection that was confirmed by the latest reading
+ * readings: [{ level_percent, recorded_at }] in ascending time order, ending
+ * with the newest reading. The last CONFIRM_READINGS readings must all be at
+ * least DROP_PERCENT below the peak before them, and the reading just before
+ * them must not be, so each collection is detected exactly once
+ * Returns { level_before, level_after, started_at, collected_at, duration_seconds } or null
+ */
+export function detectCollection(readings) {
+  if (readings.length < CONFIRM_READINGS + 1) return null;
+
+  const prior = readings.slice(0, readings.length - CONFIRM_READINGS);
+  const low = readings.slice(readings.length - CONFIRM_READINGS);
+
+  // Last reading at the highest level before the drop
+  let peak = prior[0];
+  for (const reading of prior) {
+    if (reading.level_percent >= peak.level_percent) peak = reading;
+  }
+
+  const threshold = peak.level_percent - DROP_PERCENT;
+  if (prior[prior.length - 1].level_percent <= threshold) return null;
+  if (low.some(reading => reading.level_percent > threshold)) return null;
+
+  const startedAt = new Date(peak.recorded_at);
+  const collectedAt = new Date(low[0].recorded_at);
+
+  return {
+    level_before: peak.level_percent,
+    level_after: low[low.length - 1].level_percent,
+    started_at: startedAt,
+    collected_at: collectedAt,
+    duration_seconds: Math.round((collectedAt - startedAt) / 1000)
+  };
+}
+
+/**
+ * Check the latest readings of a bin for a collection and record it
+ * fullPercent is the level at which the bin counts as full (for full_since)
+ * Returns the stored collection or null
+ */
+export async function checkForCollection(binId, { fullPercent }) {
+  const since = new Date(Date.now() - LOOKBACK_MINUTES * 60000);
+  const detected = detectCollection(await db.getRecentTelemetry(binId, since));
+  if (!detected) return null;
+
+  const collection = await db.createCollection({
+    binId,
+    levelBefore: detected.level_before,
+    levelAfter: detected.level_after,
+    startedAt: detected.started_at,
+    collectedAt: detected.collected_at,
+    durationSeconds: detected.duration_seconds,
+    fullSince: await db.getFullSince(binId, detected.started_at, fullPercent)
+  });
+
+  await db.logEvent(binId, 'collection', {
+    levelPercent: collection.level_after,
+    message: `Bin emptied: ${collection.level_before}% → ${collection.level_after}%`
+  });
+
+  publishEvent('collection', collection);
+  console.log(`🚛 ${binId} collected: ${collection.level_before}% → ${collection.level_after}% (${collection.duration_seconds}s)`);
+
+  return collection;
+}
+
+/**
+ * Classify a collection by the thresholds:
+ * - too_early: emptied below earlyPercent
+ * - too_late: was full for more than lateHours before it was emptied
+ * - on_time: otherwise
+ * Also returns how many hours the bin was full (null if it never got full)
+ */
+export function classify(collection, { earlyPercent, lateHours }) {
+  const fullHours = collection.full_since
+    ? (new Date(collection.collected_at) - new Date(collection.full_since)) / 3600000
+    : null;
+
+  let timing = 'on_time';
+  if (collection.level_before < earlyPercent) {
+    timing = 'too_early';
+  } else if (fullHours !== null && fullHours > lateHours) {
+    timing = 'too_late';
+  }
+
+  return { timing, full_hours: fullHours === null ? null : Math.round(fullHours * 100) / 100 };
+}
+
+/**
+ * Per-bin statistics: count, average level at collection, timing counts,
+ * average hours full before collection and the last collection time
+ */
+export function summarize(collections, thresholds) {
+  const byBin = new Map();
+  const round = value => Math.round(value * 10) / 10;
+
+  for (const collection of collections) {
+    const { timing, full_hours: fullHours } = classify(collection, thresholds);
+
+    if (!byBin.has(collection.bin_id)) {
+      byBin.set(collection.bin_id, {
+        bin_id: collection.bin_id,
+        count: 0,
+        levelTotal: 0,
+        fullHoursTotal: 0,
+        fullCount: 0,
+        too_early: 0,
+        too_late: 0,
+        on_time: 0,
+        last_collected_at: collection.collected_at
+      });
+    }
+
+    const stats = byBin.get(collection.bin_id);
+    stats.count++;
+    stats.levelTotal += collection.level_before;
+    stats[timing]++;
+    if (fullHours !== null) {
+      stats.fullHoursTotal += fullHours;
+      stats.fullCount++;
+    }
+    if (new Date(collection.collected_at) > new Date(stats.last_collected_at)) {
+      stats.last_collected_at = collection.collected_at;
+    }
+  }
+
+  return [...byBin.values()]
+    .map(({ levelTotal, fullHoursTotal, fullCount, ...stats }) => ({
+      ...stats,
+      avg_level_before: round(levelTotal / stats.count),
+      avg_full_hours: fullCount > 0 ? round(fullHoursTotal / fullCount) : null
+    }))
+    .sort((a, b) => a.bin_id.localeCompare(b.bin_id));
+}
+
+export default {
+  detectCollection,
+  checkForCollection,
+  classify,
+  summarize
+};
@@ -0,0 +1,164 @@
+/**
+ * Device command tracking
+ * Every open/close command gets an ID; the device replies on
+ * smartbin/{binId}/cmd_ack and the command ends as acked, failed or timed_out
+ */
+
+import crypto from 'crypto';
+import config from './config.js';
+import * as db from './db.js';
+import { publishEvent } from './events.js';
+
+export const COMMAND_STATUSES = ['pending', 'acked', 'failed', 'timed_out'];
+
+// Timeout timers of pending commands, by command ID
+const timers = new Map();
+
+/**
+ * Log the real outcome of a command as lid_open/lid_close
+ * The source tells usage reports whether an RFID card or an operator opened the lid
+ */
+async function logOutcome(command, success, message) {
+  await db.logEvent(command.bin_id, command.action === 'open' ? 'lid_open' : 'lid_close', {
+    userName: command.requested_by,
+    source: command.reason === 'rfid_authorized' ? 'rfid' : 'manual',
+    success,
+    message
+  });
+}
+
+/**
+ * Mark a command timed out if the device has not answered yet
+ */
+async function expire(commandId) {
+  timers.delete(commandId);
+
+  const error = `No acknowledgement within ${config.commands.ackTimeoutSeconds}s`;
+  if (!(await db.completeCommand(commandId, 'timed_out', error))) return;
+
+  const command = await db.getCommandById(commandId);
+  publishEvent('command', command);
+  console.warn(`⏱️  Command ${commandId} (${command.action} ${command.bin_id}) timed out`);
+  await logOutcome(command, false, `${command.action} command timed out (${command.reason})`);
+}
+
+/**
+ * Create a command record
+ * A bin known to be offline gets a failed command right away (nothing is sent);
+ * otherwise the command is pending until acknowledged or timed out
+ */
+export async function createCommand(bin, action, { reason, requestedBy = null }) {
+  const id = crypto.randomUUID();
+
+  if (!bin.is_online) {
+    const command = await db.createCommand({
+      id,
+      binId: bin.bin_id,
+      action,
+      reason,
+      requestedBy,
+      status: 'failed',
+      error: 'Bin is offline'
+    });
+    await logOutcome(command, false, `${action} not sent: bin is offline`);
+    publishEvent('command', command);
+    return command;
+  }
+
+  const command = await db.createCommand({ id, binId: bin.bin_id, action, reason, requestedBy });
+  publishEvent('command', command);
+
+  timers.set(id, setTimeout(() => {
+    expire(id).catch(error => console.error('❌ Command timeout error:', error.message));
+  }, config.commands.ackTimeoutSeconds * 1000));
+
+  return command;
+}
+
+/**
+ * Mark a pending command failed (e.g. the MQTT publish itself failed)
+ */
+export async function failCommand(commandId, error) {
+  clearTimeout(timers.get(commandId));
+  timers.delete(commandId);
+
+  if (!(await db.completeCommand(commandId, 'failed', error))) return;
+
+  const command = await db.getCommandById(commandId);
+  publishEvent('command', command);
+  await logOutcome(command, false, `${command.action} failed: ${error}`);
+}
+
+/**
+ * Handle a device acknowledgement: { command_id, status: "ok" | "error", error }
+ * A late ack still records the real outcome on a command that already timed
+ * out, but logs nothing: the timeout already wrote its lid_open/lid_close entry
+ */
+export async function handleAck(binId, payload) {
+  const command = payload.command_id ? await db.getCommandById(payload.command_id) : null;
+
+  if (!command || command.bin_id !== binId) {
+    console.warn(`⚠️  Ack for unknown command ${payload.command_id} from ${binId}`);
+    return null;
+  }
+
+  clearTimeout(timers.get(command.id));
+  timers.delete(command.id);
+
+  const ok = payload.status === 'ok';
+  const error = ok ? null : (payload.error || 'Device reported an error');
+  const updated = await db.completeCommand(
+    command.id,
+    ok ? 'acked' : 'failed',
+    error,
+    ['pending', 'timed_out']
+  );
+  if (!updated) return command;
+
+  const late = command.status === 'timed_out';
+  console.log(`${ok ? '✅' : '❌'} Command ${command.id} (${command.action} ${binId}) ${ok ? 'acknowledged' : `failed: ${error}`}${late ? ' after timing out' : ''}`);
+
+  if (!late) {
+    const byWhom = command.requested_by ? ` by ${command.requested_by}` : '';
+    await logOutcome(
+      command,
+      ok,
+      ok
+        ? `Lid ${command.action === 'open' ? 'opened' : 'closed'}${byWhom} (${command.reason})`
+        : `${command.action} failed on device: ${error}`
+    );
+  }
+
+  const result = await db.getCommandById(command.id);
+  publishEvent('command', result);
+  return result;
+}
+
+/**
+ * Time out commands left pending by a previous run (their timers are gone)
+ */
+export async function expireStaleCommands() {
+  const count = await db.timeoutPendingCommands('Server restarted before acknowledgement');
+  if (count > 0) {
+    console.warn(`⏱️  Timed out ${count} command(s) pending from before restart`);
+  }
+}
+
+/**
+ * Stop all timeout timers (shutdown)
+ */
+export function clearTimers() {
+  for (const timer of timers.values()) {
+    clearTimeout(timer);
+  }
+  timers.clear();
+}
+
+export default {
+  COMMAND_STATUSES,
+  createCommand,
+  failCommand,
+  handleAck,
+  expireStaleCommands,
+  clearTimers
+};
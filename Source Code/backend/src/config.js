@@ -12,6 +12,25 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '../.env') });
 
+/**
+ * Integer environment variable, or the fallback when unset or not a number
+ * (unlike `|| fallback`, 0 is kept)
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Embedded MQTT broker (MQTT_EMBEDDED_BROKER=true); when on, the backend
+// connects to it (with its username/password) and MQTT_BROKER_URL is ignored
+const embeddedBroker = {
+  enabled: process.env.MQTT_EMBEDDED_BROKER === 'true',
+  host: process.env.MQTT_EMBEDDED_HOST || '127.0.0.1',
+  port: parseInt(process.env.MQTT_EMBEDDED_PORT) || 1883,
+  username: process.env.MQTT_EMBEDDED_USERNAME || '',
+  password: process.env.MQTT_EMBEDDED_PASSWORD || ''
+};
+
 const config = {
   // Server
   port: process.env.PORT || 5000,
@@ -19,15 +38,32 @@ const config = {
 
   // MQTT
   mqtt: {
-    brokerUrl: process.env.MQTT_BROKER_URL || 'mqtt://broker.hivemq.com:1883',
+    brokerUrl: embeddedBroker.enabled
+      ? `mqtt://${embeddedBroker.host === '0.0.0.0' ? '127.0.0.1' : embeddedBroker.host}:${embeddedBroker.port}`
+      : process.env.MQTT_BROKER_URL || 'mqtt://broker.hivemq.com:1883',
+    embedded: embeddedBroker,
     clientId: `smartbin_backend_${Math.random().toString(16).slice(2, 8)}`,
     options: {
       clean: true,
       connectTimeout: 4000,
       reconnectPeriod: 1000,
+      ...(embeddedBroker.enabled && embeddedBroker.username && {
+        username: embeddedBroker.username,
+        password: embeddedBroker.password
+      })
     }
   },
 
+  // Database: 'mysql' (default) or 'sqlite' (single file, no server needed)
+  storage: {
+    driver: (process.env.STORAGE_DRIVER || 'mysql').toLowerCase()
+  },
+
+  // SQLite (STORAGE_DRIVER=sqlite); the file and its folder are created if missing
+  sqlite: {
+    path: process.env.SQLITE_PATH || join(__dirname, '../data/smartbin.db')
+  },
+
   // MySQL
   mysql: {
     host: process.env.MYSQL_HOST || 'localhost',
@@ -43,7 +79,68 @@ const config = {
   // JWT
   jwt: {
     secret: process.env.JWT_SECRET || 'dev-secret-change-me',
-    expiresIn: '24h'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshExpiresDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 7
+  },
+
+  // First operator account, created on startup if the operators table is empty
+  initialAdmin: {
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || ''
+  },
+
+  // Device commands
+  commands: {
+    ackTimeoutSeconds: parseInt(process.env.COMMAND_ACK_TIMEOUT_SECONDS) || 10
+  },
+
+  // SMTP (email notifications)
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || 'Smart Bin <smartbin@localhost>'
+  },
+
+  // Alert notifications
+  notifications: {
+    intervalSeconds: parseInt(process.env.NOTIFY_INTERVAL_SECONDS) || 60,
+    webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  // Bin schedules (mode/threshold by time of day)
+  schedules: {
+    intervalSeconds: parseInt(process.env.SCHEDULE_INTERVAL_SECONDS) || 30
+  },
+
+  // Collection route planning (minLevel null = each bin's critical level)
+  routes: {
+    depot: process.env.ROUTE_DEPOT || '',
+    minLevel: envInt('ROUTE_MIN_LEVEL', null),
+    shiftHours: parseFloat(process.env.ROUTE_SHIFT_HOURS) || 8
+  },
+
+  // Collection statistics: emptied below earlyPercent is "too early",
+  // full for more than lateHours before emptying is "too late"
+  collections: {
+    earlyPercent: envInt('COLLECTION_EARLY_PERCENT', 60),
+    lateHours: parseFloat(process.env.COLLECTION_LATE_HOURS) || 4
+  },
+
+  // Usage reports: how often logs and collections are rolled up
+  reports: {
+    rollupMinutes: parseFloat(process.env.REPORT_ROLLUP_MINUTES) || 5
+  },
+
+  // Level sensor health: same distance for this long while the bin is used = stuck
+  sensor: {
+    stuckHours: parseFloat(process.env.SENSOR_STUCK_HOURS) || 3
   },
 
   // Admin
@@ -1,181 +1,294 @@
 /**
- * Database connection and query functions
- * Uses mysql2/promise for async/await support
+ * Database access
+ * Every query function forwards to the store selected by STORAGE_DRIVER:
+ * MySQL (stores/mysql.js, default) or SQLite (stores/sqlite.js). Both stores
+ * export the same functions, return rows in the same shape and throw
+ * unique-key violations with code DUPLICATE. The schema comes from the
+ * numbered migrations in migrations/ (see migrations.js)
  */
 
-import mysql from 'mysql2/promise';
 import config from './config.js';
+import * as migrations from './migrations.js';
+import { DUPLICATE } from './stores/common.js';
 
-let pool;
+export { DUPLICATE };
+
+// Store modules, loaded on initDB so a deployment only needs its own driver
+const STORES = {
+  mysql: () => import('./stores/mysql.js'),
+  sqlite: () => import('./stores/sqlite.js')
+};
+
+let store = null;
+
+/**
+ * The store opened by initDB
+ */
+function current() {
+  if (!store) throw new Error('Database not initialized (call initDB first)');
+  return store;
+}
 
 /**
- * Initialize database connection pool
+ * Load the configured store and connect to its database
+ * Refuses to start on a schema older than the migrations unless migrating
+ * (the migrate command, which may also create the database)
  */
-export async function initDB() {
+export async function initDB({ migrating = false } = {}) {
+  const { driver } = config.storage;
+  if (!STORES[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(STORES).join(' or ')})`);
+  }
+
+  let module;
   try {
-    pool = mysql.createPool(config.mysql);
-    
-    // Test connection
-    const connection = await pool.getConnection();
-    console.log('✅ MySQL connected successfully');
-    connection.release();
-    
-    return pool;
+    module = await STORES[driver]();
   } catch (error) {
-    console.error('❌ MySQL connection error:', error.message);
+    if (driver === 'sqlite' && error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
     throw error;
   }
-}
 
-/**
- * Get user by RFID UID
- */
-export async function getUserByRFID(rfidUid) {
-  const [rows] = await pool.query(
-    'SELECT * FROM users WHERE rfid_uid = ? AND is_active = TRUE',
-    [rfidUid]
-  );
-  return rows[0] || null;
-}
+  await module.initDB({ migrating });
+  store = module;
 
-/**
- * Get bin by bin_id
- */
-export async function getBinById(binId) {
-  const [rows] = await pool.query(
-    'SELECT * FROM bins WHERE bin_id = ?',
-    [binId]
-  );
-  return rows[0] || null;
+  if (!migrating) {
+    try {
+      await migrations.checkSchema(store);
+    } catch (error) {
+      await closeDB();
+      throw error;
+    }
+  }
+  return store;
 }
 
 /**
- * Get all bins with status
+ * Close the database connection
  */
-export async function getAllBins() {
-  const [rows] = await pool.query(
-    'SELECT * FROM v_bin_status ORDER BY bin_id'
-  );
-  return rows;
+export async function closeDB() {
+  if (!store) return;
+  await store.closeDB();
+  store = null;
 }
 
-/**
- * Update bin online status
- */
-export async function updateBinStatus(binId, isOnline) {
-  await pool.query(
-    'UPDATE bins SET is_online = ?, last_seen = NOW() WHERE bin_id = ?',
-    [isOnline, binId]
-  );
-}
+// Schema migrations
+export const getSchemaStatus = () => migrations.getSchemaStatus(current());
+export const checkSchema = () => migrations.checkSchema(current());
+export const migrate = (options) => migrations.migrate(current(), options);
+export const rollback = (options) => migrations.rollback(current(), options);
 
-/**
- * Update bin level data
- */
-export async function updateBinLevel(binId, levelPercent, distanceCm) {
-  await pool.query(
-    `UPDATE bins 
-     SET current_level_percent = ?, 
-         current_distance_cm = ?, 
-         last_seen = NOW() 
-     WHERE bin_id = ?`,
-    [levelPercent, distanceCm, binId]
-  );
-}
+// Users
+export const getUserByRFID = (...args) => current().getUserByRFID(...args);
+export const findUserByRFID = (...args) => current().findUserByRFID(...args);
+export const getUserById = (...args) => current().getUserById(...args);
+export const listUsers = (...args) => current().listUsers(...args);
+export const createUser = (...args) => current().createUser(...args);
+export const updateUser = (...args) => current().updateUser(...args);
+export const deleteUser = (...args) => current().deleteUser(...args);
 
-/**
- * Update bin configuration
- */
-export async function updateBinConfig(binId, updates) {
-  const allowedFields = ['mode', 'threshold_cm', 'capacity_cm', 'name', 'location'];
-  const setClause = [];
-  const values = [];
-
-  for (const [key, value] of Object.entries(updates)) {
-    if (allowedFields.includes(key)) {
-      setClause.push(`${key} = ?`);
-      values.push(value);
-    }
-  }
+// Bins and fleet settings
+export const getBinById = (...args) => current().getBinById(...args);
+export const getFleetSettings = (...args) => current().getFleetSettings(...args);
+export const updateFleetSettings = (...args) => current().updateFleetSettings(...args);
+export const getAllBins = (...args) => current().getAllBins(...args);
+export const updateBinStatus = (...args) => current().updateBinStatus(...args);
+export const updateBinLevel = (...args) => current().updateBinLevel(...args);
+export const setSensorFault = (...args) => current().setSensorFault(...args);
+export const updateBinConfig = (...args) => current().updateBinConfig(...args);
+export const createBin = (...args) => current().createBin(...args);
+export const deleteBin = (...args) => current().deleteBin(...args);
+export const updateBinPosition = (...args) => current().updateBinPosition(...args);
 
-  if (setClause.length === 0) {
-    throw new Error('No valid fields to update');
-  }
+// Floor plans
+export const getFloorPlans = (...args) => current().getFloorPlans(...args);
+export const getFloorPlanById = (...args) => current().getFloorPlanById(...args);
+export const getFloorPlanImage = (...args) => current().getFloorPlanImage(...args);
+export const getFloorPlanByBuilding = (...args) => current().getFloorPlanByBuilding(...args);
+export const createFloorPlan = (...args) => current().createFloorPlan(...args);
+export const setFloorPlanImage = (...args) => current().setFloorPlanImage(...args);
+export const deleteFloorPlan = (...args) => current().deleteFloorPlan(...args);
 
-  values.push(binId);
-  
-  const [result] = await pool.query(
-    `UPDATE bins SET ${setClause.join(', ')}, updated_at = NOW() WHERE bin_id = ?`,
-    values
-  );
+// Bin schedules
+export const getSchedules = (...args) => current().getSchedules(...args);
+export const getScheduleById = (...args) => current().getScheduleById(...args);
+export const createSchedule = (...args) => current().createSchedule(...args);
+export const updateSchedule = (...args) => current().updateSchedule(...args);
+export const deleteSchedule = (...args) => current().deleteSchedule(...args);
 
-  return result.affectedRows > 0;
-}
+// Pending devices
+export const upsertPendingDevice = (...args) => current().upsertPendingDevice(...args);
+export const getPendingDevices = (...args) => current().getPendingDevices(...args);
+export const getPendingDevice = (...args) => current().getPendingDevice(...args);
+export const deletePendingDevice = (...args) => current().deletePendingDevice(...args);
 
-/**
- * Log an event
- */
-export async function logEvent(binId, eventType, data = {}) {
-  const {
-    rfidUid = null,
-    userName = null,
-    levelPercent = null,
-    distanceCm = null,
-    success = true,
-    message = null
-  } = data;
-
-  await pool.query(
-    `INSERT INTO logs 
-     (bin_id, event_type, rfid_uid, user_name, level_percent, distance_cm, success, message) 
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-    [binId, eventType, rfidUid, userName, levelPercent, distanceCm, success, message]
-  );
-}
+// Logs and telemetry
+export const logEvent = (...args) => current().logEvent(...args);
+export const getLogs = (...args) => current().getLogs(...args);
+export const countLogs = (...args) => current().countLogs(...args);
+export const countEvents = (...args) => current().countEvents(...args);
+export const insertTelemetry = (...args) => current().insertTelemetry(...args);
+export const getRecentTelemetry = (...args) => current().getRecentTelemetry(...args);
+export const getTelemetry = (...args) => current().getTelemetry(...args);
+export const getTelemetryHistory = (...args) => current().getTelemetryHistory(...args);
+export const getFullSince = (...args) => current().getFullSince(...args);
+export const getDistanceRange = (...args) => current().getDistanceRange(...args);
 
-/**
- * Get logs for a bin with pagination
- */
-export async function getLogs(binId = null, limit = 100, offset = 0) {
-  let query = `
-    SELECT 
-      l.*,
-      DATE_FORMAT(l.timestamp, '%Y-%m-%d %H:%i:%s') as formatted_time
-    FROM logs l
-  `;
-  const params = [];
-
-  if (binId) {
-    query += ' WHERE l.bin_id = ?';
-    params.push(binId);
-  }
+// Collections
+export const createCollection = (...args) => current().createCollection(...args);
+export const getCollections = (...args) => current().getCollections(...args);
 
-  query += ' ORDER BY l.timestamp DESC LIMIT ? OFFSET ?';
-  params.push(limit, offset);
+// Usage reports
+export const getUsageRollupStart = (...args) => current().getUsageRollupStart(...args);
+export const rollUpLogUsage = (...args) => current().rollUpLogUsage(...args);
+export const rollUpCollectionUsage = (...args) => current().rollUpCollectionUsage(...args);
+export const rollUpRfidUsage = (...args) => current().rollUpRfidUsage(...args);
+export const getUsageByPeriod = (...args) => current().getUsageByPeriod(...args);
+export const getRfidUsageByPeriod = (...args) => current().getRfidUsageByPeriod(...args);
+export const getUsageHeatmap = (...args) => current().getUsageHeatmap(...args);
 
-  const [rows] = await pool.query(query, params);
-  return rows;
-}
+// Alerts
+export const getAlertMarkers = (...args) => current().getAlertMarkers(...args);
+export const getActiveAlert = (...args) => current().getActiveAlert(...args);
+export const getAlertById = (...args) => current().getAlertById(...args);
+export const createAlert = (...args) => current().createAlert(...args);
+export const bumpAlert = (...args) => current().bumpAlert(...args);
+export const acknowledgeAlert = (...args) => current().acknowledgeAlert(...args);
+export const resolveAlert = (...args) => current().resolveAlert(...args);
+export const getAlerts = (...args) => current().getAlerts(...args);
 
-/**
- * Close database connection
- */
-export async function closeDB() {
-  if (pool) {
-    await pool.end();
-    console.log('MySQL connection pool closed');
-  }
-}
+// Device commands
+export const createCommand = (...args) => current().createCommand(...args);
+export const getCommandById = (...args) => current().getCommandById(...args);
+export const getCommands = (...args) => current().getCommands(...args);
+export const getLastLidOpen = (...args) => current().getLastLidOpen(...args);
+export const completeCommand = (...args) => current().completeCommand(...args);
+export const timeoutPendingCommands = (...args) => current().timeoutPendingCommands(...args);
+
+// Operators and refresh tokens
+export const getOperatorByUsername = (...args) => current().getOperatorByUsername(...args);
+export const getOperatorById = (...args) => current().getOperatorById(...args);
+export const listOperators = (...args) => current().listOperators(...args);
+export const countOperators = (...args) => current().countOperators(...args);
+export const createOperator = (...args) => current().createOperator(...args);
+export const updateOperator = (...args) => current().updateOperator(...args);
+export const getOperatorScopes = (...args) => current().getOperatorScopes(...args);
+export const setOperatorScopes = (...args) => current().setOperatorScopes(...args);
+export const updateOperatorPassword = (...args) => current().updateOperatorPassword(...args);
+export const touchOperatorLogin = (...args) => current().touchOperatorLogin(...args);
+export const bumpOperatorTokenVersion = (...args) => current().bumpOperatorTokenVersion(...args);
+export const storeRefreshToken = (...args) => current().storeRefreshToken(...args);
+export const getRefreshToken = (...args) => current().getRefreshToken(...args);
+export const revokeRefreshToken = (...args) => current().revokeRefreshToken(...args);
+export const revokeOperatorRefreshTokens = (...args) => current().revokeOperatorRefreshTokens(...args);
+
+// Notifications
+export const getSubscriptions = (...args) => current().getSubscriptions(...args);
+export const getSubscriptionById = (...args) => current().getSubscriptionById(...args);
+export const getActiveSubscriptions = (...args) => current().getActiveSubscriptions(...args);
+export const createSubscription = (...args) => current().createSubscription(...args);
+export const updateSubscription = (...args) => current().updateSubscription(...args);
+export const deleteSubscription = (...args) => current().deleteSubscription(...args);
+export const getDeliveries = (...args) => current().getDeliveries(...args);
+export const recordDelivery = (...args) => current().recordDelivery(...args);
 
 export default {
+  DUPLICATE,
   initDB,
+  getSchemaStatus,
+  checkSchema,
+  migrate,
+  rollback,
   getUserByRFID,
+  findUserByRFID,
+  getUserById,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
   getBinById,
+  getFleetSettings,
+  updateFleetSettings,
   getAllBins,
   updateBinStatus,
   updateBinLevel,
+  setSensorFault,
   updateBinConfig,
+  createBin,
+  deleteBin,
+  updateBinPosition,
+  getFloorPlans,
+  getFloorPlanById,
+  getFloorPlanImage,
+  getFloorPlanByBuilding,
+  createFloorPlan,
+  setFloorPlanImage,
+  deleteFloorPlan,
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  upsertPendingDevice,
+  getPendingDevices,
+  getPendingDevice,
+  deletePendingDevice,
   logEvent,
   getLogs,
+  countLogs,
+  countEvents,
+  insertTelemetry,
+  getRecentTelemetry,
+  getTelemetry,
+  getTelemetryHistory,
+  getFullSince,
+  getDistanceRange,
+  createCollection,
+  getCollections,
+  getUsageRollupStart,
+  rollUpLogUsage,
+  rollUpCollectionUsage,
+  rollUpRfidUsage,
+  getUsageByPeriod,
+  getRfidUsageByPeriod,
+  getUsageHeatmap,
+  getAlertMarkers,
+  getActiveAlert,
+  getAlertById,
+  createAlert,
+  bumpAlert,
+  acknowledgeAlert,
+  resolveAlert,
+  getAlerts,
+  createCommand,
+  getCommandById,
+  getCommands,
+  getLastLidOpen,
+  completeCommand,
+  timeoutPendingCommands,
+  getOperatorByUsername,
+  getOperatorById,
+  listOperators,
+  countOperators,
+  createOperator,
+  updateOperator,
+  getOperatorScopes,
+  setOperatorScopes,
+  updateOperatorPassword,
+  touchOperatorLogin,
+  bumpOperatorTokenVersion,
+  storeRefreshToken,
+  getRefreshToken,
+  revokeRefreshToken,
+  revokeOperatorRefreshTokens,
+  getSubscriptions,
+  getSubscriptionById,
+  getActiveSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  recordDelivery,
   closeDB
 };
@@ -0,0 +1,100 @@
+/**
+ * Real-time event stream for the dashboard (Server-Sent Events)
+ * Handlers publish events after processing device messages; every connected
+ * dashboard receives them on GET /api/stream
+ */
+
+// Event types sent to clients
+export const EVENT_TYPES = ['level', 'status', 'alert', 'rfid', 'command', 'position', 'collection', 'config'];
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+
+/**
+ * Send an event to a single client
+ */
+function publishTo(client, type, data) {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to every connected client that may see its bin
+ * Events for clients with a canSee check are queued per client, so they
+ * arrive in order while the check runs
+ */
+export function publishEvent(type, data) {
+  for (const client of clients) {
+    if (!client.canSee) {
+      publishTo(client, type, data);
+      continue;
+    }
+
+    client.queue = client.queue
+      .then(() => client.canSee(data.bin_id))
+      .then(visible => {
+        if (visible && clients.has(client)) publishTo(client, type, data);
+      })
+      .catch(error => console.error('❌ Stream filter error:', error.message));
+  }
+}
+
+/**
+ * Start an event stream on an authenticated request
+ * The stream is closed when the access token expires (expiresAt, ms) so the
+ * client reconnects with a fresh token. canSee(binId), if given, decides
+ * which bins' events the client receives (operator scopes)
+ */
+export function openStream(req, res, { expiresAt = null, canSee = null } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const client = { res, username: req.user.username, canSee, queue: Promise.resolve() };
+  clients.add(client);
+
+  publishTo(client, 'hello', { username: req.user.username, ts: new Date().toISOString() });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = expiresAt
+    ? setTimeout(() => res.end(), Math.max(0, expiresAt - Date.now()))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    clients.delete(client);
+  });
+
+  console.log(`📺 Stream opened for ${req.user.username} (${clients.size} connected)`);
+}
+
+/**
+ * Number of connected clients (health check)
+ */
+export function clientCount() {
+  return clients.size;
+}
+
+/**
+ * End every open stream (shutdown)
+ */
+export function closeAll() {
+  for (const client of clients) {
+    client.res.end();
+  }
+  clients.clear();
+}
+
+export default {
+  EVENT_TYPES,
+  publishEvent,
+  openStream,
+  clientCount,
+  closeAll
+};
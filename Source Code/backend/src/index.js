@@ -1,51 +1,21 @@
 /**
  * Smart Bin IoT Backend Server
- * Main entry point - Express + MQTT + MySQL
+ * Main entry point - Express + MQTT + MySQL/SQLite
  */
 
-import express from 'express';
-import cors from 'cors';
 import config from './config.js';
+import { createApp } from './app.js';
 import * as db from './db.js';
 import * as mqttClient from './mqttClient.js';
-import apiRouter from './api.js';
+import * as broker from './broker.js';
+import * as auth from './auth.js';
+import * as notifier from './notifier.js';
+import * as commands from './commands.js';
+import * as events from './events.js';
+import * as scheduler from './scheduler.js';
+import * as reports from './reports.js';
 
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
-// API routes
-app.use('/api', apiRouter);
-
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    name: 'Smart Bin IoT Backend',
-    version: '1.0.0',
-    status: 'running',
-    endpoints: {
-      health: '/api/health',
-      bins: '/api/bins',
-      logs: '/api/logs',
-      login: '/api/auth/login'
-    }
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+const app = createApp();
 
 /**
  * Initialize all services and start server
@@ -57,10 +27,24 @@ async function startServer() {
     // 1. Initialize Database
     console.log('📦 Initializing database...');
     await db.initDB();
+    await auth.ensureInitialOperator();
+    await commands.expireStaleCommands();
 
-    // 2. Initialize MQTT
+    // 2. Initialize MQTT (starting the embedded broker first, if enabled)
+    if (config.mqtt.embedded.enabled) {
+      console.log('\n📡 Starting embedded MQTT broker...');
+      await broker.startBroker();
+    }
     console.log('\n📡 Initializing MQTT client...');
     await mqttClient.initMQTT();
+    if (config.mqtt.embedded.enabled) {
+      // The embedded broker starts empty: restore every bin's retained config
+      const bins = await db.getAllBins();
+      bins.forEach(bin => mqttClient.publishConfig(bin.bin_id, bin));
+    }
+    notifier.startNotifier();
+    scheduler.startScheduler();
+    reports.startReports();
 
     // 3. Start Express server
     console.log(`\n🌐 Starting HTTP server on port ${config.port}...`);
@@ -70,11 +54,11 @@ async function startServer() {
       console.log(`   - Health Check: http://localhost:${config.port}/api/health`);
       console.log(`   - Get Bins: http://localhost:${config.port}/api/bins`);
       console.log(`   - Get Logs: http://localhost:${config.port}/api/logs`);
-      console.log(`\n💡 Demo Login Credentials:`);
-      console.log(`   - Username: admin`);
-      console.log(`   - Password: admin123`);
-      console.log(`\n🔧 MQTT Broker: ${config.mqtt.brokerUrl}`);
-      console.log(`📊 Database: ${config.mysql.database}@${config.mysql.host}`);
+      console.log(`   - Login: http://localhost:${config.port}/api/auth/login`);
+      console.log(`\n🔧 MQTT Broker: ${config.mqtt.brokerUrl}${config.mqtt.embedded.enabled ? ' (embedded)' : ''}`);
+      console.log(config.storage.driver === 'sqlite'
+        ? `📊 Database: SQLite ${config.sqlite.path}`
+        : `📊 Database: ${config.mysql.database}@${config.mysql.host}`);
       console.log(`\n✨ Backend is ready! Press Ctrl+C to stop.\n`);
     });
 
@@ -91,7 +75,13 @@ async function shutdown() {
   console.log('\n\n🛑 Shutting down gracefully...');
   
   try {
+    notifier.stopNotifier();
+    scheduler.stopScheduler();
+    reports.stopReports();
+    commands.clearTimers();
+    events.closeAll();
     mqttClient.closeMQTT();
+    await broker.stopBroker();
     await db.closeDB();
     console.log('✅ Cleanup complete');
     process.exit(0);
@@ -0,0 +1,278 @@
+/**
+ * Schema migrations
+ * Numbered SQL files per store in migrations/<driver>/ (NNN_name.up.sql and
+ * NNN_name.down.sql); the schema_version table records which ones ran.
+ * 001 is the first schema.sql, each later migration one schema change. The
+ * functions here work on a store module (stores/mysql.js or stores/sqlite.js)
+ * and are called through db.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from './config.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations', import.meta.url));
+
+// Migration file name: 001_initial.up.sql
+const FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/**
+ * Migrations of a store, oldest first: [{ version, name, up, down }]
+ * up/down are file paths (down is null if the migration cannot be reverted)
+ */
+export function listMigrations(driver = config.storage.driver) {
+  const dir = path.join(MIGRATIONS_DIR, driver);
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const version = parseInt(match[1]);
+    const migration = byVersion.get(version) || { version, name: match[2], up: null, down: null };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${match[2]}`);
+    }
+    migration[match[3]] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migrations must be numbered 1, 2, 3...: expected ${index + 1}, found ${migration.version}`);
+    }
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Split SQL at a separator outside quotes and parentheses
+ */
+function splitOutside(sql, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(sql.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(sql.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Update a schema model ({ table: { columns: Set, indexes: Set } }) with the
+ * tables, columns and named indexes a migration's SQL creates or drops
+ * Understands the statements migrations use: CREATE/DROP TABLE, CREATE/DROP
+ * INDEX and ALTER TABLE (ADD/DROP COLUMN and INDEX, RENAME); anything else
+ * (data, views, triggers, column changes) leaves the model as it is
+ */
+function applyToModel(model, sql) {
+  const statements = splitOutside(sql.replace(/--[^\n]*/g, ''), ';').map(statement => statement.replace(/\s+/g, ' '));
+
+  for (const statement of statements) {
+    let match;
+
+    if ((match = /^CREATE TABLE (?:IF NOT EXISTS )?(\w+) ?\((.*)\)[^)]*$/i.exec(statement))) {
+      const table = { columns: new Set(), indexes: new Set() };
+      for (const item of splitOutside(match[2], ',')) {
+        const index = /^(?:UNIQUE )?(?:INDEX|KEY) (\w+)/i.exec(item);
+        if (index) table.indexes.add(index[1]);
+        else if (!/^(PRIMARY|UNIQUE|FOREIGN|CONSTRAINT|CHECK)\b/i.test(item)) table.columns.add(item.split(' ')[0]);
+      }
+      model[match[1]] = table;
+    } else if ((match = /^DROP TABLE (?:IF EXISTS )?(\w+)/i.exec(statement))) {
+      delete model[match[1]];
+    } else if ((match = /^ALTER TABLE (\w+) RENAME TO (\w+)$/i.exec(statement))) {
+      model[match[2]] = model[match[1]];
+      delete model[match[1]];
+    } else if ((match = /^ALTER TABLE (\w+) (.*)$/i.exec(statement))) {
+      const table = model[match[1]];
+      for (const clause of splitOutside(match[2], ',')) {
+        let part;
+        if ((part = /^ADD (?:UNIQUE )?(?:INDEX|KEY) (\w+)/i.exec(clause))) table.indexes.add(part[1]);
+        else if ((part = /^DROP (?:INDEX|KEY) (\w+)/i.exec(clause))) table.indexes.delete(part[1]);
+        else if (/^(ADD|DROP) (PRIMARY|UNIQUE|FOREIGN|CONSTRAINT|CHECK)\b/i.test(clause)) continue;
+        else if ((part = /^ADD (?:COLUMN )?(\w+)/i.exec(clause))) table.columns.add(part[1]);
+        else if ((part = /^DROP (?:COLUMN )?(\w+)/i.exec(clause))) table.columns.delete(part[1]);
+        else if ((part = /^RENAME COLUMN (\w+) TO (\w+)/i.exec(clause))) {
+          table.columns.delete(part[1]);
+          table.columns.add(part[2]);
+        }
+      }
+    } else if ((match = /^CREATE (?:UNIQUE )?INDEX (?:IF NOT EXISTS )?(\w+) ON (\w+)/i.exec(statement))) {
+      model[match[2]].indexes.add(match[1]);
+    } else if ((match = /^DROP INDEX (?:IF EXISTS )?(\w+)/i.exec(statement))) {
+      for (const table of Object.values(model)) table.indexes.delete(match[1]);
+    }
+  }
+}
+
+/**
+ * Whether the tables of a database (store.describeSchema()) are those of a
+ * schema model: the same tables, columns and named indexes. Indexes no
+ * migration names (primary keys, inline UNIQUE, foreign keys) are left out
+ */
+function matchesModel(schema, model, named) {
+  const tables = Object.keys(schema);
+  if (tables.length !== Object.keys(model).length) return false;
+
+  return tables.every(name => {
+    const expected = model[name];
+    const { columns, indexes } = schema[name];
+    const namedIndexes = indexes.filter(index => named.has(index));
+    return expected &&
+      columns.length === expected.columns.size &&
+      columns.every(column => expected.columns.has(column)) &&
+      namedIndexes.length === expected.indexes.size &&
+      namedIndexes.every(index => expected.indexes.has(index));
+  });
+}
+
+/**
+ * Version of a database that has tables but no schema_version (created from
+ * an old schema.sql): the first version whose tables it matches, or null
+ * Versions that look the same (003 only changes a column) resolve to the
+ * earliest, so the later ones run again; such migrations are safe to repeat
+ */
+async function findLegacyVersion(store, migrations) {
+  const schema = await store.describeSchema();
+  const model = {};
+  const models = migrations.map(migration => {
+    applyToModel(model, fs.readFileSync(migration.up, 'utf8'));
+    return { version: migration.version, model: structuredClone(model) };
+  });
+  const named = new Set(models.flatMap(({ model }) => Object.values(model).flatMap(table => [...table.indexes])));
+
+  const match = models.find(({ model }) => matchesModel(schema, model, named));
+  return match ? match.version : null;
+}
+
+/**
+ * Schema state of the store's database:
+ * { version, latest, pending: [migration], applied: [{ version, name, applied_at }], legacy }
+ * legacy = tables exist but no schema_version (created from an old schema.sql)
+ */
+export async function getSchemaStatus(store) {
+  const migrations = listMigrations();
+  const applied = await store.getSchemaVersions();
+  const legacy = applied === null && Object.keys(await store.describeSchema()).length > 0;
+  const version = applied && applied.length > 0 ? applied[applied.length - 1].version : 0;
+
+  return {
+    version,
+    latest: migrations.length,
+    pending: migrations.filter(migration => migration.version > version),
+    applied: applied || [],
+    legacy
+  };
+}
+
+/**
+ * Refuse to run against a schema older than this backend (startup check)
+ */
+export async function checkSchema(store) {
+  const status = await getSchemaStatus(store);
+
+  if (status.legacy) {
+    throw new Error('Database has no schema_version table (created from schema.sql?): run `npm run migrate` to adopt it');
+  }
+  if (status.pending.length > 0) {
+    throw new Error(
+      `Database schema is at version ${status.version}, this backend needs version ${status.latest}: run \`npm run migrate\``
+    );
+  }
+  if (status.version > status.latest) {
+    console.warn(`⚠️  Database schema version ${status.version} is newer than this backend (${status.latest})`);
+  }
+  return status;
+}
+
+/**
+ * Apply pending migrations up to a version (default: all)
+ * A database created from an old schema.sql is first recorded at the version
+ * its tables match, then brought up to date like any other; one that matches
+ * no version is refused. Returns the migrations applied
+ */
+export async function migrate(store, { to = Infinity } = {}) {
+  const migrations = listMigrations();
+  let status = await getSchemaStatus(store);
+
+  if (status.legacy) {
+    const version = await findLegacyVersion(store, migrations);
+    if (version === null) {
+      throw new Error(
+        'Database tables do not match any schema version (modified by hand?): ' +
+        'bring them in line with a migration and record it in schema_version'
+      );
+    }
+
+    for (const migration of migrations.slice(0, version)) {
+      await store.recordMigration(migration.version, migration.name);
+    }
+    console.log(`📌 Existing database adopted as version ${version} (${migrations[version - 1].name})`);
+    status = await getSchemaStatus(store);
+  }
+
+  const applied = [];
+  for (const migration of status.pending) {
+    if (migration.version > to) break;
+
+    await store.applyMigration(migration.version, migration.name, fs.readFileSync(migration.up, 'utf8'));
+    console.log(`⬆️  Applied migration ${migration.version}_${migration.name}`);
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+/**
+ * Revert applied migrations down to a version (default: the last one only)
+ * Returns the migrations reverted
+ */
+export async function rollback(store, { to = null } = {}) {
+  const migrations = listMigrations();
+  const status = await getSchemaStatus(store);
+  const target = to ?? Math.max(status.version - 1, 0);
+
+  const reverted = [];
+  for (const migration of [...migrations].reverse()) {
+    if (migration.version > status.version || migration.version <= target) continue;
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} cannot be reverted (no .down.sql file)`);
+    }
+
+    await store.revertMigration(migration.version, fs.readFileSync(migration.down, 'utf8'));
+    console.log(`⬇️  Reverted migration ${migration.version}_${migration.name}`);
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+export default {
+  listMigrations,
+  getSchemaStatus,
+  checkSchema,
+  migrate,
+  rollback
+};
@@ -6,6 +6,12 @@
 import mqtt from 'mqtt';
 import config from './config.js';
 import * as db from './db.js';
+import { normalizeUid } from './rfid.js';
+import * as alerts from './alerts.js';
+import * as commands from './commands.js';
+import * as collections from './collections.js';
+import * as sensorHealth from './sensorHealth.js';
+import { publishEvent } from './events.js';
 
 let client;
 
@@ -29,7 +35,9 @@ export async function initMQTT() {
       const topics = [
         'smartbin/+/data/level',      // Level telemetry (QoS 0)
         'smartbin/+/rfid_check',      // RFID authentication (QoS 1)
-        'smartbin/+/status'           // Device status/LWT (QoS 1)
+        'smartbin/+/status',          // Device status/LWT (QoS 1)
+        'smartbin/+/cmd_ack',         // Command acknowledgements (QoS 1)
+        'smartbin/+/lid'              // Lid openings by the device itself (QoS 1)
       ];
 
       topics.forEach(topic => {
@@ -78,6 +86,21 @@ async function handleMessage(topic, message) {
     const binId = parts[1];
     const messageType = parts[2];
 
+    // Unknown devices are held for admin approval instead of being processed
+    const bin = await db.getBinById(binId);
+    if (!bin) {
+      await db.upsertPendingDevice(binId, topic);
+      console.warn(`🆕 Unknown device ${binId} on ${topic} - added to pending devices`);
+      return;
+    }
+
+    // Status is a plain "online"/"offline" string (LWT), not JSON
+    if (messageType === 'status') {
+      console.log(`📨 Received [${topic}]:`, message.toString());
+      await handleStatusUpdate(binId, message.toString());
+      return;
+    }
+
     // Parse JSON payload
     let payload;
     try {
@@ -93,16 +116,20 @@ async function handleMessage(topic, message) {
     switch (messageType) {
       case 'data':
         if (parts[3] === 'level') {
-          await handleLevelData(binId, payload);
+          await handleLevelData(bin, payload);
         }
         break;
       
       case 'rfid_check':
         await handleRFIDCheck(binId, payload);
         break;
-      
-      case 'status':
-        await handleStatusUpdate(binId, message.toString());
+
+      case 'cmd_ack':
+        await commands.handleAck(binId, payload);
+        break;
+
+      case 'lid':
+        await handleLidEvent(binId, payload);
         break;
       
       default:
@@ -116,7 +143,8 @@ async function handleMessage(topic, message) {
 /**
  * Handle level telemetry data
  */
-async function handleLevelData(binId, payload) {
+async function handleLevelData(bin, payload) {
+  const binId = bin.bin_id;
   const { level, cm, ts } = payload;
 
   if (typeof level !== 'number' || typeof cm !== 'number') {
@@ -124,40 +152,71 @@ async function handleLevelData(binId, payload) {
     return;
   }
 
+  // Drop readings the sensor got wrong; repeated problems flag a sensor fault
+  const health = await sensorHealth.screenReading(bin, payload);
+  await handleSensorFault(binId, health.fault);
+
+  if (!health.accepted) {
+    console.warn(`⚠️  ${binId}: Ignored level reading ${level}% (${cm}cm): ${health.anomaly}`);
+    return;
+  }
+
   // Update database
   await db.updateBinLevel(binId, level, cm);
-  
-  // Log event (only log significant changes to avoid spam)
-  if (level >= 80) {
-    await db.logEvent(binId, 'level_update', {
+  await db.insertTelemetry(binId, level, cm);
+
+  // A sustained large drop means the bin was emptied
+  await collections.checkForCollection(binId, { fullPercent: bin.critical_percent });
+
+  // Full (critical level): open one alert per fill cycle (repeats only bump the occurrence count);
+  // below the warning level the bin counts as emptied
+  if (level >= bin.critical_percent) {
+    const { alert, created } = await alerts.raiseAlert(binId, 'full_warning', {
       levelPercent: level,
-      distanceCm: cm,
-      message: 'Bin is nearly full!'
+      message: `Bin ${binId} is ${level}% full`
     });
 
-    // Send alert
-    publishAlert(binId, {
-      type: 'full_warning',
-      level: level,
-      message: `Bin ${binId} is ${level}% full`,
-      ts: new Date().toISOString()
-    });
+    if (created) publishAlertState(alert);
+  } else if (level < bin.warning_percent) {
+    const resolved = await alerts.resolveCondition(binId, 'full_warning', 'bin_emptied');
+    if (resolved) publishAlertState(resolved);
   }
 
+  publishEvent('level', { bin_id: binId, level, cm, ts: new Date().toISOString() });
+
   console.log(`📊 ${binId}: Level ${level}% (${cm}cm) at ${ts}`);
 }
 
+/**
+ * Open or resolve the sensor_fault alert when the bin's fault flag changes
+ */
+async function handleSensorFault(binId, fault) {
+  if (!fault) return;
+
+  if (fault.raised) {
+    const { alert, created } = await alerts.raiseAlert(binId, 'sensor_fault', {
+      message: `Level sensor fault on ${binId}: ${fault.raised.split('_').join(' ')}`
+    });
+    console.warn(`🛠️  ${binId}: Level sensor fault (${fault.raised})`);
+    if (created) publishAlertState(alert);
+  } else {
+    const resolved = await alerts.resolveCondition(binId, 'sensor_fault', 'sensor_recovered');
+    console.log(`🛠️  ${binId}: Level sensor recovered (was ${fault.cleared})`);
+    if (resolved) publishAlertState(resolved);
+  }
+}
+
 /**
  * Handle RFID check request
  */
 async function handleRFIDCheck(binId, payload) {
-  const { uid, ts } = payload;
-
-  if (!uid) {
+  if (!payload.uid) {
     console.warn('⚠️  No UID in RFID check');
     return;
   }
 
+  const uid = normalizeUid(payload.uid);
+
   console.log(`🔐 RFID check for ${binId}: UID=${uid}`);
 
   // Check bin configuration
@@ -181,12 +240,18 @@ async function handleRFIDCheck(binId, payload) {
       message: `Access granted for ${user.name}`
     });
 
+    publishEvent('rfid', {
+      bin_id: binId,
+      uid,
+      user_name: user.name,
+      success: true,
+      ts: new Date().toISOString()
+    });
+
     // Send open command to device
-    publishCommand(binId, {
-      action: 'open',
+    await sendCommand(bin, 'open', {
       reason: 'rfid_authorized',
-      user: user.name,
-      ts: new Date().toISOString()
+      requestedBy: user.name
     });
 
   } else {
@@ -199,16 +264,39 @@ async function handleRFIDCheck(binId, payload) {
       message: 'Access denied: Unknown RFID'
     });
 
-    // Send alert
-    publishAlert(binId, {
-      type: 'unauthorized_access',
-      uid: uid,
-      message: `Unauthorized RFID attempt: ${uid}`,
+    publishEvent('rfid', {
+      bin_id: binId,
+      uid,
+      user_name: null,
+      success: false,
       ts: new Date().toISOString()
     });
+
+    // Open alert (repeated attempts while active only bump the count)
+    const { alert, created } = await alerts.raiseAlert(binId, 'unauthorized_access', {
+      message: `Unauthorized RFID attempt: ${uid}`
+    });
+    if (created) publishAlertState(alert);
   }
 }
 
+/**
+ * Handle a lid opening the device did on its own (proximity in AUTO mode)
+ * Command openings are logged from their acks, so only these need logging here
+ */
+async function handleLidEvent(binId, payload) {
+  if (payload.action !== 'open' || payload.reason !== 'proximity_trigger') {
+    console.warn(`⚠️  Unexpected lid event from ${binId}:`, payload);
+    return;
+  }
+
+  await db.logEvent(binId, 'lid_open', {
+    source: 'proximity',
+    success: true,
+    message: 'Lid opened by proximity'
+  });
+}
+
 /**
  * Handle device status updates (LWT)
  */
@@ -216,6 +304,7 @@ async function handleStatusUpdate(binId, status) {
   const isOnline = status === 'online';
   
   await db.updateBinStatus(binId, isOnline);
+  publishEvent('status', { bin_id: binId, is_online: isOnline, ts: new Date().toISOString() });
   
   console.log(`📡 ${binId} is now ${status}`);
   
@@ -223,6 +312,35 @@ async function handleStatusUpdate(binId, status) {
     message: `Device ${isOnline ? 'connected' : 'disconnected'}`,
     success: isOnline
   });
+
+  if (isOnline) {
+    const resolved = await alerts.resolveCondition(binId, 'offline', 'device_online');
+    if (resolved) publishAlertState(resolved);
+  } else {
+    const { alert, created } = await alerts.raiseAlert(binId, 'offline', {
+      message: `Bin ${binId} went offline`
+    });
+    if (created) publishAlertState(alert);
+  }
+}
+
+/**
+ * Send a tracked command (open/close) to a device
+ * Returns the command record; its status changes when the device acks or it times out
+ */
+export async function sendCommand(bin, action, { reason, requestedBy = null }) {
+  const command = await commands.createCommand(bin, action, { reason, requestedBy });
+  if (command.status !== 'pending') return command;
+
+  publishCommand(bin.bin_id, {
+    command_id: command.id,
+    action,
+    reason,
+    user: requestedBy,
+    ts: new Date().toISOString()
+  });
+
+  return command;
 }
 
 /**
@@ -235,6 +353,10 @@ export function publishCommand(binId, command) {
   client.publish(topic, payload, { qos: 1 }, (err) => {
     if (err) {
       console.error(`❌ Failed to publish command to ${topic}:`, err.message);
+      if (command.command_id) {
+        commands.failCommand(command.command_id, `Publish failed: ${err.message}`)
+          .catch(error => console.error('❌ Error failing command:', error.message));
+      }
     } else {
       console.log(`📤 Published command to ${topic}:`, command);
     }
@@ -257,6 +379,24 @@ export function publishAlert(binId, alert) {
   });
 }
 
+/**
+ * Publish an alert row (opened, acknowledged or resolved) on the alert topic
+ * and to dashboard streams
+ */
+export function publishAlertState(alert) {
+  const payload = {
+    alert_id: alert.id,
+    type: alert.type,
+    state: alert.state,
+    level: alert.level_percent,
+    message: alert.message,
+    ts: new Date().toISOString()
+  };
+
+  publishAlert(alert.bin_id, payload);
+  publishEvent('alert', { bin_id: alert.bin_id, ...payload });
+}
+
 /**
  * Publish configuration update to device
  */
@@ -278,6 +418,22 @@ export function publishConfig(binId, config) {
   });
 }
 
+/**
+ * Clear retained configuration for a removed bin
+ */
+export function clearConfig(binId) {
+  const topic = `smartbin/${binId}/config`;
+
+  // An empty retained message deletes the retained config on the broker
+  client.publish(topic, '', { qos: 1, retain: true }, (err) => {
+    if (err) {
+      console.error(`❌ Failed to clear config on ${topic}:`, err.message);
+    } else {
+      console.log(`🧹 Cleared retained config on ${topic}`);
+    }
+  });
+}
+
 /**
  * Close MQTT connection
  */
@@ -290,8 +446,11 @@ export function closeMQTT() {
 
 export default {
   initMQTT,
+  sendCommand,
   publishCommand,
   publishAlert,
+  publishAlertState,
   publishConfig,
+  clearConfig,
   closeMQTT
 };
@@ -0,0 +1,362 @@
+/**
+ * Alert notifications
+ * Sends active alerts to operator subscriptions (email over SMTP or webhook),
+ * honours quiet hours and escalates alerts left unacknowledged
+ */
+
+import dns from 'dns/promises';
+import net from 'net';
+import nodemailer from 'nodemailer';
+import config from './config.js';
+import * as db from './db.js';
+import { canAccessBin } from './permissions.js';
+import { parseTimeOfDay } from './timeOfDay.js';
+
+export const CHANNELS = ['email', 'webhook'];
+
+// Failed sends are retried on later runs up to this many attempts per stage
+const MAX_ATTEMPTS = 3;
+
+// Addresses webhooks may not reach (unless the host is in WEBHOOK_ALLOWED_HOSTS):
+// this machine, private networks, link-local (cloud metadata), carrier-grade
+// NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let timer = null;
+let running = null;
+let rerun = false;
+
+/**
+ * Check if a subscription is in its quiet hours at the given time (server local time)
+ * A window whose end is before its start runs overnight, e.g. 22:00-07:00
+ */
+export function isQuietTime(subscription, date = new Date()) {
+  const start = parseTimeOfDay(subscription.quiet_start);
+  const end = parseTimeOfDay(subscription.quiet_end);
+  if (start === null || end === null || start === end) return false;
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Check if a subscription wants an alert: bin list, alert types and operator scopes
+ */
+export function matchesSubscription(subscription, alert, bin, scopes = []) {
+  if (subscription.bin_ids && !subscription.bin_ids.includes(alert.bin_id)) return false;
+  if (subscription.alert_types && !subscription.alert_types.includes(alert.type)) return false;
+  return canAccessBin(scopes, bin || { bin_id: alert.bin_id });
+}
+
+/**
+ * Decide which notifications are due
+ * - initial: alert is open and the subscriber is outside quiet hours
+ *   (alerts raised during quiet hours are sent when they end, if still open)
+ * - escalation: alert is still open N minutes after it was raised; goes to the
+ *   escalation contact regardless of quiet hours
+ * Each stage is sent once per alert and subscription; failures are retried
+ * up to MAX_ATTEMPTS times
+ *
+ * @param {Object} input
+ * @param {Array} input.alerts - Active alerts
+ * @param {Array} input.subscriptions - Active subscriptions
+ * @param {Array} input.deliveries - Earlier delivery attempts for these alerts
+ * @param {Object} input.bins - Bin rows by bin_id
+ * @param {Object} input.scopes - Operator scopes by operator_id
+ * @param {Date} input.now
+ * @returns {Array<{ alert, subscription, stage, target }>}
+ */
+export function planDeliveries({ alerts, subscriptions, deliveries = [], bins = {}, scopes = {}, now = new Date() }) {
+  const planned = [];
+
+  const attempts = (alertId, subscriptionId, stage) => {
+    const previous = deliveries.filter(delivery =>
+      delivery.alert_id === alertId &&
+      delivery.subscription_id === subscriptionId &&
+      delivery.stage === stage
+    );
+    return {
+      sent: previous.some(delivery => delivery.status === 'sent'),
+      failed: previous.filter(delivery => delivery.status === 'failed').length
+    };
+  };
+
+  for (const alert of alerts) {
+    if (alert.state !== 'open') continue;
+
+    for (const subscription of subscriptions) {
+      const bin = bins[alert.bin_id];
+      if (!matchesSubscription(subscription, alert, bin, scopes[subscription.operator_id])) continue;
+
+      const initial = attempts(alert.id, subscription.id, 'initial');
+      if (!initial.sent && initial.failed < MAX_ATTEMPTS && !isQuietTime(subscription, now)) {
+        planned.push({ alert, subscription, stage: 'initial', target: subscription.target });
+      }
+
+      if (subscription.escalation_target && subscription.escalate_after_minutes) {
+        const openMinutes = (now - new Date(alert.opened_at)) / 60000;
+        const escalation = attempts(alert.id, subscription.id, 'escalation');
+
+        if (openMinutes >= subscription.escalate_after_minutes &&
+            !escalation.sent && escalation.failed < MAX_ATTEMPTS) {
+          planned.push({ alert, subscription, stage: 'escalation', target: subscription.escalation_target });
+        }
+      }
+    }
+  }
+
+  return planned;
+}
+
+/**
+ * Build subject, text and webhook payload for an alert notification
+ */
+export function formatNotification(alert, stage, subscription = {}) {
+  const typeLabel = alert.type.split('_').join(' ');
+  const escalated = stage === 'escalation';
+
+  const subject = escalated
+    ? `[Smart Bin] ESCALATION: ${typeLabel} on ${alert.bin_id} not acknowledged`
+    : `[Smart Bin] ${typeLabel} on ${alert.bin_id}`;
+
+  const lines = [
+    alert.message || `${typeLabel} on ${alert.bin_id}`,
+    '',
+    `Bin: ${alert.bin_id}`,
+    `Type: ${alert.type}`,
+    `Opened: ${new Date(alert.opened_at).toISOString()}`,
+    `Alert ID: ${alert.id}`
+  ];
+  if (escalated) {
+    lines.push('', `Still unacknowledged after ${subscription.escalate_after_minutes} minutes.`);
+  }
+
+  return {
+    subject,
+    text: lines.join('\n'),
+    payload: {
+      event: escalated ? 'alert.escalated' : 'alert.opened',
+      alert: {
+        id: alert.id,
+        bin_id: alert.bin_id,
+        type: alert.type,
+        state: alert.state,
+        message: alert.message,
+        level_percent: alert.level_percent,
+        occurrences: alert.occurrences,
+        opened_at: alert.opened_at
+      }
+    }
+  };
+}
+
+/**
+ * Send an email through the configured SMTP server
+ */
+async function sendEmail(to, notification) {
+  if (!config.smtp.host) {
+    throw new Error('SMTP is not configured (SMTP_HOST)');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+  });
+
+  await transporter.sendMail({
+    from: config.smtp.from,
+    to,
+    subject: notification.subject,
+    text: notification.text
+  });
+}
+
+/**
+ * Check if an IP address is in a range webhooks may not reach
+ */
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that a webhook URL points outside this machine and private networks
+ * Hosts in WEBHOOK_ALLOWED_HOSTS are allowed as they are; any other host must
+ * resolve to public addresses only. Returns an error message or null
+ */
+export async function checkWebhookTarget(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (config.notifications.webhookAllowedHosts.includes(host)) return null;
+
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.lookup(host, { all: true })).map(result => result.address);
+    } catch (e) {
+      return `Webhook host ${host} cannot be resolved`;
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    return `Webhook host ${host} is on a local or private network (allow it with WEBHOOK_ALLOWED_HOSTS)`;
+  }
+  return null;
+}
+
+/**
+ * POST the notification payload as JSON to a webhook URL
+ * The target is checked again on every send (its DNS may have changed) and
+ * redirects are refused, so neither can lead to an internal address
+ */
+async function sendWebhook(url, notification) {
+  const targetError = await checkWebhookTarget(url);
+  if (targetError) {
+    throw new Error(targetError);
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(notification.payload),
+    redirect: 'error',
+    signal: AbortSignal.timeout(config.notifications.webhookTimeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded ${response.status}`);
+  }
+}
+
+/**
+ * Send a notification over a channel
+ */
+export async function send(channel, target, notification) {
+  if (channel === 'email') return sendEmail(target, notification);
+  if (channel === 'webhook') return sendWebhook(target, notification);
+  throw new Error(`Unknown channel: ${channel}`);
+}
+
+/**
+ * Send one planned notification and record the attempt
+ */
+async function deliver({ alert, subscription, stage, target }) {
+  const notification = formatNotification(alert, stage, subscription);
+  let error = null;
+
+  try {
+    await send(subscription.channel, target, notification);
+    console.log(`📨 ${stage} ${subscription.channel} notification for alert #${alert.id} sent to ${target}`);
+  } catch (e) {
+    error = e.message;
+    console.error(`❌ ${stage} ${subscription.channel} notification for alert #${alert.id} to ${target} failed:`, error);
+  }
+
+  await db.recordDelivery({
+    alertId: alert.id,
+    subscriptionId: subscription.id,
+    stage,
+    channel: subscription.channel,
+    target,
+    status: error ? 'failed' : 'sent',
+    error
+  });
+}
+
+/**
+ * Check all open alerts and send due notifications
+ */
+async function runOnce(now) {
+  const alerts = await db.getAlerts({ states: ['open'], limit: 1000 });
+  if (alerts.length === 0) return;
+
+  const subscriptions = await db.getActiveSubscriptions();
+  if (subscriptions.length === 0) return;
+
+  const bins = {};
+  for (const bin of await db.getAllBins()) {
+    bins[bin.bin_id] = bin;
+  }
+
+  const scopes = {};
+  for (const operatorId of new Set(subscriptions.map(sub => sub.operator_id))) {
+    scopes[operatorId] = await db.getOperatorScopes(operatorId);
+  }
+
+  const deliveries = await db.getDeliveries(alerts.map(alert => alert.id));
+
+  for (const planned of planDeliveries({ alerts, subscriptions, deliveries, bins, scopes, now })) {
+    await deliver(planned);
+  }
+}
+
+/**
+ * Process notifications now (called when an alert opens and on every tick)
+ * Calls made while a run is in progress trigger one more run afterwards
+ */
+export function processAlerts() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    try {
+      do {
+        rerun = false;
+        await runOnce(new Date());
+      } while (rerun);
+    } catch (error) {
+      console.error('❌ Notification processing error:', error.message);
+    } finally {
+      running = null;
+    }
+  })();
+
+  return running;
+}
+
+/**
+ * Start periodic processing (quiet hours ending, escalations, retries)
+ */
+export function startNotifier() {
+  if (timer) return;
+  timer = setInterval(processAlerts, config.notifications.intervalSeconds * 1000);
+  console.log(`📨 Notifier checking alerts every ${config.notifications.intervalSeconds}s`);
+}
+
+/**
+ * Stop periodic processing
+ */
+export function stopNotifier() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+export default {
+  CHANNELS,
+  isQuietTime,
+  matchesSubscription,
+  planDeliveries,
+  formatNotification,
+  checkWebhookTarget,
+  send,
+  processAlerts,
+  startNotifier,
+  stopNotifier
+};
@@ -0,0 +1,77 @@
+/**
+ * Role-based permissions and per-bin access scopes for operators
+ */
+
+export const ROLES = ['admin', 'operator', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    'bins:read',
+    'logs:read',
+    'alerts:read',
+    'alerts:manage',
+    'bins:command',
+    'bins:configure',
+    'bins:manage',
+    'users:read',
+    'users:manage',
+    'operators:manage'
+  ],
+  operator: [
+    'bins:read',
+    'logs:read',
+    'alerts:read',
+    'alerts:manage',
+    'bins:command',
+    'bins:configure',
+    'users:read'
+  ],
+  viewer: [
+    'bins:read',
+    'logs:read',
+    'alerts:read'
+  ]
+};
+
+export const SCOPE_TYPES = ['bin', 'location'];
+
+/**
+ * Permissions granted to a role
+ */
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check if a role grants a permission
+ */
+export function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/**
+ * Check if an operator's scopes cover a bin
+ * No scopes means access to every bin; a location scope matches by prefix
+ * (e.g. "Building B" covers "Building B - Cafeteria")
+ */
+export function canAccessBin(scopes, bin) {
+  if (!scopes || scopes.length === 0) return true;
+
+  return scopes.some(scope => {
+    if (scope.scope_type === 'bin') {
+      return scope.scope_value === bin.bin_id;
+    }
+    if (scope.scope_type === 'location') {
+      return Boolean(bin.location) && bin.location.startsWith(scope.scope_value);
+    }
+    return false;
+  });
+}
+
+export default {
+  ROLES,
+  SCOPE_TYPES,
+  permissionsFor,
+  hasPermission,
+  canAccessBin
+};
@@ -0,0 +1,110 @@
+/**
+ * Time-to-full prediction
+ * Estimates fill rate from recent telemetry and projects when a bin hits the critical level
+ */
+
+import * as db from './db.js';
+import { DROP_PERCENT } from './collections.js';
+
+// How far back to look for readings
+const WINDOW_HOURS = 24;
+
+// Readings are fitted per bucket of this size, so a bin costs at most 288 rows
+const BUCKET_MINUTES = 5;
+
+// Minimum data needed before we trust a fit
+const MIN_READINGS = 5;
+const MIN_SPAN_HOURS = 10 / 60;
+
+// Below this rate (%/h) the bin is treated as not filling
+const MIN_FILL_RATE = 0.1;
+
+/**
+ * Estimate fill rate and time-to-full from readings
+ * readings: [{ level_percent, recorded_at }] in ascending time order
+ * Returns { predicted_full_at, prediction_confidence, fill_rate_per_hour }
+ */
+export function estimateFill(readings, criticalPercent, now = new Date()) {
+  const empty = { predicted_full_at: null, prediction_confidence: 0, fill_rate_per_hour: null };
+
+  // Only use readings since the last emptying
+  let start = 0;
+  for (let i = 1; i < readings.length; i++) {
+    if (readings[i - 1].level_percent - readings[i].level_percent >= DROP_PERCENT) {
+      start = i;
+    }
+  }
+  const segment = readings.slice(start);
+
+  if (segment.length < MIN_READINGS) return empty;
+
+  const t0 = new Date(segment[0].recorded_at).getTime();
+  const xs = segment.map(r => (new Date(r.recorded_at).getTime() - t0) / 3600000);
+  const ys = segment.map(r => Number(r.level_percent));
+  const spanHours = xs[xs.length - 1];
+
+  if (spanHours < MIN_SPAN_HOURS) return empty;
+
+  // Least squares fit: level = intercept + slope * hours
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const rSquared = syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+
+  const fillRate = Math.round(slope * 100) / 100;
+  if (slope < MIN_FILL_RATE) {
+    return { ...empty, fill_rate_per_hour: fillRate };
+  }
+
+  // Project from the fitted level at "now"
+  const nowHours = (now.getTime() - t0) / 3600000;
+  const fittedNow = intercept + slope * nowHours;
+  const hoursToFull = Math.max(0, (criticalPercent - fittedNow) / slope);
+
+  // Confidence grows with fit quality, number of readings and time covered
+  const confidence = rSquared * Math.min(1, n / 30) * Math.min(1, spanHours / 2);
+
+  return {
+    predicted_full_at: new Date(now.getTime() + hoursToFull * 3600000).toISOString(),
+    prediction_confidence: Math.round(confidence * 100) / 100,
+    fill_rate_per_hour: fillRate
+  };
+}
+
+/**
+ * Add prediction fields to a bin row (projected to the bin's critical level)
+ */
+export async function withPrediction(bin) {
+  if (bin.current_level_percent >= bin.critical_percent) {
+    return { ...bin, predicted_full_at: null, prediction_confidence: 0, fill_rate_per_hour: null };
+  }
+
+  const now = new Date();
+  const since = new Date(now.getTime() - WINDOW_HOURS * 3600000);
+  const buckets = await db.getTelemetryHistory(bin.bin_id, since, now, BUCKET_MINUTES * 60);
+
+  // The lowest level stands for its bucket: a bucket the bin was emptied in
+  // then already reads as emptied, so the drop before it starts the fit
+  const readings = buckets.map(bucket => ({
+    level_percent: Number(bucket.min_level),
+    recorded_at: bucket.bucket_start
+  }));
+
+  return { ...bin, ...estimateFill(readings, bin.critical_percent, now) };
+}
+
+export default {
+  estimateFill,
+  withPrediction
+};
@@ -0,0 +1,183 @@
+/**
+ * Usage and operations reports
+ * Lid openings (proximity, RFID, manual), RFID scans and collections are rolled
+ * up per bin and hour (RFID scans also per card and day) by a periodic job, so
+ * reports over months read a few thousand rows instead of every log
+ */
+
+import config from './config.js';
+import * as db from './db.js';
+
+export const REPORT_PERIODS = ['day', 'week', 'month'];
+
+// Default report range per period, in days
+export const DEFAULT_RANGE_DAYS = { day: 30, week: 84, month: 365 };
+
+// Collections are confirmed a few readings after they happen, so each rollup
+// also redoes the hour before the newest rolled-up one
+const ROLLUP_OVERLAP_MS = 3600000;
+
+// First rollup: everything (TIMESTAMP columns start at 1970-01-01 00:00:01 UTC)
+const ROLLUP_EPOCH = new Date(86400000);
+
+let timer = null;
+let running = null;
+let rerun = false;
+let lastRollupAt = null;
+
+/**
+ * When the last rollup finished (null until the first one)
+ */
+export function getLastRollupAt() {
+  return lastRollupAt;
+}
+
+/**
+ * Roll up everything logged since the newest rolled-up hour (minus the overlap)
+ */
+async function runOnce() {
+  const newest = await db.getUsageRollupStart();
+  const since = newest ? new Date(new Date(newest).getTime() - ROLLUP_OVERLAP_MS) : ROLLUP_EPOCH;
+
+  await db.rollUpLogUsage(since);
+  await db.rollUpCollectionUsage(since);
+  await db.rollUpRfidUsage(since);
+  lastRollupAt = new Date();
+}
+
+/**
+ * Bring the usage tables up to date
+ * Calls made while a rollup is in progress trigger one more rollup afterwards
+ */
+export function rollUp() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    try {
+      do {
+        rerun = false;
+        await runOnce();
+      } while (rerun);
+    } catch (error) {
+      console.error('❌ Usage rollup error:', error.message);
+    } finally {
+      running = null;
+    }
+  })();
+
+  return running;
+}
+
+/**
+ * Roll up now and then periodically
+ */
+export function startReports() {
+  if (timer) return;
+  rollUp();
+  timer = setInterval(rollUp, config.reports.rollupMinutes * 60000);
+  console.log(`📈 Usage rollup every ${config.reports.rollupMinutes} min`);
+}
+
+/**
+ * Stop periodic rollups
+ */
+export function stopReports() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+// Counts in usage rows that add up across bins and periods
+const USAGE_COUNTS = [
+  'opens_proximity', 'opens_rfid', 'opens_manual', 'rfid_granted', 'rfid_denied',
+  'collections', 'collection_gap_seconds', 'collection_gaps'
+];
+
+/**
+ * Add up usage rows by a key (e.g. period_start or bin_id)
+ */
+function sumBy(rows, key) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], { [key]: row[key] });
+
+    const group = groups.get(row[key]);
+    for (const count of USAGE_COUNTS) group[count] = (group[count] || 0) + row[count];
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Usage counts with total openings and the average hours between collections
+ * (null without two collections to measure between)
+ */
+function withTotals({ collection_gap_seconds: gapSeconds, collection_gaps: gaps, ...row }) {
+  return {
+    ...row,
+    opens_total: row.opens_proximity + row.opens_rfid + row.opens_manual,
+    avg_hours_between_collections: gaps > 0 ? Math.round(gapSeconds / gaps / 360) / 10 : null
+  };
+}
+
+/**
+ * Usage report from per-bin, per-period rows:
+ * { periods (all bins per period), bins (all periods per bin), rows }
+ */
+export function usageReport(rows) {
+  return {
+    periods: sumBy(rows, 'period_start').map(withTotals),
+    bins: sumBy(rows, 'bin_id').map(withTotals).sort((a, b) => a.bin_id.localeCompare(b.bin_id)),
+    rows: rows.map(withTotals)
+  };
+}
+
+/**
+ * RFID report from per-card, per-period rows:
+ * { users (range totals per card, most scans first), rows }
+ */
+export function rfidReport(rows) {
+  const users = new Map();
+
+  for (const row of rows) {
+    if (!users.has(row.rfid_uid)) {
+      users.set(row.rfid_uid, { rfid_uid: row.rfid_uid, user_name: null, granted: 0, denied: 0 });
+    }
+    const user = users.get(row.rfid_uid);
+    user.user_name = user.user_name || row.user_name;
+    user.granted += row.granted;
+    user.denied += row.denied;
+  }
+
+  return {
+    users: [...users.values()].sort((a, b) => (b.granted + b.denied) - (a.granted + a.denied)),
+    rows
+  };
+}
+
+/**
+ * Weekday (0 = Sunday) x hour grid of openings from { weekday, hour, opens } rows
+ */
+export function heatmap(rows) {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const row of rows) grid[row.weekday][row.hour] = row.opens;
+
+  return { grid, max: Math.max(0, ...grid.flat()) };
+}
+
+export default {
+  REPORT_PERIODS,
+  DEFAULT_RANGE_DAYS,
+  getLastRollupAt,
+  rollUp,
+  startReports,
+  stopReports,
+  usageReport,
+  rfidReport,
+  heatmap
+};
@@ -0,0 +1,31 @@
+/**
+ * RFID UID helpers
+ * UIDs are stored in one normalized form: uppercase hex without separators
+ * e.g. "43 e8 2b 16" and "43:E8:2B:16" both become "43E82B16"
+ */
+
+// MIFARE UIDs are single (4), double (7) or triple (10) size
+const UID_BYTE_LENGTHS = [4, 7, 10];
+
+/**
+ * Normalize a UID: strip spaces, colons and dashes, uppercase
+ */
+export function normalizeUid(uid) {
+  return String(uid).replace(/[\s:-]/g, '').toUpperCase();
+}
+
+/**
+ * Check that a UID is hex with a valid MIFARE length
+ */
+export function isValidUid(uid) {
+  if (uid === null || uid === undefined) return false;
+
+  const normalized = normalizeUid(uid);
+  return /^[0-9A-F]+$/.test(normalized) &&
+    UID_BYTE_LENGTHS.includes(normalized.length / 2);
+}
+
+export default {
+  normalizeUid,
+  isValidUid
+};
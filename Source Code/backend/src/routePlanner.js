@@ -0,0 +1,193 @@
+/**
+ * Collection route planning
+ * Picks bins that are full (or will be by the end of the shift) and orders them
+ * into a round trip from the depot: nearest neighbour, then 2-opt improvement.
+ * Distances are straight-line (great-circle) kilometres between coordinates
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Stop improving once a 2-opt pass gains less than this (km)
+const MIN_IMPROVEMENT_KM = 1e-9;
+
+/**
+ * Parse "lat,lng" into { latitude, longitude }, or null if invalid
+ */
+export function parseCoordinates(value) {
+  const parts = String(value || '').split(',').map(part => part.trim());
+  if (parts.length !== 2 || parts.some(part => part === '')) return null;
+
+  const latitude = Number(parts[0]);
+  const longitude = Number(parts[1]);
+  if (!isValidCoordinate(latitude, longitude)) return null;
+
+  return { latitude, longitude };
+}
+
+/**
+ * Check a latitude/longitude pair is in range
+ */
+export function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 &&
+    longitude >= -180 && longitude <= 180;
+}
+
+/**
+ * Straight-line distance between two points in km (haversine)
+ */
+export function distanceKm(a, b) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Split bins into those due for collection (with coordinates) and due bins
+ * that cannot be routed because they have no coordinates
+ * A bin is due if it is at or above minLevel (null: the bin's own critical level),
+ * or predicted to reach full by `until`
+ */
+export function selectBins(bins, { minLevel, until }) {
+  const due = [];
+  const unlocated = [];
+
+  for (const bin of bins) {
+    let reason = null;
+    if (bin.current_level_percent >= (minLevel ?? bin.critical_percent)) {
+      reason = 'level';
+    } else if (bin.predicted_full_at && new Date(bin.predicted_full_at) <= until) {
+      reason = 'predicted';
+    }
+    if (!reason) continue;
+
+    const latitude = bin.latitude === null || bin.latitude === undefined ? NaN : Number(bin.latitude);
+    const longitude = bin.longitude === null || bin.longitude === undefined ? NaN : Number(bin.longitude);
+
+    if (isValidCoordinate(latitude, longitude)) {
+      due.push({ ...bin, latitude, longitude, reason });
+    } else {
+      unlocated.push({ ...bin, reason });
+    }
+  }
+
+  return { due, unlocated };
+}
+
+/**
+ * Distance matrix over [depot, ...points]
+ */
+function buildMatrix(depot, points) {
+  const all = [depot, ...points];
+  return all.map(a => all.map(b => distanceKm(a, b)));
+}
+
+/**
+ * Length of the round trip depot -> order -> depot (order holds matrix indices, depot = 0)
+ */
+function tourLength(matrix, order) {
+  let total = 0;
+  let previous = 0;
+  for (const index of order) {
+    total += matrix[previous][index];
+    previous = index;
+  }
+  return total + matrix[previous][0];
+}
+
+/**
+ * Greedy tour: always drive to the closest unvisited point
+ */
+function nearestNeighbour(matrix) {
+  const remaining = new Set(matrix.map((_, index) => index).slice(1));
+  const order = [];
+  let current = 0;
+
+  while (remaining.size > 0) {
+    let best = null;
+    for (const index of remaining) {
+      if (best === null || matrix[current][index] < matrix[current][best]) {
+        best = index;
+      }
+    }
+    order.push(best);
+    remaining.delete(best);
+    current = best;
+  }
+
+  return order;
+}
+
+/**
+ * 2-opt: reverse segments while that shortens the tour (removes crossings)
+ */
+function twoOpt(matrix, order) {
+  const tour = [0, ...order, 0];
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < tour.length - 2; i++) {
+      for (let k = i + 1; k < tour.length - 1; k++) {
+        const before = matrix[tour[i - 1]][tour[i]] + matrix[tour[k]][tour[k + 1]];
+        const after = matrix[tour[i - 1]][tour[k]] + matrix[tour[i]][tour[k + 1]];
+
+        if (before - after > MIN_IMPROVEMENT_KM) {
+          const reversed = tour.slice(i, k + 1).reverse();
+          tour.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return tour.slice(1, -1);
+}
+
+/**
+ * Order points into a round trip from the depot
+ * points: [{ latitude, longitude, ... }]
+ * Returns { stops, total_distance_km, return_distance_km } where each stop has
+ * its sequence number, the leg distance to it and the cumulative distance
+ */
+export function planRoute(depot, points) {
+  const matrix = buildMatrix(depot, points);
+  const order = twoOpt(matrix, nearestNeighbour(matrix));
+
+  const round = km => Math.round(km * 100) / 100;
+  let previous = 0;
+  let cumulative = 0;
+
+  const stops = order.map((index, position) => {
+    const leg = matrix[previous][index];
+    cumulative += leg;
+    previous = index;
+    return {
+      sequence: position + 1,
+      ...points[index - 1],
+      leg_distance_km: round(leg),
+      cumulative_distance_km: round(cumulative)
+    };
+  });
+
+  const back = points.length > 0 ? matrix[previous][0] : 0;
+
+  return {
+    stops,
+    return_distance_km: round(back),
+    total_distance_km: round(tourLength(matrix, order))
+  };
+}
+
+export default {
+  parseCoordinates,
+  isValidCoordinate,
+  distanceKm,
+  selectBins,
+  planRoute
+};
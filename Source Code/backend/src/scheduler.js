@@ -0,0 +1,229 @@
+/**
+ * Bin schedules
+ * Applies recurring mode/threshold changes (e.g. AUTH from 22:00 to 06:00) to
+ * bins through the normal config path. What is in effect is stored on the bin
+ * (schedule_ids and the base settings to restore), so every run - including the
+ * first one after a restart - only has to compare it with what should be in effect
+ */
+
+import config from './config.js';
+import * as db from './db.js';
+import * as mqttClient from './mqttClient.js';
+import { publishEvent } from './events.js';
+import { parseTimeOfDay } from './timeOfDay.js';
+
+// Settings a schedule can change
+export const SCHEDULED_FIELDS = ['mode', 'threshold_cm'];
+
+let timer = null;
+let running = null;
+let rerun = false;
+
+/**
+ * Check if a schedule covers a bin: listed bin IDs, a location prefix
+ * (e.g. "Building B" covers "Building B - Cafeteria") or all bins
+ */
+export function appliesToBin(schedule, bin) {
+  if (schedule.bin_ids) return schedule.bin_ids.includes(bin.bin_id);
+  if (schedule.location) return Boolean(bin.location) && bin.location.startsWith(schedule.location);
+  return true;
+}
+
+/**
+ * Check if a schedule's window is open at the given time (server local time)
+ * Days are the weekdays a window starts on; a window whose end is before its
+ * start runs overnight, so Friday 22:00-06:00 is still open on Saturday 03:00
+ */
+export function isScheduleActive(schedule, date = new Date()) {
+  const onDay = (day) => !schedule.days || schedule.days.includes(day);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  const start = parseTimeOfDay(schedule.start_time);
+  const end = parseTimeOfDay(schedule.end_time);
+  if (start === null || end === null || start === end) return onDay(today);
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  if (start < end) return onDay(today) && now >= start && now < end;
+
+  return (onDay(today) && now >= start) || (onDay(yesterday) && now < end);
+}
+
+/**
+ * Settings the schedules put in effect for a bin at a time
+ * Each field comes from the highest-priority open schedule that sets it
+ * (ties go to the newest schedule). Returns { settings, schedules, key } where
+ * schedules are the ones in effect and key identifies them with their versions
+ * (null when no schedule is in effect)
+ */
+export function resolveSchedules(schedules, bin, date = new Date()) {
+  const open = schedules
+    .filter(schedule => schedule.is_active && appliesToBin(schedule, bin) && isScheduleActive(schedule, date))
+    .sort((a, b) => (b.priority - a.priority) || (b.id - a.id));
+
+  const settings = {};
+  const inEffect = [];
+
+  for (const field of SCHEDULED_FIELDS) {
+    const schedule = open.find(candidate => candidate[field] !== null && candidate[field] !== undefined);
+    if (!schedule) continue;
+
+    settings[field] = schedule[field];
+    if (!inEffect.includes(schedule)) inEffect.push(schedule);
+  }
+
+  const key = inEffect.length > 0
+    ? inEffect.map(schedule => `${schedule.id}:${schedule.version}`).sort().join(',')
+    : null;
+
+  return { settings, schedules: inEffect, key };
+}
+
+/**
+ * Config updates that bring a bin in line with its schedules, or null if it
+ * already is. The bin's own settings are kept in base_mode/base_threshold_cm
+ * while a schedule is in effect and restored when none is
+ */
+export function planChange(bin, schedules, date = new Date()) {
+  const { settings, key } = resolveSchedules(schedules, bin, date);
+  if (key === (bin.schedule_ids || null)) return null;
+
+  const base = bin.schedule_ids
+    ? { mode: bin.base_mode, threshold_cm: bin.base_threshold_cm }
+    : { mode: bin.mode, threshold_cm: bin.threshold_cm };
+
+  if (!key) {
+    return { ...base, schedule_ids: null, base_mode: null, base_threshold_cm: null };
+  }
+
+  return {
+    ...base,
+    ...settings,
+    schedule_ids: key,
+    base_mode: base.mode,
+    base_threshold_cm: base.threshold_cm
+  };
+}
+
+/**
+ * Schedules in effect for a bin, from its schedule_ids (for API responses)
+ */
+export function activeSchedules(bin, schedules) {
+  if (!bin.schedule_ids) return [];
+
+  const ids = bin.schedule_ids.split(',').map(entry => parseInt(entry));
+  return schedules
+    .filter(schedule => ids.includes(schedule.id))
+    .map(({ id, name, mode, threshold_cm, start_time, end_time }) => ({
+      id, name, mode, threshold_cm, start_time, end_time
+    }));
+}
+
+/**
+ * Tell dashboards about a bin's new config (manual or scheduled)
+ */
+export function publishConfigEvent(bin, schedules) {
+  publishEvent('config', {
+    bin_id: bin.bin_id,
+    mode: bin.mode,
+    threshold_cm: bin.threshold_cm,
+    base_mode: bin.base_mode,
+    base_threshold_cm: bin.base_threshold_cm,
+    status: bin.status,
+    warning_percent: bin.warning_percent,
+    critical_percent: bin.critical_percent,
+    bin_warning_percent: bin.bin_warning_percent,
+    bin_critical_percent: bin.bin_critical_percent,
+    active_schedules: activeSchedules(bin, schedules)
+  });
+}
+
+/**
+ * Apply schedules to every bin that is out of line with them
+ */
+async function runOnce(now) {
+  const schedules = await db.getSchedules();
+  const bins = await db.getAllBins();
+
+  for (const bin of bins) {
+    const updates = planChange(bin, schedules, now);
+    if (!updates) continue;
+
+    await db.updateBinConfig(bin.bin_id, updates);
+    const updatedBin = await db.getBinById(bin.bin_id);
+    mqttClient.publishConfig(bin.bin_id, updatedBin);
+
+    const names = activeSchedules(updatedBin, schedules).map(schedule => schedule.name);
+    const message = names.length > 0
+      ? `Schedule ${names.join(', ')}: mode ${updatedBin.mode}, threshold ${updatedBin.threshold_cm}cm`
+      : `Schedule ended: mode ${updatedBin.mode}, threshold ${updatedBin.threshold_cm}cm`;
+
+    await db.logEvent(bin.bin_id, 'config_change', {
+      userName: 'scheduler',
+      message,
+      success: true
+    });
+
+    publishConfigEvent(updatedBin, schedules);
+    console.log(`🕒 ${bin.bin_id} ${message}`);
+  }
+}
+
+/**
+ * Apply schedules now (called after schedule changes and on every tick)
+ * Calls made while a run is in progress trigger one more run afterwards
+ */
+export function applySchedules() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    try {
+      do {
+        rerun = false;
+        await runOnce(new Date());
+      } while (rerun);
+    } catch (error) {
+      console.error('❌ Schedule processing error:', error.message);
+    } finally {
+      running = null;
+    }
+  })();
+
+  return running;
+}
+
+/**
+ * Apply schedules now and then periodically
+ */
+export function startScheduler() {
+  if (timer) return;
+  applySchedules();
+  timer = setInterval(applySchedules, config.schedules.intervalSeconds * 1000);
+  console.log(`🕒 Scheduler checking bin schedules every ${config.schedules.intervalSeconds}s`);
+}
+
+/**
+ * Stop periodic processing
+ */
+export function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+export default {
+  SCHEDULED_FIELDS,
+  appliesToBin,
+  isScheduleActive,
+  resolveSchedules,
+  planChange,
+  activeSchedules,
+  publishConfigEvent,
+  applySchedules,
+  startScheduler,
+  stopScheduler
+};
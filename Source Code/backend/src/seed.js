@@ -0,0 +1,47 @@
+/**
+ * Development seed
+ * Sample RFID users and bins for local testing with the mock publisher
+ * (npm run seed). Not part of the schema: production databases start empty
+ */
+
+import * as db from './db.js';
+
+// Sample users (UIDs match the mock publisher's simulated cards)
+const USERS = [
+  { rfidUid: '04A1B2C3D4E5F6', name: 'Admin User', email: 'admin@smartbin.local', role: 'admin' },
+  { rfidUid: '43E82B16', name: 'John Doe', email: 'john@example.com', role: 'user' },
+  { rfidUid: 'E0A4345F', name: 'Jane Smith', email: 'jane@example.com', role: 'user' }
+];
+
+// Sample bins
+const BINS = [
+  { bin_id: 'BIN_01', name: 'Main Entrance Bin', location: 'Building A - Floor 1', capacity_cm: 200, mode: 'AUTO', threshold_cm: 50 },
+  { bin_id: 'BIN_02', name: 'Cafeteria Bin', location: 'Building B - Cafeteria', capacity_cm: 180, mode: 'AUTH', threshold_cm: 50 }
+];
+
+/**
+ * Add the sample users and bins that do not exist yet (safe to run again)
+ * Returns { users, bins }: how many of each were added
+ */
+export async function seedDevData() {
+  let users = 0;
+  for (const user of USERS) {
+    if (await db.findUserByRFID(user.rfidUid)) continue;
+    await db.createUser(user);
+    users++;
+  }
+
+  let bins = 0;
+  for (const bin of BINS) {
+    if (await db.getBinById(bin.bin_id)) continue;
+    await db.createBin(bin);
+    bins++;
+  }
+
+  console.log(`🌱 Dev seed: ${users} user(s) and ${bins} bin(s) added`);
+  return { users, bins };
+}
+
+export default {
+  seedDevData
+};
@@ -0,0 +1,194 @@
+/**
+ * Level sensor fault detection
+ * Screens every level reading before it is stored: readings taken with the lid
+ * open, out-of-range distances, level values that do not match the distance
+ * (checked against the bin height the device reports) and lone spikes are
+ * dropped. Repeated anomalies, or a distance stuck for hours while the bin is
+ * in use, flag the bin as sensor_fault
+ */
+
+import config from './config.js';
+import * as db from './db.js';
+
+export const FAULT_REASONS = ['stuck', 'jump', 'level_mismatch', 'out_of_range'];
+
+// Allowed difference between the reported level and the level computed from cm
+const MISMATCH_TOLERANCE_PERCENT = 5;
+
+// A change this large from both the stored level and the previous reading is a spike
+const JUMP_PERCENT = 50;
+
+// Readings within this long after a confirmed open command are lid-open readings
+// (the firmware closes the lid after 7s)
+const LID_OPEN_SECONDS = 10;
+
+// Anomalies within the window that turn dropped readings into a fault
+const FAULT_ANOMALIES = 3;
+const ANOMALY_WINDOW_MINUTES = 30;
+
+// Consecutive good readings that clear an anomaly fault
+const RECOVERY_READINGS = 6;
+
+// The stuck window must be covered by readings starting this close to its start
+const STUCK_COVERAGE_MINUTES = 15;
+
+// Per-bin state: previous reading, recent anomaly times, good reading streak,
+// last lid open counter and when it last went up
+const state = new Map();
+
+function stateFor(binId) {
+  if (!state.has(binId)) {
+    state.set(binId, { previous: null, anomalies: [], goodStreak: 0, opens: null, usedAt: null });
+  }
+  return state.get(binId);
+}
+
+/**
+ * Level the firmware would report for a distance, given the bin height it uses
+ */
+export function expectedLevel(heightCm, cm) {
+  const level = Math.round((heightCm - cm) * 100 / heightCm);
+  return Math.min(100, Math.max(0, level));
+}
+
+/**
+ * Check a single reading against the bin and the previous reading
+ * reading: { level, cm, heightCm }, previous: { level, cm } or null
+ * heightCm is the bin height the device computes its level from (height_cm
+ * in the payload); without it the level cannot be checked against cm, since
+ * capacity_cm is set per bin in the backend and need not match the firmware
+ * Returns the anomaly (out_of_range, level_mismatch or jump) or null
+ */
+export function checkReading(bin, reading, previous) {
+  const { level, cm } = reading;
+  const heightCm = reading.heightCm > 0 ? reading.heightCm : null;
+
+  if (cm <= 0 || cm > (heightCm ?? bin.capacity_cm) || level < 0 || level > 100) {
+    return 'out_of_range';
+  }
+
+  if (heightCm && Math.abs(level - expectedLevel(heightCm, cm)) > MISMATCH_TOLERANCE_PERCENT) {
+    return 'level_mismatch';
+  }
+
+  // A big change is real if the previous reading already showed it (e.g. emptied)
+  const jumpFromStored = Math.abs(level - bin.current_level_percent) >= JUMP_PERCENT;
+  const jumpFromPrevious = !previous || Math.abs(level - previous.level) >= JUMP_PERCENT;
+  if (bin.last_seen && jumpFromStored && jumpFromPrevious) {
+    return 'jump';
+  }
+
+  return null;
+}
+
+/**
+ * Check if distance readings are stuck: every reading in the window has the
+ * same distance and the readings cover the whole window
+ * range: { min_cm, max_cm, first_at, count } for readings since windowStart
+ */
+export function isStuck(range, windowStart) {
+  if (!range || range.count < 2 || range.min_cm !== range.max_cm) return false;
+  return new Date(range.first_at) - windowStart <= STUCK_COVERAGE_MINUTES * 60000;
+}
+
+/**
+ * Was the lid open for this reading?
+ * Uses the "lid" field from the firmware; older firmware does not send it,
+ * so fall back to a recently acknowledged open command
+ */
+async function isLidOpen(binId, payload, now) {
+  if (payload.lid !== undefined) return payload.lid === 'open';
+
+  const openedAt = await db.getLastLidOpen(binId);
+  return Boolean(openedAt) && now - new Date(openedAt) < LID_OPEN_SECONDS * 1000;
+}
+
+/**
+ * Was the bin used (lid opened) since a time?
+ * Uses the firmware's lid open counter, then logged lid openings
+ */
+async function wasUsedSince(binId, since) {
+  const binState = stateFor(binId);
+  if (binState.usedAt && binState.usedAt >= since) return true;
+
+  return (await db.countEvents(binId, 'lid_open', since)) > 0;
+}
+
+/**
+ * Track the firmware's lid open counter (resets to 0 when the device reboots)
+ */
+function trackOpens(binState, opens, now) {
+  if (typeof opens !== 'number') return;
+
+  if (binState.opens !== null && opens > binState.opens) {
+    binState.usedAt = now;
+  }
+  binState.opens = opens;
+}
+
+/**
+ * Screen a level reading and update the bin's sensor fault flag
+ * Returns { accepted, anomaly, fault } where anomaly is why the reading was
+ * dropped (lid_open or a fault reason) and fault is the change to the bin's
+ * flag: { raised: reason } or { cleared: previousReason } or null
+ */
+export async function screenReading(bin, payload, now = new Date()) {
+  const binState = stateFor(bin.bin_id);
+  const reading = { level: payload.level, cm: payload.cm, heightCm: payload.height_cm };
+  trackOpens(binState, payload.opens, now);
+
+  if (await isLidOpen(bin.bin_id, payload, now)) {
+    return { accepted: false, anomaly: 'lid_open', fault: null };
+  }
+
+  const anomaly = checkReading(bin, reading, binState.previous);
+  binState.previous = reading;
+
+  if (anomaly) {
+    binState.goodStreak = 0;
+    binState.anomalies = binState.anomalies
+      .filter(time => now - time < ANOMALY_WINDOW_MINUTES * 60000)
+      .concat(now);
+
+    let fault = null;
+    if (binState.anomalies.length >= FAULT_ANOMALIES && bin.sensor_fault !== anomaly) {
+      await db.setSensorFault(bin.bin_id, anomaly);
+      fault = { raised: anomaly };
+    }
+    return { accepted: false, anomaly, fault };
+  }
+
+  binState.goodStreak++;
+
+  // Stuck: same distance for hours although the lid has been opened
+  const windowStart = new Date(now.getTime() - config.sensor.stuckHours * 3600000);
+  const stuck = reading.cm === bin.current_distance_cm &&
+    isStuck(await db.getDistanceRange(bin.bin_id, windowStart), windowStart) &&
+    await wasUsedSince(bin.bin_id, windowStart);
+
+  let fault = null;
+  if (stuck && bin.sensor_fault !== 'stuck') {
+    await db.setSensorFault(bin.bin_id, 'stuck');
+    fault = { raised: 'stuck' };
+  } else if (bin.sensor_fault && !stuck) {
+    const recovered = bin.sensor_fault === 'stuck'
+      ? reading.cm !== bin.current_distance_cm
+      : binState.goodStreak >= RECOVERY_READINGS;
+
+    if (recovered) {
+      await db.setSensorFault(bin.bin_id, null);
+      binState.anomalies = [];
+      fault = { cleared: bin.sensor_fault };
+    }
+  }
+
+  return { accepted: true, anomaly: null, fault };
+}
+
+export default {
+  FAULT_REASONS,
+  expectedLevel,
+  checkReading,
+  isStuck,
+  screenReading
+};
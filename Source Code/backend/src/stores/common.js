@@ -0,0 +1,63 @@
+/**
+ * Helpers shared by the database stores
+ */
+
+// Error code of a unique-constraint violation, whichever store raised it
+export const DUPLICATE = 'DUPLICATE';
+
+// Driver error codes for unique-constraint violations (MySQL, SQLite)
+const DUPLICATE_CODES = ['ER_DUP_ENTRY', 'SQLITE_CONSTRAINT_UNIQUE', 'SQLITE_CONSTRAINT_PRIMARYKEY'];
+
+/**
+ * Give a unique-constraint violation the code DUPLICATE (the driver's own
+ * code moves to driverCode) so callers need not know the store
+ * Returns the error, to rethrow
+ */
+export function markDuplicate(error) {
+  if (DUPLICATE_CODES.includes(error.code)) {
+    error.driverCode = error.code;
+    error.code = DUPLICATE;
+  }
+  return error;
+}
+
+/**
+ * List columns (bin schedule bin_ids/days, subscription bin_ids/alert_types)
+ * store comma-separated text, NULL for an empty or missing list
+ */
+export function toListColumn(list) {
+  return Array.isArray(list) && list.length > 0 ? list.join(',') : null;
+}
+
+/**
+ * Bin schedule row with bin_ids/days as arrays
+ */
+export function parseSchedule(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    bin_ids: row.bin_ids ? row.bin_ids.split(',') : null,
+    days: row.days ? row.days.split(',').map(Number) : null,
+    is_active: Boolean(row.is_active)
+  };
+}
+
+/**
+ * Notification subscription row with bin_ids/alert_types as arrays (null = all)
+ */
+export function parseSubscription(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    bin_ids: row.bin_ids ? row.bin_ids.split(',') : null,
+    alert_types: row.alert_types ? row.alert_types.split(',') : null,
+    is_active: Boolean(row.is_active)
+  };
+}
+
+/**
+ * Escape LIKE wildcards (% and _) and the escape character (backslash)
+ */
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
@@ -0,0 +1,1740 @@
+/**
+ * MySQL store
+ * Query functions on a mysql2/promise connection pool (see ../db.js)
+ */
+
+import mysql from 'mysql2/promise';
+import config from '../config.js';
+import { normalizeUid } from '../rfid.js';
+import { toListColumn, parseSchedule, parseSubscription, escapeLike, markDuplicate } from './common.js';
+
+let pool;
+
+// Applied migrations (see ../migrations.js)
+const SCHEMA_VERSION_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_version (
+    version INT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`;
+
+/**
+ * Create the configured database if it does not exist yet
+ */
+async function createDatabase() {
+  const { database, ...settings } = config.mysql;
+  const connection = await mysql.createConnection(settings);
+  try {
+    await connection.query(
+      `CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+    );
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Initialize database connection pool
+ * migrating: create the database if needed and allow multi-statement
+ * queries (migration files)
+ */
+export async function initDB({ migrating = false } = {}) {
+  try {
+    if (migrating) {
+      await createDatabase();
+    }
+    pool = mysql.createPool({ ...config.mysql, multipleStatements: migrating });
+    
+    // Test connection
+    const connection = await pool.getConnection();
+    console.log('✅ MySQL connected successfully');
+    connection.release();
+    
+    return pool;
+  } catch (error) {
+    console.error('❌ MySQL connection error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Run a query on the pool: [rows, fields] like pool.query, with
+ * unique-constraint violations thrown as code DUPLICATE
+ */
+async function runQuery(sql, params) {
+  try {
+    return await pool.query(sql, params);
+  } catch (error) {
+    throw markDuplicate(error);
+  }
+}
+
+/**
+ * Applied migrations, oldest first, or null if schema_version does not exist
+ */
+export async function getSchemaVersions() {
+  const [tables] = await runQuery("SHOW TABLES LIKE 'schema_version'");
+  if (tables.length === 0) return null;
+
+  const [rows] = await runQuery('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+  return rows;
+}
+
+/**
+ * Tables of the database with their column and index names
+ * ({ users: { columns: [...], indexes: [...] } }, schema_version left out)
+ */
+export async function describeSchema() {
+  const [columns] = await runQuery(
+    `SELECT c.TABLE_NAME AS table_name, c.COLUMN_NAME AS column_name
+     FROM information_schema.columns c
+     JOIN information_schema.tables t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+     WHERE c.TABLE_SCHEMA = DATABASE() AND t.TABLE_TYPE = 'BASE TABLE' AND c.TABLE_NAME <> 'schema_version'
+     ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION`
+  );
+  const [indexes] = await runQuery(
+    `SELECT DISTINCT TABLE_NAME AS table_name, INDEX_NAME AS index_name
+     FROM information_schema.statistics
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME <> 'schema_version'`
+  );
+
+  const schema = {};
+  for (const { table_name: table, column_name: column } of columns) {
+    schema[table] = schema[table] || { columns: [], indexes: [] };
+    schema[table].columns.push(column);
+  }
+  for (const { table_name: table, index_name: index } of indexes) {
+    if (schema[table]) schema[table].indexes.push(index);
+  }
+  return schema;
+}
+
+/**
+ * Record a migration as applied without running it
+ */
+export async function recordMigration(version, name) {
+  await runQuery(SCHEMA_VERSION_TABLE);
+  await runQuery('INSERT INTO schema_version (version, name) VALUES (?, ?)', [version, name]);
+}
+
+/**
+ * Run a migration's SQL (needs initDB({ migrating: true })) and record it
+ * MySQL commits each DDL statement on its own, so a migration that fails
+ * part way leaves its earlier statements applied
+ */
+export async function applyMigration(version, name, sql) {
+  await runQuery(sql);
+  await recordMigration(version, name);
+}
+
+/**
+ * Run a migration's down SQL and remove it from schema_version
+ */
+export async function revertMigration(version, sql) {
+  await runQuery(sql);
+  await runQuery('DELETE FROM schema_version WHERE version = ?', [version]);
+}
+
+/**
+ * Get active user by RFID UID (any format, normalized before lookup)
+ */
+export async function getUserByRFID(rfidUid) {
+  const [rows] = await runQuery(
+    'SELECT * FROM users WHERE rfid_uid = ? AND is_active = TRUE',
+    [normalizeUid(rfidUid)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Find user holding an RFID UID, active or not (for duplicate checks)
+ */
+export async function findUserByRFID(rfidUid) {
+  const [rows] = await runQuery(
+    'SELECT * FROM users WHERE rfid_uid = ?',
+    [normalizeUid(rfidUid)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get user by id
+ */
+export async function getUserById(id) {
+  const [rows] = await runQuery(
+    'SELECT * FROM users WHERE id = ?',
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * List users with optional search (name, email or UID) and active filter
+ */
+export async function listUsers({ search = null, active = null } = {}) {
+  let query = 'SELECT * FROM users';
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    conditions.push('(name LIKE ? OR email LIKE ? OR rfid_uid LIKE ?)');
+    const pattern = `%${escapeLike(search)}%`;
+    params.push(pattern, pattern, `%${escapeLike(normalizeUid(search))}%`);
+  }
+
+  if (active !== null) {
+    conditions.push('is_active = ?');
+    params.push(active);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY name';
+
+  const [rows] = await runQuery(query, params);
+  return rows;
+}
+
+/**
+ * Create a user (rfid_uid is stored normalized, or NULL if no card yet)
+ */
+export async function createUser({ name, email = null, role = 'user', rfidUid = null }) {
+  const [result] = await runQuery(
+    'INSERT INTO users (rfid_uid, name, email, role) VALUES (?, ?, ?, ?)',
+    [rfidUid ? normalizeUid(rfidUid) : null, name, email, role]
+  );
+  return getUserById(result.insertId);
+}
+
+/**
+ * Update user fields
+ */
+export async function updateUser(id, updates) {
+  const allowedFields = ['name', 'email', 'role', 'is_active', 'rfid_uid'];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(key === 'rfid_uid' && value ? normalizeUid(value) : value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  values.push(id);
+
+  const [result] = await runQuery(
+    `UPDATE users SET ${setClause.join(', ')}, updated_at = NOW() WHERE id = ?`,
+    values
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delete a user
+ */
+export async function deleteUser(id) {
+  const [result] = await runQuery(
+    'DELETE FROM users WHERE id = ?',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Get bin by bin_id (with status and the warning/critical levels in effect)
+ */
+export async function getBinById(binId) {
+  const [rows] = await runQuery(
+    'SELECT * FROM v_bin_status WHERE bin_id = ?',
+    [binId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get the fleet-wide default warning/critical levels
+ */
+export async function getFleetSettings() {
+  const [rows] = await runQuery(
+    'SELECT warning_percent, critical_percent, updated_at FROM fleet_settings WHERE id = 1'
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Update the fleet-wide default warning/critical levels
+ */
+export async function updateFleetSettings({ warning_percent: warningPercent, critical_percent: criticalPercent }) {
+  await runQuery(
+    'UPDATE fleet_settings SET warning_percent = ?, critical_percent = ?, updated_at = NOW() WHERE id = 1',
+    [warningPercent, criticalPercent]
+  );
+  return getFleetSettings();
+}
+
+/**
+ * Get all bins with status
+ */
+export async function getAllBins() {
+  const [rows] = await runQuery(
+    'SELECT * FROM v_bin_status ORDER BY bin_id'
+  );
+  return rows;
+}
+
+/**
+ * Update bin online status
+ */
+export async function updateBinStatus(binId, isOnline) {
+  await runQuery(
+    'UPDATE bins SET is_online = ?, last_seen = NOW() WHERE bin_id = ?',
+    [isOnline, binId]
+  );
+}
+
+/**
+ * Update bin level data
+ */
+export async function updateBinLevel(binId, levelPercent, distanceCm) {
+  await runQuery(
+    `UPDATE bins 
+     SET current_level_percent = ?, 
+         current_distance_cm = ?, 
+         last_seen = NOW() 
+     WHERE bin_id = ?`,
+    [levelPercent, distanceCm, binId]
+  );
+}
+
+/**
+ * Flag a bin's level sensor as faulty (reason) or healthy (null)
+ * sensor_fault_since keeps the start of the fault while the reason changes
+ */
+export async function setSensorFault(binId, reason) {
+  if (reason === null) {
+    await runQuery(
+      'UPDATE bins SET sensor_fault = NULL, sensor_fault_since = NULL WHERE bin_id = ?',
+      [binId]
+    );
+    return;
+  }
+
+  await runQuery(
+    `UPDATE bins
+     SET sensor_fault = ?, sensor_fault_since = COALESCE(sensor_fault_since, NOW())
+     WHERE bin_id = ?`,
+    [reason, binId]
+  );
+}
+
+/**
+ * Update bin configuration
+ */
+export async function updateBinConfig(binId, updates) {
+  const allowedFields = [
+    'mode', 'threshold_cm', 'capacity_cm', 'name', 'location', 'latitude', 'longitude',
+    'warning_percent', 'critical_percent', 'schedule_ids', 'base_mode', 'base_threshold_cm'
+  ];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  values.push(binId);
+  
+  const [result] = await runQuery(
+    `UPDATE bins SET ${setClause.join(', ')}, updated_at = NOW() WHERE bin_id = ?`,
+    values
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Create a bin (unset fields fall back to the column defaults)
+ */
+export async function createBin(fields) {
+  const allowedFields = [
+    'bin_id', 'name', 'location', 'capacity_cm', 'mode', 'threshold_cm', 'latitude', 'longitude',
+    'warning_percent', 'critical_percent'
+  ];
+  const columns = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (allowedFields.includes(key) && value !== undefined) {
+      columns.push(key);
+      values.push(value);
+    }
+  }
+
+  await runQuery(
+    `INSERT INTO bins (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    values
+  );
+
+  return getBinById(fields.bin_id);
+}
+
+/**
+ * Delete a bin (logs and telemetry cascade)
+ */
+export async function deleteBin(binId) {
+  const [result] = await runQuery(
+    'DELETE FROM bins WHERE bin_id = ?',
+    [binId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Set or clear a bin's position on a floor plan (null floorPlanId clears it)
+ */
+export async function updateBinPosition(binId, { floorPlanId, x, y }) {
+  const [result] = await runQuery(
+    'UPDATE bins SET floor_plan_id = ?, plan_x = ?, plan_y = ? WHERE bin_id = ?',
+    floorPlanId === null ? [null, null, null, binId] : [floorPlanId, x, y, binId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * List floor plans (without image data)
+ */
+export async function getFloorPlans() {
+  const [rows] = await runQuery(
+    `SELECT id, building, image_type, image IS NOT NULL AS has_image, uploaded_by, created_at, updated_at
+     FROM floor_plans ORDER BY building`
+  );
+  return rows;
+}
+
+/**
+ * Get a floor plan (without image data)
+ */
+export async function getFloorPlanById(id) {
+  const [rows] = await runQuery(
+    `SELECT id, building, image_type, image IS NOT NULL AS has_image, uploaded_by, created_at, updated_at
+     FROM floor_plans WHERE id = ?`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get a floor plan's image: { image, image_type } or null
+ */
+export async function getFloorPlanImage(id) {
+  const [rows] = await runQuery(
+    'SELECT image, image_type FROM floor_plans WHERE id = ? AND image IS NOT NULL',
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get floor plan by building name
+ */
+export async function getFloorPlanByBuilding(building) {
+  const [rows] = await runQuery(
+    'SELECT id, building FROM floor_plans WHERE building = ?',
+    [building]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Create a floor plan for a building (image is uploaded separately)
+ */
+export async function createFloorPlan(building, uploadedBy) {
+  const [result] = await runQuery(
+    'INSERT INTO floor_plans (building, uploaded_by) VALUES (?, ?)',
+    [building, uploadedBy]
+  );
+  return getFloorPlanById(result.insertId);
+}
+
+/**
+ * Replace a floor plan's image
+ */
+export async function setFloorPlanImage(id, image, imageType, uploadedBy) {
+  const [result] = await runQuery(
+    'UPDATE floor_plans SET image = ?, image_type = ?, uploaded_by = ? WHERE id = ?',
+    [image, imageType, uploadedBy, id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delete a floor plan (bins on it lose their position)
+ */
+export async function deleteFloorPlan(id) {
+  await runQuery(
+    'UPDATE bins SET floor_plan_id = NULL, plan_x = NULL, plan_y = NULL WHERE floor_plan_id = ?',
+    [id]
+  );
+  const [result] = await runQuery(
+    'DELETE FROM floor_plans WHERE id = ?',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * List bin schedules, highest priority first
+ */
+export async function getSchedules() {
+  const [rows] = await runQuery(
+    'SELECT * FROM bin_schedules ORDER BY priority DESC, id'
+  );
+  return rows.map(parseSchedule);
+}
+
+/**
+ * Get bin schedule by id
+ */
+export async function getScheduleById(id) {
+  const [rows] = await runQuery(
+    'SELECT * FROM bin_schedules WHERE id = ?',
+    [id]
+  );
+  return parseSchedule(rows[0]);
+}
+
+/**
+ * Create a bin schedule
+ */
+export async function createSchedule(fields, createdBy) {
+  const [result] = await runQuery(
+    `INSERT INTO bin_schedules
+     (name, bin_ids, location, days, start_time, end_time, mode, threshold_cm, priority, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fields.name,
+      toListColumn(fields.bin_ids),
+      fields.location || null,
+      toListColumn(fields.days),
+      fields.start_time || null,
+      fields.end_time || null,
+      fields.mode || null,
+      fields.threshold_cm ?? null,
+      fields.priority || 0,
+      createdBy
+    ]
+  );
+  return getScheduleById(result.insertId);
+}
+
+/**
+ * Update a bin schedule and bump its version so bins re-apply it
+ */
+export async function updateSchedule(id, updates) {
+  const allowedFields = [
+    'name', 'bin_ids', 'location', 'days', 'start_time', 'end_time',
+    'mode', 'threshold_cm', 'priority', 'is_active'
+  ];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(['bin_ids', 'days'].includes(key) ? toListColumn(value) : value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    return false;
+  }
+
+  values.push(id);
+
+  const [result] = await runQuery(
+    `UPDATE bin_schedules SET ${setClause.join(', ')}, version = version + 1, updated_at = NOW() WHERE id = ?`,
+    values
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delete a bin schedule (bins still using it fall back on the next scheduler run)
+ */
+export async function deleteSchedule(id) {
+  const [result] = await runQuery(
+    'DELETE FROM bin_schedules WHERE id = ?',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Record a message from an unknown device
+ */
+export async function upsertPendingDevice(binId, topic) {
+  await runQuery(
+    `INSERT INTO pending_devices (bin_id, last_topic) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE
+       last_seen = NOW(),
+       last_topic = VALUES(last_topic),
+       message_count = message_count + 1`,
+    [binId, topic]
+  );
+}
+
+/**
+ * List unknown devices waiting for approval
+ */
+export async function getPendingDevices() {
+  const [rows] = await runQuery(
+    'SELECT * FROM pending_devices ORDER BY last_seen DESC'
+  );
+  return rows;
+}
+
+/**
+ * Get a pending device by bin_id
+ */
+export async function getPendingDevice(binId) {
+  const [rows] = await runQuery(
+    'SELECT * FROM pending_devices WHERE bin_id = ?',
+    [binId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Remove a pending device (approved or dismissed)
+ */
+export async function deletePendingDevice(binId) {
+  const [result] = await runQuery(
+    'DELETE FROM pending_devices WHERE bin_id = ?',
+    [binId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Log an event
+ */
+export async function logEvent(binId, eventType, data = {}) {
+  const {
+    rfidUid = null,
+    userName = null,
+    source = null,
+    levelPercent = null,
+    distanceCm = null,
+    success = true,
+    message = null
+  } = data;
+
+  await runQuery(
+    `INSERT INTO logs 
+     (bin_id, event_type, rfid_uid, user_name, source, level_percent, distance_cm, success, message) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [binId, eventType, rfidUid, userName, source, levelPercent, distanceCm, success, message]
+  );
+}
+
+/**
+ * WHERE conditions for log filters:
+ * { binIds, eventTypes, success, rfidUid, userName, from, to, search }
+ * binIds limits the bins (an empty list matches nothing)
+ */
+function logConditions(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.binIds) {
+    if (filters.binIds.length === 0) {
+      conditions.push('FALSE');
+    } else {
+      conditions.push(`l.bin_id IN (${filters.binIds.map(() => '?').join(', ')})`);
+      params.push(...filters.binIds);
+    }
+  }
+  if (filters.eventTypes && filters.eventTypes.length > 0) {
+    conditions.push(`l.event_type IN (${filters.eventTypes.map(() => '?').join(', ')})`);
+    params.push(...filters.eventTypes);
+  }
+  if (filters.success !== undefined && filters.success !== null) {
+    conditions.push('l.success = ?');
+    params.push(filters.success);
+  }
+  if (filters.rfidUid) {
+    conditions.push('l.rfid_uid = ?');
+    params.push(filters.rfidUid);
+  }
+  if (filters.userName) {
+    conditions.push('l.user_name LIKE ?');
+    params.push(`%${escapeLike(filters.userName)}%`);
+  }
+  if (filters.from) {
+    conditions.push('l.timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('l.timestamp < ?');
+    params.push(filters.to);
+  }
+  if (filters.search) {
+    conditions.push('l.message LIKE ?');
+    params.push(`%${escapeLike(filters.search)}%`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Get logs matching filters, newest first
+ * Keyset pagination: pass the last row's { timestamp, id } as `after` to get
+ * the next (older) page
+ */
+export async function getLogs(filters = {}, { limit = 100, after = null } = {}) {
+  const { conditions, params } = logConditions(filters);
+
+  if (after) {
+    conditions.push('(l.timestamp < ? OR (l.timestamp = ? AND l.id < ?))');
+    params.push(after.timestamp, after.timestamp, after.id);
+  }
+
+  let query = `
+    SELECT 
+      l.*,
+      DATE_FORMAT(l.timestamp, '%Y-%m-%d %H:%i:%s') as formatted_time
+    FROM logs l
+  `;
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY l.timestamp DESC, l.id DESC LIMIT ?';
+  params.push(limit);
+
+  const [rows] = await runQuery(query, params);
+  return rows;
+}
+
+/**
+ * Count logs matching filters
+ */
+export async function countLogs(filters = {}) {
+  const { conditions, params } = logConditions(filters);
+
+  let query = 'SELECT COUNT(*) AS total FROM logs l';
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  const [rows] = await runQuery(query, params);
+  return rows[0].total;
+}
+
+/**
+ * Store a raw level reading in telemetry
+ */
+export async function insertTelemetry(binId, levelPercent, distanceCm) {
+  await runQuery(
+    'INSERT INTO telemetry (bin_id, level_percent, distance_cm) VALUES (?, ?, ?)',
+    [binId, levelPercent, distanceCm]
+  );
+}
+
+/**
+ * Get raw level readings for a bin since a given time (oldest first)
+ */
+export async function getRecentTelemetry(binId, since) {
+  const [rows] = await runQuery(
+    `SELECT level_percent, distance_cm, recorded_at
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at >= ?
+     ORDER BY recorded_at`,
+    [binId, since]
+  );
+  return rows;
+}
+
+/**
+ * Get raw level readings matching filters { binIds, from, to }, oldest first
+ * binIds limits the bins (an empty list matches nothing). Keyset pagination:
+ * pass the last row's { recorded_at, id } as `after` to get the next page
+ */
+export async function getTelemetry(filters = {}, { limit = 1000, after = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.binIds) {
+    if (filters.binIds.length === 0) return [];
+    conditions.push(`bin_id IN (${filters.binIds.map(() => '?').join(', ')})`);
+    params.push(...filters.binIds);
+  }
+  if (filters.from) {
+    conditions.push('recorded_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('recorded_at < ?');
+    params.push(filters.to);
+  }
+  if (after) {
+    conditions.push('(recorded_at > ? OR (recorded_at = ? AND id > ?))');
+    params.push(after.recorded_at, after.recorded_at, after.id);
+  }
+
+  let query = 'SELECT id, bin_id, level_percent, distance_cm, recorded_at FROM telemetry';
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY recorded_at, id LIMIT ?';
+  params.push(limit);
+
+  const [rows] = await runQuery(query, params);
+  return rows;
+}
+
+/**
+ * Start of the run of readings at or above a level that ends at `before`
+ * (when a bin became full); null if the reading at `before` is below it
+ */
+export async function getFullSince(binId, before, levelPercent) {
+  const [rows] = await runQuery(
+    `SELECT MIN(recorded_at) AS full_since
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at <= ? AND level_percent >= ?
+       AND recorded_at > COALESCE(
+         (SELECT MAX(recorded_at) FROM telemetry
+          WHERE bin_id = ? AND recorded_at <= ? AND level_percent < ?),
+         '1970-01-02'
+       )`,
+    [binId, before, levelPercent, binId, before, levelPercent]
+  );
+  return rows[0]?.full_since || null;
+}
+
+/**
+ * Record a detected collection
+ */
+export async function createCollection({ binId, levelBefore, levelAfter, startedAt, collectedAt, durationSeconds, fullSince }) {
+  const [result] = await runQuery(
+    `INSERT INTO collections
+     (bin_id, level_before, level_after, started_at, collected_at, duration_seconds, full_since)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [binId, levelBefore, levelAfter, startedAt, collectedAt, durationSeconds, fullSince]
+  );
+
+  const [rows] = await runQuery('SELECT * FROM collections WHERE id = ?', [result.insertId]);
+  return rows[0];
+}
+
+/**
+ * Get collections in a time range, newest first
+ */
+export async function getCollections({ binId = null, from, to }) {
+  let query = 'SELECT * FROM collections WHERE collected_at >= ? AND collected_at <= ?';
+  const params = [from, to];
+
+  if (binId) {
+    query += ' AND bin_id = ?';
+    params.push(binId);
+  }
+
+  query += ' ORDER BY collected_at DESC';
+
+  const [rows] = await runQuery(query, params);
+  return rows;
+}
+
+/**
+ * Start of the newest rolled-up usage hour (null before the first rollup)
+ * Rollups restart from there, so the hour that was still running is completed
+ */
+export async function getUsageRollupStart() {
+  const [rows] = await runQuery('SELECT MAX(hour_start) AS hour_start FROM usage_hourly');
+  return rows[0]?.hour_start || null;
+}
+
+/**
+ * Roll up lid openings and RFID scans per bin and hour since a time
+ * Lid events logged before the source column existed came from commands;
+ * their message names the command reason
+ */
+export async function rollUpLogUsage(since) {
+  await runQuery(
+    `INSERT INTO usage_hourly
+       (bin_id, hour_start, opens_proximity, opens_rfid, opens_manual, rfid_granted, rfid_denied)
+     SELECT
+       bin_id,
+       hour_start,
+       SUM(event_type = 'lid_open' AND source = 'proximity'),
+       SUM(event_type = 'lid_open' AND source = 'rfid'),
+       SUM(event_type = 'lid_open' AND source = 'manual'),
+       SUM(event_type = 'rfid_scan' AND success),
+       SUM(event_type = 'rfid_scan' AND NOT success)
+     FROM (
+       SELECT
+         bin_id,
+         event_type,
+         success,
+         DATE_FORMAT(timestamp, '%Y-%m-%d %H:00:00') AS hour_start,
+         COALESCE(source, IF(message LIKE '%(rfid_authorized)', 'rfid', 'manual')) AS source
+       FROM logs
+       WHERE bin_id IS NOT NULL AND timestamp >= ?
+         AND (event_type = 'rfid_scan' OR (event_type = 'lid_open' AND success))
+     ) events
+     GROUP BY bin_id, hour_start
+     ON DUPLICATE KEY UPDATE
+       opens_proximity = VALUES(opens_proximity),
+       opens_rfid = VALUES(opens_rfid),
+       opens_manual = VALUES(opens_manual),
+       rfid_granted = VALUES(rfid_granted),
+       rfid_denied = VALUES(rfid_denied)`,
+    [since]
+  );
+}
+
+/**
+ * Roll up collections per bin and hour since a time, with the time since each
+ * bin's previous collection (which may be before `since`)
+ */
+export async function rollUpCollectionUsage(since) {
+  await runQuery(
+    `INSERT INTO usage_hourly
+       (bin_id, hour_start, collections, collection_gap_seconds, collection_gaps)
+     SELECT
+       bin_id,
+       DATE_FORMAT(collected_at, '%Y-%m-%d %H:00:00') AS hour_start,
+       COUNT(*),
+       COALESCE(SUM(gap_seconds), 0),
+       COUNT(gap_seconds)
+     FROM (
+       SELECT
+         bin_id,
+         collected_at,
+         TIMESTAMPDIFF(SECOND,
+           LAG(collected_at) OVER (PARTITION BY bin_id ORDER BY collected_at),
+           collected_at) AS gap_seconds
+       FROM collections
+     ) gaps
+     WHERE collected_at >= ?
+     GROUP BY bin_id, hour_start
+     ON DUPLICATE KEY UPDATE
+       collections = VALUES(collections),
+       collection_gap_seconds = VALUES(collection_gap_seconds),
+       collection_gaps = VALUES(collection_gaps)`,
+    [since]
+  );
+}
+
+/**
+ * Roll up RFID scans per card, bin and day since the start of a day
+ */
+export async function rollUpRfidUsage(since) {
+  await runQuery(
+    `INSERT INTO usage_rfid_daily (day, bin_id, rfid_uid, user_name, granted, denied)
+     SELECT
+       DATE(timestamp) AS day,
+       bin_id,
+       rfid_uid,
+       MAX(user_name),
+       SUM(success),
+       SUM(NOT success)
+     FROM logs
+     WHERE event_type = 'rfid_scan' AND bin_id IS NOT NULL AND rfid_uid IS NOT NULL
+       AND timestamp >= DATE(?)
+     GROUP BY day, bin_id, rfid_uid
+     ON DUPLICATE KEY UPDATE
+       user_name = VALUES(user_name),
+       granted = VALUES(granted),
+       denied = VALUES(denied)`,
+    [since]
+  );
+}
+
+// SQL for the start of the day, week (Monday) or month containing a date column
+const PERIOD_START_SQL = {
+  day: column => `DATE(${column})`,
+  week: column => `DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY)`,
+  month: column => `DATE_FORMAT(${column}, '%Y-%m-01')`
+};
+
+/**
+ * WHERE conditions for report filters { binIds, from, to } on a table's
+ * bin and time columns (an empty binIds matches nothing)
+ */
+function reportConditions(filters, timeColumn) {
+  const conditions = [`${timeColumn} >= ?`, `${timeColumn} < ?`];
+  const params = [filters.from, filters.to];
+
+  if (filters.binIds) {
+    if (filters.binIds.length === 0) {
+      conditions.push('FALSE');
+    } else {
+      conditions.push(`bin_id IN (${filters.binIds.map(() => '?').join(', ')})`);
+      params.push(...filters.binIds);
+    }
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Usage per bin and period ('day', 'week' or 'month') for report filters
+ */
+export async function getUsageByPeriod(period, filters) {
+  const { conditions, params } = reportConditions(filters, 'hour_start');
+  const periodStart = PERIOD_START_SQL[period]('hour_start');
+
+  const [rows] = await runQuery(
+    `SELECT
+       DATE_FORMAT(${periodStart}, '%Y-%m-%d') AS period_start,
+       bin_id,
+       CAST(SUM(opens_proximity) AS UNSIGNED) AS opens_proximity,
+       CAST(SUM(opens_rfid) AS UNSIGNED) AS opens_rfid,
+       CAST(SUM(opens_manual) AS UNSIGNED) AS opens_manual,
+       CAST(SUM(rfid_granted) AS UNSIGNED) AS rfid_granted,
+       CAST(SUM(rfid_denied) AS UNSIGNED) AS rfid_denied,
+       CAST(SUM(collections) AS UNSIGNED) AS collections,
+       CAST(SUM(collection_gap_seconds) AS UNSIGNED) AS collection_gap_seconds,
+       CAST(SUM(collection_gaps) AS UNSIGNED) AS collection_gaps
+     FROM usage_hourly
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY period_start, bin_id
+     ORDER BY period_start, bin_id`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * RFID scans per card and period for report filters (unknown cards have no user_name)
+ */
+export async function getRfidUsageByPeriod(period, filters) {
+  const { conditions, params } = reportConditions(filters, 'day');
+  const periodStart = PERIOD_START_SQL[period]('day');
+
+  const [rows] = await runQuery(
+    `SELECT
+       DATE_FORMAT(${periodStart}, '%Y-%m-%d') AS period_start,
+       rfid_uid,
+       MAX(user_name) AS user_name,
+       CAST(SUM(granted) AS UNSIGNED) AS granted,
+       CAST(SUM(denied) AS UNSIGNED) AS denied,
+       COUNT(DISTINCT bin_id) AS bins
+     FROM usage_rfid_daily
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY period_start, rfid_uid
+     ORDER BY period_start, rfid_uid`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Lid openings by weekday (0 = Sunday) and hour of day for report filters
+ */
+export async function getUsageHeatmap(filters) {
+  const { conditions, params } = reportConditions(filters, 'hour_start');
+
+  const [rows] = await runQuery(
+    `SELECT
+       DAYOFWEEK(hour_start) - 1 AS weekday,
+       HOUR(hour_start) AS hour,
+       CAST(SUM(opens_proximity + opens_rfid + opens_manual) AS UNSIGNED) AS opens
+     FROM usage_hourly
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY weekday, hour
+     ORDER BY weekday, hour`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Distance range of the readings since a time: { min_cm, max_cm, first_at, count }
+ */
+export async function getDistanceRange(binId, since) {
+  const [rows] = await runQuery(
+    `SELECT MIN(distance_cm) AS min_cm, MAX(distance_cm) AS max_cm,
+            MIN(recorded_at) AS first_at, COUNT(*) AS count
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at >= ?`,
+    [binId, since]
+  );
+  return rows[0];
+}
+
+/**
+ * Get downsampled level history for a bin
+ * Groups readings into buckets of bucketSeconds and returns min/avg/max per bucket
+ */
+export async function getTelemetryHistory(binId, from, to, bucketSeconds) {
+  const [rows] = await runQuery(
+    `SELECT
+       FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(recorded_at) / ?) * ?) AS bucket_start,
+       MIN(level_percent) AS min_level,
+       ROUND(AVG(level_percent), 1) AS avg_level,
+       MAX(level_percent) AS max_level,
+       ROUND(AVG(distance_cm), 1) AS avg_distance_cm,
+       COUNT(*) AS samples
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at >= ? AND recorded_at < ?
+     GROUP BY bucket_start
+     ORDER BY bucket_start`,
+    [bucketSeconds, bucketSeconds, binId, from, to]
+  );
+  return rows;
+}
+
+/**
+ * Get alerts opened for a bin, grouped into the same buckets as the history
+ */
+export async function getAlertMarkers(binId, from, to, bucketSeconds) {
+  const [rows] = await runQuery(
+    `SELECT
+       FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(opened_at) / ?) * ?) AS bucket_start,
+       type,
+       COUNT(*) AS count
+     FROM alerts
+     WHERE bin_id = ? AND opened_at >= ? AND opened_at < ?
+     GROUP BY bucket_start, type
+     ORDER BY bucket_start`,
+    [bucketSeconds, bucketSeconds, binId, from, to]
+  );
+  return rows;
+}
+
+/**
+ * Get the active (open or acknowledged) alert for a bin and condition
+ */
+export async function getActiveAlert(binId, type) {
+  const [rows] = await runQuery(
+    `SELECT * FROM alerts
+     WHERE bin_id = ? AND type = ? AND state IN ('open', 'acknowledged')
+     ORDER BY opened_at DESC LIMIT 1`,
+    [binId, type]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get alert by id
+ */
+export async function getAlertById(id) {
+  const [rows] = await runQuery(
+    'SELECT * FROM alerts WHERE id = ?',
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Open a new alert
+ */
+export async function createAlert(binId, type, message, levelPercent) {
+  const [result] = await runQuery(
+    'INSERT INTO alerts (bin_id, type, message, level_percent) VALUES (?, ?, ?, ?)',
+    [binId, type, message, levelPercent]
+  );
+  return getAlertById(result.insertId);
+}
+
+/**
+ * Record another occurrence of an active alert's condition
+ */
+export async function bumpAlert(id, levelPercent = null) {
+  await runQuery(
+    `UPDATE alerts
+     SET occurrences = occurrences + 1,
+         last_seen_at = NOW(),
+         level_percent = COALESCE(?, level_percent)
+     WHERE id = ?`,
+    [levelPercent, id]
+  );
+}
+
+/**
+ * Mark an alert acknowledged
+ */
+export async function acknowledgeAlert(id, username) {
+  await runQuery(
+    `UPDATE alerts SET state = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = ?
+     WHERE id = ? AND state = 'open'`,
+    [username, id]
+  );
+}
+
+/**
+ * Mark an alert resolved
+ */
+export async function resolveAlert(id, resolution, username = null) {
+  await runQuery(
+    `UPDATE alerts SET state = 'resolved', resolved_at = NOW(), resolution = ?, resolved_by = ?
+     WHERE id = ? AND state != 'resolved'`,
+    [resolution, username, id]
+  );
+}
+
+/**
+ * List alerts with optional state/bin/type filters (newest first)
+ * binIds limits the bins (an empty list matches nothing)
+ */
+export async function getAlerts({ states = null, binIds = null, type = null, limit = 100 } = {}) {
+  let query = 'SELECT * FROM alerts';
+  const conditions = [];
+  const params = [];
+
+  if (states && states.length > 0) {
+    conditions.push(`state IN (${states.map(() => '?').join(', ')})`);
+    params.push(...states);
+  }
+  if (binIds) {
+    if (binIds.length === 0) return [];
+    conditions.push(`bin_id IN (${binIds.map(() => '?').join(', ')})`);
+    params.push(...binIds);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY opened_at DESC LIMIT ?';
+  params.push(limit);
+
+  const [rows] = await runQuery(query, params);
+  return rows;
+}
+
+/**
+ * Store a command sent (or refused) for a device
+ */
+export async function createCommand({ id, binId, action, reason, requestedBy, status = 'pending', error = null }) {
+  await runQuery(
+    `INSERT INTO commands (id, bin_id, action, reason, requested_by, status, error, completed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ${status === 'pending' ? 'NULL' : 'NOW()'})`,
+    [id, binId, action, reason, requestedBy, status, error]
+  );
+  return getCommandById(id);
+}
+
+/**
+ * Get command by id
+ */
+export async function getCommandById(id) {
+  const [rows] = await runQuery(
+    'SELECT * FROM commands WHERE id = ?',
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Recent commands of a bin (newest first)
+ */
+export async function getCommands(binId, limit = 20) {
+  const [rows] = await runQuery(
+    'SELECT * FROM commands WHERE bin_id = ? ORDER BY created_at DESC LIMIT ?',
+    [binId, limit]
+  );
+  return rows;
+}
+
+/**
+ * Time the device last confirmed opening the lid for a command, or null
+ */
+export async function getLastLidOpen(binId) {
+  const [rows] = await runQuery(
+    `SELECT MAX(completed_at) AS opened_at FROM commands
+     WHERE bin_id = ? AND action = 'open' AND status = 'acked'`,
+    [binId]
+  );
+  return rows[0]?.opened_at || null;
+}
+
+/**
+ * Count log events of a type for a bin since a time
+ */
+export async function countEvents(binId, eventType, since) {
+  const [rows] = await runQuery(
+    'SELECT COUNT(*) AS count FROM logs WHERE bin_id = ? AND event_type = ? AND timestamp >= ?',
+    [binId, eventType, since]
+  );
+  return rows[0].count;
+}
+
+/**
+ * Set the final status of a command if it is currently in one of fromStatuses
+ * Returns true if the command was updated
+ */
+export async function completeCommand(id, status, error = null, fromStatuses = ['pending']) {
+  const [result] = await runQuery(
+    `UPDATE commands SET status = ?, error = ?, completed_at = NOW()
+     WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+    [status, error, id, ...fromStatuses]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Time out every command still pending (e.g. left over from before a restart)
+ */
+export async function timeoutPendingCommands(error) {
+  const [result] = await runQuery(
+    `UPDATE commands SET status = 'timed_out', error = ?, completed_at = NOW()
+     WHERE status = 'pending'`,
+    [error]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Get operator account by username
+ */
+export async function getOperatorByUsername(username) {
+  const [rows] = await runQuery(
+    'SELECT * FROM operators WHERE username = ?',
+    [username]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get operator account by id
+ */
+export async function getOperatorById(id) {
+  const [rows] = await runQuery(
+    'SELECT * FROM operators WHERE id = ?',
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * List operator accounts (without password hashes)
+ */
+export async function listOperators() {
+  const [rows] = await runQuery(
+    'SELECT id, username, role, is_active, last_login, created_at FROM operators ORDER BY username'
+  );
+  return rows;
+}
+
+/**
+ * Count operator accounts
+ */
+export async function countOperators() {
+  const [rows] = await runQuery('SELECT COUNT(*) AS count FROM operators');
+  return rows[0].count;
+}
+
+/**
+ * Create an operator account
+ */
+export async function createOperator({ username, passwordHash, role }) {
+  const [result] = await runQuery(
+    'INSERT INTO operators (username, password_hash, role) VALUES (?, ?, ?)',
+    [username, passwordHash, role]
+  );
+  return getOperatorById(result.insertId);
+}
+
+/**
+ * Update operator role or active state
+ */
+export async function updateOperator(id, updates) {
+  const allowedFields = ['role', 'is_active'];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    return false;
+  }
+
+  values.push(id);
+
+  const [result] = await runQuery(
+    `UPDATE operators SET ${setClause.join(', ')}, updated_at = NOW() WHERE id = ?`,
+    values
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Get access scopes of an operator
+ */
+export async function getOperatorScopes(operatorId) {
+  const [rows] = await runQuery(
+    'SELECT scope_type, scope_value FROM operator_scopes WHERE operator_id = ? ORDER BY scope_type, scope_value',
+    [operatorId]
+  );
+  return rows;
+}
+
+/**
+ * Replace all access scopes of an operator
+ */
+export async function setOperatorScopes(operatorId, scopes) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.query('DELETE FROM operator_scopes WHERE operator_id = ?', [operatorId]);
+    for (const scope of scopes) {
+      await connection.query(
+        'INSERT INTO operator_scopes (operator_id, scope_type, scope_value) VALUES (?, ?, ?)',
+        [operatorId, scope.scope_type, scope.scope_value]
+      );
+    }
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw markDuplicate(error);
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Set a new password hash for an operator
+ */
+export async function updateOperatorPassword(id, passwordHash) {
+  await runQuery(
+    'UPDATE operators SET password_hash = ?, updated_at = NOW() WHERE id = ?',
+    [passwordHash, id]
+  );
+}
+
+/**
+ * Record a successful login
+ */
+export async function touchOperatorLogin(id) {
+  await runQuery(
+    'UPDATE operators SET last_login = NOW() WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * Invalidate all access tokens issued to an operator so far
+ */
+export async function bumpOperatorTokenVersion(id) {
+  await runQuery(
+    'UPDATE operators SET token_version = token_version + 1 WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * Store a refresh token hash
+ */
+export async function storeRefreshToken(operatorId, tokenHash, expiresAt) {
+  await runQuery(
+    'INSERT INTO refresh_tokens (operator_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [operatorId, tokenHash, expiresAt]
+  );
+}
+
+/**
+ * Get a refresh token by its hash
+ */
+export async function getRefreshToken(tokenHash) {
+  const [rows] = await runQuery(
+    'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+    [tokenHash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Revoke a refresh token
+ */
+export async function revokeRefreshToken(tokenHash) {
+  await runQuery(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+    [tokenHash]
+  );
+}
+
+/**
+ * Revoke all refresh tokens of an operator
+ */
+export async function revokeOperatorRefreshTokens(operatorId) {
+  await runQuery(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE operator_id = ? AND revoked_at IS NULL',
+    [operatorId]
+  );
+}
+
+/**
+ * List notification subscriptions (all, or of one operator)
+ */
+export async function getSubscriptions(operatorId = null) {
+  let query = 'SELECT * FROM notification_subscriptions';
+  const params = [];
+
+  if (operatorId) {
+    query += ' WHERE operator_id = ?';
+    params.push(operatorId);
+  }
+
+  query += ' ORDER BY id';
+
+  const [rows] = await runQuery(query, params);
+  return rows.map(parseSubscription);
+}
+
+/**
+ * Get notification subscription by id
+ */
+export async function getSubscriptionById(id) {
+  const [rows] = await runQuery(
+    'SELECT * FROM notification_subscriptions WHERE id = ?',
+    [id]
+  );
+  return parseSubscription(rows[0]);
+}
+
+/**
+ * Active subscriptions of active operators, with the operator's username
+ */
+export async function getActiveSubscriptions() {
+  const [rows] = await runQuery(
+    `SELECT s.*, o.username
+     FROM notification_subscriptions s
+     JOIN operators o ON o.id = s.operator_id
+     WHERE s.is_active = TRUE AND o.is_active = TRUE`
+  );
+  return rows.map(parseSubscription);
+}
+
+/**
+ * Create a notification subscription
+ */
+export async function createSubscription(operatorId, fields) {
+  const [result] = await runQuery(
+    `INSERT INTO notification_subscriptions
+     (operator_id, channel, target, bin_ids, alert_types, quiet_start, quiet_end,
+      escalate_after_minutes, escalation_target)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      operatorId,
+      fields.channel,
+      fields.target,
+      toListColumn(fields.bin_ids),
+      toListColumn(fields.alert_types),
+      fields.quiet_start || null,
+      fields.quiet_end || null,
+      fields.escalate_after_minutes || null,
+      fields.escalation_target || null
+    ]
+  );
+  return getSubscriptionById(result.insertId);
+}
+
+/**
+ * Update a notification subscription
+ */
+export async function updateSubscription(id, updates) {
+  const allowedFields = [
+    'channel', 'target', 'bin_ids', 'alert_types', 'quiet_start', 'quiet_end',
+    'escalate_after_minutes', 'escalation_target', 'is_active'
+  ];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(['bin_ids', 'alert_types'].includes(key) ? toListColumn(value) : value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    return false;
+  }
+
+  values.push(id);
+
+  const [result] = await runQuery(
+    `UPDATE notification_subscriptions SET ${setClause.join(', ')}, updated_at = NOW() WHERE id = ?`,
+    values
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delete a notification subscription
+ */
+export async function deleteSubscription(id) {
+  const [result] = await runQuery(
+    'DELETE FROM notification_subscriptions WHERE id = ?',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Get notification deliveries for a set of alerts
+ */
+export async function getDeliveries(alertIds) {
+  if (alertIds.length === 0) return [];
+
+  const [rows] = await runQuery(
+    `SELECT * FROM notification_deliveries
+     WHERE alert_id IN (${alertIds.map(() => '?').join(', ')})
+     ORDER BY created_at`,
+    alertIds
+  );
+  return rows;
+}
+
+/**
+ * Record a notification send attempt
+ */
+export async function recordDelivery({ alertId, subscriptionId, stage, channel, target, status, error = null }) {
+  await runQuery(
+    `INSERT INTO notification_deliveries
+     (alert_id, subscription_id, stage, channel, target, status, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [alertId, subscriptionId, stage, channel, target, status, error]
+  );
+}
+
+/**
+ * Close database connection
+ */
+export async function closeDB() {
+  if (pool) {
+    await pool.end();
+    console.log('MySQL connection pool closed');
+  }
+}
+
+export default {
+  initDB,
+  getSchemaVersions,
+  describeSchema,
+  recordMigration,
+  applyMigration,
+  revertMigration,
+  getUserByRFID,
+  findUserByRFID,
+  getUserById,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  getBinById,
+  getFleetSettings,
+  updateFleetSettings,
+  getAllBins,
+  updateBinStatus,
+  updateBinLevel,
+  setSensorFault,
+  updateBinConfig,
+  createBin,
+  deleteBin,
+  updateBinPosition,
+  getFloorPlans,
+  getFloorPlanById,
+  getFloorPlanImage,
+  getFloorPlanByBuilding,
+  createFloorPlan,
+  setFloorPlanImage,
+  deleteFloorPlan,
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  upsertPendingDevice,
+  getPendingDevices,
+  getPendingDevice,
+  deletePendingDevice,
+  logEvent,
+  getLogs,
+  countLogs,
+  insertTelemetry,
+  getRecentTelemetry,
+  getTelemetry,
+  getUsageRollupStart,
+  rollUpLogUsage,
+  rollUpCollectionUsage,
+  rollUpRfidUsage,
+  getUsageByPeriod,
+  getRfidUsageByPeriod,
+  getUsageHeatmap,
+  getTelemetryHistory,
+  getFullSince,
+  getDistanceRange,
+  createCollection,
+  getCollections,
+  getAlertMarkers,
+  getActiveAlert,
+  getAlertById,
+  createAlert,
+  bumpAlert,
+  acknowledgeAlert,
+  resolveAlert,
+  getAlerts,
+  createCommand,
+  getCommandById,
+  getCommands,
+  getLastLidOpen,
+  countEvents,
+  completeCommand,
+  timeoutPendingCommands,
+  getOperatorByUsername,
+  getOperatorById,
+  listOperators,
+  countOperators,
+  createOperator,
+  updateOperator,
+  getOperatorScopes,
+  setOperatorScopes,
+  updateOperatorPassword,
+  touchOperatorLogin,
+  bumpOperatorTokenVersion,
+  storeRefreshToken,
+  getRefreshToken,
+  revokeRefreshToken,
+  revokeOperatorRefreshTokens,
+  getSubscriptions,
+  getSubscriptionById,
+  getActiveSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  recordDelivery,
+  closeDB
+};
@@ -0,0 +1,1770 @@
+/**
+ * SQLite store
+ * Same query functions as the MySQL store on a single database file
+ * (better-sqlite3), for small deployments without a MySQL server. Tables
+ * come from migrations/sqlite; timestamps are stored as UTC
+ * 'YYYY-MM-DD HH:MM:SS' text and returned as Date objects, and rollups and
+ * reports group by server local time like MySQL does
+ */
+
+import fs from 'fs';
+import { dirname } from 'path';
+import Database from 'better-sqlite3';
+import config from '../config.js';
+import { normalizeUid } from '../rfid.js';
+import { toListColumn, parseSchedule, parseSubscription, escapeLike, markDuplicate } from './common.js';
+
+// Columns (and aliases) holding a date and time, returned as Date objects
+const DATETIME_COLUMNS = new Set([
+  'timestamp', 'created_at', 'updated_at', 'last_seen', 'sensor_fault_since', 'recorded_at',
+  'started_at', 'collected_at', 'full_since', 'first_at', 'hour_start', 'bucket_start',
+  'opened_at', 'last_seen_at', 'acknowledged_at', 'resolved_at', 'completed_at',
+  'first_seen', 'last_login', 'expires_at', 'revoked_at', 'applied_at'
+]);
+
+// Applied migrations (see ../migrations.js)
+const SCHEMA_VERSION_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`;
+
+// Start of the server-local hour containing a timestamp column, in UTC
+const LOCAL_HOUR_START_SQL = column => `datetime(strftime('%Y-%m-%d %H:00:00', ${column}, 'localtime'), 'utc')`;
+
+let database = null;
+
+/**
+ * Convert a query parameter to a value SQLite can bind
+ */
+function toParam(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value === undefined) return null;
+  return value;
+}
+
+/**
+ * Convert timestamp columns of a result row to Date objects
+ */
+function toRow(row) {
+  if (!row) return null;
+  for (const column of Object.keys(row)) {
+    if (DATETIME_COLUMNS.has(column) && typeof row[column] === 'string') {
+      row[column] = new Date(`${row[column].replace(' ', 'T')}Z`);
+    }
+  }
+  return row;
+}
+
+/**
+ * TIME columns hold 'HH:MM:SS' like MySQL returns them ('8:30' -> '08:30:00')
+ */
+function toTimeColumn(value) {
+  if (!value) return null;
+  const [hours, minutes = '00', seconds = '00'] = String(value).split(':');
+  return [hours, minutes, seconds].map(part => part.padStart(2, '0')).join(':');
+}
+
+/**
+ * Run a query: all() returns the rows, get() the first row or null,
+ * run() the result ({ changes, lastInsertRowid }). Unique-constraint
+ * violations are thrown with code DUPLICATE
+ */
+function all(sql, params = []) {
+  try {
+    return database.prepare(sql).all(params.map(toParam)).map(toRow);
+  } catch (error) {
+    throw markDuplicate(error);
+  }
+}
+
+function get(sql, params = []) {
+  try {
+    return toRow(database.prepare(sql).get(params.map(toParam)));
+  } catch (error) {
+    throw markDuplicate(error);
+  }
+}
+
+function run(sql, params = []) {
+  try {
+    return database.prepare(sql).run(params.map(toParam));
+  } catch (error) {
+    throw markDuplicate(error);
+  }
+}
+
+/**
+ * Open the database file
+ * migrating: create the file (and its folder) if it does not exist yet
+ */
+export async function initDB({ migrating = false } = {}) {
+  try {
+    const { path } = config.sqlite;
+    if (path !== ':memory:') {
+      if (!migrating && !fs.existsSync(path)) {
+        throw new Error(`${path} does not exist: run \`npm run migrate\` to create it`);
+      }
+      fs.mkdirSync(dirname(path), { recursive: true });
+    }
+
+    database = new Database(path);
+    database.pragma('journal_mode = WAL');
+    database.pragma('foreign_keys = ON');
+
+    console.log(`✅ SQLite database opened: ${path}`);
+    return database;
+  } catch (error) {
+    console.error('❌ SQLite open error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Applied migrations, oldest first, or null if schema_version does not exist
+ */
+export async function getSchemaVersions() {
+  if (!get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'")) {
+    return null;
+  }
+  return all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+}
+
+/**
+ * Tables of the database with their column and index names
+ * ({ users: { columns: [...], indexes: [...] } }, schema_version left out)
+ */
+export async function describeSchema() {
+  const tables = all(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> 'schema_version'"
+  );
+
+  const schema = {};
+  for (const { name } of tables) {
+    schema[name] = {
+      columns: database.pragma(`table_info("${name}")`).map(column => column.name),
+      indexes: database.pragma(`index_list("${name}")`).map(index => index.name)
+    };
+  }
+  return schema;
+}
+
+/**
+ * Add a row to schema_version, creating the table on first use
+ */
+function insertSchemaVersion(version, name) {
+  database.exec(SCHEMA_VERSION_TABLE);
+  run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [version, name]);
+}
+
+/**
+ * Record a migration as applied without running it
+ */
+export async function recordMigration(version, name) {
+  insertSchemaVersion(version, name);
+}
+
+/**
+ * Run migration SQL and then record(), in one transaction
+ * Foreign keys are off meanwhile so a migration can rebuild a table (SQLite
+ * cannot change a column's constraints in place) without cascading deletes;
+ * references are checked before committing instead
+ */
+function runMigration(sql, record) {
+  database.pragma('foreign_keys = OFF');
+  try {
+    database.transaction(() => {
+      database.exec(sql);
+      const violations = database.pragma('foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Migration leaves ${violations.length} broken reference(s) in ${violations[0].table}`);
+      }
+      record();
+    })();
+  } finally {
+    database.pragma('foreign_keys = ON');
+  }
+}
+
+/**
+ * Run a migration's SQL and record it
+ */
+export async function applyMigration(version, name, sql) {
+  runMigration(sql, () => insertSchemaVersion(version, name));
+}
+
+/**
+ * Run a migration's down SQL and remove it from schema_version
+ */
+export async function revertMigration(version, sql) {
+  runMigration(sql, () => run('DELETE FROM schema_version WHERE version = ?', [version]));
+}
+
+/**
+ * Get active user by RFID UID (any format, normalized before lookup)
+ */
+export async function getUserByRFID(rfidUid) {
+  return get(
+    'SELECT * FROM users WHERE rfid_uid = ? AND is_active = TRUE',
+    [normalizeUid(rfidUid)]
+  );
+}
+
+/**
+ * Find user holding an RFID UID, active or not (for duplicate checks)
+ */
+export async function findUserByRFID(rfidUid) {
+  return get(
+    'SELECT * FROM users WHERE rfid_uid = ?',
+    [normalizeUid(rfidUid)]
+  );
+}
+
+/**
+ * Get user by id
+ */
+export async function getUserById(id) {
+  return get(
+    'SELECT * FROM users WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * List users with optional search (name, email or UID) and active filter
+ */
+export async function listUsers({ search = null, active = null } = {}) {
+  let query = 'SELECT * FROM users';
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    conditions.push("(name LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\' OR rfid_uid LIKE ? ESCAPE '\\')");
+    const pattern = `%${escapeLike(search)}%`;
+    params.push(pattern, pattern, `%${escapeLike(normalizeUid(search))}%`);
+  }
+
+  if (active !== null) {
+    conditions.push('is_active = ?');
+    params.push(active);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY name';
+
+  return all(query, params);
+}
+
+/**
+ * Create a user (rfid_uid is stored normalized, or NULL if no card yet)
+ */
+export async function createUser({ name, email = null, role = 'user', rfidUid = null }) {
+  const result = run(
+    'INSERT INTO users (rfid_uid, name, email, role) VALUES (?, ?, ?, ?)',
+    [rfidUid ? normalizeUid(rfidUid) : null, name, email, role]
+  );
+  return getUserById(result.lastInsertRowid);
+}
+
+/**
+ * Update user fields
+ */
+export async function updateUser(id, updates) {
+  const allowedFields = ['name', 'email', 'role', 'is_active', 'rfid_uid'];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(key === 'rfid_uid' && value ? normalizeUid(value) : value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  values.push(id);
+
+  const result = run(
+    `UPDATE users SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    values
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Delete a user
+ */
+export async function deleteUser(id) {
+  const result = run(
+    'DELETE FROM users WHERE id = ?',
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get bin by bin_id (with status and the warning/critical levels in effect)
+ */
+export async function getBinById(binId) {
+  return get(
+    'SELECT * FROM v_bin_status WHERE bin_id = ?',
+    [binId]
+  );
+}
+
+/**
+ * Get the fleet-wide default warning/critical levels
+ */
+export async function getFleetSettings() {
+  return get(
+    'SELECT warning_percent, critical_percent, updated_at FROM fleet_settings WHERE id = 1'
+  );
+}
+
+/**
+ * Update the fleet-wide default warning/critical levels
+ */
+export async function updateFleetSettings({ warning_percent: warningPercent, critical_percent: criticalPercent }) {
+  run(
+    'UPDATE fleet_settings SET warning_percent = ?, critical_percent = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+    [warningPercent, criticalPercent]
+  );
+  return getFleetSettings();
+}
+
+/**
+ * Get all bins with status
+ */
+export async function getAllBins() {
+  return all(
+    'SELECT * FROM v_bin_status ORDER BY bin_id'
+  );
+}
+
+/**
+ * Update bin online status
+ */
+export async function updateBinStatus(binId, isOnline) {
+  run(
+    'UPDATE bins SET is_online = ?, last_seen = CURRENT_TIMESTAMP WHERE bin_id = ?',
+    [isOnline, binId]
+  );
+}
+
+/**
+ * Update bin level data
+ */
+export async function updateBinLevel(binId, levelPercent, distanceCm) {
+  run(
+    `UPDATE bins
+     SET current_level_percent = ?,
+         current_distance_cm = ?,
+         last_seen = CURRENT_TIMESTAMP
+     WHERE bin_id = ?`,
+    [levelPercent, distanceCm, binId]
+  );
+}
+
+/**
+ * Flag a bin's level sensor as faulty (reason) or healthy (null)
+ * sensor_fault_since keeps the start of the fault while the reason changes
+ */
+export async function setSensorFault(binId, reason) {
+  if (reason === null) {
+    run(
+      'UPDATE bins SET sensor_fault = NULL, sensor_fault_since = NULL WHERE bin_id = ?',
+      [binId]
+    );
+    return;
+  }
+
+  run(
+    `UPDATE bins
+     SET sensor_fault = ?, sensor_fault_since = COALESCE(sensor_fault_since, CURRENT_TIMESTAMP)
+     WHERE bin_id = ?`,
+    [reason, binId]
+  );
+}
+
+/**
+ * Update bin configuration
+ */
+export async function updateBinConfig(binId, updates) {
+  const allowedFields = [
+    'mode', 'threshold_cm', 'capacity_cm', 'name', 'location', 'latitude', 'longitude',
+    'warning_percent', 'critical_percent', 'schedule_ids', 'base_mode', 'base_threshold_cm'
+  ];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  values.push(binId);
+
+  const result = run(
+    `UPDATE bins SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE bin_id = ?`,
+    values
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Create a bin (unset fields fall back to the column defaults)
+ */
+export async function createBin(fields) {
+  const allowedFields = [
+    'bin_id', 'name', 'location', 'capacity_cm', 'mode', 'threshold_cm', 'latitude', 'longitude',
+    'warning_percent', 'critical_percent'
+  ];
+  const columns = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (allowedFields.includes(key) && value !== undefined) {
+      columns.push(key);
+      values.push(value);
+    }
+  }
+
+  run(
+    `INSERT INTO bins (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    values
+  );
+
+  return getBinById(fields.bin_id);
+}
+
+/**
+ * Delete a bin (logs and telemetry cascade)
+ */
+export async function deleteBin(binId) {
+  const result = run(
+    'DELETE FROM bins WHERE bin_id = ?',
+    [binId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Set or clear a bin's position on a floor plan (null floorPlanId clears it)
+ */
+export async function updateBinPosition(binId, { floorPlanId, x, y }) {
+  const result = run(
+    'UPDATE bins SET floor_plan_id = ?, plan_x = ?, plan_y = ? WHERE bin_id = ?',
+    floorPlanId === null ? [null, null, null, binId] : [floorPlanId, x, y, binId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * List floor plans (without image data)
+ */
+export async function getFloorPlans() {
+  return all(
+    `SELECT id, building, image_type, image IS NOT NULL AS has_image, uploaded_by, created_at, updated_at
+     FROM floor_plans ORDER BY building`
+  );
+}
+
+/**
+ * Get a floor plan (without image data)
+ */
+export async function getFloorPlanById(id) {
+  return get(
+    `SELECT id, building, image_type, image IS NOT NULL AS has_image, uploaded_by, created_at, updated_at
+     FROM floor_plans WHERE id = ?`,
+    [id]
+  );
+}
+
+/**
+ * Get a floor plan's image: { image, image_type } or null
+ */
+export async function getFloorPlanImage(id) {
+  return get(
+    'SELECT image, image_type FROM floor_plans WHERE id = ? AND image IS NOT NULL',
+    [id]
+  );
+}
+
+/**
+ * Get floor plan by building name
+ */
+export async function getFloorPlanByBuilding(building) {
+  return get(
+    'SELECT id, building FROM floor_plans WHERE building = ?',
+    [building]
+  );
+}
+
+/**
+ * Create a floor plan for a building (image is uploaded separately)
+ */
+export async function createFloorPlan(building, uploadedBy) {
+  const result = run(
+    'INSERT INTO floor_plans (building, uploaded_by) VALUES (?, ?)',
+    [building, uploadedBy]
+  );
+  return getFloorPlanById(result.lastInsertRowid);
+}
+
+/**
+ * Replace a floor plan's image
+ */
+export async function setFloorPlanImage(id, image, imageType, uploadedBy) {
+  const result = run(
+    'UPDATE floor_plans SET image = ?, image_type = ?, uploaded_by = ? WHERE id = ?',
+    [image, imageType, uploadedBy, id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Delete a floor plan (bins on it lose their position)
+ */
+export async function deleteFloorPlan(id) {
+  run(
+    'UPDATE bins SET floor_plan_id = NULL, plan_x = NULL, plan_y = NULL WHERE floor_plan_id = ?',
+    [id]
+  );
+  const result = run(
+    'DELETE FROM floor_plans WHERE id = ?',
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * List bin schedules, highest priority first
+ */
+export async function getSchedules() {
+  return all(
+    'SELECT * FROM bin_schedules ORDER BY priority DESC, id'
+  ).map(parseSchedule);
+}
+
+/**
+ * Get bin schedule by id
+ */
+export async function getScheduleById(id) {
+  return parseSchedule(get(
+    'SELECT * FROM bin_schedules WHERE id = ?',
+    [id]
+  ));
+}
+
+/**
+ * Create a bin schedule
+ */
+export async function createSchedule(fields, createdBy) {
+  const result = run(
+    `INSERT INTO bin_schedules
+     (name, bin_ids, location, days, start_time, end_time, mode, threshold_cm, priority, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fields.name,
+      toListColumn(fields.bin_ids),
+      fields.location || null,
+      toListColumn(fields.days),
+      toTimeColumn(fields.start_time),
+      toTimeColumn(fields.end_time),
+      fields.mode || null,
+      fields.threshold_cm ?? null,
+      fields.priority || 0,
+      createdBy
+    ]
+  );
+  return getScheduleById(result.lastInsertRowid);
+}
+
+/**
+ * Update a bin schedule and bump its version so bins re-apply it
+ */
+export async function updateSchedule(id, updates) {
+  const allowedFields = [
+    'name', 'bin_ids', 'location', 'days', 'start_time', 'end_time',
+    'mode', 'threshold_cm', 'priority', 'is_active'
+  ];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      if (['bin_ids', 'days'].includes(key)) {
+        values.push(toListColumn(value));
+      } else if (['start_time', 'end_time'].includes(key)) {
+        values.push(toTimeColumn(value));
+      } else {
+        values.push(value);
+      }
+    }
+  }
+
+  if (setClause.length === 0) {
+    return false;
+  }
+
+  values.push(id);
+
+  const result = run(
+    `UPDATE bin_schedules SET ${setClause.join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    values
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Delete a bin schedule (bins still using it fall back on the next scheduler run)
+ */
+export async function deleteSchedule(id) {
+  const result = run(
+    'DELETE FROM bin_schedules WHERE id = ?',
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Record a message from an unknown device
+ */
+export async function upsertPendingDevice(binId, topic) {
+  run(
+    `INSERT INTO pending_devices (bin_id, last_topic) VALUES (?, ?)
+     ON CONFLICT (bin_id) DO UPDATE SET
+       last_seen = CURRENT_TIMESTAMP,
+       last_topic = excluded.last_topic,
+       message_count = message_count + 1`,
+    [binId, topic]
+  );
+}
+
+/**
+ * List unknown devices waiting for approval
+ */
+export async function getPendingDevices() {
+  return all(
+    'SELECT * FROM pending_devices ORDER BY last_seen DESC'
+  );
+}
+
+/**
+ * Get a pending device by bin_id
+ */
+export async function getPendingDevice(binId) {
+  return get(
+    'SELECT * FROM pending_devices WHERE bin_id = ?',
+    [binId]
+  );
+}
+
+/**
+ * Remove a pending device (approved or dismissed)
+ */
+export async function deletePendingDevice(binId) {
+  const result = run(
+    'DELETE FROM pending_devices WHERE bin_id = ?',
+    [binId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Log an event
+ */
+export async function logEvent(binId, eventType, data = {}) {
+  const {
+    rfidUid = null,
+    userName = null,
+    source = null,
+    levelPercent = null,
+    distanceCm = null,
+    success = true,
+    message = null
+  } = data;
+
+  run(
+    `INSERT INTO logs
+     (bin_id, event_type, rfid_uid, user_name, source, level_percent, distance_cm, success, message)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [binId, eventType, rfidUid, userName, source, levelPercent, distanceCm, success, message]
+  );
+}
+
+/**
+ * WHERE conditions for log filters:
+ * { binIds, eventTypes, success, rfidUid, userName, from, to, search }
+ * binIds limits the bins (an empty list matches nothing)
+ */
+function logConditions(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.binIds) {
+    if (filters.binIds.length === 0) {
+      conditions.push('FALSE');
+    } else {
+      conditions.push(`l.bin_id IN (${filters.binIds.map(() => '?').join(', ')})`);
+      params.push(...filters.binIds);
+    }
+  }
+  if (filters.eventTypes && filters.eventTypes.length > 0) {
+    conditions.push(`l.event_type IN (${filters.eventTypes.map(() => '?').join(', ')})`);
+    params.push(...filters.eventTypes);
+  }
+  if (filters.success !== undefined && filters.success !== null) {
+    conditions.push('l.success = ?');
+    params.push(filters.success);
+  }
+  if (filters.rfidUid) {
+    conditions.push('l.rfid_uid = ?');
+    params.push(filters.rfidUid);
+  }
+  if (filters.userName) {
+    conditions.push("l.user_name LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(filters.userName)}%`);
+  }
+  if (filters.from) {
+    conditions.push('l.timestamp >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('l.timestamp < ?');
+    params.push(filters.to);
+  }
+  if (filters.search) {
+    conditions.push("l.message LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(filters.search)}%`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Get logs matching filters, newest first
+ * Keyset pagination: pass the last row's { timestamp, id } as `after` to get
+ * the next (older) page
+ */
+export async function getLogs(filters = {}, { limit = 100, after = null } = {}) {
+  const { conditions, params } = logConditions(filters);
+
+  if (after) {
+    conditions.push('(l.timestamp < ? OR (l.timestamp = ? AND l.id < ?))');
+    params.push(after.timestamp, after.timestamp, after.id);
+  }
+
+  let query = `
+    SELECT
+      l.*,
+      strftime('%Y-%m-%d %H:%M:%S', l.timestamp, 'localtime') as formatted_time
+    FROM logs l
+  `;
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY l.timestamp DESC, l.id DESC LIMIT ?';
+  params.push(limit);
+
+  return all(query, params);
+}
+
+/**
+ * Count logs matching filters
+ */
+export async function countLogs(filters = {}) {
+  const { conditions, params } = logConditions(filters);
+
+  let query = 'SELECT COUNT(*) AS total FROM logs l';
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  return get(query, params).total;
+}
+
+/**
+ * Store a raw level reading in telemetry
+ */
+export async function insertTelemetry(binId, levelPercent, distanceCm) {
+  run(
+    'INSERT INTO telemetry (bin_id, level_percent, distance_cm) VALUES (?, ?, ?)',
+    [binId, levelPercent, distanceCm]
+  );
+}
+
+/**
+ * Get raw level readings for a bin since a given time (oldest first)
+ */
+export async function getRecentTelemetry(binId, since) {
+  return all(
+    `SELECT level_percent, distance_cm, recorded_at
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at >= ?
+     ORDER BY recorded_at`,
+    [binId, since]
+  );
+}
+
+/**
+ * Get raw level readings matching filters { binIds, from, to }, oldest first
+ * binIds limits the bins (an empty list matches nothing). Keyset pagination:
+ * pass the last row's { recorded_at, id } as `after` to get the next page
+ */
+export async function getTelemetry(filters = {}, { limit = 1000, after = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.binIds) {
+    if (filters.binIds.length === 0) return [];
+    conditions.push(`bin_id IN (${filters.binIds.map(() => '?').join(', ')})`);
+    params.push(...filters.binIds);
+  }
+  if (filters.from) {
+    conditions.push('recorded_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('recorded_at < ?');
+    params.push(filters.to);
+  }
+  if (after) {
+    conditions.push('(recorded_at > ? OR (recorded_at = ? AND id > ?))');
+    params.push(after.recorded_at, after.recorded_at, after.id);
+  }
+
+  let query = 'SELECT id, bin_id, level_percent, distance_cm, recorded_at FROM telemetry';
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY recorded_at, id LIMIT ?';
+  params.push(limit);
+
+  return all(query, params);
+}
+
+/**
+ * Start of the run of readings at or above a level that ends at `before`
+ * (when a bin became full); null if the reading at `before` is below it
+ */
+export async function getFullSince(binId, before, levelPercent) {
+  const row = get(
+    `SELECT MIN(recorded_at) AS full_since
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at <= ? AND level_percent >= ?
+       AND recorded_at > COALESCE(
+         (SELECT MAX(recorded_at) FROM telemetry
+          WHERE bin_id = ? AND recorded_at <= ? AND level_percent < ?),
+         '1970-01-02'
+       )`,
+    [binId, before, levelPercent, binId, before, levelPercent]
+  );
+  return row?.full_since || null;
+}
+
+/**
+ * Record a detected collection
+ */
+export async function createCollection({ binId, levelBefore, levelAfter, startedAt, collectedAt, durationSeconds, fullSince }) {
+  const result = run(
+    `INSERT INTO collections
+     (bin_id, level_before, level_after, started_at, collected_at, duration_seconds, full_since)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [binId, levelBefore, levelAfter, startedAt, collectedAt, durationSeconds, fullSince]
+  );
+
+  return get('SELECT * FROM collections WHERE id = ?', [result.lastInsertRowid]);
+}
+
+/**
+ * Get collections in a time range, newest first
+ */
+export async function getCollections({ binId = null, from, to }) {
+  let query = 'SELECT * FROM collections WHERE collected_at >= ? AND collected_at <= ?';
+  const params = [from, to];
+
+  if (binId) {
+    query += ' AND bin_id = ?';
+    params.push(binId);
+  }
+
+  query += ' ORDER BY collected_at DESC';
+
+  return all(query, params);
+}
+
+/**
+ * Start of the newest rolled-up usage hour (null before the first rollup)
+ * Rollups restart from there, so the hour that was still running is completed
+ */
+export async function getUsageRollupStart() {
+  return get('SELECT MAX(hour_start) AS hour_start FROM usage_hourly')?.hour_start || null;
+}
+
+/**
+ * Roll up lid openings and RFID scans per bin and hour since a time
+ * Lid events logged before the source column existed came from commands;
+ * their message names the command reason
+ */
+export async function rollUpLogUsage(since) {
+  run(
+    `INSERT INTO usage_hourly
+       (bin_id, hour_start, opens_proximity, opens_rfid, opens_manual, rfid_granted, rfid_denied)
+     SELECT
+       bin_id,
+       hour_start,
+       SUM(event_type = 'lid_open' AND source = 'proximity'),
+       SUM(event_type = 'lid_open' AND source = 'rfid'),
+       SUM(event_type = 'lid_open' AND source = 'manual'),
+       SUM(event_type = 'rfid_scan' AND success),
+       SUM(event_type = 'rfid_scan' AND NOT success)
+     FROM (
+       SELECT
+         bin_id,
+         event_type,
+         success,
+         ${LOCAL_HOUR_START_SQL('timestamp')} AS hour_start,
+         COALESCE(source, iif(message LIKE '%(rfid_authorized)', 'rfid', 'manual')) AS source
+       FROM logs
+       WHERE bin_id IS NOT NULL AND timestamp >= ?
+         AND (event_type = 'rfid_scan' OR (event_type = 'lid_open' AND success))
+     ) events
+     WHERE TRUE
+     GROUP BY bin_id, hour_start
+     ON CONFLICT (bin_id, hour_start) DO UPDATE SET
+       opens_proximity = excluded.opens_proximity,
+       opens_rfid = excluded.opens_rfid,
+       opens_manual = excluded.opens_manual,
+       rfid_granted = excluded.rfid_granted,
+       rfid_denied = excluded.rfid_denied`,
+    [since]
+  );
+}
+
+/**
+ * Roll up collections per bin and hour since a time, with the time since each
+ * bin's previous collection (which may be before `since`)
+ */
+export async function rollUpCollectionUsage(since) {
+  run(
+    `INSERT INTO usage_hourly
+       (bin_id, hour_start, collections, collection_gap_seconds, collection_gaps)
+     SELECT
+       bin_id,
+       ${LOCAL_HOUR_START_SQL('collected_at')} AS hour_start,
+       COUNT(*),
+       COALESCE(SUM(gap_seconds), 0),
+       COUNT(gap_seconds)
+     FROM (
+       SELECT
+         bin_id,
+         collected_at,
+         unixepoch(collected_at)
+           - unixepoch(LAG(collected_at) OVER (PARTITION BY bin_id ORDER BY collected_at)) AS gap_seconds
+       FROM collections
+     ) gaps
+     WHERE collected_at >= ?
+     GROUP BY bin_id, hour_start
+     ON CONFLICT (bin_id, hour_start) DO UPDATE SET
+       collections = excluded.collections,
+       collection_gap_seconds = excluded.collection_gap_seconds,
+       collection_gaps = excluded.collection_gaps`,
+    [since]
+  );
+}
+
+/**
+ * Roll up RFID scans per card, bin and day since the start of a day
+ */
+export async function rollUpRfidUsage(since) {
+  run(
+    `INSERT INTO usage_rfid_daily (day, bin_id, rfid_uid, user_name, granted, denied)
+     SELECT
+       date(timestamp, 'localtime') AS day,
+       bin_id,
+       rfid_uid,
+       MAX(user_name),
+       SUM(success),
+       SUM(NOT success)
+     FROM logs
+     WHERE event_type = 'rfid_scan' AND bin_id IS NOT NULL AND rfid_uid IS NOT NULL
+       AND timestamp >= datetime(?, 'localtime', 'start of day', 'utc')
+     GROUP BY day, bin_id, rfid_uid
+     ON CONFLICT (day, bin_id, rfid_uid) DO UPDATE SET
+       user_name = excluded.user_name,
+       granted = excluded.granted,
+       denied = excluded.denied`,
+    [since]
+  );
+}
+
+// SQL for the start of the day, week (Monday) or month containing a local date column
+const PERIOD_START_SQL = {
+  day: column => `date(${column})`,
+  week: column => `date(${column}, '-6 days', 'weekday 1')`,
+  month: column => `strftime('%Y-%m-01', ${column})`
+};
+
+/**
+ * WHERE conditions for report filters { binIds, from, to } on a table's
+ * bin and time columns (an empty binIds matches nothing)
+ * valueSql converts the from/to parameters to the time column's format
+ */
+function reportConditions(filters, timeColumn, valueSql = '?') {
+  const conditions = [`${timeColumn} >= ${valueSql}`, `${timeColumn} < ${valueSql}`];
+  const params = [filters.from, filters.to];
+
+  if (filters.binIds) {
+    if (filters.binIds.length === 0) {
+      conditions.push('FALSE');
+    } else {
+      conditions.push(`bin_id IN (${filters.binIds.map(() => '?').join(', ')})`);
+      params.push(...filters.binIds);
+    }
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Usage per bin and period ('day', 'week' or 'month') for report filters
+ */
+export async function getUsageByPeriod(period, filters) {
+  const { conditions, params } = reportConditions(filters, 'hour_start');
+  const periodStart = PERIOD_START_SQL[period]("datetime(hour_start, 'localtime')");
+
+  return all(
+    `SELECT
+       ${periodStart} AS period_start,
+       bin_id,
+       SUM(opens_proximity) AS opens_proximity,
+       SUM(opens_rfid) AS opens_rfid,
+       SUM(opens_manual) AS opens_manual,
+       SUM(rfid_granted) AS rfid_granted,
+       SUM(rfid_denied) AS rfid_denied,
+       SUM(collections) AS collections,
+       SUM(collection_gap_seconds) AS collection_gap_seconds,
+       SUM(collection_gaps) AS collection_gaps
+     FROM usage_hourly
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY period_start, bin_id
+     ORDER BY period_start, bin_id`,
+    params
+  );
+}
+
+/**
+ * RFID scans per card and period for report filters (unknown cards have no user_name)
+ */
+export async function getRfidUsageByPeriod(period, filters) {
+  // Days count from their local midnight, as for a MySQL DATE column
+  const { conditions, params } = reportConditions(filters, 'datetime(day)', "datetime(?, 'localtime')");
+  const periodStart = PERIOD_START_SQL[period]('day');
+
+  return all(
+    `SELECT
+       ${periodStart} AS period_start,
+       rfid_uid,
+       MAX(user_name) AS user_name,
+       SUM(granted) AS granted,
+       SUM(denied) AS denied,
+       COUNT(DISTINCT bin_id) AS bins
+     FROM usage_rfid_daily
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY period_start, rfid_uid
+     ORDER BY period_start, rfid_uid`,
+    params
+  );
+}
+
+/**
+ * Lid openings by weekday (0 = Sunday) and hour of day for report filters
+ */
+export async function getUsageHeatmap(filters) {
+  const { conditions, params } = reportConditions(filters, 'hour_start');
+
+  return all(
+    `SELECT
+       CAST(strftime('%w', hour_start, 'localtime') AS INTEGER) AS weekday,
+       CAST(strftime('%H', hour_start, 'localtime') AS INTEGER) AS hour,
+       SUM(opens_proximity + opens_rfid + opens_manual) AS opens
+     FROM usage_hourly
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY weekday, hour
+     ORDER BY weekday, hour`,
+    params
+  );
+}
+
+/**
+ * Distance range of the readings since a time: { min_cm, max_cm, first_at, count }
+ */
+export async function getDistanceRange(binId, since) {
+  return get(
+    `SELECT MIN(distance_cm) AS min_cm, MAX(distance_cm) AS max_cm,
+            MIN(recorded_at) AS first_at, COUNT(*) AS count
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at >= ?`,
+    [binId, since]
+  );
+}
+
+/**
+ * Get downsampled level history for a bin
+ * Groups readings into buckets of bucketSeconds and returns min/avg/max per bucket
+ */
+export async function getTelemetryHistory(binId, from, to, bucketSeconds) {
+  return all(
+    `SELECT
+       datetime(CAST(unixepoch(recorded_at) / ? AS INTEGER) * ?, 'unixepoch') AS bucket_start,
+       MIN(level_percent) AS min_level,
+       ROUND(AVG(level_percent), 1) AS avg_level,
+       MAX(level_percent) AS max_level,
+       ROUND(AVG(distance_cm), 1) AS avg_distance_cm,
+       COUNT(*) AS samples
+     FROM telemetry
+     WHERE bin_id = ? AND recorded_at >= ? AND recorded_at < ?
+     GROUP BY bucket_start
+     ORDER BY bucket_start`,
+    [bucketSeconds, bucketSeconds, binId, from, to]
+  );
+}
+
+/**
+ * Get alerts opened for a bin, grouped into the same buckets as the history
+ */
+export async function getAlertMarkers(binId, from, to, bucketSeconds) {
+  return all(
+    `SELECT
+       datetime(CAST(unixepoch(opened_at) / ? AS INTEGER) * ?, 'unixepoch') AS bucket_start,
+       type,
+       COUNT(*) AS count
+     FROM alerts
+     WHERE bin_id = ? AND opened_at >= ? AND opened_at < ?
+     GROUP BY bucket_start, type
+     ORDER BY bucket_start`,
+    [bucketSeconds, bucketSeconds, binId, from, to]
+  );
+}
+
+/**
+ * Get the active (open or acknowledged) alert for a bin and condition
+ */
+export async function getActiveAlert(binId, type) {
+  return get(
+    `SELECT * FROM alerts
+     WHERE bin_id = ? AND type = ? AND state IN ('open', 'acknowledged')
+     ORDER BY opened_at DESC LIMIT 1`,
+    [binId, type]
+  );
+}
+
+/**
+ * Get alert by id
+ */
+export async function getAlertById(id) {
+  return get(
+    'SELECT * FROM alerts WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * Open a new alert
+ */
+export async function createAlert(binId, type, message, levelPercent) {
+  const result = run(
+    'INSERT INTO alerts (bin_id, type, message, level_percent) VALUES (?, ?, ?, ?)',
+    [binId, type, message, levelPercent]
+  );
+  return getAlertById(result.lastInsertRowid);
+}
+
+/**
+ * Record another occurrence of an active alert's condition
+ */
+export async function bumpAlert(id, levelPercent = null) {
+  run(
+    `UPDATE alerts
+     SET occurrences = occurrences + 1,
+         last_seen_at = CURRENT_TIMESTAMP,
+         level_percent = COALESCE(?, level_percent)
+     WHERE id = ?`,
+    [levelPercent, id]
+  );
+}
+
+/**
+ * Mark an alert acknowledged
+ */
+export async function acknowledgeAlert(id, username) {
+  run(
+    `UPDATE alerts SET state = 'acknowledged', acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = ?
+     WHERE id = ? AND state = 'open'`,
+    [username, id]
+  );
+}
+
+/**
+ * Mark an alert resolved
+ */
+export async function resolveAlert(id, resolution, username = null) {
+  run(
+    `UPDATE alerts SET state = 'resolved', resolved_at = CURRENT_TIMESTAMP, resolution = ?, resolved_by = ?
+     WHERE id = ? AND state != 'resolved'`,
+    [resolution, username, id]
+  );
+}
+
+/**
+ * List alerts with optional state/bin/type filters (newest first)
+ * binIds limits the bins (an empty list matches nothing)
+ */
+export async function getAlerts({ states = null, binIds = null, type = null, limit = 100 } = {}) {
+  let query = 'SELECT * FROM alerts';
+  const conditions = [];
+  const params = [];
+
+  if (states && states.length > 0) {
+    conditions.push(`state IN (${states.map(() => '?').join(', ')})`);
+    params.push(...states);
+  }
+  if (binIds) {
+    if (binIds.length === 0) return [];
+    conditions.push(`bin_id IN (${binIds.map(() => '?').join(', ')})`);
+    params.push(...binIds);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY opened_at DESC LIMIT ?';
+  params.push(limit);
+
+  return all(query, params);
+}
+
+/**
+ * Store a command sent (or refused) for a device
+ */
+export async function createCommand({ id, binId, action, reason, requestedBy, status = 'pending', error = null }) {
+  run(
+    `INSERT INTO commands (id, bin_id, action, reason, requested_by, status, error, completed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ${status === 'pending' ? 'NULL' : 'CURRENT_TIMESTAMP'})`,
+    [id, binId, action, reason, requestedBy, status, error]
+  );
+  return getCommandById(id);
+}
+
+/**
+ * Get command by id
+ */
+export async function getCommandById(id) {
+  return get(
+    'SELECT * FROM commands WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * Recent commands of a bin (newest first)
+ */
+export async function getCommands(binId, limit = 20) {
+  return all(
+    'SELECT * FROM commands WHERE bin_id = ? ORDER BY created_at DESC LIMIT ?',
+    [binId, limit]
+  );
+}
+
+/**
+ * Time the device last confirmed opening the lid for a command, or null
+ */
+export async function getLastLidOpen(binId) {
+  const row = get(
+    `SELECT MAX(completed_at) AS opened_at FROM commands
+     WHERE bin_id = ? AND action = 'open' AND status = 'acked'`,
+    [binId]
+  );
+  return row?.opened_at || null;
+}
+
+/**
+ * Count log events of a type for a bin since a time
+ */
+export async function countEvents(binId, eventType, since) {
+  return get(
+    'SELECT COUNT(*) AS count FROM logs WHERE bin_id = ? AND event_type = ? AND timestamp >= ?',
+    [binId, eventType, since]
+  ).count;
+}
+
+/**
+ * Set the final status of a command if it is currently in one of fromStatuses
+ * Returns true if the command was updated
+ */
+export async function completeCommand(id, status, error = null, fromStatuses = ['pending']) {
+  const result = run(
+    `UPDATE commands SET status = ?, error = ?, completed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+    [status, error, id, ...fromStatuses]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Time out every command still pending (e.g. left over from before a restart)
+ */
+export async function timeoutPendingCommands(error) {
+  const result = run(
+    `UPDATE commands SET status = 'timed_out', error = ?, completed_at = CURRENT_TIMESTAMP
+     WHERE status = 'pending'`,
+    [error]
+  );
+  return result.changes;
+}
+
+/**
+ * Get operator account by username
+ */
+export async function getOperatorByUsername(username) {
+  return get(
+    'SELECT * FROM operators WHERE username = ?',
+    [username]
+  );
+}
+
+/**
+ * Get operator account by id
+ */
+export async function getOperatorById(id) {
+  return get(
+    'SELECT * FROM operators WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * List operator accounts (without password hashes)
+ */
+export async function listOperators() {
+  return all(
+    'SELECT id, username, role, is_active, last_login, created_at FROM operators ORDER BY username'
+  );
+}
+
+/**
+ * Count operator accounts
+ */
+export async function countOperators() {
+  return get('SELECT COUNT(*) AS count FROM operators').count;
+}
+
+/**
+ * Create an operator account
+ */
+export async function createOperator({ username, passwordHash, role }) {
+  const result = run(
+    'INSERT INTO operators (username, password_hash, role) VALUES (?, ?, ?)',
+    [username, passwordHash, role]
+  );
+  return getOperatorById(result.lastInsertRowid);
+}
+
+/**
+ * Update operator role or active state
+ */
+export async function updateOperator(id, updates) {
+  const allowedFields = ['role', 'is_active'];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      values.push(value);
+    }
+  }
+
+  if (setClause.length === 0) {
+    return false;
+  }
+
+  values.push(id);
+
+  const result = run(
+    `UPDATE operators SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    values
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Get access scopes of an operator
+ */
+export async function getOperatorScopes(operatorId) {
+  return all(
+    'SELECT scope_type, scope_value FROM operator_scopes WHERE operator_id = ? ORDER BY scope_type, scope_value',
+    [operatorId]
+  );
+}
+
+/**
+ * Replace all access scopes of an operator
+ */
+export async function setOperatorScopes(operatorId, scopes) {
+  database.transaction(() => {
+    run('DELETE FROM operator_scopes WHERE operator_id = ?', [operatorId]);
+    for (const scope of scopes) {
+      run(
+        'INSERT INTO operator_scopes (operator_id, scope_type, scope_value) VALUES (?, ?, ?)',
+        [operatorId, scope.scope_type, scope.scope_value]
+      );
+    }
+  })();
+}
+
+/**
+ * Set a new password hash for an operator
+ */
+export async function updateOperatorPassword(id, passwordHash) {
+  run(
+    'UPDATE operators SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [passwordHash, id]
+  );
+}
+
+/**
+ * Record a successful login
+ */
+export async function touchOperatorLogin(id) {
+  run(
+    'UPDATE operators SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * Invalidate all access tokens issued to an operator so far
+ */
+export async function bumpOperatorTokenVersion(id) {
+  run(
+    'UPDATE operators SET token_version = token_version + 1 WHERE id = ?',
+    [id]
+  );
+}
+
+/**
+ * Store a refresh token hash
+ */
+export async function storeRefreshToken(operatorId, tokenHash, expiresAt) {
+  run(
+    'INSERT INTO refresh_tokens (operator_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [operatorId, tokenHash, expiresAt]
+  );
+}
+
+/**
+ * Get a refresh token by its hash
+ */
+export async function getRefreshToken(tokenHash) {
+  return get(
+    'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+    [tokenHash]
+  );
+}
+
+/**
+ * Revoke a refresh token
+ */
+export async function revokeRefreshToken(tokenHash) {
+  run(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL',
+    [tokenHash]
+  );
+}
+
+/**
+ * Revoke all refresh tokens of an operator
+ */
+export async function revokeOperatorRefreshTokens(operatorId) {
+  run(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE operator_id = ? AND revoked_at IS NULL',
+    [operatorId]
+  );
+}
+
+/**
+ * List notification subscriptions (all, or of one operator)
+ */
+export async function getSubscriptions(operatorId = null) {
+  let query = 'SELECT * FROM notification_subscriptions';
+  const params = [];
+
+  if (operatorId) {
+    query += ' WHERE operator_id = ?';
+    params.push(operatorId);
+  }
+
+  query += ' ORDER BY id';
+
+  return all(query, params).map(parseSubscription);
+}
+
+/**
+ * Get notification subscription by id
+ */
+export async function getSubscriptionById(id) {
+  return parseSubscription(get(
+    'SELECT * FROM notification_subscriptions WHERE id = ?',
+    [id]
+  ));
+}
+
+/**
+ * Active subscriptions of active operators, with the operator's username
+ */
+export async function getActiveSubscriptions() {
+  return all(
+    `SELECT s.*, o.username
+     FROM notification_subscriptions s
+     JOIN operators o ON o.id = s.operator_id
+     WHERE s.is_active = TRUE AND o.is_active = TRUE`
+  ).map(parseSubscription);
+}
+
+/**
+ * Create a notification subscription
+ */
+export async function createSubscription(operatorId, fields) {
+  const result = run(
+    `INSERT INTO notification_subscriptions
+     (operator_id, channel, target, bin_ids, alert_types, quiet_start, quiet_end,
+      escalate_after_minutes, escalation_target)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      operatorId,
+      fields.channel,
+      fields.target,
+      toListColumn(fields.bin_ids),
+      toListColumn(fields.alert_types),
+      toTimeColumn(fields.quiet_start),
+      toTimeColumn(fields.quiet_end),
+      fields.escalate_after_minutes || null,
+      fields.escalation_target || null
+    ]
+  );
+  return getSubscriptionById(result.lastInsertRowid);
+}
+
+/**
+ * Update a notification subscription
+ */
+export async function updateSubscription(id, updates) {
+  const allowedFields = [
+    'channel', 'target', 'bin_ids', 'alert_types', 'quiet_start', 'quiet_end',
+    'escalate_after_minutes', 'escalation_target', 'is_active'
+  ];
+  const setClause = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key)) {
+      setClause.push(`${key} = ?`);
+      if (['bin_ids', 'alert_types'].includes(key)) {
+        values.push(toListColumn(value));
+      } else if (['quiet_start', 'quiet_end'].includes(key)) {
+        values.push(toTimeColumn(value));
+      } else {
+        values.push(value);
+      }
+    }
+  }
+
+  if (setClause.length === 0) {
+    return false;
+  }
+
+  values.push(id);
+
+  const result = run(
+    `UPDATE notification_subscriptions SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    values
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Delete a notification subscription
+ */
+export async function deleteSubscription(id) {
+  const result = run(
+    'DELETE FROM notification_subscriptions WHERE id = ?',
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get notification deliveries for a set of alerts
+ */
+export async function getDeliveries(alertIds) {
+  if (alertIds.length === 0) return [];
+
+  return all(
+    `SELECT * FROM notification_deliveries
+     WHERE alert_id IN (${alertIds.map(() => '?').join(', ')})
+     ORDER BY created_at`,
+    alertIds
+  );
+}
+
+/**
+ * Record a notification send attempt
+ */
+export async function recordDelivery({ alertId, subscriptionId, stage, channel, target, status, error = null }) {
+  run(
+    `INSERT INTO notification_deliveries
+     (alert_id, subscription_id, stage, channel, target, status, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [alertId, subscriptionId, stage, channel, target, status, error]
+  );
+}
+
+/**
+ * Close the database file
+ */
+export async function closeDB() {
+  if (database) {
+    database.close();
+    database = null;
+    console.log('SQLite database closed');
+  }
+}
+
+export default {
+  initDB,
+  getSchemaVersions,
+  describeSchema,
+  recordMigration,
+  applyMigration,
+  revertMigration,
+  getUserByRFID,
+  findUserByRFID,
+  getUserById,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  getBinById,
+  getFleetSettings,
+  updateFleetSettings,
+  getAllBins,
+  updateBinStatus,
+  updateBinLevel,
+  setSensorFault,
+  updateBinConfig,
+  createBin,
+  deleteBin,
+  updateBinPosition,
+  getFloorPlans,
+  getFloorPlanById,
+  getFloorPlanImage,
+  getFloorPlanByBuilding,
+  createFloorPlan,
+  setFloorPlanImage,
+  deleteFloorPlan,
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  upsertPendingDevice,
+  getPendingDevices,
+  getPendingDevice,
+  deletePendingDevice,
+  logEvent,
+  getLogs,
+  countLogs,
+  insertTelemetry,
+  getRecentTelemetry,
+  getTelemetry,
+  getUsageRollupStart,
+  rollUpLogUsage,
+  rollUpCollectionUsage,
+  rollUpRfidUsage,
+  getUsageByPeriod,
+  getRfidUsageByPeriod,
+  getUsageHeatmap,
+  getTelemetryHistory,
+  getFullSince,
+  getDistanceRange,
+  createCollection,
+  getCollections,
+  getAlertMarkers,
+  getActiveAlert,
+  getAlertById,
+  createAlert,
+  bumpAlert,
+  acknowledgeAlert,
+  resolveAlert,
+  getAlerts,
+  createCommand,
+  getCommandById,
+  getCommands,
+  getLastLidOpen,
+  countEvents,
+  completeCommand,
+  timeoutPendingCommands,
+  getOperatorByUsername,
+  getOperatorById,
+  listOperators,
+  countOperators,
+  createOperator,
+  updateOperator,
+  getOperatorScopes,
+  setOperatorScopes,
+  updateOperatorPassword,
+  touchOperatorLogin,
+  bumpOperatorTokenVersion,
+  storeRefreshToken,
+  getRefreshToken,
+  revokeRefreshToken,
+  revokeOperatorRefreshTokens,
+  getSubscriptions,
+  getSubscriptionById,
+  getActiveSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  recordDelivery,
+  closeDB
+};
@@ -0,0 +1,22 @@
+/**
+ * Time-of-day windows
+ * "HH:MM" settings shared by notification quiet hours and bin schedules
+ */
+
+/**
+ * Parse "HH:MM" or "HH:MM:SS" into minutes since midnight, or null
+ */
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || ''));
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+export default {
+  parseTimeOfDay
+};
@@ -0,0 +1,59 @@
+/**
+ * Alert inbox API: filters and page size
+ * Runs once per store like e2e.test.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+// Resolved alerts on BIN_ALERTS, more than one page
+const RESOLVED = 501;
+
+for (const { store, skip } of STORES) {
+  describe(`alerts API (${store})`, { skip }, () => {
+    let stack;
+
+    const list = async (query) => {
+      const { status, body } = await stack.request('GET', `/alerts?bin=BIN_ALERTS&${query}`);
+      assert.equal(status, 200, query);
+      return body.data;
+    };
+
+    before(async () => {
+      stack = await startStack({ store });
+      await db.createBin({ bin_id: 'BIN_ALERTS', name: 'Alert Bin' });
+
+      for (let i = 0; i < RESOLVED; i++) {
+        const alert = await db.createAlert('BIN_ALERTS', 'offline', `BIN_ALERTS offline ${i}`, null);
+        await db.resolveAlert(alert.id, 'device_online', null);
+      }
+      await db.createAlert('BIN_ALERTS', 'full_warning', 'BIN_ALERTS is 85% full', 85);
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('filters by state and type', async () => {
+      assert.deepEqual((await list('')).map(alert => alert.type), ['full_warning']);
+      assert.equal((await list('state=resolved&type=full_warning')).length, 0);
+      assert.equal((await stack.request('GET', '/alerts?state=closed')).status, 400);
+      assert.equal((await stack.request('GET', '/alerts?type=flood')).status, 400);
+    });
+
+    test('limit is kept between 1 and 500', async () => {
+      assert.equal((await list('state=resolved&limit=20')).length, 20);
+      assert.equal((await list('state=resolved&limit=100000')).length, 500);
+      assert.equal((await list('state=resolved&limit=-3')).length, 1);
+      assert.equal((await list('state=resolved&limit=0')).length, 100);
+      assert.equal((await list('state=resolved&limit=all')).length, 100);
+    });
+  });
+}
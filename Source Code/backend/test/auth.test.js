@@ -0,0 +1,151 @@
+/**
+ * Operator authentication: password hashing and rules, refresh token
+ * rotation, logout and password changes revoking sessions
+ * The session tests run once per store like e2e.test.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword, validatePassword } from '../src/auth.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+describe('passwords', () => {
+  test('hashes are salted and verify only the same password', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+
+    assert.match(first, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notEqual(first, second);
+    assert.equal(await verifyPassword('correct horse', first), true);
+    assert.equal(await verifyPassword('correct horse!', first), false);
+  });
+
+  test('malformed stored hashes never verify', async () => {
+    for (const stored of ['', 'plain', 'bcrypt$salt$hash', 'scrypt$$', null]) {
+      assert.equal(await verifyPassword('anything', stored), false, String(stored));
+    }
+  });
+
+  test('passwords need at least 8 characters', () => {
+    assert.equal(validatePassword('12345678'), null);
+    assert.match(validatePassword('1234567'), /at least 8/);
+    assert.match(validatePassword(undefined), /at least 8/);
+  });
+});
+
+for (const { store, skip } of STORES) {
+  describe(`sessions (${store})`, { skip }, () => {
+    let stack;
+    let count = 0;
+
+    /**
+     * A new operator with a fresh session
+     */
+    const newOperator = async () => {
+      const credentials = { username: `auth-${++count}`, password: 'auth-password-1' };
+      await stack.request('POST', '/operators', { ...credentials, role: 'viewer' });
+      return { credentials, ...(await stack.login(credentials)) };
+    };
+
+    /**
+     * Call the API with a token: { status, body }
+     */
+    const call = async (method, path, token, body = undefined) => {
+      const response = await fetch(`${stack.apiUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const refresh = (refreshToken) => call('POST', '/auth/refresh', null, { refreshToken });
+
+    before(async () => {
+      stack = await startStack({ store });
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('login rejects wrong and inactive credentials', async () => {
+      const { credentials, session } = await newOperator();
+      assert.equal(session.user.username, credentials.username);
+
+      assert.equal((await call('POST', '/auth/login', null, { ...credentials, password: 'wrong-password' })).status, 401);
+      assert.equal((await call('POST', '/auth/login', null, { username: credentials.username })).status, 400);
+
+      await stack.request('PUT', `/operators/${session.user.id}`, { is_active: false });
+      assert.equal((await call('POST', '/auth/login', null, credentials)).status, 401);
+      assert.equal((await call('GET', '/auth/me', session.token)).status, 401);
+    });
+
+    test('a refresh token is exchanged once for a new pair', async () => {
+      const { session } = await newOperator();
+
+      const rotated = await refresh(session.refreshToken);
+      assert.equal(rotated.status, 200);
+      assert.notEqual(rotated.body.refreshToken, session.refreshToken);
+      assert.equal((await call('GET', '/auth/me', rotated.body.token)).body.data.id, session.user.id);
+
+      // Reusing the old one fails; the new one still works
+      assert.equal((await refresh(session.refreshToken)).status, 401);
+      assert.equal((await refresh(rotated.body.refreshToken)).status, 200);
+      assert.equal((await refresh('not-a-token')).status, 401);
+      assert.equal((await refresh(undefined)).status, 400);
+    });
+
+    test('logout revokes that session only', async () => {
+      const { credentials, session } = await newOperator();
+      const other = await stack.login(credentials);
+
+      const logout = await call('POST', '/auth/logout', session.token, { refreshToken: session.refreshToken });
+      assert.equal(logout.status, 200);
+
+      assert.equal((await refresh(session.refreshToken)).status, 401);
+      assert.equal((await refresh(other.session.refreshToken)).status, 200);
+    });
+
+    test('logout everywhere revokes every refresh and access token', async () => {
+      const { credentials, session } = await newOperator();
+      const other = await stack.login(credentials);
+
+      assert.equal((await call('POST', '/auth/logout', session.token, { all: true })).status, 200);
+
+      assert.equal((await call('GET', '/auth/me', session.token)).status, 401);
+      assert.equal((await call('GET', '/bins', other.session.token)).status, 401);
+      assert.equal((await refresh(session.refreshToken)).status, 401);
+      assert.equal((await refresh(other.session.refreshToken)).status, 401);
+
+      // A new login works again
+      const again = await stack.login(credentials);
+      assert.equal((await call('GET', '/auth/me', again.session.token)).status, 200);
+    });
+
+    test('changing the password revokes the old sessions and returns a new one', async () => {
+      const { credentials, session } = await newOperator();
+      const change = (body) => call('POST', '/auth/password', session.token, body);
+
+      assert.equal((await change({ currentPassword: 'wrong-password', newPassword: 'auth-password-2' })).status, 401);
+      assert.equal((await change({ currentPassword: credentials.password, newPassword: 'short' })).status, 400);
+      assert.equal((await call('GET', '/auth/me', session.token)).status, 200);
+
+      const changed = await change({ currentPassword: credentials.password, newPassword: 'auth-password-2' });
+      assert.equal(changed.status, 200);
+
+      assert.equal((await call('GET', '/auth/me', session.token)).status, 401);
+      assert.equal((await refresh(session.refreshToken)).status, 401);
+      assert.equal((await call('GET', '/auth/me', changed.body.token)).status, 200);
+      assert.equal((await refresh(changed.body.refreshToken)).status, 200);
+
+      assert.equal((await call('POST', '/auth/login', null, credentials)).status, 401);
+      assert.equal((await call('POST', '/auth/login', null, { ...credentials, password: 'auth-password-2' })).status, 200);
+    });
+  });
+}
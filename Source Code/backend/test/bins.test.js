@@ -0,0 +1,86 @@
+/**
+ * Bins API: device approval and configuration checks
+ * Runs once per store like e2e.test.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+for (const { store, skip } of STORES) {
+  describe(`bins API (${store})`, { skip }, () => {
+    let stack;
+
+    before(async () => {
+      stack = await startStack({ store });
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('approving a device takes the same fields and checks as POST /bins', async () => {
+      await db.upsertPendingDevice('BIN_NEW', 'smartbin/BIN_NEW/level');
+      const approve = (body) => stack.request('POST', '/devices/pending/BIN_NEW/approve', body);
+
+      for (const body of [
+        { warning_percent: 90, critical_percent: 80 },
+        { warning_percent: 0 },
+        { critical_percent: 101 },
+        { latitude: 21.0285 },
+        { latitude: 91, longitude: 105.8542 },
+        { latitude: '21.0285', longitude: '105.8542' },
+        { threshold_cm: -5 }
+      ]) {
+        const { status } = await approve(body);
+        assert.equal(status, 400, JSON.stringify(body));
+      }
+      assert.equal((await stack.request('GET', '/devices/pending')).body.data.length, 1);
+
+      const { status, body } = await approve({
+        name: 'Lobby Bin', warning_percent: 60, critical_percent: 75, latitude: 21.0285, longitude: 105.8542
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.name, 'Lobby Bin');
+      assert.equal(body.data.warning_percent, 60);
+      assert.equal(body.data.critical_percent, 75);
+      assert.equal(Number(body.data.latitude), 21.0285);
+      assert.equal(Number(body.data.longitude), 105.8542);
+      assert.deepEqual((await stack.request('GET', '/devices/pending')).body.data, []);
+    });
+
+    test('config changes reject non-positive or non-numeric distances', async () => {
+      const configure = (body) => stack.request('PUT', '/bins/BIN_01/config', body);
+      const before = (await stack.request('GET', '/bins/BIN_01')).body.data;
+
+      for (const body of [
+        { threshold_cm: 0 },
+        { threshold_cm: -10 },
+        { threshold_cm: '40' },
+        { threshold_cm: 12.5 },
+        { threshold_cm: null },
+        { capacity_cm: 0 },
+        { capacity_cm: 'tall' }
+      ]) {
+        const { status, body: response } = await configure(body);
+        assert.equal(status, 400, JSON.stringify(body));
+        assert.match(response.error, /must be a positive integer/);
+      }
+
+      const unchanged = (await stack.request('GET', '/bins/BIN_01')).body.data;
+      assert.equal(unchanged.threshold_cm, before.threshold_cm);
+      assert.equal(unchanged.capacity_cm, before.capacity_cm);
+
+      const { status, body } = await configure({ threshold_cm: 40, capacity_cm: 120 });
+      assert.equal(status, 200);
+      assert.equal(body.data.threshold_cm, 40);
+      assert.equal(body.data.capacity_cm, 120);
+    });
+  });
+}
@@ -0,0 +1,61 @@
+/**
+ * Embedded MQTT broker: loopback by default, login required beyond it
+ */
+
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mqtt from 'mqtt';
+import { startBroker, stopBroker } from '../src/broker.js';
+
+/**
+ * Connect once; resolves true on CONNACK, false when the broker refuses
+ */
+function tryConnect(url, options = {}) {
+  return new Promise(resolve => {
+    const client = mqtt.connect(url, { ...options, reconnectPeriod: 0, connectTimeout: 2000 });
+    const done = (connected) => {
+      resolve(connected);
+      client.end(true);
+    };
+    client.once('connect', () => done(true));
+    client.once('error', () => done(false));
+    client.once('close', () => done(false));
+  });
+}
+
+describe('embedded broker', () => {
+  let log;
+  let warn;
+
+  before(() => {
+    log = console.log;
+    warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+  });
+
+  after(() => {
+    console.log = log;
+    console.warn = warn;
+  });
+
+  afterEach(() => stopBroker());
+
+  test('accepts anonymous clients on loopback', async () => {
+    const { url } = await startBroker({ host: '127.0.0.1', port: 0 });
+    assert.equal(await tryConnect(url), true);
+  });
+
+  test('refuses to listen beyond loopback without credentials', async () => {
+    await assert.rejects(startBroker({ host: '0.0.0.0', port: 0 }), /set MQTT_EMBEDDED_USERNAME and MQTT_EMBEDDED_PASSWORD/);
+    await assert.rejects(startBroker({ host: '0.0.0.0', port: 0, username: 'bins', password: '' }), /reachable from the network/);
+  });
+
+  test('with credentials, only clients that log in can connect', async () => {
+    const { url } = await startBroker({ host: '0.0.0.0', port: 0, username: 'bins', password: 's3cret' });
+
+    assert.equal(await tryConnect(url), false);
+    assert.equal(await tryConnect(url, { username: 'bins', password: 'wrong' }), false);
+    assert.equal(await tryConnect(url, { username: 'bins', password: 's3cret' }), true);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Collection detection and early/late collection statistics
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCollection, classify, summarize } from '../src/collections.js';
+
+const start = new Date(Date.UTC(2025, 0, 15, 8, 0));
+const hoursAfter = (hours) => new Date(start.getTime() + hours * 3600000);
+
+const thresholds = { earlyPercent: 60, lateHours: 4 };
+
+const collection = (overrides = {}) => ({
+  bin_id: 'BIN_01',
+  level_before: 85,
+  collected_at: hoursAfter(10),
+  full_since: hoursAfter(8),
+  ...overrides
+});
+
+describe('detectCollection', () => {
+  const readings = (levels) => levels.map((level_percent, i) => ({
+    level_percent,
+    recorded_at: new Date(start.getTime() + i * 60000)
+  }));
+
+  test('detects a drop that holds for three readings', () => {
+    assert.deepEqual(detectCollection(readings([80, 85, 84, 5, 5, 6])), {
+      level_before: 85,
+      level_after: 6,
+      started_at: new Date(start.getTime() + 60000),
+      collected_at: new Date(start.getTime() + 3 * 60000),
+      duration_seconds: 120
+    });
+  });
+
+  test('waits for the drop to be confirmed and reports it once', () => {
+    assert.equal(detectCollection(readings([85, 84, 5, 5])), null);
+    assert.equal(detectCollection(readings([85, 84, 5, 5, 5, 5])), null);
+  });
+
+  test('ignores a single bad reading and small drops', () => {
+    assert.equal(detectCollection(readings([85, 5, 84, 84, 85])), null);
+    assert.equal(detectCollection(readings([85, 84, 56, 56, 56])), null);
+    assert.notEqual(detectCollection(readings([85, 84, 55, 55, 55])), null);
+  });
+});
+
+describe('classify', () => {
+  test('emptied below the early level is too early', () => {
+    assert.deepEqual(classify(collection({ level_before: 59, full_since: null }), thresholds), { timing: 'too_early', full_hours: null });
+    assert.equal(classify(collection({ level_before: 60, full_since: null }), thresholds).timing, 'on_time');
+  });
+
+  test('full for longer than the late hours is too late', () => {
+    assert.deepEqual(classify(collection({ full_since: hoursAfter(5.5) }), thresholds), { timing: 'too_late', full_hours: 4.5 });
+    assert.deepEqual(classify(collection({ full_since: hoursAfter(6) }), thresholds), { timing: 'on_time', full_hours: 4 });
+  });
+
+  test('an early level wins over a long full time', () => {
+    assert.equal(classify(collection({ level_before: 50, full_since: hoursAfter(0) }), thresholds).timing, 'too_early');
+  });
+
+  test('uses the thresholds it is given, including 0', () => {
+    assert.equal(classify(collection({ level_before: 10, full_since: null }), { earlyPercent: 0, lateHours: 4 }).timing, 'on_time');
+    assert.equal(classify(collection(), { earlyPercent: 60, lateHours: 1 }).timing, 'too_late');
+  });
+});
+
+describe('summarize', () => {
+  test('counts timings and averages per bin, sorted by bin', () => {
+    const stats = summarize([
+      collection({ bin_id: 'BIN_02', level_before: 40, full_since: null, collected_at: hoursAfter(3) }),
+      collection({ level_before: 90, full_since: hoursAfter(4), collected_at: hoursAfter(10) }),
+      collection({ level_before: 80, full_since: hoursAfter(20), collected_at: hoursAfter(21) }),
+      collection({ level_before: 55, full_since: null, collected_at: hoursAfter(15) })
+    ], thresholds);
+
+    assert.deepEqual(stats, [
+      {
+        bin_id: 'BIN_01',
+        count: 3,
+        too_early: 1,
+        too_late: 1,
+        on_time: 1,
+        last_collected_at: hoursAfter(21),
+        avg_level_before: 75,
+        avg_full_hours: 3.5
+      },
+      {
+        bin_id: 'BIN_02',
+        count: 1,
+        too_early: 1,
+        too_late: 0,
+        on_time: 0,
+        last_collected_at: hoursAfter(3),
+        avg_level_before: 40,
+        avg_full_hours: null
+      }
+    ]);
+  });
+
+  test('averages are rounded to one decimal', () => {
+    const [stats] = summarize([
+      collection({ level_before: 80 }),
+      collection({ level_before: 81 }),
+      collection({ level_before: 81 })
+    ], thresholds);
+    assert.equal(stats.avg_level_before, 80.7);
+  });
+
+  test('no collections give no rows', () => {
+    assert.deepEqual(summarize([], thresholds), []);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Device command tracking: acks, timeouts and the lid log entry of each outcome
+ * Timeouts run on mocked timers; runs once per store like e2e.test.js
+ */
+
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config.js';
+import * as db from '../src/db.js';
+import { createCommand, handleAck, clearTimers } from '../src/commands.js';
+import { isMySQLAvailable, isSQLiteAvailable, openTestDatabase } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+const bin = { bin_id: 'BIN_02', is_online: true };
+
+/**
+ * Wait for pending database work without timers (setTimeout is mocked)
+ */
+async function until(check) {
+  const deadline = Date.now() + 5000;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the command');
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+for (const { store, skip } of STORES) {
+  describe(`commands (${store})`, { skip }, () => {
+    let database;
+    let warn;
+
+    const timeoutMs = () => config.commands.ackTimeoutSeconds * 1000;
+    const lidLogs = () => db.getLogs({ binIds: ['BIN_02'], eventTypes: ['lid_open'] });
+    const status = async (id) => (await db.getCommandById(id)).status;
+
+    before(async () => {
+      database = await openTestDatabase({ store });
+      warn = console.warn;
+      console.warn = () => {};
+    });
+
+    after(async () => {
+      console.warn = warn;
+      await database?.stop();
+    });
+
+    beforeEach(() => {
+      mock.timers.enable({ apis: ['setTimeout'] });
+    });
+
+    afterEach(() => {
+      clearTimers();
+      mock.timers.reset();
+    });
+
+    test('a command without an ack times out and logs a failed opening', async () => {
+      const before = (await lidLogs()).length;
+      const command = await createCommand(bin, 'open', { reason: 'manual', requestedBy: 'ops' });
+
+      mock.timers.tick(timeoutMs() - 1);
+      assert.equal(await status(command.id), 'pending');
+
+      mock.timers.tick(1);
+      await until(async () => (await lidLogs()).length > before);
+
+      assert.equal(await status(command.id), 'timed_out');
+      const [entry] = await lidLogs();
+      assert.equal(Boolean(entry.success), false);
+      assert.equal(entry.source, 'manual');
+      assert.match(entry.message, /timed out/);
+    });
+
+    test('a late ack updates a timed-out command without logging it again', async () => {
+      const command = await createCommand(bin, 'open', { reason: 'rfid_authorized', requestedBy: 'John Doe' });
+      mock.timers.tick(timeoutMs());
+      await until(async () => (await status(command.id)) === 'timed_out');
+      const before = (await lidLogs()).length;
+
+      const acked = await handleAck('BIN_02', { command_id: command.id, status: 'ok' });
+      assert.equal(acked.status, 'acked');
+      assert.equal((await lidLogs()).length, before);
+    });
+
+    test('an ack in time logs the outcome once and stops the timeout', async () => {
+      const before = (await lidLogs()).length;
+      const command = await createCommand(bin, 'open', { reason: 'rfid_authorized', requestedBy: 'John Doe' });
+
+      mock.timers.tick(timeoutMs() / 2);
+      const acked = await handleAck('BIN_02', { command_id: command.id, status: 'ok' });
+      assert.equal(acked.status, 'acked');
+
+      mock.timers.tick(timeoutMs());
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.equal(await status(command.id), 'acked');
+      const logs = await lidLogs();
+      assert.equal(logs.length, before + 1);
+      assert.equal(Boolean(logs[0].success), true);
+      assert.equal(logs[0].source, 'rfid');
+    });
+
+    test('a device error fails the command', async () => {
+      const command = await createCommand(bin, 'close', { reason: 'manual' });
+      const failed = await handleAck('BIN_02', { command_id: command.id, status: 'error', error: 'Lid jammed' });
+
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.error, 'Lid jammed');
+    });
+
+    test('acks for unknown commands or another bin are ignored', async () => {
+      const command = await createCommand(bin, 'open', { reason: 'manual' });
+
+      assert.equal(await handleAck('BIN_02', { command_id: 'no-such-command', status: 'ok' }), null);
+      assert.equal(await handleAck('BIN_01', { command_id: command.id, status: 'ok' }), null);
+      assert.equal(await status(command.id), 'pending');
+    });
+
+    test('an offline bin gets a failed command right away', async () => {
+      const command = await createCommand({ ...bin, is_online: false }, 'open', { reason: 'manual' });
+
+      assert.equal(command.status, 'failed');
+      assert.equal(command.error, 'Bin is offline');
+      assert.match((await lidLogs())[0].message, /bin is offline/);
+    });
+  });
+}
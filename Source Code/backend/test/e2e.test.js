@@ -0,0 +1,176 @@
+/**
+ * End-to-end: simulated devices → MQTT → backend → database → REST API
+ * Runs once per store: MySQL needs a server (MYSQL_* in .env), SQLite the
+ * better-sqlite3 package. Each run uses its own throwaway database and an
+ * embedded broker on a random port (see harness.js)
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack, waitFor } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+for (const { store, skip } of STORES) {
+  describe(`MQTT → DB → API pipeline (${store})`, { skip }, () => {
+    let stack;
+
+    before(async () => {
+      stack = await startStack({ store });
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    const getLogs = async (query) => (await stack.request('GET', `/logs?${query}`)).body.data;
+
+    test('authorized RFID sends an open command and logs a successful scan', async () => {
+      const device = await stack.connectDevice('BIN_01', {
+        rfid: [{ uid: '43 E8 2B 16', every_minutes: 60 }]
+      });
+      device.advance(0);
+
+      const command = await waitFor(
+        () => device.received.find(message => message.topic === 'cmd' && message.payload.action === 'open'),
+        { message: 'open command' }
+      );
+      assert.equal(command.payload.reason, 'rfid_authorized');
+      assert.ok(command.payload.command_id);
+
+      const [scan] = await waitFor(() => getLogs('bin=BIN_01&type=rfid_scan&rfid=43E82B16'), { message: 'scan log' });
+      assert.equal(Boolean(scan.success), true);
+      assert.equal(scan.user_name, 'John Doe');
+
+      // The simulated device acked the command
+      const acked = await waitFor(async () => {
+        const { body } = await stack.request('GET', `/commands/${command.payload.command_id}`);
+        return body.data.status === 'acked' && body.data;
+      }, { message: 'command ack' });
+      assert.equal(acked.requested_by, 'John Doe');
+    });
+
+    test('unknown UID raises an unauthorized_access alert', async () => {
+      const device = await stack.connectDevice('BIN_01', {
+        rfid: [{ uid: 'DEADBEEF', every_minutes: 60 }]
+      });
+      device.advance(0);
+
+      const [alert] = await waitFor(async () => {
+        const { body } = await stack.request('GET', '/alerts?bin=BIN_01&type=unauthorized_access');
+        return body.data.length > 0 && body.data;
+      }, { message: 'unauthorized_access alert' });
+      assert.equal(alert.state, 'open');
+      assert.match(alert.message, /DEADBEEF/);
+
+      const [scan] = await getLogs('bin=BIN_01&type=rfid_scan&rfid=DEADBEEF');
+      assert.equal(Boolean(scan.success), false);
+      assert.equal(device.received.some(message => message.topic === 'cmd'), false);
+    });
+
+    test('last will flips the bin offline', async () => {
+      const device = await stack.connectDevice('BIN_02', {
+        disconnects: [{ at_minute: 1, duration_minutes: 60 }]
+      });
+
+      const isOnline = async () => Boolean((await stack.request('GET', '/bins/BIN_02')).body.data.is_online);
+      await waitFor(isOnline, { message: 'BIN_02 online' });
+
+      device.advance(1);
+      assert.equal(device.online(), false);
+
+      await waitFor(async () => !(await isOnline()), { message: 'BIN_02 offline' });
+
+      const { body } = await stack.request('GET', '/alerts?bin=BIN_02&type=offline');
+      assert.equal(body.data.length, 1);
+    });
+
+    test('config changes are published retained', async () => {
+      const { status } = await stack.request('PUT', '/bins/BIN_02/config', { mode: 'AUTO', threshold_cm: 35 });
+      assert.equal(status, 200);
+
+      // A device connecting afterwards still gets the config
+      const client = await stack.connectClient();
+      const messages = [];
+      client.on('message', (topic, message, packet) => messages.push({ payload: JSON.parse(message), retain: packet.retain }));
+      await client.subscribeAsync('smartbin/BIN_02/config', { qos: 1 });
+
+      const config = await waitFor(() => messages[0], { message: 'retained config' });
+      assert.equal(config.retain, true);
+      assert.equal(config.payload.mode, 'AUTO');
+      assert.equal(config.payload.threshold, 35);
+    });
+
+    test('approving a device whose bin was registered meanwhile is a conflict', async () => {
+      await stack.connectDevice('BIN_09');
+      await waitFor(async () => {
+        const { body } = await stack.request('GET', '/devices/pending');
+        return body.data.some(device => device.bin_id === 'BIN_09');
+      }, { message: 'pending BIN_09' });
+      await db.createBin({ bin_id: 'BIN_09', name: 'Loading Dock Bin' });
+
+      const { status, body } = await stack.request('POST', '/devices/pending/BIN_09/approve', {});
+      assert.equal(status, 409);
+      assert.equal(body.error, 'Bin already exists');
+    });
+
+    test('a scoped operator only reads the bins in its scope', async () => {
+      const created = await stack.request('POST', '/operators', {
+        username: 'e2e-scoped',
+        password: 'e2e-password-456',
+        role: 'viewer',
+        scopes: [{ scope_type: 'bin', scope_value: 'BIN_02' }]
+      });
+      assert.equal(created.status, 201);
+
+      const login = await fetch(`${stack.apiUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'e2e-scoped', password: 'e2e-password-456' })
+      });
+      const { token } = await login.json();
+      const get = async (path) => {
+        const response = await fetch(`${stack.apiUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+        return { status: response.status, body: await response.json() };
+      };
+
+      assert.deepEqual((await get('/bins')).body.data.map(bin => bin.bin_id), ['BIN_02']);
+      assert.equal((await get('/bins/BIN_01')).status, 403);
+      assert.equal((await get('/bins/BIN_01/history')).status, 403);
+      assert.equal((await get('/logs?bin=BIN_01')).status, 403);
+      assert.equal((await get('/alerts?bin=BIN_01')).status, 403);
+
+      const logs = (await get('/logs?limit=500')).body.data;
+      assert.ok(logs.length > 0);
+      assert.ok(logs.every(log => log.bin_id === 'BIN_02'));
+      assert.ok((await get('/alerts?state=open,acknowledged,resolved')).body.data.every(alert => alert.bin_id === 'BIN_02'));
+
+      const [unauthorized] = (await stack.request('GET', '/alerts?bin=BIN_01&type=unauthorized_access')).body.data;
+      assert.equal((await get(`/alerts/${unauthorized.id}`)).status, 403);
+
+      // The live stream skips other bins' events
+      const abort = new AbortController();
+      const stream = await fetch(`${stack.apiUrl}/stream?token=${token}`, { signal: abort.signal });
+      const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+      let received = '';
+
+      // Events reach a client in the order they were published
+      await stack.request('PUT', '/bins/BIN_01/config', { threshold_cm: 40 });
+      await stack.request('PUT', '/bins/BIN_02/config', { threshold_cm: 40 });
+
+      while (!received.includes('"bin_id":"BIN_02"')) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        received += value;
+      }
+      abort.abort();
+
+      assert.match(received, /event: config\ndata: \{"bin_id":"BIN_02"/);
+      assert.doesNotMatch(received, /"bin_id":"BIN_01"/);
+    });
+  });
+}
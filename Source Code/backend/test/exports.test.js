@@ -0,0 +1,169 @@
+/**
+ * Log and telemetry exports: CSV and NDJSON files, filters, operator scopes,
+ * download tokens and batches read across the keyset boundary
+ * Runs once per store like e2e.test.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+// More rows than one export batch (1000), so the export reads a second page
+const ROWS = 1005;
+
+// Telemetry range covering the rows written by the tests (the default range
+// ends now, which excludes readings stored in the current second)
+const RANGE = `from=${new Date(Date.now() - 3600000).toISOString()}&to=${new Date(Date.now() + 3600000).toISOString()}`;
+
+/**
+ * CSV file body as rows of cells (the test data has no quoted cells)
+ */
+function parseCsv(text) {
+  assert.ok(text.startsWith('\ufeff'), 'byte order mark');
+  return text.slice(1).split('\r\n').filter(Boolean).map(line => line.split(','));
+}
+
+/**
+ * NDJSON file body as objects
+ */
+function parseNdjson(text) {
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+for (const { store, skip } of STORES) {
+  describe(`exports (${store})`, { skip }, () => {
+    let stack;
+    let scoped;
+
+    before(async () => {
+      stack = await startStack({ store });
+
+      await db.createBin({ bin_id: 'BIN_EXPORT', name: 'Export Bin' });
+      for (let i = 0; i < ROWS; i++) {
+        await db.logEvent('BIN_EXPORT', 'config_change', { userName: 'exporter', message: `change ${i}` });
+        await db.insertTelemetry('BIN_EXPORT', i % 100, 100 - (i % 100));
+      }
+      await db.logEvent('BIN_EXPORT', 'access_denied', { userName: 'exporter', success: false, message: 'denied' });
+      await db.logEvent('BIN_02', 'lid_open', { source: 'manual', message: 'opened' });
+      await db.insertTelemetry('BIN_02', 40, 108);
+
+      await stack.request('POST', '/operators', {
+        username: 'export-scoped',
+        password: 'export-password-1',
+        role: 'viewer',
+        scopes: [{ scope_type: 'bin', scope_value: 'BIN_02' }]
+      });
+      scoped = await stack.login({ username: 'export-scoped', password: 'export-password-1' });
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('logs export as CSV with every matching row across batches, newest first', async () => {
+      const { status, headers, body } = await stack.request('GET', '/logs/export?bin=BIN_EXPORT&type=config_change');
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'text/csv; charset=utf-8');
+      assert.match(headers.get('content-disposition'), /^attachment; filename="logs-BIN_EXPORT-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+      const [header, ...rows] = parseCsv(body);
+      assert.deepEqual(header, [
+        'id', 'timestamp', 'bin_id', 'event_type', 'rfid_uid', 'user_name', 'source',
+        'level_percent', 'distance_cm', 'success', 'message'
+      ]);
+      assert.equal(rows.length, ROWS);
+
+      // Rows logged in the same second are ordered by id, none repeated or lost at the batch edge
+      const ids = rows.map(row => Number(row[0]));
+      assert.equal(new Set(ids).size, ROWS);
+      assert.ok(ids.every((id, i) => i === 0 || id < ids[i - 1]));
+      assert.deepEqual(rows[0].slice(2, 4), ['BIN_EXPORT', 'config_change']);
+      assert.equal(rows[0][10], `change ${ROWS - 1}`);
+      assert.equal(rows[ROWS - 1][10], 'change 0');
+    });
+
+    test('logs export as NDJSON takes the GET /logs filters', async () => {
+      const { status, headers, body } = await stack.request('GET', '/logs/export?format=ndjson&bin=BIN_EXPORT&success=false');
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'application/x-ndjson; charset=utf-8');
+
+      const rows = parseNdjson(body);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].event_type, 'access_denied');
+      assert.equal(rows[0].rfid_uid, null);
+      assert.equal(Boolean(rows[0].success), false);
+
+      const searched = parseNdjson((await stack.request('GET', '/logs/export?format=ndjson&bin=BIN_EXPORT&q=change%20100')).body);
+      assert.deepEqual(searched.map(row => row.message).sort(), ['change 100', 'change 1000', 'change 1001', 'change 1002', 'change 1003', 'change 1004']);
+    });
+
+    test('telemetry export reads every reading across batches, oldest first', async () => {
+      const csv = parseCsv((await stack.request('GET', `/telemetry/export?bin=BIN_EXPORT&${RANGE}`)).body);
+      assert.deepEqual(csv[0], ['id', 'bin_id', 'level_percent', 'distance_cm', 'recorded_at']);
+      assert.equal(csv.length - 1, ROWS);
+
+      const rows = parseNdjson((await stack.request('GET', `/telemetry/export?bin=BIN_EXPORT&format=ndjson&${RANGE}`)).body);
+      assert.equal(rows.length, ROWS);
+      assert.ok(rows.every((row, i) => i === 0 || row.id > rows[i - 1].id));
+      assert.deepEqual(rows.slice(999, 1001).map(row => Number(row.level_percent)), [99, 0]);
+
+      const from = new Date(Date.now() + 60000).toISOString();
+      const to = new Date(Date.now() + 120000).toISOString();
+      const empty = await stack.request('GET', `/telemetry/export?bin=BIN_EXPORT&from=${from}&to=${to}`);
+      assert.equal(parseCsv(empty.body).length, 1);
+    });
+
+    test('invalid formats and filters are rejected before the download starts', async () => {
+      for (const path of [
+        '/logs/export?format=xlsx',
+        '/logs/export?type=unknown',
+        '/logs/export?from=yesterday',
+        '/telemetry/export?format=xml',
+        '/telemetry/export?from=2025-02-01T00:00:00Z&to=2025-01-01T00:00:00Z'
+      ]) {
+        const { status, body } = await stack.request('GET', path);
+        assert.equal(status, 400, path);
+        assert.ok(body.error, path);
+      }
+      assert.equal((await stack.request('GET', '/telemetry/export?bin=BIN_404')).status, 404);
+    });
+
+    test('a scoped operator only exports the bins in its scope', async () => {
+      assert.equal((await scoped.request('GET', '/logs/export?bin=BIN_EXPORT')).status, 403);
+      assert.equal((await scoped.request('GET', `/telemetry/export?bin=BIN_EXPORT&${RANGE}`)).status, 403);
+
+      const logs = parseNdjson((await scoped.request('GET', '/logs/export?format=ndjson')).body);
+      assert.ok(logs.length > 0);
+      assert.ok(logs.every(log => log.bin_id === 'BIN_02'));
+
+      const readings = parseNdjson((await scoped.request('GET', `/telemetry/export?format=ndjson&${RANGE}`)).body);
+      assert.equal(readings.length, 1);
+      assert.ok(readings.every(reading => reading.bin_id === 'BIN_02'));
+    });
+
+    test('a download link takes a download token, not the access token', async () => {
+      const { body: issued } = await scoped.request('POST', '/exports/token');
+      assert.equal(issued.expiresIn, 60);
+
+      const download = await fetch(`${stack.apiUrl}/logs/export?format=ndjson&token=${issued.token}`);
+      assert.equal(download.status, 200);
+      assert.ok(parseNdjson(await download.text()).every(log => log.bin_id === 'BIN_02'));
+
+      // The access token does not work in the query, the download token nowhere else
+      assert.equal((await fetch(`${stack.apiUrl}/logs/export?token=${scoped.session.token}`)).status, 401);
+      const elsewhere = await fetch(`${stack.apiUrl}/bins`, { headers: { Authorization: `Bearer ${issued.token}` } });
+      assert.equal(elsewhere.status, 401);
+      assert.equal((await fetch(`${stack.apiUrl}/stream?token=${issued.token}`)).status, 401);
+
+      // Logging out everywhere revokes it
+      await scoped.request('POST', '/auth/logout', { all: true });
+      assert.equal((await fetch(`${stack.apiUrl}/telemetry/export?${RANGE}&token=${issued.token}`)).status, 401);
+    });
+  });
+}
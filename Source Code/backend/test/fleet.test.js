@@ -0,0 +1,129 @@
+/**
+ * Fleet simulator against the backend: a short seeded run, then the run's
+ * report and recorded events are compared with the telemetry, logs and
+ * alerts the backend stored. Runs once per store like e2e.test.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { expandScenario, runFleet } from '../tools/fleet.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack, waitFor } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+// One simulated hour at 600x: about 6 seconds
+const SCENARIO = {
+  seed: 7,
+  defaults: { level_interval_seconds: 60, start_level: 10, fill: { percent_per_hour: 5 } },
+  bins: [
+    { id: 'FLEET_01', proximity: { per_hour: 30 } },
+    {
+      id: 'FLEET_02',
+      rfid: [
+        { uid: '43 E8 2B 16', every_minutes: 10, offset_minutes: 2 },
+        { uid: 'DEADBEEF', every_minutes: 15, offset_minutes: 7 }
+      ]
+    },
+    // Messages sent just before a dropped connection are lost as on a real
+    // device, so only this bin's connection is compared
+    { id: 'FLEET_03', disconnects: [{ at_minute: 20, duration_minutes: 5 }] }
+  ]
+};
+
+const BIN_IDS = SCENARIO.bins.map(bin => bin.id);
+
+for (const { store, skip } of STORES) {
+  describe(`fleet run (${store})`, { skip }, () => {
+    let stack;
+    let report;
+
+    const count = (events, match) => events.filter(match).length;
+    const storedReadings = async (binId) =>
+      Number((await stack.sql('SELECT COUNT(*) AS total FROM telemetry WHERE bin_id = ?', [binId]))[0].total);
+
+    before(async () => {
+      stack = await startStack({ store });
+      for (const binId of BIN_IDS) {
+        await stack.request('POST', '/bins', { bin_id: binId, name: binId });
+      }
+
+      const { done } = runFleet(expandScenario(SCENARIO), {
+        brokerUrl: stack.brokerUrl,
+        seed: SCENARIO.seed,
+        speed: 600,
+        durationMinutes: 60,
+        recordEvents: true,
+        log: () => {}
+      });
+      report = await done;
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('the run did what the scenario asks for', () => {
+      const [first, second, third] = report.bins;
+      assert.ok(first.proximity_opens > 0);
+      assert.equal(third.disconnects, 1);
+      assert.deepEqual(second.rfid_by_uid, { '43 E8 2B 16': 6, DEADBEEF: 4 });
+      assert.equal(report.events.length, report.totals.published_level + report.totals.published_lid +
+        report.totals.published_rfid_check + report.totals.published_cmd_ack);
+    });
+
+    test('every closed-lid reading is stored', async () => {
+      // FLEET_02's readings right after an opening count as lid-open by the
+      // backend's clock, so only FLEET_01 is compared
+      const closed = count(report.events, event =>
+        event.bin_id === 'FLEET_01' && event.topic === 'data/level' && event.payload.lid === 'closed');
+
+      await waitFor(async () => (await storedReadings('FLEET_01')) === closed, {
+        message: `${closed} FLEET_01 readings`
+      });
+      assert.ok(await storedReadings('FLEET_02') > 0);
+    });
+
+    test('scans, openings and disconnects are logged as sent', async () => {
+      const [first, second, third] = report.bins;
+      const logs = () => db.getLogs({ binIds: BIN_IDS }, { limit: 10000 });
+      const logged = (entries, binId, type, match = () => true) =>
+        count(entries, entry => entry.bin_id === binId && entry.event_type === type && match(entry));
+
+      const acks = count(report.events, event => event.topic === 'cmd_ack' && event.payload.status === 'ok');
+      assert.equal(acks, second.command_opens);
+
+      const entries = await waitFor(async () => {
+        const current = await logs();
+        const settled = logged(current, 'FLEET_02', 'lid_open') === acks &&
+          logged(current, 'FLEET_03', 'alert', entry => entry.message === 'Device disconnected') > third.disconnects;
+        return settled && current;
+      }, { message: `${acks} acked openings and the final disconnect` });
+
+      assert.equal(logged(entries, 'FLEET_01', 'lid_open', entry => entry.source === 'proximity'), first.proximity_opens);
+      assert.equal(logged(entries, 'FLEET_02', 'lid_open', entry => entry.source === 'rfid' && Boolean(entry.success)), acks);
+      assert.equal(logged(entries, 'FLEET_02', 'rfid_scan', entry => entry.rfid_uid === '43E82B16'), second.rfid_by_uid['43 E8 2B 16']);
+      assert.equal(logged(entries, 'FLEET_02', 'rfid_scan', entry => entry.rfid_uid === 'DEADBEEF'), second.rfid_by_uid.DEADBEEF);
+
+      // The disconnect window, plus the offline status sent when the run stops
+      const disconnected = logged(entries, 'FLEET_03', 'alert', entry => entry.message === 'Device disconnected');
+      assert.equal(disconnected, third.disconnects + 1);
+    });
+
+    test('alerts match the unknown scans and the disconnect', async () => {
+      const { body } = await stack.request('GET', '/alerts?bin=FLEET_02&type=unauthorized_access');
+      assert.equal(body.data.length, 1);
+      assert.equal(body.data[0].occurrences, report.bins[1].rfid_by_uid.DEADBEEF);
+
+      // Resolved on reconnecting; open again after the run stopped
+      const offline = await waitFor(async () => {
+        const { body: list } = await stack.request('GET', '/alerts?bin=FLEET_03&type=offline&state=open,resolved');
+        return list.data.length === 2 && list.data;
+      }, { message: 'two offline alerts' });
+      assert.deepEqual(offline.map(alert => alert.state).sort(), ['open', 'resolved']);
+    });
+  });
+}
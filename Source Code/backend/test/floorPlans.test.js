@@ -0,0 +1,175 @@
+/**
+ * Floor plans API: image upload and replacement, deletion and bin placement
+ * Runs once per store like e2e.test.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+// Smallest valid PNG and GIF files (1x1 pixel)
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+);
+const GIF = Buffer.from('R0lGODlhAQABAAAAACw=', 'base64');
+
+for (const { store, skip } of STORES) {
+  describe(`floor plans API (${store})`, { skip }, () => {
+    let stack;
+    let operator;
+    let scoped;
+
+    /**
+     * Raw upload as the operator: { status, body }
+     */
+    const upload = async (planId, contentType, data) => {
+      const response = await fetch(`${stack.apiUrl}/floor-plans/${planId}/image`, {
+        method: 'PUT',
+        headers: { 'Content-Type': contentType, Authorization: `Bearer ${operator.session.token}` },
+        body: data
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    /**
+     * The stored image as { type, data }
+     */
+    const image = async (planId) => {
+      const response = await fetch(`${stack.apiUrl}/floor-plans/${planId}/image`, {
+        headers: { Authorization: `Bearer ${operator.session.token}` }
+      });
+      assert.equal(response.status, 200);
+      return { type: response.headers.get('content-type'), data: Buffer.from(await response.arrayBuffer()) };
+    };
+
+    const createPlan = async (building) => {
+      const { status, body } = await operator.request('POST', '/floor-plans', { building });
+      assert.equal(status, 201);
+      return body.data;
+    };
+
+    const operatorLogin = async (username, scopes) => {
+      const credentials = { username, password: 'plan-password-1' };
+      await stack.request('POST', '/operators', { ...credentials, role: 'operator', scopes });
+      return stack.login(credentials);
+    };
+
+    before(async () => {
+      stack = await startStack({ store });
+      operator = await operatorLogin('plan-operator', []);
+      scoped = await operatorLogin('plan-scoped', [{ scope_type: 'bin', scope_value: 'BIN_02' }]);
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('plans are created once per building', async () => {
+      const plan = await createPlan('Building A');
+      assert.equal(plan.building, 'Building A');
+      assert.equal(Boolean(plan.has_image), false);
+
+      assert.equal((await operator.request('POST', '/floor-plans', { building: 'Building A' })).status, 409);
+      assert.equal((await operator.request('POST', '/floor-plans', { building: '  ' })).status, 400);
+      assert.equal((await operator.request('GET', `/floor-plans/${plan.id}/image`)).status, 404);
+    });
+
+    test('an image is uploaded and replaced', async () => {
+      const plan = await createPlan('Building B');
+
+      const first = await upload(plan.id, 'image/png', PNG);
+      assert.equal(first.status, 200);
+      assert.equal(Boolean(first.body.data.has_image), true);
+      assert.equal(first.body.data.uploaded_by, 'plan-operator');
+      assert.deepEqual(await image(plan.id), { type: 'image/png', data: PNG });
+
+      assert.equal((await upload(plan.id, 'image/gif', GIF)).status, 200);
+      assert.deepEqual(await image(plan.id), { type: 'image/gif', data: GIF });
+
+      const plans = (await operator.request('GET', '/floor-plans')).body.data;
+      assert.equal(plans.find(candidate => candidate.id === plan.id).image_type, 'image/gif');
+      assert.equal((await upload(999999, 'image/png', PNG)).status, 404);
+    });
+
+    test('other types, empty files and files over 5 MB are rejected', async () => {
+      const plan = await createPlan('Building C');
+
+      const svg = await upload(plan.id, 'image/svg+xml', '<svg xmlns="http://www.w3.org/2000/svg"/>');
+      assert.equal(svg.status, 415);
+      assert.equal((await upload(plan.id, 'text/plain', 'not an image')).status, 415);
+      assert.equal((await upload(plan.id, 'image/png', Buffer.alloc(0))).status, 415);
+
+      // The app logs the body parser's error; keep it out of the test output
+      const large = Buffer.concat([PNG, Buffer.alloc(5 * 1024 * 1024)]);
+      const error = console.error;
+      console.error = () => {};
+      try {
+        assert.equal((await upload(plan.id, 'image/png', large)).status, 413);
+      } finally {
+        console.error = error;
+      }
+
+      const { body } = await operator.request('GET', '/floor-plans');
+      assert.equal(Boolean(body.data.find(candidate => candidate.id === plan.id).has_image), false);
+    });
+
+    test('bins are placed within 0..1 and removed', async () => {
+      const plan = await createPlan('Building D');
+      const place = (binId, position) => operator.request('PUT', `/bins/${binId}/position`, position);
+
+      for (const position of [
+        { floor_plan_id: plan.id, x: 1.2, y: 0.5 },
+        { floor_plan_id: plan.id, x: 0.5 },
+        { floor_plan_id: plan.id, x: '0.5', y: 0.5 },
+        { floor_plan_id: 999999, x: 0.5, y: 0.5 },
+        { floor_plan_id: String(plan.id), x: 0.5, y: 0.5 }
+      ]) {
+        assert.equal((await place('BIN_01', position)).status, 400, JSON.stringify(position));
+      }
+      assert.equal((await place('BIN_404', { floor_plan_id: plan.id, x: 0.5, y: 0.5 })).status, 404);
+
+      const placed = await place('BIN_01', { floor_plan_id: plan.id, x: 0.4215, y: 0.318 });
+      assert.equal(placed.status, 200);
+      assert.equal(placed.body.data.floor_plan_id, plan.id);
+      assert.equal(Number(placed.body.data.plan_x), 0.4215);
+      assert.equal(Number(placed.body.data.plan_y), 0.318);
+
+      const removed = await place('BIN_01', { floor_plan_id: null });
+      assert.equal(removed.status, 200);
+      assert.equal(removed.body.data.floor_plan_id, null);
+      assert.equal(removed.body.data.plan_x, null);
+    });
+
+    test('a scoped operator places and sees only bins in its scope', async () => {
+      const plan = await createPlan('Building E');
+      const position = { floor_plan_id: plan.id, x: 0.25, y: 0.75 };
+
+      assert.equal((await scoped.request('PUT', '/bins/BIN_01/position', position)).status, 403);
+      assert.equal((await scoped.request('PUT', '/bins/BIN_02/position', position)).status, 200);
+      assert.equal((await operator.request('PUT', '/bins/BIN_01/position', position)).status, 200);
+
+      const bins = (await scoped.request('GET', '/bins')).body.data;
+      assert.deepEqual(bins.map(bin => [bin.bin_id, bin.floor_plan_id]), [['BIN_02', plan.id]]);
+    });
+
+    test('deleting a plan needs bins:manage and unplaces its bins', async () => {
+      const plan = await createPlan('Building F');
+      await operator.request('PUT', '/bins/BIN_02/position', { floor_plan_id: plan.id, x: 0.5, y: 0.5 });
+
+      assert.equal((await operator.request('DELETE', `/floor-plans/${plan.id}`)).status, 403);
+      assert.equal((await stack.request('DELETE', `/floor-plans/${plan.id}`)).status, 200);
+      assert.equal((await stack.request('DELETE', `/floor-plans/${plan.id}`)).status, 404);
+
+      const bin = (await operator.request('GET', '/bins/BIN_02')).body.data;
+      assert.equal(bin.floor_plan_id, null);
+      assert.equal(bin.plan_x, null);
+      assert.equal((await operator.request('GET', `/floor-plans/${plan.id}/image`)).status, 404);
+    });
+  });
+}
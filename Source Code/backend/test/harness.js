@@ -0,0 +1,370 @@
+/**
+ * End-to-end test harness
+ * Runs the backend in-process against the embedded MQTT broker and a throwaway
+ * database: MySQL (dropped afterwards) or a SQLite file in the temp folder,
+ * migrated and loaded with the dev seed. Devices are simulated by the mock
+ * publisher's bin simulator (tools/fleet.js) on a clock the test advances
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import mysql from 'mysql2/promise';
+import mqtt from 'mqtt';
+import config from '../src/config.js';
+import * as db from '../src/db.js';
+import { seedDevData } from '../src/seed.js';
+import * as auth from '../src/auth.js';
+import * as mqttClient from '../src/mqttClient.js';
+import * as commands from '../src/commands.js';
+import * as events from '../src/events.js';
+import { startBroker, stopBroker } from '../src/broker.js';
+import { createApp } from '../src/app.js';
+import { expandScenario, createBinSimulator } from '../tools/fleet.js';
+
+// Operator created in every test database
+const ADMIN = { username: 'e2e-admin', password: 'e2e-password-123' };
+
+// How long waitFor() polls before giving up
+const WAIT_TIMEOUT_MS = 5000;
+
+// Backend info logs (every MQTT message) are muted unless E2E_VERBOSE is set;
+// besides the noise, the Node 20 test runner can fail to parse a flood of them
+const VERBOSE = Boolean(process.env.E2E_VERBOSE);
+
+/**
+ * MySQL server settings from config (MYSQL_* in .env) without the database
+ */
+function serverSettings() {
+  const { database, ...settings } = config.mysql;
+  return settings;
+}
+
+/**
+ * Whether the MySQL server in config accepts connections (tests skip otherwise)
+ */
+export async function isMySQLAvailable() {
+  try {
+    const connection = await mysql.createConnection({ ...serverSettings(), connectTimeout: 2000 });
+    await connection.end();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether the SQLite driver (an optional dependency) is installed
+ */
+export async function isSQLiteAvailable() {
+  try {
+    await import('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function dropTestDatabase(name) {
+  const connection = await mysql.createConnection(serverSettings());
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${name}\``);
+  } finally {
+    await connection.end();
+  }
+}
+
+/**
+ * Poll check() until it returns something truthy, then return that
+ */
+export async function waitFor(check, { timeout = WAIT_TIMEOUT_MS, interval = 50, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeout}ms waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Point config at a new SQLite file (created by the migrations), returns its cleanup
+ */
+function useTestSQLiteFile() {
+  const file = path.join(os.tmpdir(), `smartbin_test_${process.pid}_${Date.now().toString(36)}.db`);
+  config.sqlite.path = file;
+  return () => {
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${file}${suffix}`, { force: true });
+    }
+  };
+}
+
+/**
+ * Direct connection to the test database, for fixtures the store has no
+ * function for (rows with fixed timestamps). Dates are bound as each store
+ * stores them. Returns { query(sql, params) -> rows, close() }
+ */
+async function openTestConnection(store) {
+  if (store === 'sqlite') {
+    const { default: Database } = await import('better-sqlite3');
+    const connection = new Database(config.sqlite.path);
+    const toParam = value => (value instanceof Date ? value.toISOString().slice(0, 19).replace('T', ' ') : value);
+
+    return {
+      query: async (sql, params = []) => {
+        const statement = connection.prepare(sql);
+        const values = params.map(toParam);
+        return statement.reader ? statement.all(values) : statement.run(values);
+      },
+      close: async () => connection.close()
+    };
+  }
+
+  const pool = mysql.createPool(config.mysql);
+  return {
+    query: async (sql, params = []) => (await pool.query(sql, params))[0],
+    close: () => pool.end()
+  };
+}
+
+/**
+ * Point config at a new database for a store, built by the migrations and
+ * loaded with the dev seed (its removal is added to cleanups)
+ */
+async function createTestDatabase(store, cleanups) {
+  config.storage.driver = store;
+  if (store === 'sqlite') {
+    cleanups.push(useTestSQLiteFile());
+  } else {
+    // Created by the migrations
+    const database = `smartbin_test_${process.pid}_${Date.now().toString(36)}`;
+    cleanups.push(() => dropTestDatabase(database));
+    config.mysql.database = database;
+  }
+
+  await db.initDB({ migrating: true });
+  try {
+    await db.migrate();
+    await seedDevData();
+  } finally {
+    await db.closeDB();
+  }
+}
+
+/**
+ * Open a new test database without the broker, MQTT handling or API, for
+ * tests of modules that only need the store (see startStack)
+ * Returns { sql, stop }
+ */
+export async function openTestDatabase({ store = 'mysql' } = {}) {
+  const cleanups = [];
+
+  const stop = async () => {
+    while (cleanups.length > 0) {
+      await cleanups.pop()();
+    }
+  };
+
+  try {
+    if (!VERBOSE) {
+      const log = console.log;
+      console.log = () => {};
+      cleanups.push(() => { console.log = log; });
+    }
+
+    await createTestDatabase(store, cleanups);
+    await db.initDB();
+    cleanups.push(() => db.closeDB());
+
+    const connection = await openTestConnection(store);
+    cleanups.push(() => connection.close());
+
+    return { sql: connection.query, stop };
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+}
+
+/**
+ * Start broker, database, MQTT handling and the HTTP API
+ * store: 'mysql' or 'sqlite' (see STORAGE_DRIVER)
+ * Returns { apiUrl, brokerUrl, request, login, sql, connectDevice, connectClient, stop }
+ * (sql(query, params) runs a query on the test database directly)
+ */
+export async function startStack({ store = 'mysql' } = {}) {
+  const cleanups = [];
+
+  const stop = async () => {
+    while (cleanups.length > 0) {
+      await cleanups.pop()();
+    }
+  };
+
+  try {
+    if (!VERBOSE) {
+      const log = console.log;
+      console.log = () => {};
+      cleanups.push(() => { console.log = log; });
+    }
+
+    await createTestDatabase(store, cleanups);
+
+    config.initialAdmin = { ...ADMIN };
+
+    const { url: brokerUrl } = await startBroker({ host: '127.0.0.1', port: 0 });
+    cleanups.push(stopBroker);
+    config.mqtt.brokerUrl = brokerUrl;
+
+    await db.initDB();
+    cleanups.push(() => db.closeDB());
+    await auth.ensureInitialOperator();
+
+    const connection = await openTestConnection(store);
+    cleanups.push(() => connection.close());
+
+    await mqttClient.initMQTT();
+    cleanups.push(() => {
+      commands.clearTimers();
+      mqttClient.closeMQTT();
+    });
+
+    const server = createApp().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    cleanups.push(() => {
+      events.closeAll();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    });
+    const apiUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    /**
+     * Log in as an operator: { session, request } where request(method, path, body)
+     * calls the API with its access token and returns { status, headers, body }
+     * (body parsed as JSON unless the response is a file)
+     */
+    const login = async (credentials) => {
+      const response = await fetch(`${apiUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials)
+      });
+      const session = await response.json();
+
+      const request = async (method, path, body = undefined) => {
+        const reply = await fetch(`${apiUrl}${path}`, {
+          method,
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.token}` },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if ((reply.headers.get('content-type') || '').startsWith('application/json')) {
+          return { status: reply.status, headers: reply.headers, body: await reply.json() };
+        }
+        // Files as sent, including a byte order mark (text() drops it)
+        const text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(await reply.arrayBuffer());
+        return { status: reply.status, headers: reply.headers, body: text };
+      };
+
+      return { session, request };
+    };
+
+    let admin = null;
+
+    /**
+     * Call the API as the test admin (see login)
+     */
+    const request = async (method, path, body = undefined) => {
+      admin = admin || await login(ADMIN);
+      return admin.request(method, path, body);
+    };
+
+    /**
+     * Plain MQTT client on the test broker (e.g. to check retained messages)
+     */
+    const connectClient = async () => {
+      const client = mqtt.connect(brokerUrl, { reconnectPeriod: 0 });
+      await once(client, 'connect');
+      cleanups.push(() => client.endAsync(true));
+      return client;
+    };
+
+    /**
+     * Simulated device (settings as in a fleet scenario bin entry)
+     * Returns { simulator, received, advance(minutes), online() }: received lists
+     * every message the device got as { topic, payload, retain }, advance() moves
+     * its clock and publishes whatever is due (readings, scans, disconnects)
+     */
+    const connectDevice = async (binId, settings = {}) => {
+      const [binSettings] = expandScenario({ bins: [{ id: binId, level_interval_seconds: 3600, ...settings }] });
+      const received = [];
+      let time = Date.now();
+      let client = null;
+
+      const connect = async () => {
+        client = mqtt.connect(brokerUrl, {
+          clientId: `e2e_${binId}_${Math.random().toString(16).slice(2, 8)}`,
+          reconnectPeriod: 0,
+          will: { topic: `smartbin/${binId}/status`, payload: 'offline', qos: 1, retain: false }
+        });
+
+        client.on('message', (topic, message, packet) => {
+          const suffix = topic.split('/').pop();
+          let payload = message.toString();
+          try {
+            payload = JSON.parse(payload);
+          } catch (e) {
+            // Plain string payload
+          }
+
+          received.push({ topic: suffix, payload, retain: packet.retain });
+          if (payload && typeof payload === 'object') simulator.handleMessage(suffix, payload, time);
+        });
+
+        await once(client, 'connect');
+        await client.subscribeAsync(['cmd', 'config', 'alert'].map(suffix => `smartbin/${binId}/${suffix}`), { qos: 1 });
+        await client.publishAsync(`smartbin/${binId}/status`, 'online', { qos: 1 });
+      };
+
+      const simulator = createBinSimulator(binSettings, {
+        seed: 1,
+        startTime: time,
+        io: {
+          publish: (topic, payload, qos) => client.publish(topic, payload, { qos }),
+          // Dropped without DISCONNECT, so the broker publishes the last will
+          disconnect: () => client.end(true),
+          reconnect: () => connect()
+        }
+      });
+
+      await connect();
+      cleanups.push(() => client.endAsync(false));
+
+      return {
+        simulator,
+        received,
+        advance(minutes = 0) {
+          time += minutes * 60000;
+          simulator.step(time);
+        },
+        // A forced end() only clears `connected` once the socket has closed
+        online: () => client.connected && !client.disconnecting
+      };
+    };
+
+    return { apiUrl, brokerUrl, request, login, sql: connection.query, connectDevice, connectClient, stop };
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+}
+
+export default {
+  isMySQLAvailable,
+  isSQLiteAvailable,
+  waitFor,
+  openTestDatabase,
+  startStack
+};
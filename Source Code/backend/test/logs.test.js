@@ -0,0 +1,142 @@
+/**
+ * Event logs: store queries (filters, counts and keyset pages) and the
+ * GET /logs cursor and page size
+ * Runs once per store like e2e.test.js, on fixed timestamps
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+const start = new Date(Date.UTC(2025, 0, 15, 8, 0));
+const minutesAfter = (minutes) => new Date(start.getTime() + minutes * 60000);
+
+// Fixture logs on BIN_LOGS, oldest first; rows at the same minute share a timestamp
+const LOGS = [
+  { minute: 0, event_type: 'rfid_scan', user_name: 'ann_lee', success: 1, message: 'granted' },
+  { minute: 0, event_type: 'rfid_scan', user_name: 'annXlee', success: 0, message: 'denied 100%' },
+  { minute: 1, event_type: 'lid_open', user_name: null, success: 1, message: 'opened' },
+  { minute: 1, event_type: 'lid_open', user_name: null, success: 1, message: 'opened 100 times' },
+  { minute: 1, event_type: 'lid_close', user_name: null, success: 1, message: 'closed' },
+  { minute: 2, event_type: 'config_change', user_name: 'ops\\admin', success: 1, message: 'threshold' }
+];
+
+for (const { store, skip } of STORES) {
+  describe(`logs (${store})`, { skip }, () => {
+    let stack;
+    // Fixture ids, newest first (the order logs are listed in)
+    let newestFirst;
+
+    const messages = (rows) => rows.map(row => row.message);
+    const bin = { binIds: ['BIN_LOGS'] };
+
+    before(async () => {
+      stack = await startStack({ store });
+      await db.createBin({ bin_id: 'BIN_LOGS', name: 'Log Bin' });
+
+      const ids = [];
+      for (const log of LOGS) {
+        const { insertId, lastInsertRowid } = await stack.sql(
+          `INSERT INTO logs (bin_id, event_type, user_name, success, message, timestamp)
+           VALUES ('BIN_LOGS', ?, ?, ?, ?, ?)`,
+          [log.event_type, log.user_name, log.success, log.message, minutesAfter(log.minute)]
+        );
+        ids.push(Number(insertId ?? lastInsertRowid));
+      }
+      newestFirst = ids.reverse();
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('getLogs lists newest first, ties on the timestamp by id', async () => {
+      const rows = await db.getLogs(bin);
+      assert.deepEqual(rows.map(row => row.id), newestFirst);
+      assert.equal(rows[0].timestamp.getTime(), minutesAfter(2).getTime());
+    });
+
+    test('getLogs pages by { timestamp, id } without skipping or repeating tied rows', async () => {
+      const pages = [];
+      let after = null;
+      do {
+        const page = await db.getLogs(bin, { limit: 2, after });
+        pages.push(page.map(row => row.id));
+        after = page.length > 0 ? page[page.length - 1] : null;
+      } while (after);
+
+      assert.deepEqual(pages, [newestFirst.slice(0, 2), newestFirst.slice(2, 4), newestFirst.slice(4, 6), []]);
+
+      // A cursor in the middle of the rows sharing minute 1
+      const rest = await db.getLogs(bin, { after: { timestamp: minutesAfter(1), id: newestFirst[2] } });
+      assert.deepEqual(rest.map(row => row.id), newestFirst.slice(3));
+    });
+
+    test('an empty bin list matches nothing', async () => {
+      assert.deepEqual(await db.getLogs({ binIds: [] }), []);
+      assert.equal(await db.countLogs({ binIds: [] }), 0);
+    });
+
+    test('filters on type, success and time range', async () => {
+      assert.deepEqual(messages(await db.getLogs({ ...bin, success: false })), ['denied 100%']);
+      assert.equal(await db.countLogs({ ...bin, success: true }), 5);
+      assert.deepEqual(messages(await db.getLogs({ ...bin, eventTypes: ['lid_close', 'config_change'] })), ['threshold', 'closed']);
+
+      // from is inclusive, to exclusive
+      assert.equal(await db.countLogs({ ...bin, from: minutesAfter(1), to: minutesAfter(2) }), 3);
+      assert.equal(await db.countLogs({ ...bin, from: minutesAfter(2) }), 1);
+    });
+
+    test('user and text search match % _ and \\ literally', async () => {
+      assert.deepEqual(messages(await db.getLogs({ ...bin, userName: 'ann_' })), ['granted']);
+      assert.deepEqual(messages(await db.getLogs({ ...bin, userName: 'ann' })), ['denied 100%', 'granted']);
+      assert.deepEqual(messages(await db.getLogs({ ...bin, userName: '\\' })), ['threshold']);
+      assert.deepEqual(messages(await db.getLogs({ ...bin, search: '100%' })), ['denied 100%']);
+      assert.deepEqual(messages(await db.getLogs({ ...bin, search: '100' })), ['opened 100 times', 'denied 100%']);
+      assert.equal(await db.countLogs({ ...bin, search: '%' }), 1);
+    });
+
+    test('GET /logs follows next_cursor to the last page', async () => {
+      const ids = [];
+      let cursor = '';
+      do {
+        const { status, body } = await stack.request('GET', `/logs?bin=BIN_LOGS&limit=4&cursor=${cursor}`);
+        assert.equal(status, 200);
+        assert.equal(body.pagination.total, LOGS.length);
+        ids.push(...body.data.map(log => log.id));
+        cursor = body.pagination.next_cursor;
+      } while (cursor);
+
+      assert.deepEqual(ids, newestFirst);
+      assert.equal((await stack.request('GET', '/logs?cursor=not-a-cursor')).status, 400);
+    });
+
+    test('GET /logs pages hold 1 to 500 logs', async () => {
+      await db.createBin({ bin_id: 'BIN_BULK', name: 'Bulk Bin' });
+      for (let i = 0; i < 501; i++) {
+        await db.logEvent('BIN_BULK', 'level_update', { levelPercent: i % 100 });
+      }
+
+      const { body } = await stack.request('GET', '/logs?bin=BIN_BULK&limit=1000');
+      assert.equal(body.pagination.limit, 500);
+      assert.equal(body.data.length, 500);
+      assert.equal(body.pagination.total, 501);
+
+      const next = await stack.request('GET', `/logs?bin=BIN_BULK&limit=1000&cursor=${body.pagination.next_cursor}`);
+      assert.equal(next.body.data.length, 1);
+      assert.equal(next.body.pagination.next_cursor, null);
+
+      for (const limit of ['-5', '0', 'many']) {
+        const { body: page } = await stack.request('GET', `/logs?bin=BIN_BULK&limit=${limit}`);
+        assert.ok(page.data.length >= 1 && page.data.length <= 100, limit);
+        assert.equal(page.data.length, page.pagination.limit, limit);
+      }
+    });
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * Schema migrations on the SQLite store: every migration reverts cleanly, and
+ * databases created before migrations (at any schema version) are adopted
+ * at the right version and brought up to date
+ */
+
+import { test, describe, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { listMigrations, getSchemaStatus, checkSchema, migrate, rollback } from '../src/migrations.js';
+import { isSQLiteAvailable } from './harness.js';
+
+const skip = !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed';
+
+describe('schema migrations (sqlite)', { skip }, () => {
+  let Database;
+  let store;
+  let file;
+  let log;
+
+  const migrations = () => listMigrations('sqlite');
+
+  /**
+   * Tables with sorted columns and named indexes, for comparing schemas
+   */
+  const describe = async () => {
+    const schema = await store.describeSchema();
+    return Object.fromEntries(Object.entries(schema).sort().map(([table, { columns, indexes }]) => [
+      table,
+      { columns: [...columns].sort(), indexes: indexes.filter(name => !name.startsWith('sqlite_')).sort() }
+    ]));
+  };
+
+  /**
+   * Database file as an old schema.sql left it: migrations 1..version run
+   * directly, no schema_version
+   */
+  const createLegacyDatabase = (version, setup = () => {}) => {
+    const legacy = new Database(file);
+    for (const migration of migrations().slice(0, version)) {
+      legacy.exec(fs.readFileSync(migration.up, 'utf8'));
+    }
+    setup(legacy);
+    legacy.close();
+  };
+
+  before(async () => {
+    Database = (await import('better-sqlite3')).default;
+    store = await import('../src/stores/sqlite.js');
+    config.storage.driver = 'sqlite';
+  });
+
+  beforeEach(async () => {
+    file = path.join(os.tmpdir(), `smartbin_test_${process.pid}_${Date.now().toString(36)}.db`);
+    config.sqlite.path = file;
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(async () => {
+    await store.closeDB();
+    console.log = log;
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${file}${suffix}`, { force: true });
+    }
+  });
+
+  test('every migration reverts to the schema before it', async () => {
+    await store.initDB({ migrating: true });
+
+    for (const migration of migrations()) {
+      const before = await describe();
+      await migrate(store, { to: migration.version });
+      assert.deepEqual((await getSchemaStatus(store)).version, migration.version);
+
+      await rollback(store);
+      assert.deepEqual(await describe(), before, `${migration.version}_${migration.name} down`);
+      await migrate(store, { to: migration.version });
+    }
+  });
+
+  test('startup check refuses a schema with pending migrations', async () => {
+    await store.initDB({ migrating: true });
+    await migrate(store, { to: 5 });
+
+    await assert.rejects(checkSchema(store), /schema is at version 5, this backend needs version \d+/);
+    await migrate(store);
+    assert.equal((await checkSchema(store)).pending.length, 0);
+  });
+
+  test('a database from the first schema.sql is adopted and brought up to date', async () => {
+    createLegacyDatabase(1, legacy => {
+      legacy.exec("INSERT INTO users (rfid_uid, name) VALUES ('43 E8 2B 16', 'John Doe')");
+      legacy.exec("INSERT INTO bins (bin_id, name) VALUES ('BIN_01', 'Main Entrance Bin')");
+      legacy.exec("INSERT INTO logs (bin_id, event_type) VALUES ('BIN_01', 'lid_open')");
+    });
+
+    await store.initDB({ migrating: true });
+    await assert.rejects(checkSchema(store), /no schema_version table/);
+
+    const applied = await migrate(store);
+    assert.deepEqual(applied.map(migration => migration.version), migrations().slice(1).map(m => m.version));
+    assert.equal((await checkSchema(store)).version, migrations().length);
+
+    // Data kept, UIDs normalized (003)
+    const user = await store.findUserByRFID('43E82B16');
+    assert.equal(user.name, 'John Doe');
+    assert.equal((await store.getBinById('BIN_01')).status, 'normal');
+    assert.equal(await store.countLogs({ binIds: ['BIN_01'] }), 1);
+    const adopted = await describe();
+
+    // Same tables as a database built by the migrations from scratch
+    await store.closeDB();
+    fs.rmSync(file);
+    await store.initDB({ migrating: true });
+    await migrate(store);
+    assert.deepEqual(adopted, await describe());
+  });
+
+  test('a database from any later schema.sql is adopted at its version', async () => {
+    for (const migration of migrations().slice(1)) {
+      createLegacyDatabase(migration.version);
+      await store.initDB({ migrating: true });
+
+      // 003 only changes a column, so its schema reads as 002 and 003 runs again
+      const expected = migration.version === 3 ? [3] : [];
+      const applied = await migrate(store, { to: migration.version });
+      assert.deepEqual(applied.map(m => m.version), expected, `schema of ${migration.version}_${migration.name}`);
+
+      await store.closeDB();
+      fs.rmSync(file);
+    }
+  });
+
+  test('tables that match no schema version are refused', async () => {
+    createLegacyDatabase(2, legacy => legacy.exec('ALTER TABLE bins ADD COLUMN colour TEXT'));
+    await store.initDB({ migrating: true });
+
+    await assert.rejects(migrate(store), /do not match any schema version/);
+    assert.equal(await store.getSchemaVersions(), null);
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Notification rules: matching, quiet hours, escalation and delivery
+ * Email and webhook sends go to local stand-ins (see stand-ins.js)
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config.js';
+import {
+  isQuietTime,
+  matchesSubscription,
+  planDeliveries,
+  formatNotification,
+  checkWebhookTarget,
+  send
+} from '../src/notifier.js';
+import { parseTimeOfDay } from '../src/timeOfDay.js';
+import { startSmtpServer, startWebhookServer } from './stand-ins.js';
+
+const at = (hours, minutes = 0) => new Date(2025, 0, 15, hours, minutes);
+
+const openAlert = (overrides = {}) => ({
+  id: 1,
+  bin_id: 'BIN_01',
+  type: 'full_warning',
+  state: 'open',
+  message: 'Bin BIN_01 is 85% full',
+  level_percent: 85,
+  occurrences: 1,
+  opened_at: at(10, 0),
+  ...overrides
+});
+
+const subscription = (overrides = {}) => ({
+  id: 7,
+  operator_id: 3,
+  channel: 'webhook',
+  target: 'http://example.test/hook',
+  bin_ids: null,
+  alert_types: null,
+  quiet_start: null,
+  quiet_end: null,
+  escalate_after_minutes: null,
+  escalation_target: null,
+  ...overrides
+});
+
+describe('quiet hours', () => {
+  test('parses HH:MM and HH:MM:SS', () => {
+    assert.equal(parseTimeOfDay('07:30'), 450);
+    assert.equal(parseTimeOfDay('22:00:00'), 1320);
+    assert.equal(parseTimeOfDay('25:00'), null);
+    assert.equal(parseTimeOfDay(null), null);
+  });
+
+  test('same-day window', () => {
+    const sub = subscription({ quiet_start: '12:00', quiet_end: '13:30' });
+    assert.equal(isQuietTime(sub, at(11, 59)), false);
+    assert.equal(isQuietTime(sub, at(12, 0)), true);
+    assert.equal(isQuietTime(sub, at(13, 30)), false);
+  });
+
+  test('overnight window', () => {
+    const sub = subscription({ quiet_start: '22:00:00', quiet_end: '07:00:00' });
+    assert.equal(isQuietTime(sub, at(23, 0)), true);
+    assert.equal(isQuietTime(sub, at(3, 0)), true);
+    assert.equal(isQuietTime(sub, at(7, 0)), false);
+    assert.equal(isQuietTime(sub, at(12, 0)), false);
+  });
+
+  test('no window means never quiet', () => {
+    assert.equal(isQuietTime(subscription(), at(3, 0)), false);
+  });
+});
+
+describe('subscription matching', () => {
+  const bin = { bin_id: 'BIN_01', location: 'Building A - Floor 1' };
+
+  test('null lists match everything', () => {
+    assert.equal(matchesSubscription(subscription(), openAlert(), bin), true);
+  });
+
+  test('filters by bin and alert type', () => {
+    assert.equal(matchesSubscription(subscription({ bin_ids: ['BIN_02'] }), openAlert(), bin), false);
+    assert.equal(matchesSubscription(subscription({ alert_types: ['offline'] }), openAlert(), bin), false);
+    assert.equal(
+      matchesSubscription(subscription({ bin_ids: ['BIN_01'], alert_types: ['full_warning'] }), openAlert(), bin),
+      true
+    );
+  });
+
+  test('respects operator scopes', () => {
+    const scopes = [{ scope_type: 'location', scope_value: 'Building B' }];
+    assert.equal(matchesSubscription(subscription(), openAlert(), bin, scopes), false);
+  });
+});
+
+describe('planDeliveries', () => {
+  test('sends the initial notification once', () => {
+    const alerts = [openAlert()];
+    const subscriptions = [subscription()];
+
+    const planned = planDeliveries({ alerts, subscriptions, now: at(10, 1) });
+    assert.equal(planned.length, 1);
+    assert.equal(planned[0].stage, 'initial');
+
+    const deliveries = [{ alert_id: 1, subscription_id: 7, stage: 'initial', status: 'sent' }];
+    assert.deepEqual(planDeliveries({ alerts, subscriptions, deliveries, now: at(10, 2) }), []);
+  });
+
+  test('ignores acknowledged alerts', () => {
+    const planned = planDeliveries({
+      alerts: [openAlert({ state: 'acknowledged' })],
+      subscriptions: [subscription({ escalate_after_minutes: 5, escalation_target: 'http://example.test/b' })],
+      now: at(11, 0)
+    });
+    assert.deepEqual(planned, []);
+  });
+
+  test('defers during quiet hours and sends when they end', () => {
+    const alerts = [openAlert({ opened_at: at(23, 0) })];
+    const subscriptions = [subscription({ quiet_start: '22:00', quiet_end: '07:00' })];
+
+    assert.deepEqual(planDeliveries({ alerts, subscriptions, now: at(23, 5) }), []);
+    assert.equal(planDeliveries({ alerts, subscriptions, now: at(7, 0) }).length, 1);
+  });
+
+  test('escalates after N minutes, even during quiet hours', () => {
+    const alerts = [openAlert({ opened_at: at(22, 30) })];
+    const subscriptions = [subscription({
+      quiet_start: '22:00',
+      quiet_end: '07:00',
+      escalate_after_minutes: 15,
+      escalation_target: 'http://example.test/second'
+    })];
+
+    assert.deepEqual(planDeliveries({ alerts, subscriptions, now: at(22, 44) }), []);
+
+    const planned = planDeliveries({ alerts, subscriptions, now: at(22, 45) });
+    assert.equal(planned.length, 1);
+    assert.equal(planned[0].stage, 'escalation');
+    assert.equal(planned[0].target, 'http://example.test/second');
+
+    const deliveries = [{ alert_id: 1, subscription_id: 7, stage: 'escalation', status: 'sent' }];
+    assert.deepEqual(planDeliveries({ alerts, subscriptions, deliveries, now: at(23, 0) }), []);
+  });
+
+  test('retries failed sends up to three attempts', () => {
+    const alerts = [openAlert()];
+    const subscriptions = [subscription()];
+    const failed = { alert_id: 1, subscription_id: 7, stage: 'initial', status: 'failed' };
+
+    assert.equal(planDeliveries({ alerts, subscriptions, deliveries: [failed, failed], now: at(10, 5) }).length, 1);
+    assert.equal(planDeliveries({ alerts, subscriptions, deliveries: [failed, failed, failed], now: at(10, 5) }).length, 0);
+  });
+});
+
+describe('delivery via local stand-ins', () => {
+  let smtp;
+  let webhook;
+  let savedSmtp;
+
+  before(async () => {
+    smtp = await startSmtpServer();
+    webhook = await startWebhookServer();
+
+    savedSmtp = { ...config.smtp };
+    config.notifications.webhookAllowedHosts = ['127.0.0.1'];
+    Object.assign(config.smtp, {
+      host: '127.0.0.1',
+      port: smtp.port,
+      secure: false,
+      user: '',
+      from: 'Smart Bin <smartbin@test.local>'
+    });
+  });
+
+  after(async () => {
+    Object.assign(config.smtp, savedSmtp);
+    config.notifications.webhookAllowedHosts = [];
+    await smtp.close();
+    await webhook.close();
+  });
+
+  test('email is sent over SMTP', async () => {
+    await send('email', 'ops@example.com', formatNotification(openAlert(), 'initial'));
+
+    assert.equal(smtp.messages.length, 1);
+    const message = smtp.messages[0];
+    assert.equal(message.from, 'smartbin@test.local');
+    assert.deepEqual(message.to, ['ops@example.com']);
+    assert.match(message.data, /Subject: \[Smart Bin\] full warning on BIN_01/);
+    assert.match(message.data, /Bin BIN_01 is 85% full/);
+  });
+
+  test('escalation email names the delay', async () => {
+    const sub = subscription({ channel: 'email', escalate_after_minutes: 15 });
+    await send('email', 'boss@example.com', formatNotification(openAlert(), 'escalation', sub));
+
+    const message = smtp.messages[smtp.messages.length - 1];
+    assert.deepEqual(message.to, ['boss@example.com']);
+    assert.match(message.data, /ESCALATION/);
+    assert.match(message.data, /after 15 minutes/);
+  });
+
+  test('webhook receives the alert as JSON', async () => {
+    await send('webhook', `${webhook.url}/alerts`, formatNotification(openAlert(), 'initial'));
+
+    assert.equal(webhook.requests.length, 1);
+    const request = webhook.requests[0];
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/alerts');
+    assert.equal(request.body.event, 'alert.opened');
+    assert.equal(request.body.alert.bin_id, 'BIN_01');
+    assert.equal(request.body.alert.type, 'full_warning');
+  });
+
+  test('webhook error status is a failed delivery', async () => {
+    webhook.setStatus(500);
+    try {
+      await assert.rejects(
+        send('webhook', webhook.url, formatNotification(openAlert(), 'escalation')),
+        /Webhook responded 500/
+      );
+    } finally {
+      webhook.setStatus(200);
+    }
+  });
+
+  test('webhook to a local address is refused without sending', async () => {
+    const sent = webhook.requests.length;
+    config.notifications.webhookAllowedHosts = [];
+    try {
+      await assert.rejects(
+        send('webhook', `${webhook.url}/alerts`, formatNotification(openAlert(), 'initial')),
+        /local or private network/
+      );
+      assert.equal(webhook.requests.length, sent);
+    } finally {
+      config.notifications.webhookAllowedHosts = ['127.0.0.1'];
+    }
+  });
+
+  test('email fails cleanly without SMTP host', async () => {
+    const host = config.smtp.host;
+    config.smtp.host = '';
+    try {
+      await assert.rejects(
+        send('email', 'ops@example.com', formatNotification(openAlert(), 'initial')),
+        /SMTP is not configured/
+      );
+    } finally {
+      config.smtp.host = host;
+    }
+  });
+});
+
+describe('webhook targets', () => {
+  test('refuses loopback, private and link-local addresses', async () => {
+    for (const url of [
+      'http://127.0.0.1/hook',
+      'http://localhost:8080/hook',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.5/hook',
+      'http://192.168.1.10/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://0.0.0.0/hook',
+      'http://[::1]/hook',
+      'http://[fd00::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook'
+    ]) {
+      assert.match(await checkWebhookTarget(url), /local or private network/, url);
+    }
+  });
+
+  test('allows public addresses', async () => {
+    assert.equal(await checkWebhookTarget('https://93.184.216.34/hook'), null);
+    assert.equal(await checkWebhookTarget('https://[2606:2800:220:1::]/hook'), null);
+  });
+
+  test('allows hosts listed in WEBHOOK_ALLOWED_HOSTS', async () => {
+    config.notifications.webhookAllowedHosts = ['10.1.2.3', 'localhost'];
+    try {
+      assert.equal(await checkWebhookTarget('http://10.1.2.3/hook'), null);
+      assert.equal(await checkWebhookTarget('http://LOCALHOST:8080/hook'), null);
+      assert.match(await checkWebhookTarget('http://10.1.2.4/hook'), /local or private network/);
+    } finally {
+      config.notifications.webhookAllowedHosts = [];
+    }
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Time-to-full estimation: fill rate, projection, emptyings and confidence
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateFill } from '../src/prediction.js';
+
+const start = new Date(Date.UTC(2025, 0, 15, 8, 0));
+
+/**
+ * Readings every `minutes` from `start`, one per level
+ */
+const readings = (levels, minutes = 10) => levels.map((level_percent, i) => ({
+  level_percent,
+  recorded_at: new Date(start.getTime() + i * minutes * 60000)
+}));
+
+const hoursAfter = (hours) => new Date(start.getTime() + hours * 3600000);
+
+describe('estimateFill', () => {
+  test('projects a steady fill to the critical level', () => {
+    // 2 points per 10 minutes = 12%/h, 50% at 08:50
+    const result = estimateFill(readings([40, 42, 44, 46, 48, 50]), 80, hoursAfter(50 / 60));
+
+    assert.equal(result.fill_rate_per_hour, 12);
+    assert.equal(result.predicted_full_at, hoursAfter(50 / 60 + 30 / 12).toISOString());
+  });
+
+  test('projects from the fitted level at now, not the last reading', () => {
+    const result = estimateFill(readings([40, 42, 44, 46, 48, 50]), 80, hoursAfter(1.5));
+    assert.equal(result.predicted_full_at, hoursAfter(50 / 60 + 30 / 12).toISOString());
+  });
+
+  test('predicts now for a bin whose fit is already past the critical level', () => {
+    const now = hoursAfter(5);
+    assert.equal(estimateFill(readings([40, 42, 44, 46, 48, 50]), 80, now).predicted_full_at, now.toISOString());
+  });
+
+  test('needs enough readings over enough time', () => {
+    const tooFew = estimateFill(readings([40, 42, 44, 46]), 80, hoursAfter(1));
+    assert.deepEqual(tooFew, { predicted_full_at: null, prediction_confidence: 0, fill_rate_per_hour: null });
+
+    // Five readings within 8 minutes
+    const tooShort = estimateFill(readings([40, 42, 44, 46, 48], 2), 80, hoursAfter(1));
+    assert.equal(tooShort.predicted_full_at, null);
+  });
+
+  test('reports the rate but no prediction for a bin that is not filling', () => {
+    const flat = estimateFill(readings([40, 40, 40, 40, 40, 40]), 80, hoursAfter(1));
+    assert.equal(flat.predicted_full_at, null);
+    assert.equal(flat.fill_rate_per_hour, 0);
+
+    const falling = estimateFill(readings([50, 48, 46, 44, 42, 40]), 80, hoursAfter(1));
+    assert.equal(falling.predicted_full_at, null);
+    assert.equal(falling.fill_rate_per_hour, -12);
+  });
+
+  test('fits only the readings since the last emptying', () => {
+    // Emptied from 78% to 10% at 09:00, then filling at 12%/h
+    const result = estimateFill(readings([70, 72, 74, 76, 78, 80, 10, 12, 14, 16, 18, 20]), 80, hoursAfter(110 / 60));
+
+    assert.equal(result.fill_rate_per_hour, 12);
+    assert.equal(result.predicted_full_at, hoursAfter(110 / 60 + 60 / 12).toISOString());
+  });
+
+  test('a drop smaller than a collection stays in the fit', () => {
+    const result = estimateFill(readings([40, 42, 44, 46, 20, 50, 52]), 80, hoursAfter(1));
+    assert.notEqual(result.fill_rate_per_hour, 12);
+
+    const emptied = estimateFill(readings([60, 62, 64, 66, 30, 32, 34, 36, 38]), 80, hoursAfter(80 / 60));
+    assert.equal(emptied.fill_rate_per_hour, 12);
+  });
+
+  test('confidence grows with fit quality, readings and time covered', () => {
+    const short = estimateFill(readings([40, 42, 44, 46, 48, 50]), 80, hoursAfter(1));
+    const long = estimateFill(readings(Array.from({ length: 30 }, (_, i) => 10 + i * 2), 5), 80, hoursAfter(2.5));
+    const noisy = estimateFill(readings([40, 47, 42, 49, 44, 51]), 80, hoursAfter(1));
+
+    // 6 readings over 50 minutes, perfect fit: 6/30 * (50/60)/2
+    assert.equal(short.prediction_confidence, 0.08);
+    assert.equal(long.prediction_confidence, 1);
+    assert.ok(noisy.prediction_confidence < short.prediction_confidence);
+  });
+
+  test('accepts timestamps as strings', () => {
+    const rows = readings([40, 42, 44, 46, 48, 50]).map(r => ({ ...r, recorded_at: r.recorded_at.toISOString() }));
+    assert.equal(estimateFill(rows, 80, hoursAfter(50 / 60)).fill_rate_per_hour, 12);
+  });
+});
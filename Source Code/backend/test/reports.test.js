@@ -0,0 +1,191 @@
+/**
+ * Usage rollups and reports: hour, day and week buckets in server local time,
+ * re-rolling the hour still running, lid sources of old logs and the time
+ * between collections. Runs once per store on fixed timestamps
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import * as reports from '../src/reports.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+// SQLite buckets by the backend's time zone, so its run uses one where local
+// days and weeks differ from UTC ones (UTC+7, no daylight saving). MySQL
+// buckets by the server's time zone, which the backend shares
+const SQLITE_TZ = 'Asia/Ho_Chi_Minh';
+
+// Local times (built once the time zone is set): 2025-01-13 is a Monday
+const at = (day, hours, minutes = 0) => new Date(2025, 0, day, hours, minutes);
+
+const usage = (counts = {}) => ({
+  opens_proximity: 0,
+  opens_rfid: 0,
+  opens_manual: 0,
+  rfid_granted: 0,
+  rfid_denied: 0,
+  collections: 0,
+  collection_gap_seconds: 0,
+  collection_gaps: 0,
+  ...counts
+});
+
+for (const { store, skip } of STORES) {
+  describe(`usage reports (${store})`, { skip }, () => {
+    let stack;
+    let timeZone;
+    let range;
+
+    const bin = { binIds: ['BIN_REPORT'] };
+
+    const log = (time, eventType, { source = null, rfidUid = null, success = 1, message = null } = {}) => stack.sql(
+      `INSERT INTO logs (bin_id, event_type, rfid_uid, user_name, source, success, message, timestamp)
+       VALUES ('BIN_REPORT', ?, ?, ?, ?, ?, ?, ?)`,
+      [eventType, rfidUid, rfidUid === '43E82B16' ? 'John Doe' : null, source, success, message, time]
+    );
+
+    const collection = (time) => db.createCollection({
+      binId: 'BIN_REPORT',
+      levelBefore: 90,
+      levelAfter: 5,
+      startedAt: new Date(time.getTime() - 60000),
+      collectedAt: time,
+      durationSeconds: 60,
+      fullSince: null
+    });
+
+    const byPeriod = async (period) => (await db.getUsageByPeriod(period, { ...bin, ...range }))
+      .map(({ period_start, bin_id, ...counts }) => [period_start, counts]);
+
+    before(async () => {
+      timeZone = process.env.TZ;
+      if (store === 'sqlite') process.env.TZ = SQLITE_TZ;
+      range = { from: at(1, 0), to: at(31, 0) };
+
+      stack = await startStack({ store });
+      await db.createBin({ bin_id: 'BIN_REPORT', name: 'Report Bin' });
+
+      // Monday 03:00-04:00 and 04:00-05:00 (Sunday evening in UTC)
+      await log(at(13, 3, 10), 'lid_open', { source: 'proximity' });
+      await log(at(13, 3, 20), 'lid_open', { source: 'proximity', success: 0 });
+      // Logged before lid events had a source: the message names the command reason
+      await log(at(13, 3, 40), 'lid_open', { message: 'Lid opened (rfid_authorized)' });
+      await log(at(13, 3, 50), 'lid_open', { message: 'Lid opened (manual)' });
+      await log(at(13, 3, 55), 'rfid_scan', { rfidUid: '43E82B16' });
+      await log(at(13, 4, 5), 'rfid_scan', { rfidUid: 'DEADBEEF', success: 0 });
+      await log(at(13, 4, 10), 'lid_open', { source: 'rfid' });
+      // Last hour of that week, first hour of the next
+      await log(at(19, 23, 30), 'lid_open', { source: 'proximity' });
+      await log(at(20, 0, 15), 'lid_open', { source: 'manual' });
+
+      await collection(at(10, 8));
+      await collection(at(13, 8));
+      await collection(at(13, 20));
+    });
+
+    after(async () => {
+      await stack?.stop();
+      process.env.TZ = timeZone;
+      if (timeZone === undefined) delete process.env.TZ;
+    });
+
+    test('log rollup counts lid openings by source and scans per local hour', async () => {
+      await db.rollUpLogUsage(at(13, 0));
+
+      const rows = await stack.sql(
+        "SELECT hour_start, opens_proximity, opens_rfid, opens_manual, rfid_granted, rfid_denied FROM usage_hourly WHERE bin_id = 'BIN_REPORT' ORDER BY hour_start"
+      );
+      const hours = rows.map(({ hour_start, ...counts }) => [
+        new Date(store === 'sqlite' ? `${hour_start.replace(' ', 'T')}Z` : hour_start).getTime(),
+        Object.values(counts).map(Number)
+      ]);
+
+      assert.deepEqual(hours, [
+        [at(13, 3).getTime(), [1, 1, 1, 1, 0]],
+        [at(13, 4).getTime(), [0, 1, 0, 0, 1]],
+        [at(19, 23).getTime(), [1, 0, 0, 0, 0]],
+        [at(20, 0).getTime(), [0, 0, 1, 0, 0]]
+      ]);
+    });
+
+    test('collection rollup measures the gap to a collection before `since`', async () => {
+      await db.rollUpCollectionUsage(at(13, 0));
+
+      assert.deepEqual(await byPeriod('day'), [
+        ['2025-01-13', usage({ opens_proximity: 1, opens_rfid: 2, opens_manual: 1, rfid_granted: 1, rfid_denied: 1, collections: 2, collection_gap_seconds: (72 + 12) * 3600, collection_gaps: 2 })],
+        ['2025-01-19', usage({ opens_proximity: 1 })],
+        ['2025-01-20', usage({ opens_manual: 1 })]
+      ]);
+    });
+
+    test('weeks start on Monday and months on the 1st, in local time', async () => {
+      assert.deepEqual(await byPeriod('week'), [
+        ['2025-01-13', usage({ opens_proximity: 2, opens_rfid: 2, opens_manual: 1, rfid_granted: 1, rfid_denied: 1, collections: 2, collection_gap_seconds: (72 + 12) * 3600, collection_gaps: 2 })],
+        ['2025-01-20', usage({ opens_manual: 1 })]
+      ]);
+
+      const [month] = await byPeriod('month');
+      assert.deepEqual(month, ['2025-01-01', usage({ opens_proximity: 2, opens_rfid: 2, opens_manual: 2, rfid_granted: 1, rfid_denied: 1, collections: 2, collection_gap_seconds: (72 + 12) * 3600, collection_gaps: 2 })]);
+    });
+
+    test('the usage report adds totals and the average hours between collections', async () => {
+      const report = reports.usageReport(await db.getUsageByPeriod('week', { ...bin, ...range }));
+
+      assert.deepEqual(report.periods.map(p => [p.period_start, p.opens_total, p.avg_hours_between_collections]), [
+        ['2025-01-13', 5, 42],
+        ['2025-01-20', 1, null]
+      ]);
+      assert.deepEqual(report.bins, [{
+        bin_id: 'BIN_REPORT',
+        opens_proximity: 2,
+        opens_rfid: 2,
+        opens_manual: 2,
+        rfid_granted: 1,
+        rfid_denied: 1,
+        collections: 2,
+        opens_total: 6,
+        avg_hours_between_collections: 42
+      }]);
+    });
+
+    test('the heatmap puts openings on the local weekday and hour', async () => {
+      const { grid, max } = reports.heatmap(await db.getUsageHeatmap({ ...bin, ...range }));
+
+      assert.equal(grid[1][3], 3);
+      assert.equal(grid[1][4], 1);
+      assert.equal(grid[0][23], 1);
+      assert.equal(grid[1][0], 1);
+      assert.equal(grid.flat().reduce((sum, opens) => sum + opens, 0), 6);
+      assert.equal(max, 3);
+    });
+
+    test('RFID rollup counts scans per card and local day', async () => {
+      await db.rollUpRfidUsage(at(13, 0));
+
+      const { users } = reports.rfidReport(await db.getRfidUsageByPeriod('day', { ...bin, ...range }));
+      assert.deepEqual(users.map(user => ({ ...user, granted: Number(user.granted), denied: Number(user.denied) })), [
+        { rfid_uid: '43E82B16', user_name: 'John Doe', granted: 1, denied: 0 },
+        { rfid_uid: 'DEADBEEF', user_name: null, granted: 0, denied: 1 }
+      ]);
+    });
+
+    test('rolling up again replaces the counts of the hour still running', async () => {
+      await reports.rollUp();
+      await log(at(20, 0, 40), 'lid_open', { source: 'manual' });
+      await log(at(20, 0, 45), 'rfid_scan', { rfidUid: '43E82B16' });
+      await reports.rollUp();
+
+      const [, next] = await byPeriod('week');
+      assert.deepEqual(next, ['2025-01-20', usage({ opens_manual: 2, rfid_granted: 1 })]);
+
+      const { body } = await stack.request('GET', `/reports/usage?period=week&bin=BIN_REPORT&from=${range.from.toISOString()}&to=${range.to.toISOString()}`);
+      assert.deepEqual(body.data.periods.map(p => [p.period_start, p.opens_total]), [['2025-01-13', 5], ['2025-01-20', 2]]);
+      assert.ok(body.data.rolled_up_at);
+    });
+  });
+}
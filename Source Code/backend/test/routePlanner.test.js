@@ -0,0 +1,143 @@
+/**
+ * Collection route planning: coordinates, distances, due bins and tour order
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCoordinates, distanceKm, selectBins, planRoute } from '../src/routePlanner.js';
+
+const now = new Date(Date.UTC(2025, 0, 15, 8, 0));
+const shiftEnd = new Date(now.getTime() + 8 * 3600000);
+
+const bin = (overrides = {}) => ({
+  bin_id: 'BIN_01',
+  current_level_percent: 40,
+  critical_percent: 80,
+  predicted_full_at: null,
+  latitude: 52.52,
+  longitude: 13.405,
+  ...overrides
+});
+
+describe('parseCoordinates', () => {
+  test('parses "lat,lng" with optional spaces', () => {
+    assert.deepEqual(parseCoordinates('52.52,13.405'), { latitude: 52.52, longitude: 13.405 });
+    assert.deepEqual(parseCoordinates(' -33.86 , 151.21 '), { latitude: -33.86, longitude: 151.21 });
+  });
+
+  test('rejects missing parts, extra parts and non-numbers', () => {
+    for (const value of [undefined, '', '52.52', '52.52,', ',13.4', '1,2,3', 'abc,13.4']) {
+      assert.equal(parseCoordinates(value), null, String(value));
+    }
+  });
+
+  test('rejects coordinates out of range', () => {
+    assert.equal(parseCoordinates('90.1,0'), null);
+    assert.equal(parseCoordinates('0,-180.1'), null);
+    assert.deepEqual(parseCoordinates('-90,180'), { latitude: -90, longitude: 180 });
+  });
+});
+
+describe('distanceKm', () => {
+  test('is zero for the same point and symmetric', () => {
+    const berlin = { latitude: 52.52, longitude: 13.405 };
+    const paris = { latitude: 48.8566, longitude: 2.3522 };
+
+    assert.equal(distanceKm(berlin, berlin), 0);
+    assert.equal(distanceKm(berlin, paris), distanceKm(paris, berlin));
+  });
+
+  test('matches known great-circle distances', () => {
+    // One degree of latitude is ~111.19 km
+    assert.ok(Math.abs(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 }) - 111.19) < 0.01);
+
+    // Berlin - Paris is ~878 km
+    const km = distanceKm({ latitude: 52.52, longitude: 13.405 }, { latitude: 48.8566, longitude: 2.3522 });
+    assert.ok(Math.abs(km - 878) < 2, `${km}`);
+  });
+});
+
+describe('selectBins', () => {
+  test('a bin at its critical level is due by level', () => {
+    const { due } = selectBins([bin({ current_level_percent: 80 }), bin({ bin_id: 'BIN_02', current_level_percent: 79 })], { minLevel: null, until: shiftEnd });
+    assert.deepEqual(due.map(b => [b.bin_id, b.reason]), [['BIN_01', 'level']]);
+  });
+
+  test('minLevel overrides the bin critical level, including 0', () => {
+    const bins = [bin({ current_level_percent: 50 }), bin({ bin_id: 'BIN_02', current_level_percent: 0 })];
+
+    assert.deepEqual(selectBins(bins, { minLevel: 50, until: shiftEnd }).due.map(b => b.bin_id), ['BIN_01']);
+    assert.deepEqual(selectBins(bins, { minLevel: 0, until: shiftEnd }).due.map(b => b.bin_id), ['BIN_01', 'BIN_02']);
+  });
+
+  test('a bin predicted full before the shift ends is due', () => {
+    const soon = bin({ predicted_full_at: new Date(shiftEnd.getTime() - 60000).toISOString() });
+    const later = bin({ bin_id: 'BIN_02', predicted_full_at: new Date(shiftEnd.getTime() + 60000).toISOString() });
+
+    const { due } = selectBins([soon, later], { minLevel: null, until: shiftEnd });
+    assert.deepEqual(due.map(b => [b.bin_id, b.reason]), [['BIN_01', 'predicted']]);
+  });
+
+  test('due bins without valid coordinates are unlocated', () => {
+    const bins = [
+      bin({ current_level_percent: 90, latitude: '52.5', longitude: '13.4' }),
+      bin({ bin_id: 'BIN_02', current_level_percent: 90, latitude: null, longitude: null }),
+      bin({ bin_id: 'BIN_03', current_level_percent: 90, latitude: 95, longitude: 13.4 }),
+      bin({ bin_id: 'BIN_04', current_level_percent: 10, latitude: null, longitude: null })
+    ];
+
+    const { due, unlocated } = selectBins(bins, { minLevel: null, until: shiftEnd });
+    assert.deepEqual(due.map(b => [b.bin_id, b.latitude, b.longitude]), [['BIN_01', 52.5, 13.4]]);
+    assert.deepEqual(unlocated.map(b => b.bin_id), ['BIN_02', 'BIN_03']);
+  });
+});
+
+describe('planRoute', () => {
+  const depot = { latitude: 0, longitude: 0 };
+  const point = (bin_id, latitude, longitude) => ({ bin_id, latitude, longitude });
+
+  test('an empty route has no stops and no distance', () => {
+    assert.deepEqual(planRoute(depot, []), { stops: [], return_distance_km: 0, total_distance_km: 0 });
+  });
+
+  test('numbers the stops and adds up leg, cumulative and total distances', () => {
+    const { stops, return_distance_km, total_distance_km } = planRoute(depot, [point('A', 0, 0.01), point('B', 0, 0.02)]);
+
+    assert.deepEqual(stops.map(s => [s.sequence, s.bin_id]), [[1, 'A'], [2, 'B']]);
+    assert.equal(stops[0].leg_distance_km, 1.11);
+    assert.equal(stops[1].cumulative_distance_km, 2.22);
+    assert.equal(return_distance_km, 2.22);
+    assert.equal(total_distance_km, 4.45);
+  });
+
+  test('visits the corners of a square in order', () => {
+    const corners = [point('A', 0.01, 0), point('B', 0, 0.01), point('C', 0.01, 0.01)];
+    const { stops, total_distance_km } = planRoute(depot, corners);
+
+    assert.ok(['ACB', 'BCA'].includes(stops.map(s => s.bin_id).join('')));
+    assert.equal(total_distance_km, 4.45);
+  });
+
+  test('finds the shortest round trip where nearest neighbour does not', () => {
+    // Nearest neighbour drives A, C, E, B, D: 836 km; the best tour is 749 km
+    const points = [point('A', 0, 1), point('B', 0.2, -1), point('C', 1, 0.1), point('D', -1, 0.5), point('E', 1, 1.2)];
+
+    const permutations = list => list.length <= 1
+      ? [list]
+      : list.flatMap((item, i) => permutations([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [item, ...rest]));
+    const length = tour => {
+      let total = 0;
+      let previous = depot;
+      for (const stop of [...tour, depot]) {
+        total += distanceKm(previous, stop);
+        previous = stop;
+      }
+      return total;
+    };
+    const shortest = Math.min(...permutations(points).map(length));
+
+    const { stops, total_distance_km } = planRoute(depot, points);
+    assert.equal(total_distance_km, Math.round(shortest * 100) / 100);
+    assert.equal(total_distance_km, Math.round(length(stops) * 100) / 100);
+  });
+});
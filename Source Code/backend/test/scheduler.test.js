@@ -0,0 +1,157 @@
+/**
+ * Bin schedules: time windows, which schedules win and the config changes
+ * made when a window opens or closes
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { appliesToBin, isScheduleActive, resolveSchedules, planChange } from '../src/scheduler.js';
+
+// 2025-01-15 is a Wednesday (day 3)
+const at = (day, hours, minutes = 0) => new Date(2025, 0, 12 + day, hours, minutes);
+
+const schedule = (overrides = {}) => ({
+  id: 1,
+  version: 1,
+  name: 'Night lock',
+  is_active: true,
+  bin_ids: null,
+  location: null,
+  days: null,
+  start_time: '22:00',
+  end_time: '06:00',
+  priority: 0,
+  mode: 'AUTH',
+  threshold_cm: null,
+  ...overrides
+});
+
+const bin = (overrides = {}) => ({
+  bin_id: 'BIN_01',
+  location: 'Building B - Cafeteria',
+  mode: 'OPEN',
+  threshold_cm: 20,
+  schedule_ids: null,
+  base_mode: null,
+  base_threshold_cm: null,
+  ...overrides
+});
+
+describe('appliesToBin', () => {
+  test('matches listed bins, a location prefix or all bins', () => {
+    assert.equal(appliesToBin(schedule(), bin()), true);
+    assert.equal(appliesToBin(schedule({ bin_ids: ['BIN_02'] }), bin()), false);
+    assert.equal(appliesToBin(schedule({ location: 'Building B' }), bin()), true);
+    assert.equal(appliesToBin(schedule({ location: 'Building A' }), bin()), false);
+    assert.equal(appliesToBin(schedule({ location: 'Building B' }), bin({ location: null })), false);
+  });
+});
+
+describe('isScheduleActive', () => {
+  test('same-day window includes its start and excludes its end', () => {
+    const lunch = schedule({ start_time: '12:00', end_time: '13:30' });
+    assert.equal(isScheduleActive(lunch, at(3, 11, 59)), false);
+    assert.equal(isScheduleActive(lunch, at(3, 12, 0)), true);
+    assert.equal(isScheduleActive(lunch, at(3, 13, 29)), true);
+    assert.equal(isScheduleActive(lunch, at(3, 13, 30)), false);
+  });
+
+  test('overnight window runs past midnight', () => {
+    const night = schedule();
+    assert.equal(isScheduleActive(night, at(3, 21, 59)), false);
+    assert.equal(isScheduleActive(night, at(3, 22, 0)), true);
+    assert.equal(isScheduleActive(night, at(4, 5, 59)), true);
+    assert.equal(isScheduleActive(night, at(4, 6, 0)), false);
+  });
+
+  test('days are the days a window starts on', () => {
+    const fridayNight = schedule({ days: [5] });
+    assert.equal(isScheduleActive(fridayNight, at(5, 23, 0)), true);
+    assert.equal(isScheduleActive(fridayNight, at(6, 3, 0)), true);
+    assert.equal(isScheduleActive(fridayNight, at(6, 23, 0)), false);
+    assert.equal(isScheduleActive(fridayNight, at(5, 3, 0)), false);
+
+    const fridayLunch = schedule({ days: [5], start_time: '12:00', end_time: '14:00' });
+    assert.equal(isScheduleActive(fridayLunch, at(5, 13, 0)), true);
+    assert.equal(isScheduleActive(fridayLunch, at(4, 13, 0)), false);
+  });
+
+  test('a window without times (or with equal times) covers its whole days', () => {
+    assert.equal(isScheduleActive(schedule({ start_time: null, end_time: null, days: [0, 6] }), at(0, 12, 0)), true);
+    assert.equal(isScheduleActive(schedule({ start_time: '08:00', end_time: '08:00', days: [0, 6] }), at(1, 12, 0)), false);
+  });
+});
+
+describe('resolveSchedules', () => {
+  test('only open, active schedules for the bin are in effect', () => {
+    const schedules = [
+      schedule({ id: 1 }),
+      schedule({ id: 2, is_active: false }),
+      schedule({ id: 3, bin_ids: ['BIN_02'] }),
+      schedule({ id: 4, start_time: '08:00', end_time: '17:00' })
+    ];
+
+    const { settings, schedules: inEffect, key } = resolveSchedules(schedules, bin(), at(3, 23, 0));
+    assert.deepEqual(settings, { mode: 'AUTH' });
+    assert.deepEqual(inEffect.map(s => s.id), [1]);
+    assert.equal(key, '1:1');
+
+    assert.deepEqual(resolveSchedules(schedules, bin(), at(3, 7, 0)), { settings: {}, schedules: [], key: null });
+  });
+
+  test('each field comes from the highest priority, then the newest schedule', () => {
+    const schedules = [
+      schedule({ id: 1, priority: 0, mode: 'AUTH', threshold_cm: 10 }),
+      schedule({ id: 2, priority: 5, mode: 'LOCKED', threshold_cm: null }),
+      schedule({ id: 3, priority: 5, mode: 'OPEN', threshold_cm: null, version: 2 })
+    ];
+
+    const { settings, key } = resolveSchedules(schedules, bin(), at(3, 23, 0));
+    assert.deepEqual(settings, { mode: 'OPEN', threshold_cm: 10 });
+    assert.equal(key, '1:1,3:2');
+  });
+});
+
+describe('planChange', () => {
+  const schedules = [schedule()];
+
+  test('applies the schedule when its window opens and keeps the base settings', () => {
+    assert.deepEqual(planChange(bin(), schedules, at(3, 22, 0)), {
+      mode: 'AUTH',
+      threshold_cm: 20,
+      schedule_ids: '1:1',
+      base_mode: 'OPEN',
+      base_threshold_cm: 20
+    });
+  });
+
+  test('does nothing while the same schedules stay in effect', () => {
+    const scheduled = bin({ mode: 'AUTH', schedule_ids: '1:1', base_mode: 'OPEN', base_threshold_cm: 20 });
+    assert.equal(planChange(scheduled, schedules, at(4, 3, 0)), null);
+    assert.equal(planChange(bin(), schedules, at(3, 12, 0)), null);
+  });
+
+  test('restores the base settings when the window closes', () => {
+    const scheduled = bin({ mode: 'AUTH', schedule_ids: '1:1', base_mode: 'OPEN', base_threshold_cm: 20 });
+    assert.deepEqual(planChange(scheduled, schedules, at(4, 6, 0)), {
+      mode: 'OPEN',
+      threshold_cm: 20,
+      schedule_ids: null,
+      base_mode: null,
+      base_threshold_cm: null
+    });
+  });
+
+  test('re-applies from the base settings when a schedule in effect is edited', () => {
+    const scheduled = bin({ mode: 'AUTH', schedule_ids: '1:1', base_mode: 'OPEN', base_threshold_cm: 20 });
+    const edited = [schedule({ version: 2, mode: 'LOCKED', threshold_cm: 15 })];
+
+    assert.deepEqual(planChange(scheduled, edited, at(4, 3, 0)), {
+      mode: 'LOCKED',
+      threshold_cm: 15,
+      schedule_ids: '1:2',
+      base_mode: 'OPEN',
+      base_threshold_cm: 20
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Level reading screening: range, level/distance mismatch, spikes and stuck sensors
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { expectedLevel, checkReading, isStuck } from '../src/sensorHealth.js';
+
+const bin = (overrides = {}) => ({
+  bin_id: 'BIN_01',
+  capacity_cm: 200,
+  current_level_percent: 40,
+  last_seen: new Date(2025, 0, 15, 10, 0),
+  ...overrides
+});
+
+describe('expectedLevel', () => {
+  test('computes the level the way the firmware does', () => {
+    assert.equal(expectedLevel(30, 15), 50);
+    assert.equal(expectedLevel(30, 30), 0);
+    assert.equal(expectedLevel(200, 110), 45);
+  });
+
+  test('clamps to 0..100', () => {
+    assert.equal(expectedLevel(30, 40), 0);
+    assert.equal(expectedLevel(30, -5), 100);
+  });
+});
+
+describe('checkReading', () => {
+  test('accepts a reading that matches the reported bin height', () => {
+    assert.equal(checkReading(bin(), { level: 50, cm: 15, heightCm: 30 }, null), null);
+  });
+
+  test('checks the level against the device height, not capacity_cm', () => {
+    // 15cm in a 30cm firmware bin is 50%; capacity_cm 200 would expect 93%
+    assert.equal(checkReading(bin({ current_level_percent: 45 }), { level: 50, cm: 15, heightCm: 30 }, null), null);
+    assert.equal(checkReading(bin(), { level: 80, cm: 15, heightCm: 30 }, null), 'level_mismatch');
+  });
+
+  test('allows a 5 point difference from the computed level', () => {
+    assert.equal(checkReading(bin(), { level: 45, cm: 15, heightCm: 30 }, null), null);
+    assert.equal(checkReading(bin(), { level: 44, cm: 15, heightCm: 30 }, null), 'level_mismatch');
+  });
+
+  test('skips the mismatch check when the device does not report its height', () => {
+    assert.equal(checkReading(bin(), { level: 50, cm: 15 }, null), null);
+    assert.equal(checkReading(bin(), { level: 50, cm: 15, heightCm: 0 }, null), null);
+  });
+
+  test('flags distances outside the bin and levels outside 0..100', () => {
+    assert.equal(checkReading(bin(), { level: 40, cm: 0, heightCm: 30 }, null), 'out_of_range');
+    assert.equal(checkReading(bin(), { level: 0, cm: 31, heightCm: 30 }, null), 'out_of_range');
+    assert.equal(checkReading(bin(), { level: 0, cm: 250 }, null), 'out_of_range');
+    assert.equal(checkReading(bin(), { level: 101, cm: 15 }, null), 'out_of_range');
+    assert.equal(checkReading(bin(), { level: -1, cm: 15 }, null), 'out_of_range');
+  });
+
+  test('flags a lone jump from both the stored level and the previous reading', () => {
+    const reading = { level: 97, cm: 1, heightCm: 30 };
+    assert.equal(checkReading(bin(), reading, { level: 40, cm: 18 }), 'jump');
+    assert.equal(checkReading(bin(), reading, null), 'jump');
+  });
+
+  test('accepts a large change once the previous reading showed it', () => {
+    const emptied = { level: 0, cm: 30, heightCm: 30 };
+    assert.equal(checkReading(bin({ current_level_percent: 90 }), emptied, { level: 90, cm: 3 }), 'jump');
+    assert.equal(checkReading(bin({ current_level_percent: 90 }), emptied, { level: 0, cm: 30 }), null);
+  });
+
+  test('accepts any level for a bin that has not reported yet', () => {
+    assert.equal(checkReading(bin({ last_seen: null, current_level_percent: 0 }), { level: 90, cm: 3, heightCm: 30 }, null), null);
+  });
+});
+
+describe('isStuck', () => {
+  const windowStart = new Date(2025, 0, 15, 6, 0);
+  const range = (overrides = {}) => ({ min_cm: 12, max_cm: 12, first_at: new Date(2025, 0, 15, 6, 5), count: 40, ...overrides });
+
+  test('same distance over the whole window is stuck', () => {
+    assert.equal(isStuck(range(), windowStart), true);
+  });
+
+  test('a distance that changed is not stuck', () => {
+    assert.equal(isStuck(range({ max_cm: 13 }), windowStart), false);
+  });
+
+  test('readings that start late in the window are not enough', () => {
+    assert.equal(isStuck(range({ first_at: new Date(2025, 0, 15, 6, 16) }), windowStart), false);
+    assert.equal(isStuck(range({ first_at: new Date(2025, 0, 15, 6, 15) }), windowStart), true);
+  });
+
+  test('needs at least two readings', () => {
+    assert.equal(isStuck(range({ count: 1 }), windowStart), false);
+    assert.equal(isStuck(null, windowStart), false);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Local stand-ins for external services used in tests
+ * - SMTP server that accepts every message and keeps it in memory
+ * - HTTP server that records webhook requests
+ */
+
+import net from 'net';
+import http from 'http';
+
+/**
+ * Start a minimal SMTP server on a random local port
+ * Returns { port, messages, close() }; each message is { from, to, data }
+ */
+export function startSmtpServer() {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let current = { from: null, to: [], data: '' };
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost ESMTP stand-in');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+
+          current.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          messages.push(current);
+          current = { from: null, to: [], data: '' };
+          inData = false;
+          reply('250 OK queued');
+          continue;
+        }
+
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          current.from = line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0];
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          current.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Start an HTTP server that records POSTed JSON bodies
+ * Returns { url, requests, setStatus(code), close() }
+ */
+export function startWebhookServer() {
+  const requests = [];
+  let status = 200;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null
+      });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setStatus: code => { status = code; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
@@ -0,0 +1,109 @@
+/**
+ * Store contract: the MySQL and SQLite stores give the same results and
+ * errors for the same calls (unique keys, active alert key, telemetry pages,
+ * full runs, timestamp types). Each case runs once per store
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import * as alerts from '../src/alerts.js';
+import { isMySQLAvailable, isSQLiteAvailable, openTestDatabase } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+const start = new Date(Date.UTC(2025, 0, 15, 8, 0));
+const minutesAfter = (minutes) => new Date(start.getTime() + minutes * 60000);
+
+for (const { store, skip } of STORES) {
+  describe(`store contract (${store})`, { skip }, () => {
+    let database;
+    let warn;
+
+    const reading = (minute, level) => database.sql(
+      "INSERT INTO telemetry (bin_id, level_percent, distance_cm, recorded_at) VALUES ('BIN_01', ?, ?, ?)",
+      [level, 200 - level * 2, minutesAfter(minute)]
+    );
+
+    before(async () => {
+      database = await openTestDatabase({ store });
+      warn = console.warn;
+      console.warn = () => {};
+    });
+
+    after(async () => {
+      console.warn = warn;
+      await database?.stop();
+    });
+
+    test('unique keys are reported as DUPLICATE', async () => {
+      await assert.rejects(db.createUser({ name: 'Copy', rfidUid: '43 e8 2b 16' }), { code: db.DUPLICATE });
+      await assert.rejects(db.createBin({ bin_id: 'BIN_01', name: 'Copy' }), { code: db.DUPLICATE });
+
+      await db.createOperator({ username: 'contract', passwordHash: 'x', role: 'viewer' });
+      await assert.rejects(db.createOperator({ username: 'contract', passwordHash: 'x', role: 'viewer' }), { code: db.DUPLICATE });
+    });
+
+    test('one active alert per bin and type; resolved ones do not count', async () => {
+      const first = await db.createAlert('BIN_02', 'offline', 'BIN_02 offline', null);
+      await assert.rejects(db.createAlert('BIN_02', 'offline', 'BIN_02 offline', null), { code: db.DUPLICATE });
+      await db.createAlert('BIN_02', 'sensor_fault', 'BIN_02 sensor fault', null);
+
+      await db.acknowledgeAlert(first.id, 'ops');
+      await assert.rejects(db.createAlert('BIN_02', 'offline', 'BIN_02 offline', null), { code: db.DUPLICATE });
+
+      await db.resolveAlert(first.id, 'manual', 'ops');
+      const second = await db.createAlert('BIN_02', 'offline', 'BIN_02 offline', null);
+      assert.notEqual(second.id, first.id);
+      await db.resolveAlert(second.id, 'manual', 'ops');
+    });
+
+    test('an alert raised twice at once is created once and seen twice', async () => {
+      const raised = await Promise.all([
+        alerts.raiseAlert('BIN_01', 'offline', { message: 'BIN_01 offline' }),
+        alerts.raiseAlert('BIN_01', 'offline', { message: 'BIN_01 offline' })
+      ]);
+      assert.deepEqual(raised.map(result => result.created).sort(), [false, true]);
+
+      const active = await db.getActiveAlert('BIN_01', 'offline');
+      assert.equal(active.occurrences, 2);
+      assert.ok(active.opened_at instanceof Date);
+    });
+
+    test('getTelemetry pages oldest first by { recorded_at, id }', async () => {
+      for (const [minute, level] of [[0, 10], [1, 20], [1, 21], [1, 22], [2, 30]]) {
+        await reading(minute, level);
+      }
+      const range = { binIds: ['BIN_01'], from: minutesAfter(0), to: minutesAfter(3) };
+
+      const pages = [];
+      let after = null;
+      do {
+        const page = await db.getTelemetry(range, { limit: 2, after });
+        pages.push(page.map(row => row.level_percent));
+        after = page.length === 2 ? page[1] : null;
+      } while (after);
+
+      assert.deepEqual(pages, [[10, 20], [21, 22], [30]]);
+      assert.deepEqual(await db.getTelemetry({ ...range, binIds: [] }), []);
+      assert.deepEqual((await db.getTelemetry({ ...range, to: minutesAfter(1) })).map(row => row.level_percent), [10]);
+
+      const [first] = await db.getTelemetry(range, { limit: 1 });
+      assert.ok(first.recorded_at instanceof Date);
+      assert.equal(first.recorded_at.getTime(), start.getTime());
+    });
+
+    test('getFullSince finds the start of the run of full readings', async () => {
+      for (const [minute, level] of [[10, 50], [11, 85], [12, 90], [13, 40], [14, 82], [15, 88]]) {
+        await reading(minute, level);
+      }
+
+      assert.equal((await db.getFullSince('BIN_01', minutesAfter(15), 80)).getTime(), minutesAfter(14).getTime());
+      assert.equal((await db.getFullSince('BIN_01', minutesAfter(12), 80)).getTime(), minutesAfter(11).getTime());
+      assert.equal(await db.getFullSince('BIN_01', minutesAfter(13), 80), null);
+    });
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * RFID users API: search and updates
+ * Runs once per store like e2e.test.js
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { isMySQLAvailable, isSQLiteAvailable, startStack } from './harness.js';
+
+const STORES = [
+  { store: 'mysql', skip: !(await isMySQLAvailable()) && 'MySQL is not reachable (set MYSQL_* in .env)' },
+  { store: 'sqlite', skip: !(await isSQLiteAvailable()) && 'better-sqlite3 is not installed' }
+];
+
+for (const { store, skip } of STORES) {
+  describe(`users API (${store})`, { skip }, () => {
+    let stack;
+
+    const search = async (query) => {
+      const { status, body } = await stack.request('GET', `/users?${query}`);
+      assert.equal(status, 200, query);
+      return body.data.map(user => user.name);
+    };
+
+    before(async () => {
+      stack = await startStack({ store });
+
+      await db.createUser({ name: 'Ann_Lee', email: 'ann@example.com' });
+      await db.createUser({ name: 'AnnXLee', email: 'annx@example.com' });
+      await db.createUser({ name: '100% Recycled', email: null, rfidUid: 'A1B2C3D4' });
+    });
+
+    after(async () => {
+      await stack?.stop();
+    });
+
+    test('search matches name, email or card', async () => {
+      assert.deepEqual((await search('search=ann')).sort(), ['AnnXLee', 'Ann_Lee']);
+      assert.deepEqual(await search('search=jane%40example'), ['Jane Smith']);
+      assert.deepEqual(await search('search=43%20e8%3A2b'), ['John Doe']);
+    });
+
+    test('search matches % and _ literally', async () => {
+      assert.deepEqual(await search('search=ann_'), ['Ann_Lee']);
+      assert.deepEqual(await search('search=%25'), ['100% Recycled']);
+      assert.deepEqual(await search('search=%5C'), []);
+    });
+
+    test('active filters on is_active', async () => {
+      const [ann] = (await stack.request('GET', '/users?search=Ann_Lee')).body.data;
+      await stack.request('PUT', `/users/${ann.id}`, { is_active: false });
+
+      assert.equal((await search('active=false')).includes('Ann_Lee'), true);
+      assert.equal((await search('active=true')).includes('Ann_Lee'), false);
+    });
+
+    test('an update without known fields is rejected', async () => {
+      const user = await db.findUserByRFID('43E82B16');
+
+      for (const body of [{}, { colour: 'blue' }, { name: '' }]) {
+        const { status, body: response } = await stack.request('PUT', `/users/${user.id}`, body);
+        assert.equal(status, 400, JSON.stringify(body));
+        assert.match(response.error, /Nothing to update/);
+      }
+
+      const updated = await stack.request('PUT', `/users/${user.id}`, { email: 'john.doe@example.com' });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.data.email, 'john.doe@example.com');
+      assert.equal((await stack.request('PUT', '/users/999999', { name: 'Nobody' })).status, 404);
+    });
+  });
+}
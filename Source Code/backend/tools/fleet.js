@@ -0,0 +1,532 @@
+/**
+ * Fleet simulator for mock_pub.js
+ * Simulates many bins from a JSON scenario - fill profiles, proximity openings,
+ * RFID scans, collections, disconnects and sensor glitches - on a simulated
+ * clock that can run faster than real time. Every bin draws from its own
+ * random source seeded from the scenario seed and its ID, so the same seed
+ * publishes the same readings, scans and glitches at the same simulated times
+ */
+
+import fs from 'fs';
+import mqtt from 'mqtt';
+
+// Settings of every bin, overridden by scenario.defaults and then by the bin entry
+const BIN_DEFAULTS = {
+  height_cm: 200,
+  start_level: 10,
+  level_interval_seconds: 10,
+  fill: {
+    percent_per_hour: 3,
+    jitter: 0.3,
+    peak_hours: [],
+    peak_factor: 2,
+    percent_per_open: 0.2
+  },
+  proximity: { per_hour: 0 },
+  rfid: [],
+  collect_at_percent: 90,
+  collect_delay_minutes: 30,
+  empty_to_percent: 3,
+  disconnects: [],
+  glitches: [],
+  ack: 'ok'
+};
+
+export const GLITCH_TYPES = ['spike', 'stuck', 'out_of_range', 'mismatch'];
+export const ACK_MODES = ['ok', 'error', 'none'];
+
+// Simulated seconds the lid stays open (the firmware closes it after 7s)
+const LID_OPEN_SECONDS = 7;
+
+// Real milliseconds between simulation steps
+const TICK_MS = 100;
+
+/**
+ * Seeded random source (mulberry32): returns a function giving floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed for one bin: FNV-1a hash of the scenario seed and the bin ID
+ */
+function binSeed(seed, binId) {
+  let hash = 2166136261;
+  for (const char of `${seed}:${binId}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Simulated milliseconds until the next event of a random process with a rate per hour
+ */
+function nextArrival(rng, perHour) {
+  return -Math.log(1 - rng()) / perHour * 3600000;
+}
+
+/**
+ * Check a scenario and expand it into one settings object per bin
+ * Bin entries either have an "id" or an "id_prefix" with a "count"
+ * (SIM_ with count 3 gives SIM_01, SIM_02, SIM_03). Throws on invalid input
+ */
+export function expandScenario(scenario) {
+  if (!scenario || !Array.isArray(scenario.bins) || scenario.bins.length === 0) {
+    throw new Error('Scenario needs a non-empty "bins" array');
+  }
+
+  const defaults = scenario.defaults || {};
+  const bins = [];
+
+  for (const entry of scenario.bins) {
+    let ids;
+    if (entry.id) {
+      ids = [entry.id];
+    } else if (entry.id_prefix && Number.isInteger(entry.count) && entry.count > 0) {
+      const width = Math.max(2, String(entry.count).length);
+      ids = Array.from({ length: entry.count }, (_, i) => `${entry.id_prefix}${String(i + 1).padStart(width, '0')}`);
+    } else {
+      throw new Error('Each bin entry needs "id", or "id_prefix" and a positive "count"');
+    }
+
+    for (const id of ids) {
+      const bin = {
+        ...BIN_DEFAULTS,
+        ...defaults,
+        ...entry,
+        id,
+        fill: { ...BIN_DEFAULTS.fill, ...defaults.fill, ...entry.fill },
+        proximity: { ...BIN_DEFAULTS.proximity, ...defaults.proximity, ...entry.proximity }
+      };
+      delete bin.id_prefix;
+      delete bin.count;
+
+      if (!ACK_MODES.includes(bin.ack)) {
+        throw new Error(`${id}: ack must be one of ${ACK_MODES.join(', ')}`);
+      }
+      for (const glitch of bin.glitches) {
+        if (!GLITCH_TYPES.includes(glitch.type)) {
+          throw new Error(`${id}: glitch type must be one of ${GLITCH_TYPES.join(', ')}`);
+        }
+      }
+      for (const scan of bin.rfid) {
+        if (!scan.uid && !Array.isArray(scan.uids)) {
+          throw new Error(`${id}: RFID schedules need "uid" or "uids"`);
+        }
+        if (!(scan.every_minutes > 0) && !(scan.per_hour > 0)) {
+          throw new Error(`${id}: RFID schedules need "every_minutes" or "per_hour"`);
+        }
+      }
+      if (bins.some(other => other.id === id)) {
+        throw new Error(`Duplicate bin ID ${id}`);
+      }
+
+      bins.push(bin);
+    }
+  }
+
+  return bins;
+}
+
+/**
+ * Read and expand a scenario file: { scenario, bins }
+ */
+export function loadScenario(path) {
+  const scenario = JSON.parse(fs.readFileSync(path, 'utf8'));
+  return { scenario, bins: expandScenario(scenario) };
+}
+
+/**
+ * Simulate one bin
+ * io: { publish(topic, payload, qos), disconnect(), reconnect() } - the simulator
+ * itself never touches the network. Call step(simTime) to run every event due
+ * by then and handleMessage() for messages from the backend
+ */
+export function createBinSimulator(settings, { seed, startTime, io, recordEvent = null }) {
+  const rng = createRandom(binSeed(seed, settings.id));
+  const minutes = value => startTime + value * 60000;
+
+  const bin = {
+    level: settings.start_level,
+    opens: 0,
+    mode: 'AUTO',
+    online: true,
+    lidOpenUntil: 0,
+    collectAt: null,
+    stuckCm: null,
+    lastTime: startTime
+  };
+
+  const stats = {
+    bin_id: settings.id,
+    published: { level: 0, lid: 0, rfid_check: 0, cmd_ack: 0 },
+    rfid_by_uid: {},
+    received: { cmd: 0, config: 0, alert: 0 },
+    proximity_opens: 0,
+    command_opens: 0,
+    collections: 0,
+    glitched_readings: 0,
+    disconnects: 0
+  };
+
+  // Next time of each recurring event
+  const next = {
+    level: startTime,
+    proximity: settings.proximity.per_hour > 0 ? startTime + nextArrival(rng, settings.proximity.per_hour) : Infinity,
+    rfid: settings.rfid.map(scan => scan.every_minutes
+      ? minutes(scan.offset_minutes || 0)
+      : startTime + nextArrival(rng, scan.per_hour))
+  };
+
+  const disconnects = settings.disconnects.map(window => ({
+    start: minutes(window.at_minute),
+    end: minutes(window.at_minute + (window.duration_minutes || 5)),
+    started: false,
+    ended: false
+  }));
+
+  const glitches = settings.glitches.map(glitch => ({
+    ...glitch,
+    start: minutes(glitch.at_minute),
+    end: minutes(glitch.at_minute + (glitch.duration_minutes || 0))
+  }));
+
+  const topic = suffix => `smartbin/${settings.id}/${suffix}`;
+
+  function publish(kind, suffix, payload, qos, time) {
+    if (!bin.online) return false;
+    io.publish(topic(suffix), JSON.stringify(payload), qos);
+    stats.published[kind]++;
+    if (recordEvent) recordEvent({ time: new Date(time).toISOString(), bin_id: settings.id, topic: suffix, payload });
+    return true;
+  }
+
+  /**
+   * Fill the bin from the last event to `time`
+   */
+  function fillUntil(time) {
+    const hours = (time - bin.lastTime) / 3600000;
+    if (hours <= 0) return;
+
+    const { percent_per_hour: rate, jitter, peak_hours: peakHours, peak_factor: peakFactor } = settings.fill;
+    const peak = peakHours.includes(new Date(time).getHours()) ? peakFactor : 1;
+    const noise = 1 + jitter * (rng() * 2 - 1);
+
+    bin.level = Math.min(100, bin.level + rate * peak * noise * hours);
+    bin.lastTime = time;
+
+    if (bin.collectAt === null && bin.level >= settings.collect_at_percent) {
+      bin.collectAt = time + settings.collect_delay_minutes * 60000;
+    }
+  }
+
+  function openLid(time) {
+    bin.opens++;
+    bin.lidOpenUntil = time + LID_OPEN_SECONDS * 1000;
+    bin.level = Math.min(100, bin.level + settings.fill.percent_per_open);
+  }
+
+  /**
+   * Level reading as the sensor would report it, with any active glitch
+   */
+  function reading(time) {
+    const height = settings.height_cm;
+    let cm = Math.round(height * (1 - bin.level / 100));
+    let level = Math.round((height - cm) * 100 / height);
+
+    const glitch = glitches.find(candidate =>
+      time >= candidate.start && (time < candidate.end || (candidate.end === candidate.start && !candidate.used)));
+
+    if (glitch) {
+      glitch.used = true;
+      stats.glitched_readings++;
+
+      if (glitch.type === 'spike') {
+        level = Math.min(100, level + 60);
+        cm = Math.round(height * (1 - level / 100));
+      } else if (glitch.type === 'stuck') {
+        bin.stuckCm = bin.stuckCm ?? cm;
+        cm = bin.stuckCm;
+        level = Math.round((height - cm) * 100 / height);
+      } else if (glitch.type === 'out_of_range') {
+        cm = height + 50;
+        level = 0;
+      } else if (glitch.type === 'mismatch') {
+        cm = Math.max(1, Math.round(height * (1 - Math.min(100, level + 30) / 100)));
+      }
+    } else {
+      bin.stuckCm = null;
+    }
+
+    return {
+      level,
+      cm,
+      height_cm: height,
+      lid: time < bin.lidOpenUntil ? 'open' : 'closed',
+      opens: bin.opens,
+      ts: new Date(time).toISOString()
+    };
+  }
+
+  /**
+   * Earliest due event at or before `until`: { time, run } or null
+   */
+  function nextEvent(until) {
+    const candidates = [
+      { time: next.level, run: time => {
+        publish('level', 'data/level', reading(time), 0, time);
+        next.level += settings.level_interval_seconds * 1000;
+      } },
+      { time: next.proximity, run: time => {
+        if (bin.online && bin.mode === 'AUTO' && time >= bin.lidOpenUntil) {
+          openLid(time);
+          stats.proximity_opens++;
+          publish('lid', 'lid', { action: 'open', reason: 'proximity_trigger', opens: bin.opens }, 0, time);
+        }
+        next.proximity = time + nextArrival(rng, settings.proximity.per_hour);
+      } },
+      ...settings.rfid.map((scan, index) => ({ time: next.rfid[index], run: time => {
+        const uid = scan.uid || scan.uids[Math.floor(rng() * scan.uids.length)];
+        if (publish('rfid_check', 'rfid_check', { uid, ts: new Date(time).toISOString() }, 1, time)) {
+          stats.rfid_by_uid[uid] = (stats.rfid_by_uid[uid] || 0) + 1;
+        }
+        next.rfid[index] = scan.every_minutes
+          ? time + scan.every_minutes * 60000
+          : time + nextArrival(rng, scan.per_hour);
+      } })),
+      { time: bin.collectAt ?? Infinity, run: () => {
+        bin.level = settings.empty_to_percent + rng() * 2;
+        bin.collectAt = null;
+        stats.collections++;
+      } },
+      ...disconnects.flatMap(window => [
+        { time: window.started ? Infinity : window.start, run: () => {
+          window.started = true;
+          bin.online = false;
+          stats.disconnects++;
+          io.disconnect();
+        } },
+        { time: window.started && !window.ended ? window.end : Infinity, run: () => {
+          window.ended = true;
+          bin.online = true;
+          io.reconnect();
+        } }
+      ])
+    ];
+
+    const due = candidates
+      .filter(candidate => candidate.time <= until)
+      .sort((a, b) => a.time - b.time);
+    return due[0] || null;
+  }
+
+  return {
+    id: settings.id,
+
+    /**
+     * Run every event due by `until` (simulated ms), in time order
+     */
+    step(until) {
+      let event;
+      while ((event = nextEvent(until))) {
+        fillUntil(event.time);
+        event.run(event.time);
+      }
+      fillUntil(until);
+    },
+
+    /**
+     * Handle a message from the backend (cmd, config or alert) at simulated `time`
+     */
+    handleMessage(suffix, data, time) {
+      if (!(suffix in stats.received)) return;
+      stats.received[suffix]++;
+
+      if (suffix === 'config' && data.mode) {
+        bin.mode = data.mode;
+      }
+      if (suffix !== 'cmd' || !data.command_id) return;
+
+      const known = data.action === 'open' || data.action === 'close';
+      if (settings.ack === 'none') return;
+
+      const error = !known ? `Unknown action: ${data.action}` : settings.ack === 'error' ? 'Simulated servo failure' : null;
+      if (!error && data.action === 'open') {
+        fillUntil(time);
+        openLid(time);
+        stats.command_opens++;
+      }
+      if (!error && data.action === 'close') {
+        bin.lidOpenUntil = 0;
+      }
+
+      const ack = { command_id: data.command_id, action: data.action, status: error ? 'error' : 'ok', ts: new Date(time).toISOString() };
+      if (error) ack.error = error;
+      publish('cmd_ack', 'cmd_ack', ack, 1, time);
+    },
+
+    /**
+     * What this bin published and received so far
+     */
+    report() {
+      return { ...stats, opens: bin.opens, level_percent: Math.round(bin.level), online: bin.online };
+    }
+  };
+}
+
+/**
+ * Run a fleet against a broker
+ * options: { brokerUrl, login ({ username, password } if the broker needs one),
+ * seed, speed (simulated seconds per real second),
+ * startTime (simulated clock start in ms, default now), durationMinutes
+ * (simulated; null = until stop()), recordEvents, log }
+ * Returns { done, stop }: done resolves with the report when the run ends,
+ * stop() ends it early and resolves with the same report
+ */
+export function runFleet(binSettings, options) {
+  const { brokerUrl, login = {}, seed, speed = 1, startTime = null, durationMinutes = null, recordEvents = false, log = console.log } = options;
+  const realStart = Date.now();
+  const simStart = startTime ?? realStart;
+  const simNow = () => simStart + (Date.now() - realStart) * speed;
+  const events = [];
+
+  const bins = binSettings.map(settings => {
+    const clientId = `mock_fleet_${settings.id}_${Math.random().toString(16).slice(2, 8)}`;
+    const entry = { settings, client: null };
+
+    const connect = () => {
+      const client = mqtt.connect(brokerUrl, {
+        ...login,
+        clientId,
+        clean: true,
+        connectTimeout: 4000,
+        reconnectPeriod: 1000,
+        will: { topic: `smartbin/${settings.id}/status`, payload: 'offline', qos: 1, retain: false }
+      });
+
+      client.on('connect', () => {
+        client.publish(`smartbin/${settings.id}/status`, 'online', { qos: 1 });
+        client.subscribe(['cmd', 'config', 'alert'].map(suffix => `smartbin/${settings.id}/${suffix}`), { qos: 1 });
+      });
+
+      client.on('message', (topic, message) => {
+        let data;
+        try {
+          data = JSON.parse(message.toString());
+        } catch (e) {
+          return;
+        }
+        entry.simulator.handleMessage(topic.split('/').pop(), data, simNow());
+      });
+
+      client.on('error', (err) => log(`❌ ${settings.id} MQTT error: ${err.message}`));
+      entry.client = client;
+    };
+
+    entry.simulator = createBinSimulator(settings, {
+      seed,
+      startTime: simStart,
+      recordEvent: recordEvents ? event => events.push(event) : null,
+      io: {
+        publish: (topic, payload, qos) => entry.client.publish(topic, payload, { qos }),
+        // Dropping the connection without DISCONNECT makes the broker send the LWT
+        disconnect: () => {
+          log(`🔌 ${settings.id} disconnected`);
+          entry.client.end(true);
+        },
+        reconnect: () => {
+          log(`🔌 ${settings.id} reconnecting`);
+          connect();
+        }
+      }
+    });
+
+    connect();
+    return entry;
+  });
+
+  log(`🤖 Fleet: ${bins.length} bins, seed ${seed}, speed ${speed}x`);
+
+  const simEnd = durationMinutes ? simStart + durationMinutes * 60000 : Infinity;
+  let timer = null;
+  let finished = null;
+  let resolveDone;
+  const done = new Promise(resolve => { resolveDone = resolve; });
+
+  const report = () => {
+    const perBin = bins.map(entry => entry.simulator.report());
+    const totals = {};
+    for (const stats of perBin) {
+      for (const [key, value] of Object.entries(stats)) {
+        if (typeof value === 'number') totals[key] = (totals[key] || 0) + value;
+      }
+      for (const [kind, count] of Object.entries(stats.published)) {
+        totals[`published_${kind}`] = (totals[`published_${kind}`] || 0) + count;
+      }
+    }
+    delete totals.level_percent;
+
+    const result = {
+      seed,
+      speed,
+      started_at: new Date(realStart).toISOString(),
+      ended_at: new Date().toISOString(),
+      sim_started_at: new Date(simStart).toISOString(),
+      sim_ended_at: new Date(Math.min(simNow(), simEnd)).toISOString(),
+      totals,
+      bins: perBin
+    };
+    if (recordEvents) result.events = events;
+    return result;
+  };
+
+  const stop = () => {
+    if (finished) return finished;
+    clearInterval(timer);
+
+    finished = (async () => {
+      const result = report();
+      await Promise.all(bins.map(entry => new Promise(resolve => {
+        if (!entry.client.connected) {
+          entry.client.end(true, {}, resolve);
+          return;
+        }
+        entry.client.publish(`smartbin/${entry.settings.id}/status`, 'offline', { qos: 1 }, () => {
+          entry.client.end(false, {}, resolve);
+        });
+      })));
+      resolveDone(result);
+      return result;
+    })();
+
+    return finished;
+  };
+
+
+  timer = setInterval(() => {
+    const now = Math.min(simNow(), simEnd);
+    for (const entry of bins) entry.simulator.step(now);
+    if (now >= simEnd) stop();
+  }, TICK_MS);
+
+  return { done, stop };
+}
+
+export default {
+  GLITCH_TYPES,
+  ACK_MODES,
+  createRandom,
+  expandScenario,
+  loadScenario,
+  createBinSimulator,
+  runFleet
+};
@@ -0,0 +1,91 @@
+/**
+ * Database migrations
+ * Applies the numbered migrations in migrations/<driver>/ to the database
+ * configured in .env (STORAGE_DRIVER, MYSQL_* or SQLITE_PATH), creating it
+ * if needed
+ *
+ *   node tools/migrate.js [up] [--to N] [--seed]   Apply pending migrations (npm run migrate)
+ *   node tools/migrate.js down [--to N]            Revert the last migration, or down to version N
+ *   node tools/migrate.js status                   Show applied and pending migrations
+ *   node tools/migrate.js seed                     Add the sample users and bins (npm run seed)
+ *
+ *   Example: npm run migrate -- --seed
+ */
+
+import { parseArgs } from 'util';
+import * as db from '../src/db.js';
+import { seedDevData } from '../src/seed.js';
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    to: { type: 'string' },
+    seed: { type: 'boolean', default: false }
+  }
+});
+
+// Commands, see the usage above
+const COMMANDS = ['up', 'down', 'status', 'seed'];
+
+const COMMAND = positionals[0] || 'up';
+const TO = args.to === undefined ? undefined : parseInt(args.to);
+
+/**
+ * Print the schema version and the applied/pending migrations
+ */
+async function printStatus() {
+  const status = await db.getSchemaStatus();
+
+  if (status.legacy) {
+    console.log('📌 Database predates migrations (no schema_version table): run `npm run migrate` to adopt it');
+    return;
+  }
+
+  console.log(`📊 Schema version ${status.version} of ${status.latest}`);
+  for (const migration of status.applied) {
+    console.log(`   ✅ ${migration.version}_${migration.name} (${migration.applied_at.toISOString()})`);
+  }
+  for (const migration of status.pending) {
+    console.log(`   ⏳ ${migration.version}_${migration.name}`);
+  }
+}
+
+async function main() {
+  if (!COMMANDS.includes(COMMAND)) {
+    throw new Error(`Unknown command "${COMMAND}" (expected ${COMMANDS.join(', ')})`);
+  }
+  if (TO !== undefined && (!Number.isInteger(TO) || TO < 0)) {
+    throw new Error(`--to must be a version number, got "${args.to}"`);
+  }
+
+  await db.initDB({ migrating: true });
+  try {
+    switch (COMMAND) {
+      case 'up': {
+        const applied = await db.migrate(TO === undefined ? undefined : { to: TO });
+        if (applied.length === 0) console.log('✅ Schema is up to date');
+        if (args.seed) await seedDevData();
+        break;
+      }
+      case 'down': {
+        const reverted = await db.rollback({ to: TO ?? null });
+        if (reverted.length === 0) console.log('✅ Nothing to revert');
+        break;
+      }
+      case 'status':
+        await printStatus();
+        break;
+      case 'seed':
+        await db.checkSchema();
+        await seedDevData();
+        break;
+    }
+  } finally {
+    await db.closeDB();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ migrate ${COMMAND} failed:`, error.message);
+  process.exit(1);
+});
@@ -1,23 +1,48 @@
 /**
  * Mock MQTT Publisher
- * Simulates ESP32 device for testing without hardware
- * 
- * Usage: node mock_pub.js [bin_id]
- * Example: node mock_pub.js BIN_01
+ * Simulates ESP32 devices for testing without hardware
+ *
+ * Single bin, driven from an interactive menu:
+ *   node mock_pub.js [bin_id] [--broker <url>]
+ *   Example: node mock_pub.js BIN_01
+ *
+ * Fleet of bins from a scenario file (see fleet.js and scenarios/):
+ *   node mock_pub.js --scenario <file> [--broker <url>] [--seed N] [--speed X] [--duration MIN] [--report <file>] [--events]
+ *   Example: node mock_pub.js --scenario scenarios/demo.json --speed 60 --duration 240 --report report.json
  */
 
+import fs from 'fs';
 import mqtt from 'mqtt';
+import { parseArgs } from 'util';
+import config from '../src/config.js';
+import { loadScenario, runFleet } from './fleet.js';
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    broker: { type: 'string' },
+    scenario: { type: 'string' },
+    seed: { type: 'string' },
+    speed: { type: 'string' },
+    duration: { type: 'string' },
+    report: { type: 'string' },
+    events: { type: 'boolean', default: false }
+  }
+});
 
-// Configuration
-const BROKER_URL = process.env.MQTT_BROKER_URL || 'mqtt://broker.hivemq.com:8884';
-const BIN_ID = process.argv[2] || 'BIN_01';
+// Configuration: same broker as the backend (.env, including the embedded broker) unless --broker is given
+const BROKER_URL = args.broker || config.mqtt.brokerUrl;
+const BROKER_LOGIN = !args.broker && config.mqtt.options.username
+  ? { username: config.mqtt.options.username, password: config.mqtt.options.password }
+  : {};
+const BIN_ID = positionals[0] || 'BIN_01';
 const CLIENT_ID = `mock_device_${BIN_ID}_${Math.random().toString(16).slice(2, 8)}`;
 
 // Simulate RFID UIDs
 const RFID_UIDS = [
   { uid: '04A1B2C3D4E5F6', name: 'Admin User (authorized)' },
-  { uid: 'A1B2C3D4', name: 'John Doe (authorized)' },
-  { uid: 'E5F6A7B8', name: 'Jane Smith (authorized)' },
+  { uid: '43 E8 2B 16', name: 'John Doe (authorized)' },
+  { uid: 'E0 A4 34 5F', name: 'Jane Smith (authorized)' },
   { uid: 'DEADBEEF', name: 'Unknown (unauthorized)' }
 ];
 
@@ -25,94 +50,132 @@ const RFID_UIDS = [
 const BIN_HEIGHT_CM = 200;
 let currentDistanceCm = 150; // Start at 25% full
 let isLidOpen = false;
+let lidOpens = 0;
 
-console.log('🤖 Mock ESP32 Device Starting...');
-console.log(`📡 Broker: ${BROKER_URL}`);
-console.log(`🗑️  Bin ID: ${BIN_ID}`);
-console.log(`🆔 Client ID: ${CLIENT_ID}\n`);
-
-// Connect to MQTT
-const client = mqtt.connect(BROKER_URL, {
-  clientId: CLIENT_ID,
-  clean: true,
-  connectTimeout: 4000,
-  reconnectPeriod: 1000,
-  will: {
-    topic: `smartbin/${BIN_ID}/status`,
-    payload: 'offline',
-    qos: 1,
-    retain: false
-  }
-});
-
-client.on('connect', () => {
-  console.log('✅ Connected to MQTT broker\n');
+// How the device answers commands: 'ok', 'error' or 'none' (unresponsive)
+const ACK_MODES = ['ok', 'error', 'none'];
+let ackMode = 'ok';
 
-  // Publish online status
-  client.publish(`smartbin/${BIN_ID}/status`, 'online', { qos: 1 });
+let client = null;
 
-  // Subscribe to command and config topics
-  client.subscribe(`smartbin/${BIN_ID}/cmd`, { qos: 1 }, (err) => {
-    if (!err) {
-      console.log(`📥 Subscribed to: smartbin/${BIN_ID}/cmd`);
+/**
+ * Connect as a single bin and start the telemetry and interactive menu
+ */
+function startSingleBin() {
+  console.log('🤖 Mock ESP32 Device Starting...');
+  console.log(`📡 Broker: ${BROKER_URL}`);
+  console.log(`🗑️  Bin ID: ${BIN_ID}`);
+  console.log(`🆔 Client ID: ${CLIENT_ID}\n`);
+
+  // Connect to MQTT
+  client = mqtt.connect(BROKER_URL, {
+    ...BROKER_LOGIN,
+    clientId: CLIENT_ID,
+    clean: true,
+    connectTimeout: 4000,
+    reconnectPeriod: 1000,
+    will: {
+      topic: `smartbin/${BIN_ID}/status`,
+      payload: 'offline',
+      qos: 1,
+      retain: false
     }
   });
 
-  client.subscribe(`smartbin/${BIN_ID}/config`, { qos: 1 }, (err) => {
-    if (!err) {
-      console.log(`📥 Subscribed to: smartbin/${BIN_ID}/config`);
-    }
+  client.on('connect', () => {
+    console.log('✅ Connected to MQTT broker\n');
+
+    // Publish online status
+    client.publish(`smartbin/${BIN_ID}/status`, 'online', { qos: 1 });
+
+    // Subscribe to command and config topics
+    client.subscribe(`smartbin/${BIN_ID}/cmd`, { qos: 1 }, (err) => {
+      if (!err) {
+        console.log(`📥 Subscribed to: smartbin/${BIN_ID}/cmd`);
+      }
+    });
+
+    client.subscribe(`smartbin/${BIN_ID}/config`, { qos: 1 }, (err) => {
+      if (!err) {
+        console.log(`📥 Subscribed to: smartbin/${BIN_ID}/config`);
+      }
+    });
+
+    client.subscribe(`smartbin/${BIN_ID}/alert`, { qos: 1 }, (err) => {
+      if (!err) {
+        console.log(`📥 Subscribed to: smartbin/${BIN_ID}/alert\n`);
+      }
+    });
+
+    // Start publishing telemetry
+    startTelemetry();
+
+    // Start interactive menu
+    setTimeout(showMenu, 2000);
   });
 
-  client.subscribe(`smartbin/${BIN_ID}/alert`, { qos: 1 }, (err) => {
-    if (!err) {
-      console.log(`📥 Subscribed to: smartbin/${BIN_ID}/alert\n`);
+  client.on('message', (topic, message) => {
+    const payload = message.toString();
+    console.log(`\n📨 Received [${topic}]: ${payload}`);
+
+    try {
+      const data = JSON.parse(payload);
+
+      if (topic.endsWith('/cmd')) {
+        handleCommand(data);
+      } else if (topic.endsWith('/config')) {
+        handleConfig(data);
+      } else if (topic.endsWith('/alert')) {
+        handleAlert(data);
+      }
+    } catch (e) {
+      console.log('   (Not JSON or handled differently)');
     }
   });
 
-  // Start publishing telemetry
-  startTelemetry();
-
-  // Start interactive menu
-  setTimeout(showMenu, 2000);
-});
+  client.on('error', (err) => {
+    console.error('❌ MQTT Error:', err.message);
+  });
 
-client.on('message', (topic, message) => {
-  const payload = message.toString();
-  console.log(`\n📨 Received [${topic}]: ${payload}`);
+  client.on('offline', () => {
+    console.log('⚠️  MQTT client offline');
+  });
 
-  try {
-    const data = JSON.parse(payload);
+  client.on('reconnect', () => {
+    console.log('🔄 Reconnecting to MQTT broker...');
+  });
+}
 
-    if (topic.endsWith('/cmd')) {
-      handleCommand(data);
-    } else if (topic.endsWith('/config')) {
-      handleConfig(data);
-    } else if (topic.endsWith('/alert')) {
-      handleAlert(data);
-    }
-  } catch (e) {
-    console.log('   (Not JSON or handled differently)');
+/**
+ * Acknowledge a backend command on smartbin/{binId}/cmd_ack
+ */
+function sendAck(commandId, action, error = null) {
+  if (ackMode === 'none') {
+    console.log('   🙊 Not acknowledging (ack mode: none)');
+    return;
   }
-});
 
-client.on('error', (err) => {
-  console.error('❌ MQTT Error:', err.message);
-});
+  if (ackMode === 'error' && !error) {
+    error = 'Simulated servo failure';
+  }
 
-client.on('offline', () => {
-  console.log('⚠️  MQTT client offline');
-});
+  const payload = {
+    command_id: commandId,
+    action,
+    status: error ? 'error' : 'ok',
+    ts: new Date().toISOString()
+  };
+  if (error) payload.error = error;
 
-client.on('reconnect', () => {
-  console.log('🔄 Reconnecting to MQTT broker...');
-});
+  client.publish(`smartbin/${BIN_ID}/cmd_ack`, JSON.stringify(payload), { qos: 1 });
+  console.log(`   📤 Ack sent: ${payload.status}${error ? ` (${error})` : ''}`);
+}
 
 /**
  * Handle incoming commands
  */
 function handleCommand(data) {
-  const { action, reason, user } = data;
+  const { action, reason, user, command_id: commandId } = data;
 
   console.log(`   🔧 Command: ${action}`);
   if (reason) console.log(`   📝 Reason: ${reason}`);
@@ -121,6 +184,7 @@ function handleCommand(data) {
   if (action === 'open') {
     console.log('   🚪 Opening lid...');
     isLidOpen = true;
+    lidOpens++;
 
     // Auto-close after 5 seconds
     setTimeout(() => {
@@ -143,6 +207,12 @@ function handleCommand(data) {
     console.log('   🚪 Closing lid...');
     isLidOpen = false;
   }
+
+  // Only backend commands carry an ID (not our own auto-close)
+  if (commandId) {
+    const known = action === 'open' || action === 'close';
+    sendAck(commandId, action, known ? null : `Unknown action: ${action}`);
+  }
 }
 
 /**
@@ -181,6 +251,9 @@ function startTelemetry() {
     const payload = {
       level: levelPercent,
       cm: Math.round(currentDistanceCm),
+      height_cm: BIN_HEIGHT_CM,
+      lid: isLidOpen ? 'open' : 'closed',
+      opens: lidOpens,
       ts: new Date().toISOString()
     };
 
@@ -223,22 +296,28 @@ function simulateRFIDScan(index = null) {
 
 /**
  * Simulate proximity trigger (AUTO mode)
+ * The device opens the lid itself and reports it on smartbin/{binId}/lid
  */
 function simulateProximity() {
   console.log('\n👋 Simulating proximity detection (AUTO mode)');
-  console.log('   📤 Sending open command (simulating proximity trigger)\n');
 
-  // In real device, proximity would trigger local open
-  // Here we simulate by publishing a command back to ourselves
+  isLidOpen = true;
+  lidOpens++;
   client.publish(
-    `smartbin/${BIN_ID}/cmd`,
+    `smartbin/${BIN_ID}/lid`,
     JSON.stringify({
       action: 'open',
-      reason: 'proximity_triggered',
-      ts: new Date().toISOString()
+      reason: 'proximity_trigger',
+      opens: lidOpens
     }),
-    { qos: 1 }
+    { qos: 0 }
   );
+  console.log('   📤 Lid open event sent\n');
+
+  setTimeout(() => {
+    console.log('\n   ⏱️  Auto-closing lid after 7s');
+    isLidOpen = false;
+  }, 7000);
 }
 
 /**
@@ -255,6 +334,7 @@ function showMenu() {
   console.log('  4 - Trigger Proximity (AUTO mode)');
   console.log('  5 - Simulate bin full (80%+)');
   console.log('  6 - Empty bin (reset to 10%)');
+  console.log('  7 - Cycle command ack mode (ok → error → none)');
   console.log('  q - Quit');
   console.log('='.repeat(50));
   console.log('Type a command and press Enter:\n');
@@ -284,6 +364,10 @@ function showMenu() {
         console.log('\n🗑️  Emptying bin to 10%...\n');
         currentDistanceCm = 180;
         break;
+      case '7':
+        ackMode = ACK_MODES[(ACK_MODES.indexOf(ackMode) + 1) % ACK_MODES.length];
+        console.log(`\n📮 Command ack mode: ${ackMode}\n`);
+        break;
       case 'q':
       case 'Q':
         console.log('\n👋 Shutting down mock device...');
@@ -295,18 +379,65 @@ function showMenu() {
         break;
       default:
         if (command) {
-          console.log('⚠️  Invalid command. Try 1-6 or q to quit.');
+          console.log('⚠️  Invalid command. Try 1-7 or q to quit.');
         }
     }
   });
 }
 
-// Handle process termination
-process.on('SIGINT', () => {
-  console.log('\n\n🛑 Received SIGINT, shutting down...');
-  client.publish(`smartbin/${BIN_ID}/status`, 'offline', { qos: 1 });
-  setTimeout(() => {
-    client.end();
-    process.exit(0);
-  }, 500);
-});
+/**
+ * Run a fleet scenario until its duration ends (or Ctrl+C), then print or save the report
+ */
+async function startFleet() {
+  const { scenario, bins } = loadScenario(args.scenario);
+  const seed = Number(args.seed ?? scenario.seed ?? Date.now() % 100000);
+  const speed = Number(args.speed ?? scenario.speed ?? 1);
+  const durationMinutes = Number(args.duration ?? scenario.duration_minutes ?? 0) || null;
+  // Peak hours follow the simulated clock, so identical runs also need the same start
+  const startTime = scenario.start_time ? new Date(scenario.start_time).getTime() : null;
+
+  console.log(`🤖 Mock fleet starting: ${scenario.name || args.scenario}`);
+  console.log(`📡 Broker: ${BROKER_URL}`);
+  console.log(`🎲 Seed: ${seed} (pass --seed ${seed} to repeat this run)`);
+  console.log(`⏩ Speed: ${speed}x${durationMinutes ? `, ${durationMinutes} simulated min` : ', until Ctrl+C'}\n`);
+
+  const fleet = runFleet(bins, {
+    brokerUrl: BROKER_URL, login: BROKER_LOGIN, seed, speed, startTime, durationMinutes, recordEvents: args.events
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n\n🛑 Received SIGINT, stopping fleet...');
+    fleet.stop();
+  });
+
+  const report = await fleet.done;
+  const { totals } = report;
+  console.log(`\n📊 Published ${totals.published_level} level readings, ${totals.published_lid} lid events, ` +
+    `${totals.published_rfid_check} RFID scans, ${totals.published_cmd_ack} acks`);
+  console.log(`   ${totals.collections} collections, ${totals.glitched_readings} glitched readings, ${totals.disconnects} disconnects`);
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${args.report}`);
+  }
+  process.exit(0);
+}
+
+if (args.scenario) {
+  startFleet().catch((error) => {
+    console.error('❌ Fleet error:', error.message);
+    process.exit(1);
+  });
+} else {
+  startSingleBin();
+
+  // Handle process termination
+  process.on('SIGINT', () => {
+    console.log('\n\n🛑 Received SIGINT, shutting down...');
+    client.publish(`smartbin/${BIN_ID}/status`, 'offline', { qos: 1 });
+    setTimeout(() => {
+      client.end();
+      process.exit(0);
+    }, 500);
+  });
+}
@@ -37,6 +37,8 @@ const char* WIFI_PASSWORD = "12345678";
 // ===== MQTT Configuration =====
 const char* MQTT_BROKER = "broker.hivemq.com";  // Public HiveMQ broker
 const int MQTT_PORT = 1883;
+const char* MQTT_USERNAME = "";                 // Embedded broker login, if it needs one
+const char* MQTT_PASSWORD = "";
 const char* MQTT_CLIENT_ID = "ESP32_BIN_01";    // Unique per device
 const char* BIN_ID = "BIN_01";                   // Must match backend database
 
@@ -44,8 +46,10 @@ const char* BIN_ID = "BIN_01";                   // Must match backend database
 String TOPIC_LEVEL = "smartbin/" + String(BIN_ID) + "/data/level";
 String TOPIC_RFID = "smartbin/" + String(BIN_ID) + "/rfid_check";
 String TOPIC_CMD = "smartbin/" + String(BIN_ID) + "/cmd";
+String TOPIC_CMD_ACK = "smartbin/" + String(BIN_ID) + "/cmd_ack";
 String TOPIC_CONFIG = "smartbin/" + String(BIN_ID) + "/config";
 String TOPIC_ALERT = "smartbin/" + String(BIN_ID) + "/alert";
+String TOPIC_LID = "smartbin/" + String(BIN_ID) + "/lid";
 String TOPIC_STATUS = "smartbin/" + String(BIN_ID) + "/status";
 
 // ===== Pin Definitions =====
@@ -83,6 +87,7 @@ Servo lidServo;
 bool isLidOpen = false;
 unsigned long lidOpenTime = 0;
 const unsigned long LID_AUTO_CLOSE_MS = 7000;  // 7 seconds
+unsigned long lidOpenCount = 0;  // Lid openings since boot (reported with level data)
 unsigned long lastTelemetryTime = 0;
 const unsigned long TELEMETRY_INTERVAL_MS = 10000;  // 10 seconds
 unsigned long lastProximityCheck = 0;
@@ -101,7 +106,9 @@ void checkProximity();
 void checkRFID();
 void openLid(String reason);
 void closeLid();
+void publishLidEvent(String reason);
 void handleCommand(JsonDocument& doc);
+void publishCommandAck(String commandId, String action, String error);
 void handleConfig(JsonDocument& doc);
 String getRFIDString(byte* buffer, byte bufferSize);
 
@@ -371,8 +378,12 @@ void reconnectMQTT() {
   while (!mqttClient.connected()) {
     Serial.print("Connecting to MQTT broker... ");
 
+    // Log in only when a username is set (public brokers need none)
+    const char* user = strlen(MQTT_USERNAME) > 0 ? MQTT_USERNAME : NULL;
+    const char* pass = strlen(MQTT_USERNAME) > 0 ? MQTT_PASSWORD : NULL;
+
     // Set Last Will and Testament (LWT)
-    if (mqttClient.connect(MQTT_CLIENT_ID, TOPIC_STATUS.c_str(), 1, false, "offline")) {
+    if (mqttClient.connect(MQTT_CLIENT_ID, user, pass, TOPIC_STATUS.c_str(), 1, false, "offline")) {
       Serial.println(" Connected!");
 
       // Publish online status
@@ -462,9 +473,12 @@ void publishLevelData() {
   currentDistanceCm = distanceCm;
 
   // Build JSON payload
-  StaticJsonDocument<128> doc;
+  StaticJsonDocument<192> doc;
   doc["level"] = levelPercent;
   doc["cm"] = distanceCm;
+  doc["height_cm"] = BIN_HEIGHT_CM;            // Backend checks level against cm with this height
+  doc["lid"] = isLidOpen ? "open" : "closed";  // Backend ignores readings taken with the lid open
+  doc["opens"] = lidOpenCount;                 // Backend uses this to tell a stuck sensor from an unused bin
   
   // ISO8601 timestamp (simplified)
   char timestamp[25];
@@ -579,8 +593,27 @@ void openLid(String reason) {
   
   isLidOpen = true;
   lidOpenTime = millis();
+  lidOpenCount++;
   digitalWrite(LED_GREEN_PIN, HIGH);
   Serial.println("   Servo moved to 120° (detached)");
+
+  // Commands are logged by the backend; proximity openings are reported for usage reports
+  if (reason == "proximity_trigger") {
+    publishLidEvent(reason);
+  }
+}
+
+// ===== Publish Lid Event =====
+void publishLidEvent(String reason) {
+  StaticJsonDocument<128> doc;
+  doc["action"] = "open";
+  doc["reason"] = reason;
+  doc["opens"] = lidOpenCount;
+
+  String payload;
+  serializeJson(doc, payload);
+
+  mqttClient.publish(TOPIC_LID.c_str(), payload.c_str(), false);
 }
 
 // ===== Close Lid =====
@@ -617,11 +650,38 @@ void handleCommand(JsonDocument& doc) {
   Serial.print(reason);
   Serial.println(")");
 
+  String error = "";
   if (action == "open") {
     openLid(reason);
   } else if (action == "close") {
     closeLid();
+  } else {
+    error = "Unknown action: " + action;
+  }
+
+  // Backend commands carry an ID and expect an acknowledgement
+  String commandId = doc["command_id"] | "";
+  if (commandId.length() > 0) {
+    publishCommandAck(commandId, action, error);
+  }
+}
+
+// ===== Acknowledge Command =====
+void publishCommandAck(String commandId, String action, String error) {
+  StaticJsonDocument<192> ack;
+  ack["command_id"] = commandId;
+  ack["action"] = action;
+  ack["status"] = error.length() > 0 ? "error" : "ok";
+  if (error.length() > 0) {
+    ack["error"] = error;
   }
+
+  String payload;
+  serializeJson(ack, payload);
+  mqttClient.publish(TOPIC_CMD_ACK.c_str(), payload.c_str(), false);
+
+  Serial.print(" Ack sent: ");
+  Serial.println(payload);
 }
 
 // ===== Handle Config Update =====
@@ -4,31 +4,46 @@
 
 import React, { useState, useEffect } from 'react';
 import Dashboard from './pages/Dashboard';
-import mqttClient from './mqttClient';
+import FloorMap from './pages/FloorMap';
+import Login from './pages/Login';
+import RoutePlan from './pages/RoutePlan';
+import Reports from './pages/Reports';
+import eventStream from './stream';
+import { getStoredUser, logout } from './api';
 import './App.css';
 
+// Pages reachable from the navigation bar
+const VIEWS = [
+  { id: 'dashboard', label: '📊 Dashboard' },
+  { id: 'map', label: '🗺️ Floor Map' },
+  { id: 'route', label: '🚛 Collection Route' },
+  { id: 'reports', label: '📈 Reports' }
+];
+
 function App() {
-  const [mqttConnected, setMqttConnected] = useState(false);
-  const [error, setError] = useState(null);
+  const [streamConnected, setStreamConnected] = useState(false);
+  const [user, setUser] = useState(getStoredUser());
+  const [view, setView] = useState('dashboard');
+
+  // Return to login when the session can no longer be refreshed
+  useEffect(() => {
+    const handleLogout = () => setUser(null);
+    window.addEventListener('auth:logout', handleLogout);
+    return () => window.removeEventListener('auth:logout', handleLogout);
+  }, []);
 
+  // Real-time events from the backend while signed in
   useEffect(() => {
-    // Connect to MQTT broker
-    mqttClient.connect(
-      () => {
-        setMqttConnected(true);
-        setError(null);
-      },
-      (err) => {
-        setMqttConnected(false);
-        setError(`MQTT connection failed: ${err.message}`);
-      }
-    );
+    if (!user) return;
 
-    // Cleanup on unmount
+    eventStream.connect(setStreamConnected);
+
+    // Cleanup on logout/unmount
     return () => {
-      mqttClient.disconnect();
+      eventStream.disconnect();
+      setStreamConnected(false);
     };
-  }, []);
+  }, [user]);
 
   return (
     <div className="app">
@@ -40,27 +55,51 @@ function App() {
               <p className="subtitle">Real-time monitoring and control</p>
             </div>
             <div className="header-status">
-              <div className={`status-indicator ${mqttConnected ? 'connected' : 'disconnected'}`}>
-                <span className="status-dot"></span>
-                <span className="status-text">
-                  {mqttConnected ? 'Connected' : 'Connecting...'}
-                </span>
-              </div>
+              {user && (
+                <div className={`status-indicator ${streamConnected ? 'connected' : 'disconnected'}`}>
+                  <span className="status-dot"></span>
+                  <span className="status-text">
+                    {streamConnected ? 'Connected' : 'Connecting...'}
+                  </span>
+                </div>
+              )}
+              {user && (
+                <div className="header-user">
+                  <span>👤 {user.username} ({user.role})</span>
+                  <button onClick={logout} className="btn btn-secondary btn-logout">
+                    Logout
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
       </header>
 
-      {error && (
-        <div className="container">
-          <div className="alert alert-error">
-            {error}
+      {user && (
+        <nav className="app-nav">
+          <div className="container">
+            {VIEWS.map(item => (
+              <button
+                key={item.id}
+                className={`nav-tab ${view === item.id ? 'active' : ''}`}
+                onClick={() => setView(item.id)}
+              >
+                {item.label}
+              </button>
+            ))}
           </div>
-        </div>
+        </nav>
       )}
 
       <main className="app-main">
-        <Dashboard mqttConnected={mqttConnected} />
+        {!user && <Login onLogin={setUser} />}
+        {user && view === 'dashboard' && (
+          <Dashboard streamConnected={streamConnected} user={user} />
+        )}
+        {user && view === 'map' && <FloorMap user={user} />}
+        {user && view === 'route' && <RoutePlan />}
+        {user && view === 'reports' && <Reports />}
       </main>
 
       <footer className="app-footer">
@@ -24,24 +24,125 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle response errors
+/**
+ * Session storage helpers
+ */
+const saveSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  // Let the app return to the login screen
+  window.dispatchEvent(new Event('auth:logout'));
+};
+
+export const getStoredUser = () => {
+  const user = localStorage.getItem('user');
+  return user && localStorage.getItem('token') ? JSON.parse(user) : null;
+};
+
+// Single in-flight refresh shared by concurrent 401s
+let refreshPromise = null;
+
+const refreshSession = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) throw new Error('No refresh token');
+
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+  saveSession(response.data);
+  return response.data.token;
+};
+
+// Handle response errors: refresh the access token once on 401, then retry
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Unauthorized - clear token
-      localStorage.removeItem('token');
-      // Could redirect to login page here
+  async (error) => {
+    const original = error.config;
+    const isAuthCall = original?.url?.startsWith('/auth/login') || original?.url?.startsWith('/auth/refresh');
+
+    if (error.response?.status === 401 && original && !original._retry && !isAuthCall) {
+      original._retry = true;
+      try {
+        refreshPromise = refreshPromise || refreshSession();
+        const token = await refreshPromise;
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        clearSession();
+      } finally {
+        refreshPromise = null;
+      }
     }
     return Promise.reject(error);
   }
 );
 
+/**
+ * Refresh the access token outside of a request (e.g. for the event stream)
+ * Logs out if the session cannot be refreshed
+ */
+export const refreshAccessToken = async () => {
+  try {
+    refreshPromise = refreshPromise || refreshSession();
+    return await refreshPromise;
+  } catch (error) {
+    clearSession();
+    throw error;
+  } finally {
+    refreshPromise = null;
+  }
+};
+
+/**
+ * Check if the stored access token is expired (or about to expire)
+ */
+export const tokenExpired = () => {
+  const token = localStorage.getItem('token');
+  if (!token) return true;
+
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return !payload.exp || payload.exp * 1000 < Date.now() + 10000;
+  } catch (error) {
+    return true;
+  }
+};
+
+/**
+ * URL of the real-time event stream (EventSource cannot send headers)
+ */
+export const getStreamUrl = () => {
+  const token = localStorage.getItem('token') || '';
+  return `${API_BASE_URL}/stream?token=${encodeURIComponent(token)}`;
+};
+
 /**
  * Authentication
  */
 export const login = async (username, password) => {
   const response = await api.post('/auth/login', { username, password });
+  saveSession(response.data);
+  return response.data;
+};
+
+export const logout = async () => {
+  try {
+    await api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
+  } catch (error) {
+    console.error('Logout error:', error);
+  } finally {
+    clearSession();
+  }
+};
+
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.post('/auth/password', { currentPassword, newPassword });
+  saveSession(response.data);
   return response.data;
 };
 
@@ -58,6 +159,11 @@ export const getBin = async (binId) => {
   return response.data;
 };
 
+export const getBinHistory = async (binId, params = {}) => {
+  const response = await api.get(`/bins/${binId}/history`, { params });
+  return response.data;
+};
+
 export const updateBinConfig = async (binId, config) => {
   const response = await api.put(`/bins/${binId}/config`, config);
   return response.data;
@@ -68,17 +174,163 @@ export const sendCommand = async (binId, action) => {
   return response.data;
 };
 
+export const getCommand = async (commandId) => {
+  const response = await api.get(`/commands/${commandId}`);
+  return response.data;
+};
+
+export const createBin = async (bin) => {
+  const response = await api.post('/bins', bin);
+  return response.data;
+};
+
+export const deleteBin = async (binId) => {
+  const response = await api.delete(`/bins/${binId}`);
+  return response.data;
+};
+
 /**
- * Logs
+ * Pending devices (unknown bins seen on MQTT)
  */
-export const getLogs = async (binId = null, limit = 100, offset = 0) => {
-  const params = { limit, offset };
-  if (binId) params.bin = binId;
-  
+export const getPendingDevices = async () => {
+  const response = await api.get('/devices/pending');
+  return response.data;
+};
+
+export const approveDevice = async (binId, bin) => {
+  const response = await api.post(`/devices/pending/${binId}/approve`, bin);
+  return response.data;
+};
+
+export const dismissDevice = async (binId) => {
+  const response = await api.delete(`/devices/pending/${binId}`);
+  return response.data;
+};
+
+/**
+ * Alerts
+ */
+export const getAlerts = async (params = {}) => {
+  const response = await api.get('/alerts', { params });
+  return response.data;
+};
+
+export const acknowledgeAlert = async (alertId) => {
+  const response = await api.post(`/alerts/${alertId}/ack`);
+  return response.data;
+};
+
+export const resolveAlert = async (alertId) => {
+  const response = await api.post(`/alerts/${alertId}/resolve`);
+  return response.data;
+};
+
+/**
+ * Floor plans
+ */
+export const getFloorPlans = async () => {
+  const response = await api.get('/floor-plans');
+  return response.data;
+};
+
+export const createFloorPlan = async (building) => {
+  const response = await api.post('/floor-plans', { building });
+  return response.data;
+};
+
+export const uploadFloorPlanImage = async (planId, file) => {
+  const response = await api.put(`/floor-plans/${planId}/image`, file, {
+    headers: { 'Content-Type': file.type },
+    timeout: 60000
+  });
+  return response.data;
+};
+
+// Returns the image as a Blob (the request needs the auth header, so no <img src>)
+export const getFloorPlanImage = async (planId) => {
+  const response = await api.get(`/floor-plans/${planId}/image`, { responseType: 'blob' });
+  return response.data;
+};
+
+export const deleteFloorPlan = async (planId) => {
+  const response = await api.delete(`/floor-plans/${planId}`);
+  return response.data;
+};
+
+export const setBinPosition = async (binId, position) => {
+  const response = await api.put(`/bins/${binId}/position`, position);
+  return response.data;
+};
+
+/**
+ * Collection routes
+ */
+export const planRoute = async (params = {}) => {
+  const response = await api.get('/routes/plan', { params });
+  return response.data;
+};
+
+/**
+ * Reports (params: period (day|week|month), from, to, bin)
+ */
+export const getUsageReport = async (params = {}) => {
+  const response = await api.get('/reports/usage', { params });
+  return response.data;
+};
+
+export const getUserReport = async (params = {}) => {
+  const response = await api.get('/reports/users', { params });
+  return response.data;
+};
+
+export const getUsageHeatmap = async (params = {}) => {
+  const response = await api.get('/reports/heatmap', { params });
+  return response.data;
+};
+
+/**
+ * Logs (params: bin, type, success, rfid, user, from, to, q, limit, cursor)
+ */
+export const getLogs = async (params = {}) => {
   const response = await api.get('/logs', { params });
   return response.data;
 };
 
+/**
+ * Download an export by navigating to it, so the browser streams the file to
+ * disk instead of holding it in memory. A link cannot send headers, so it
+ * carries a short-lived download token that only the export routes accept
+ */
+const downloadExport = async (path, params) => {
+  const response = await api.post('/exports/token');
+
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.set(key, value);
+  });
+  query.set('token', response.data.token);
+
+  const link = document.createElement('a');
+  link.href = `${API_BASE_URL}${path}?${query}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+/**
+ * Export logs (params: format (csv|ndjson) and the getLogs filters)
+ */
+export const exportLogs = async (params = {}) => {
+  await downloadExport('/logs/export', params);
+};
+
+/**
+ * Export raw level readings (params: format (csv|ndjson), bin, from, to)
+ */
+export const exportTelemetry = async (params = {}) => {
+  await downloadExport('/telemetry/export', params);
+};
+
 /**
  * Health check
  */
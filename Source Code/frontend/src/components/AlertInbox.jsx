@@ -0,0 +1,124 @@
+/**
+ * AlertInbox Component - Open and acknowledged alerts
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAlerts, acknowledgeAlert, resolveAlert } from '../api';
+import './AlertInbox.css';
+
+const POLL_INTERVAL_MS = 30000;
+
+function AlertInbox({ refreshKey, canManage }) {
+  const [alerts, setAlerts] = useState([]);
+  const [error, setError] = useState(null);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await getAlerts();
+      setAlerts(response.data || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching alerts:', err);
+      setError('Failed to load alerts');
+    }
+  }, []);
+
+  // Refetch on alert events (refreshKey changes) and periodically
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts, refreshKey]);
+
+  useEffect(() => {
+    const interval = setInterval(fetchAlerts, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchAlerts]);
+
+  const handleAction = async (action, alertId) => {
+    try {
+      await action(alertId);
+      fetchAlerts();
+    } catch (err) {
+      console.error('Alert action error:', err);
+      setError(err.response?.data?.error || 'Failed to update alert');
+    }
+  };
+
+  const getAlertIcon = (type) => {
+    switch (type) {
+      case 'full_warning': return '🗑️';
+      case 'unauthorized_access': return '🚫';
+      case 'offline': return '📴';
+      case 'sensor_fault': return '🛠️';
+      default: return '🚨';
+    }
+  };
+
+  const formatType = (type) => {
+    return type.split('_').map(word =>
+      word.charAt(0).toUpperCase() + word.slice(1)
+    ).join(' ');
+  };
+
+  return (
+    <div className="card alert-inbox">
+      <div className="card-header">
+        <h3 className="card-title">
+          🚨 Alerts
+          {alerts.length > 0 && <span className="alert-count">{alerts.length}</span>}
+        </h3>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      {alerts.length === 0 ? (
+        <div className="no-alerts">No active alerts</div>
+      ) : (
+        <ul className="alert-list">
+          {alerts.map(alert => (
+            <li key={alert.id} className={`alert-item ${alert.state}`}>
+              <span className="alert-icon">{getAlertIcon(alert.type)}</span>
+              <div className="alert-body">
+                <div className="alert-title">
+                  <span className="bin-badge">{alert.bin_id}</span>
+                  {formatType(alert.type)}
+                  {alert.occurrences > 1 && (
+                    <span className="alert-occurrences">×{alert.occurrences}</span>
+                  )}
+                </div>
+                <div className="alert-message">{alert.message}</div>
+                <small>
+                  Opened {new Date(alert.opened_at).toLocaleString()}
+                  {alert.state === 'acknowledged' && ` · Acknowledged by ${alert.acknowledged_by}`}
+                </small>
+              </div>
+              {canManage && (
+                <div className="alert-actions">
+                  {alert.state === 'open' && (
+                    <button
+                      className="btn btn-primary btn-sm"
+                      onClick={() => handleAction(acknowledgeAlert, alert.id)}
+                    >
+                      Ack
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => handleAction(resolveAlert, alert.id)}
+                  >
+                    Resolve
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AlertInbox;
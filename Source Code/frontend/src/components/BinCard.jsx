@@ -2,16 +2,51 @@
  * BinCard Component - Display individual bin status
  */
 
-import React, { useState } from 'react';
-import { updateBinConfig, sendCommand } from '../api';
+import React, { useState, useEffect, useRef } from 'react';
+import LevelChart from './LevelChart';
+import { updateBinConfig, sendCommand, getCommand } from '../api';
+import eventStream from '../stream';
+import { levelColor } from '../levels';
 import './BinCard.css';
 
-function BinCard({ bin, onSelect, selected, onConfigUpdate }) {
+// How long to wait for the command event before asking the API (backend times out after ~10s)
+const COMMAND_WAIT_MS = 15000;
+
+const COMMAND_RESULTS = {
+  acked: { type: 'success', text: (action) => `Lid ${action === 'open' ? 'opened' : 'closed'} ✓` },
+  failed: { type: 'error', text: (action, error) => `"${action}" failed: ${error}` },
+  timed_out: { type: 'error', text: (action) => `No response from bin to "${action}"` }
+};
+
+function BinCard({
+  bin,
+  onSelect,
+  selected,
+  onConfigUpdate,
+  liveReadings,
+  liveAlerts,
+  canCommand = true,
+  canConfigure = true
+}) {
   const [showConfig, setShowConfig] = useState(false);
+  const [showTrend, setShowTrend] = useState(false);
   const [mode, setMode] = useState(bin.mode);
   const [threshold, setThreshold] = useState(bin.threshold_cm);
+  const [latitude, setLatitude] = useState(bin.latitude ?? '');
+  const [longitude, setLongitude] = useState(bin.longitude ?? '');
+  const [warningPercent, setWarningPercent] = useState(bin.bin_warning_percent ?? '');
+  const [criticalPercent, setCriticalPercent] = useState(bin.bin_critical_percent ?? '');
   const [updating, setUpdating] = useState(false);
   const [message, setMessage] = useState(null);
+  const [commandPending, setCommandPending] = useState(false);
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+    };
+  }, []);
 
   const handleConfigUpdate = async (e) => {
     e.preventDefault();
@@ -19,9 +54,16 @@ function BinCard({ bin, onSelect, selected, onConfigUpdate }) {
     setMessage(null);
 
     try {
+      // Both coordinates blank clears them
+      const hasCoordinates = latitude !== '' || longitude !== '';
       const response = await updateBinConfig(bin.bin_id, {
         mode,
-        threshold_cm: parseInt(threshold)
+        threshold_cm: parseInt(threshold),
+        latitude: hasCoordinates ? parseFloat(latitude) : null,
+        longitude: hasCoordinates ? parseFloat(longitude) : null,
+        // Blank levels fall back to the fleet default
+        warning_percent: warningPercent === '' ? null : parseInt(warningPercent),
+        critical_percent: criticalPercent === '' ? null : parseInt(criticalPercent)
       });
       
       setMessage({ type: 'success', text: 'Configuration updated successfully!' });
@@ -42,20 +84,80 @@ function BinCard({ bin, onSelect, selected, onConfigUpdate }) {
     }
   };
 
+  /**
+   * Wait for the command's final status from the event stream
+   * Falls back to the API if no event arrives in time
+   */
+  const waitForCommand = (command) => {
+    if (command.status !== 'pending') return Promise.resolve(command);
+
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        clearTimeout(timer);
+        eventStream.unsubscribe('command', onCommand);
+        resolve(result);
+      };
+
+      const onCommand = (update) => {
+        if (update.id === command.id && update.status !== 'pending') finish(update);
+      };
+
+      const timer = setTimeout(async () => {
+        try {
+          finish((await getCommand(command.id)).data);
+        } catch (error) {
+          finish(command);
+        }
+      }, COMMAND_WAIT_MS);
+
+      eventStream.subscribe('command', onCommand);
+    });
+  };
+
   const handleCommand = async (action) => {
+    setCommandPending(true);
+    setMessage({ type: 'info', text: `Sending "${action}"... waiting for bin` });
+
     try {
-      await sendCommand(bin.bin_id, action);
-      setMessage({ type: 'success', text: `Command "${action}" sent!` });
-      setTimeout(() => setMessage(null), 3000);
+      const response = await sendCommand(bin.bin_id, action);
+      const command = await waitForCommand(response.data);
+      if (!mounted.current) return;
+
+      const result = COMMAND_RESULTS[command.status];
+      setMessage(result
+        ? { type: result.type, text: result.text(action, command.error) }
+        : { type: 'warning', text: `Still waiting for bin to confirm "${action}"` });
+      setTimeout(() => mounted.current && setMessage(null), 5000);
     } catch (error) {
       console.error('Command error:', error);
       const errorMsg = error.response?.data?.error || 'Failed to send command';
-      setMessage({ type: 'error', text: errorMsg });
+      if (mounted.current) setMessage({ type: 'error', text: errorMsg });
+    } finally {
+      if (mounted.current) setCommandPending(false);
     }
   };
 
-  const levelColor = bin.current_level_percent >= 80 ? '#f44336' :
-                     bin.current_level_percent >= 60 ? '#ff9800' : '#4caf50';
+  /**
+   * Format time until predicted full, e.g. "~45m", "~3h", "~2d"
+   */
+  const formatTimeToFull = (predictedAt) => {
+    const minutes = Math.max(0, (new Date(predictedAt) - Date.now()) / 60000);
+    if (minutes < 60) return `~${Math.round(minutes)}m`;
+    if (minutes < 48 * 60) return `~${Math.round(minutes / 60)}h`;
+    return `~${Math.round(minutes / 1440)}d`;
+  };
+
+  /**
+   * Describe a schedule in effect, e.g. "Night lock (22:00–06:00)"
+   */
+  const formatSchedule = (schedule) => {
+    const window = schedule.start_time
+      ? `${schedule.start_time.slice(0, 5)}–${schedule.end_time.slice(0, 5)}`
+      : 'all day';
+    return `${schedule.name} (${window})`;
+  };
+
+  const activeSchedules = bin.active_schedules || [];
 
   return (
     <div className={`bin-card ${selected ? 'selected' : ''}`} onClick={onSelect}>
@@ -75,7 +177,7 @@ function BinCard({ bin, onSelect, selected, onConfigUpdate }) {
             className="level-bar"
             style={{
               height: `${bin.current_level_percent}%`,
-              background: levelColor
+              background: levelColor(bin)
             }}
           />
         </div>
@@ -90,14 +192,34 @@ function BinCard({ bin, onSelect, selected, onConfigUpdate }) {
       </div>
 
       <div className="bin-status">
-        <span className={`badge ${bin.status}`}>
-          {bin.status}
+        <span
+          className={`badge ${bin.status}`}
+          title={bin.sensor_fault ? `Level sensor fault: ${bin.sensor_fault.split('_').join(' ')}` : undefined}
+        >
+          {bin.status === 'sensor_fault' ? 'sensor fault' : bin.status}
         </span>
+        {bin.predicted_full_at && (
+          <span
+            className={`badge prediction ${bin.prediction_confidence < 0.3 ? 'low-confidence' : ''}`}
+            title={`Fill rate ${bin.fill_rate_per_hour}%/h, confidence ${Math.round(bin.prediction_confidence * 100)}%`}
+          >
+            Full in {formatTimeToFull(bin.predicted_full_at)}
+          </span>
+        )}
         <span className="bin-mode">
           Mode: <strong>{bin.mode}</strong>
         </span>
       </div>
 
+      {activeSchedules.length > 0 && (
+        <div
+          className="bin-schedule"
+          title={`Threshold ${bin.threshold_cm}cm; back to ${bin.base_mode} / ${bin.base_threshold_cm}cm when the schedule ends`}
+        >
+          🕒 {activeSchedules.map(formatSchedule).join(', ')}
+        </div>
+      )}
+
       {message && (
         <div className={`alert alert-${message.type}`} style={{ marginTop: '10px', fontSize: '12px', padding: '8px' }}>
           {message.text}
@@ -105,34 +227,62 @@ function BinCard({ bin, onSelect, selected, onConfigUpdate }) {
       )}
 
       <div className="bin-actions" onClick={(e) => e.stopPropagation()}>
+        {canCommand && (
+          <>
+            <button
+              onClick={() => handleCommand('open')}
+              className="btn btn-success btn-sm"
+              disabled={!bin.is_online || commandPending}
+              title={!bin.is_online ? 'Bin is offline' : 'Open lid'}
+            >
+              Open
+            </button>
+            <button
+              onClick={() => handleCommand('close')}
+              className="btn btn-danger btn-sm"
+              disabled={!bin.is_online || commandPending}
+              title={!bin.is_online ? 'Bin is offline' : 'Close lid'}
+            >
+              Close
+            </button>
+          </>
+        )}
         <button
-          onClick={() => handleCommand('open')}
-          className="btn btn-success btn-sm"
-          disabled={!bin.is_online}
-          title={!bin.is_online ? 'Bin is offline' : 'Open lid'}
-        >
-          Open
-        </button>
-        <button
-          onClick={() => handleCommand('close')}
-          className="btn btn-danger btn-sm"
-          disabled={!bin.is_online}
-          title={!bin.is_online ? 'Bin is offline' : 'Close lid'}
-        >
-          Close
-        </button>
-        <button
-          onClick={() => setShowConfig(!showConfig)}
+          onClick={() => setShowTrend(!showTrend)}
           className="btn btn-secondary btn-sm"
-          title="Configure bin"
+          title="Level trend"
         >
-          ⚙️
+          📈
         </button>
+        {canConfigure && (
+          <button
+            onClick={() => setShowConfig(!showConfig)}
+            className="btn btn-secondary btn-sm"
+            title="Configure bin"
+          >
+            ⚙️
+          </button>
+        )}
       </div>
 
+      {showTrend && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <LevelChart
+            binId={bin.bin_id}
+            liveReadings={liveReadings}
+            liveAlerts={liveAlerts}
+          />
+        </div>
+      )}
+
       {showConfig && (
         <div className="config-panel" onClick={(e) => e.stopPropagation()}>
           <h4>Configuration</h4>
+          {activeSchedules.length > 0 && (
+            <p className="config-note">
+              A schedule is in effect: changes apply until it ends and are kept afterwards.
+            </p>
+          )}
           <form onSubmit={handleConfigUpdate}>
             <div className="form-group">
               <label className="form-label">Mode</label>
@@ -156,6 +306,54 @@ function BinCard({ bin, onSelect, selected, onConfigUpdate }) {
                 max="200"
               />
             </div>
+            <div className="form-group config-levels">
+              <label className="form-label">Warning / critical level (%)</label>
+              <div className="config-levels-inputs">
+                <input
+                  type="number"
+                  className="form-input"
+                  value={warningPercent}
+                  onChange={(e) => setWarningPercent(e.target.value)}
+                  placeholder={bin.bin_warning_percent === null ? `Default ${bin.warning_percent}` : 'Fleet default'}
+                  min="1"
+                  max="100"
+                />
+                <input
+                  type="number"
+                  className="form-input"
+                  value={criticalPercent}
+                  onChange={(e) => setCriticalPercent(e.target.value)}
+                  placeholder={bin.bin_critical_percent === null ? `Default ${bin.critical_percent}` : 'Fleet default'}
+                  min="1"
+                  max="100"
+                />
+              </div>
+            </div>
+            <div className="form-group config-coordinates">
+              <label className="form-label">Coordinates (for route planning)</label>
+              <div className="config-coordinates-inputs">
+                <input
+                  type="number"
+                  className="form-input"
+                  value={latitude}
+                  onChange={(e) => setLatitude(e.target.value)}
+                  placeholder="Latitude"
+                  step="any"
+                  min="-90"
+                  max="90"
+                />
+                <input
+                  type="number"
+                  className="form-input"
+                  value={longitude}
+                  onChange={(e) => setLongitude(e.target.value)}
+                  placeholder="Longitude"
+                  step="any"
+                  min="-180"
+                  max="180"
+                />
+              </div>
+            </div>
             <div className="config-actions">
               <button type="submit" className="btn btn-primary btn-sm" disabled={updating}>
                 {updating ? 'Updating...' : 'Update'}
@@ -0,0 +1,202 @@
+/**
+ * LevelChart Component - Level trend for a single bin
+ * Loads history from the backend and appends live readings from the event stream
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine,
+  ReferenceDot
+} from 'recharts';
+import { getBinHistory } from '../api';
+import './LevelChart.css';
+
+const RANGES = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// A drop of this many percentage points between two points is treated as emptying
+const EMPTY_DROP_PERCENT = 30;
+
+const ALERT_COLORS = {
+  full_warning: '#f44336',
+  unauthorized_access: '#ff9800',
+  offline: '#757575',
+  sensor_fault: '#8e24aa'
+};
+
+function LevelChart({ binId, liveReadings = [], liveAlerts = [] }) {
+  const [range, setRange] = useState('24h');
+  const [history, setHistory] = useState([]);
+  const [historyAlerts, setHistoryAlerts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const from = new Date(Date.now() - RANGES[range]).toISOString();
+        const response = await getBinHistory(binId, { from });
+        if (cancelled) return;
+
+        setHistory((response.data || []).map(row => ({
+          time: new Date(row.bucket_start).getTime(),
+          level: Number(row.avg_level),
+          band: [row.min_level, row.max_level]
+        })));
+        setHistoryAlerts((response.alerts || []).map(row => ({
+          time: new Date(row.bucket_start).getTime(),
+          type: row.type
+        })));
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching history:', err);
+        if (!cancelled) setError('Failed to load history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [binId, range]);
+
+  const rangeStart = Date.now() - RANGES[range];
+
+  // History buckets followed by live readings newer than the last bucket
+  const points = useMemo(() => {
+    const lastTime = history.length > 0 ? history[history.length - 1].time : rangeStart;
+    const live = liveReadings
+      .filter(reading => reading.time > lastTime)
+      .map(reading => ({ time: reading.time, level: reading.level }));
+    return [...history, ...live];
+  }, [history, liveReadings, rangeStart]);
+
+  const emptiedMarkers = useMemo(() => {
+    const markers = [];
+    for (let i = 1; i < points.length; i++) {
+      if (points[i - 1].level - points[i].level >= EMPTY_DROP_PERCENT) {
+        markers.push(points[i].time);
+      }
+    }
+    return markers;
+  }, [points]);
+
+  const alertMarkers = useMemo(
+    () => [...historyAlerts, ...liveAlerts].filter(alert => alert.time >= rangeStart),
+    [historyAlerts, liveAlerts, rangeStart]
+  );
+
+  const formatTick = (time) => {
+    const date = new Date(time);
+    return range === '24h'
+      ? date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  };
+
+  return (
+    <div className="level-chart">
+      <div className="level-chart-header">
+        <h4>Level Trend</h4>
+        <div className="range-buttons">
+          {Object.keys(RANGES).map(key => (
+            <button
+              key={key}
+              type="button"
+              className={`range-button ${range === key ? 'active' : ''}`}
+              onClick={() => setRange(key)}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <div className="level-chart-empty">{error}</div>
+      ) : points.length === 0 ? (
+        <div className="level-chart-empty">
+          {loading ? 'Loading...' : 'No readings in this range'}
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={180}>
+          <ComposedChart data={points} margin={{ top: 10, right: 10, bottom: 0, left: -20 }}>
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={[rangeStart, Date.now()]}
+              tickFormatter={formatTick}
+              fontSize={11}
+            />
+            <YAxis domain={[0, 100]} unit="%" fontSize={11} />
+            <Tooltip
+              labelFormatter={(time) => new Date(time).toLocaleString()}
+              formatter={(value, name) =>
+                name === 'band' ? [`${value[0]}–${value[1]}%`, 'Min–Max'] : [`${value}%`, 'Level']
+              }
+            />
+            <Area
+              dataKey="band"
+              stroke="none"
+              fill="#1976d2"
+              fillOpacity={0.15}
+              isAnimationActive={false}
+            />
+            <Line
+              dataKey="level"
+              stroke="#1976d2"
+              strokeWidth={2}
+              dot={false}
+              isAnimationActive={false}
+            />
+            {emptiedMarkers.map(time => (
+              <ReferenceLine
+                key={`emptied-${time}`}
+                x={time}
+                stroke="#388e3c"
+                strokeDasharray="4 2"
+                label={{ value: '🗑️', position: 'insideTop', fontSize: 12 }}
+              />
+            ))}
+            {alertMarkers.map(alert => (
+              <ReferenceDot
+                key={`alert-${alert.type}-${alert.time}`}
+                x={alert.time}
+                y={100}
+                r={4}
+                fill={ALERT_COLORS[alert.type] || '#9e9e9e'}
+                stroke="none"
+                ifOverflow="extendDomain"
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+
+      <div className="level-chart-legend">
+        <span><span className="legend-line emptied" /> Emptied</span>
+        <span><span className="legend-dot full" /> Full warning</span>
+        <span><span className="legend-dot unauthorized" /> Unauthorized</span>
+        <span><span className="legend-dot offline" /> Offline</span>
+        <span><span className="legend-dot sensor-fault" /> Sensor fault</span>
+      </div>
+    </div>
+  );
+}
+
+export default LevelChart;
@@ -1,18 +1,168 @@
 /**
- * LogTable Component - Display event logs
+ * LogTable Component - Event logs with filters and infinite scroll
+ * Loads pages from the API with a cursor as the list is scrolled; new events
+ * (refreshKey changes) are added on top without losing the loaded pages.
+ * Exports download every matching log, or the raw readings for the same bin
+ * and time range, as CSV or NDJSON
  */
 
-import React from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { getLogs, exportLogs, exportTelemetry } from '../api';
 import './LogTable.css';
 
-function LogTable({ logs }) {
-  if (!logs || logs.length === 0) {
-    return (
-      <div className="no-logs">
-        <p>No logs available</p>
-      </div>
+const PAGE_SIZE = 50;
+
+const EVENT_TYPES = [
+  'rfid_scan', 'lid_open', 'lid_close', 'level_update', 'alert',
+  'config_change', 'access_denied', 'collection'
+];
+
+const EMPTY_FILTERS = { type: '', success: '', rfid: '', user: '', from: '', to: '', q: '' };
+
+/**
+ * Add rows that are not in the list yet (by id)
+ */
+const mergeLogs = (current, rows, { prepend }) => {
+  const known = new Set(current.map(log => log.id));
+  const added = rows.filter(log => !known.has(log.id));
+  return prepend ? [...added, ...current] : [...current, ...added];
+};
+
+function LogTable({ binId, refreshKey }) {
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(null);
+  const generation = useRef(0);
+  const containerRef = useRef(null);
+  const sentinelRef = useRef(null);
+
+  /**
+   * Query parameters for the current bin and filters (local dates sent as ISO)
+   */
+  const buildParams = useCallback((cursor = null) => {
+    const params = { limit: PAGE_SIZE };
+    if (binId) params.bin = binId;
+
+    for (const [key, value] of Object.entries(filters)) {
+      if (value === '') continue;
+      params[key] = key === 'from' || key === 'to' ? new Date(value).toISOString() : value;
+    }
+
+    if (cursor) params.cursor = cursor;
+    return params;
+  }, [binId, filters]);
+
+  const paramsRef = useRef(buildParams);
+  paramsRef.current = buildParams;
+
+  // First page whenever the bin or the filters change
+  useEffect(() => {
+    const current = ++generation.current;
+    setLoading(true);
+
+    getLogs(buildParams())
+      .then(response => {
+        if (current !== generation.current) return;
+        setLogs(response.data || []);
+        setTotal(response.pagination.total);
+        setNextCursor(response.pagination.next_cursor);
+        setError(null);
+      })
+      .catch(err => {
+        if (current !== generation.current) return;
+        console.error('Error fetching logs:', err);
+        setError(err.response?.data?.error || 'Failed to load logs');
+      })
+      .finally(() => {
+        if (current === generation.current) setLoading(false);
+      });
+  }, [buildParams]);
+
+  // New events: add the newest rows on top, keep what is loaded below
+  useEffect(() => {
+    if (!refreshKey) return;
+    const current = generation.current;
+
+    getLogs(paramsRef.current())
+      .then(response => {
+        if (current !== generation.current) return;
+        setLogs(prev => mergeLogs(prev, response.data || [], { prepend: true }));
+        setTotal(response.pagination.total);
+      })
+      .catch(err => console.error('Error refreshing logs:', err));
+  }, [refreshKey]);
+
+  const loadMore = useCallback(async () => {
+    const current = generation.current;
+    setLoading(true);
+
+    try {
+      const response = await getLogs(buildParams(nextCursor));
+      if (current !== generation.current) return;
+      setLogs(prev => mergeLogs(prev, response.data || [], { prepend: false }));
+      setNextCursor(response.pagination.next_cursor);
+    } catch (err) {
+      console.error('Error fetching more logs:', err);
+      if (current === generation.current) setError(err.response?.data?.error || 'Failed to load more logs');
+    } finally {
+      if (current === generation.current) setLoading(false);
+    }
+  }, [buildParams, nextCursor]);
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loading) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { root: containerRef.current, rootMargin: '100px' }
     );
-  }
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loading, loadMore]);
+
+  const handleDraftChange = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setFilters(draft);
+  };
+
+  const handleClear = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  /**
+   * Download logs with the applied filters, or readings for the same bin and range
+   */
+  const handleExport = async (kind) => {
+    const { limit, ...params } = buildParams();
+    setExporting(kind);
+
+    try {
+      if (kind === 'logs') {
+        await exportLogs({ ...params, format: exportFormat });
+      } else {
+        await exportTelemetry({ bin: params.bin, from: params.from, to: params.to, format: exportFormat });
+      }
+      setError(null);
+    } catch (err) {
+      console.error('Error exporting:', err);
+      setError(err.response?.data?.error || 'Export failed');
+    } finally {
+      setExporting(null);
+    }
+  };
 
   const getEventIcon = (eventType) => {
     switch (eventType) {
@@ -22,6 +172,8 @@ function LogTable({ logs }) {
       case 'level_update': return '📊';
       case 'alert': return '🚨';
       case 'config_change': return '⚙️';
+      case 'access_denied': return '⛔';
+      case 'collection': return '🚛';
       default: return '📝';
     }
   };
@@ -44,61 +196,162 @@ function LogTable({ logs }) {
   };
 
   return (
-    <div className="log-table-container">
-      <table className="table log-table">
-        <thead>
-          <tr>
-            <th>Time</th>
-            <th>Bin</th>
-            <th>Event</th>
-            <th>Details</th>
-            <th>Status</th>
-          </tr>
-        </thead>
-        <tbody>
-          {logs.map((log) => (
-            <tr key={log.id} className={log.success ? '' : 'log-error'}>
-              <td className="log-time">
-                {formatTimestamp(log.timestamp)}
-              </td>
-              <td className="log-bin">
-                <span className="bin-badge">{log.bin_id}</span>
-              </td>
-              <td className="log-event">
-                <span className="event-icon">{getEventIcon(log.event_type)}</span>
-                <span>{formatEventType(log.event_type)}</span>
-              </td>
-              <td className="log-details">
-                {log.user_name && (
-                  <div className="log-user">
-                    👤 {log.user_name}
-                  </div>
-                )}
-                {log.rfid_uid && !log.user_name && (
-                  <div className="log-rfid">
-                    🏷️ {log.rfid_uid}
-                  </div>
-                )}
-                {log.level_percent !== null && (
-                  <div className="log-level">
-                    Level: {log.level_percent}% ({log.distance_cm}cm)
-                  </div>
-                )}
-                {log.message && (
-                  <div className="log-message">
-                    {log.message}
-                  </div>
-                )}
-              </td>
-              <td className="log-status">
-                <span className={`status-badge ${log.success ? 'success' : 'failed'}`}>
-                  {log.success ? '✓' : '✗'}
-                </span>
-              </td>
-            </tr>
+    <div className="log-table-wrapper">
+      <form className="log-filters" onSubmit={handleApply}>
+        <select className="form-select" value={draft.type} onChange={handleDraftChange('type')}>
+          <option value="">All events</option>
+          {EVENT_TYPES.map(type => (
+            <option key={type} value={type}>{formatEventType(type)}</option>
           ))}
-        </tbody>
-      </table>
+        </select>
+        <select className="form-select" value={draft.success} onChange={handleDraftChange('success')}>
+          <option value="">Any status</option>
+          <option value="true">Succeeded</option>
+          <option value="false">Failed</option>
+        </select>
+        <input
+          className="form-input"
+          value={draft.rfid}
+          onChange={handleDraftChange('rfid')}
+          placeholder="RFID UID"
+        />
+        <input
+          className="form-input"
+          value={draft.user}
+          onChange={handleDraftChange('user')}
+          placeholder="User name"
+        />
+        <input
+          type="datetime-local"
+          className="form-input"
+          value={draft.from}
+          onChange={handleDraftChange('from')}
+          title="From"
+        />
+        <input
+          type="datetime-local"
+          className="form-input"
+          value={draft.to}
+          onChange={handleDraftChange('to')}
+          title="To"
+        />
+        <input
+          className="form-input log-filters-search"
+          value={draft.q}
+          onChange={handleDraftChange('q')}
+          placeholder="Search messages"
+        />
+        <div className="log-filters-actions">
+          <button type="submit" className="btn btn-primary btn-sm">Filter</button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={handleClear}>Clear</button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      <div className="log-toolbar">
+        <div className="log-total">
+          {total !== null && `Showing ${logs.length} of ${total} ${total === 1 ? 'event' : 'events'}`}
+        </div>
+        <div className="log-export">
+          <select
+            className="form-select"
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            title="Export format"
+          >
+            <option value="csv">CSV</option>
+            <option value="ndjson">JSON (NDJSON)</option>
+          </select>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => handleExport('logs')}
+            disabled={exporting !== null}
+          >
+            {exporting === 'logs' ? 'Exporting...' : '⬇️ Export logs'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => handleExport('telemetry')}
+            disabled={exporting !== null}
+            title="Raw level readings for the selected bin (or all bins) and time range (default: last 24h)"
+          >
+            {exporting === 'telemetry' ? 'Exporting...' : '⬇️ Export readings'}
+          </button>
+        </div>
+      </div>
+
+      {logs.length === 0 ? (
+        <div className="no-logs">
+          <p>{loading ? 'Loading logs...' : 'No logs available'}</p>
+        </div>
+      ) : (
+        <div className="log-table-container" ref={containerRef}>
+          <table className="table log-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Bin</th>
+                <th>Event</th>
+                <th>Details</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {logs.map((log) => (
+                <tr key={log.id} className={log.success ? '' : 'log-error'}>
+                  <td className="log-time">
+                    {formatTimestamp(log.timestamp)}
+                  </td>
+                  <td className="log-bin">
+                    <span className="bin-badge">{log.bin_id || '—'}</span>
+                  </td>
+                  <td className="log-event">
+                    <span className="event-icon">{getEventIcon(log.event_type)}</span>
+                    <span>{formatEventType(log.event_type)}</span>
+                  </td>
+                  <td className="log-details">
+                    {log.user_name && (
+                      <div className="log-user">
+                        👤 {log.user_name}
+                      </div>
+                    )}
+                    {log.rfid_uid && !log.user_name && (
+                      <div className="log-rfid">
+                        🏷️ {log.rfid_uid}
+                      </div>
+                    )}
+                    {log.level_percent !== null && (
+                      <div className="log-level">
+                        Level: {log.level_percent}% ({log.distance_cm}cm)
+                      </div>
+                    )}
+                    {log.message && (
+                      <div className="log-message">
+                        {log.message}
+                      </div>
+                    )}
+                  </td>
+                  <td className="log-status">
+                    <span className={`status-badge ${log.success ? 'success' : 'failed'}`}>
+                      {log.success ? '✓' : '✗'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div ref={sentinelRef} className="log-more">
+            {loading ? 'Loading more...' : nextCursor ? '' : 'End of logs'}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
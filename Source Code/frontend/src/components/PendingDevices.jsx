@@ -0,0 +1,126 @@
+/**
+ * PendingDevices Component - Approve or dismiss unknown devices seen on MQTT
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { getPendingDevices, approveDevice, dismissDevice } from '../api';
+import './PendingDevices.css';
+
+const POLL_INTERVAL_MS = 30000;
+
+function PendingDevices({ onApproved }) {
+  const [devices, setDevices] = useState([]);
+  const [approving, setApproving] = useState(null);
+  const [name, setName] = useState('');
+  const [location, setLocation] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const fetchDevices = useCallback(async () => {
+    try {
+      const response = await getPendingDevices();
+      setDevices(response.data || []);
+    } catch (err) {
+      console.error('Error fetching pending devices:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDevices();
+    const interval = setInterval(fetchDevices, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchDevices]);
+
+  const startApprove = (binId) => {
+    setApproving(binId);
+    setName(binId);
+    setLocation('');
+    setMessage(null);
+  };
+
+  const handleApprove = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await approveDevice(approving, { name, location: location || undefined });
+      setMessage({ type: 'success', text: `${approving} approved` });
+      setApproving(null);
+      fetchDevices();
+      if (onApproved) onApproved(response.data);
+    } catch (err) {
+      console.error('Approve error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to approve device' });
+    }
+  };
+
+  const handleDismiss = async (binId) => {
+    try {
+      await dismissDevice(binId);
+      fetchDevices();
+    } catch (err) {
+      console.error('Dismiss error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to dismiss device' });
+    }
+  };
+
+  if (devices.length === 0 && !message) {
+    return null;
+  }
+
+  return (
+    <div className="card pending-devices">
+      <div className="card-header">
+        <h3 className="card-title">🆕 Pending Devices</h3>
+      </div>
+
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      {devices.map(device => (
+        <div key={device.bin_id} className="pending-device">
+          <div className="pending-device-info">
+            <strong>{device.bin_id}</strong>
+            <small>
+              {device.message_count} messages · last on {device.last_topic} ·{' '}
+              {new Date(device.last_seen).toLocaleString()}
+            </small>
+          </div>
+
+          {approving === device.bin_id ? (
+            <form className="pending-device-form" onSubmit={handleApprove}>
+              <input
+                className="form-input"
+                placeholder="Name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+              />
+              <input
+                className="form-input"
+                placeholder="Location"
+                value={location}
+                onChange={(e) => setLocation(e.target.value)}
+              />
+              <button type="submit" className="btn btn-success btn-sm">Approve</button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setApproving(null)}>
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="pending-device-actions">
+              <button className="btn btn-success btn-sm" onClick={() => startApprove(device.bin_id)}>
+                Approve
+              </button>
+              <button className="btn btn-secondary btn-sm" onClick={() => handleDismiss(device.bin_id)}>
+                Dismiss
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PendingDevices;
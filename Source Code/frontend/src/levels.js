@@ -0,0 +1,28 @@
+/**
+ * Level status from a bin's warning/critical levels
+ * Every bin from the API carries the levels in effect (its own or the fleet
+ * default) as warning_percent and critical_percent, so the UI uses the same
+ * limits as the backend's status and full alerts
+ */
+
+const STATUS_COLORS = {
+  normal: '#4caf50',
+  warning: '#ff9800',
+  critical: '#f44336'
+};
+
+/**
+ * Status for a level (defaults to the bin's current level); a flagged
+ * sensor keeps the bin in sensor_fault
+ */
+export const levelStatus = (bin, level = bin.current_level_percent) => {
+  if (bin.sensor_fault) return 'sensor_fault';
+  if (level >= bin.critical_percent) return 'critical';
+  if (level >= bin.warning_percent) return 'warning';
+  return 'normal';
+};
+
+/**
+ * Colour of the level bar (by level only, also while the sensor is flagged)
+ */
+export const levelColor = (bin) => STATUS_COLORS[levelStatus({ ...bin, sensor_fault: null })];
@@ -5,38 +5,93 @@
 import React, { useState, useEffect } from 'react';
 import BinCard from '../components/BinCard';
 import LogTable from '../components/LogTable';
-import { getAllBins, getLogs } from '../api';
-import mqttClient from '../mqttClient';
+import PendingDevices from '../components/PendingDevices';
+import AlertInbox from '../components/AlertInbox';
+import { getAllBins } from '../api';
+import eventStream from '../stream';
+import { canOnBin } from '../permissions';
+import { levelStatus } from '../levels';
 import './Dashboard.css';
 
-function Dashboard({ mqttConnected }) {
+// Live points kept per bin for the trend charts
+const MAX_LIVE_POINTS = 500;
+
+function Dashboard({ streamConnected, user }) {
   const [bins, setBins] = useState([]);
-  const [logs, setLogs] = useState([]);
   const [selectedBin, setSelectedBin] = useState(null);
+  const [liveReadings, setLiveReadings] = useState({});
+  const [liveAlerts, setLiveAlerts] = useState({});
+  const [alertsVersion, setAlertsVersion] = useState(0);
+  const [logsVersion, setLogsVersion] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   // Fetch initial data
   useEffect(() => {
     fetchBins();
-    fetchLogs();
   }, []);
 
-  // Subscribe to MQTT updates
+  // Subscribe to backend events
   useEffect(() => {
-    if (!mqttConnected) return;
+    // RFID results, finished commands and collections show up in the event log
+    const handleLoggedEvent = () => setLogsVersion(prev => prev + 1);
+    const handleCommandEvent = (command) => {
+      if (command.status !== 'pending') handleLoggedEvent();
+    };
+
+    // Alerts refresh the inbox and add a chart marker when they open
+    const handleAlert = (payload) => {
+      const binId = payload.bin_id;
+
+      setAlertsVersion(prev => prev + 1);
+
+      // Sensor faults change the bin status; reload bins to pick up the flag
+      if (payload.type === 'sensor_fault') fetchBins();
+      if (payload.state !== 'open') return;
+
+      setLiveAlerts(prev => ({
+        ...prev,
+        [binId]: [...(prev[binId] || []), { time: Date.now(), type: payload.type }].slice(-MAX_LIVE_POINTS)
+      }));
+    };
 
-    // Subscribe to level updates for all bins
-    mqttClient.subscribe('smartbin/+/data/level', handleLevelUpdate, 0);
+    // Scheduled and manual config changes (mode, threshold, schedules in effect)
+    const handleConfigEvent = (payload) => {
+      setBins(prevBins => prevBins.map(bin => (bin.bin_id === payload.bin_id
+        ? {
+            ...bin,
+            mode: payload.mode,
+            threshold_cm: payload.threshold_cm,
+            base_mode: payload.base_mode,
+            base_threshold_cm: payload.base_threshold_cm,
+            status: payload.status,
+            warning_percent: payload.warning_percent,
+            critical_percent: payload.critical_percent,
+            bin_warning_percent: payload.bin_warning_percent,
+            bin_critical_percent: payload.bin_critical_percent,
+            active_schedules: payload.active_schedules
+          }
+        : bin)));
+    };
 
-    // Subscribe to status updates
-    mqttClient.subscribe('smartbin/+/status', handleStatusUpdate, 1);
+    eventStream.subscribe('level', handleLevelUpdate);
+    eventStream.subscribe('status', handleStatusUpdate);
+    eventStream.subscribe('alert', handleAlert);
+    eventStream.subscribe('rfid', handleLoggedEvent);
+    eventStream.subscribe('command', handleCommandEvent);
+    eventStream.subscribe('collection', handleLoggedEvent);
+    eventStream.subscribe('config', handleConfigEvent);
 
     return () => {
-      mqttClient.unsubscribe('smartbin/+/data/level');
-      mqttClient.unsubscribe('smartbin/+/status');
+      eventStream.unsubscribe('level', handleLevelUpdate);
+      eventStream.unsubscribe('status', handleStatusUpdate);
+      eventStream.unsubscribe('alert', handleAlert);
+      eventStream.unsubscribe('rfid', handleLoggedEvent);
+      eventStream.unsubscribe('command', handleCommandEvent);
+      eventStream.unsubscribe('collection', handleLoggedEvent);
+      eventStream.unsubscribe('config', handleConfigEvent);
     };
-  }, [mqttConnected]);
+  }, []);
 
   /**
    * Fetch bins from API
@@ -56,23 +111,10 @@ function Dashboard({ mqttConnected }) {
   };
 
   /**
-   * Fetch logs from API
+   * Handle level update event
    */
-  const fetchLogs = async (binId = null) => {
-    try {
-      const response = await getLogs(binId, 50, 0);
-      setLogs(response.data || []);
-    } catch (err) {
-      console.error('Error fetching logs:', err);
-    }
-  };
-
-  /**
-   * Handle MQTT level update
-   */
-  const handleLevelUpdate = (topic, payload) => {
-    const binId = topic.split('/')[1];
-    const { level, cm } = payload;
+  const handleLevelUpdate = (payload) => {
+    const { bin_id: binId, level, cm } = payload;
 
     // Update bin state
     setBins(prevBins =>
@@ -83,27 +125,30 @@ function Dashboard({ mqttConnected }) {
             current_level_percent: level,
             current_distance_cm: cm,
             last_seen: new Date().toISOString(),
-            status: level >= 80 ? 'critical' : level >= 60 ? 'warning' : 'normal'
+            status: levelStatus(bin, level)
           };
         }
         return bin;
       })
     );
+
+    // Append live point for the trend chart
+    setLiveReadings(prev => ({
+      ...prev,
+      [binId]: [...(prev[binId] || []), { time: Date.now(), level }].slice(-MAX_LIVE_POINTS)
+    }));
   };
 
   /**
-   * Handle MQTT status update
+   * Handle device status event
    */
-  const handleStatusUpdate = (topic, payload) => {
-    const binId = topic.split('/')[1];
-    const isOnline = payload === 'online' || payload.toString() === 'online';
-
+  const handleStatusUpdate = (payload) => {
     setBins(prevBins =>
       prevBins.map(bin => {
-        if (bin.bin_id === binId) {
+        if (bin.bin_id === payload.bin_id) {
           return {
             ...bin,
-            is_online: isOnline,
+            is_online: payload.is_online,
             last_seen: new Date().toISOString()
           };
         }
@@ -117,7 +162,6 @@ function Dashboard({ mqttConnected }) {
    */
   const handleBinSelect = (binId) => {
     setSelectedBin(binId);
-    fetchLogs(binId);
   };
 
   /**
@@ -130,7 +174,17 @@ function Dashboard({ mqttConnected }) {
           return {
             ...bin,
             mode: updatedBin.mode,
-            threshold_cm: updatedBin.threshold_cm
+            threshold_cm: updatedBin.threshold_cm,
+            latitude: updatedBin.latitude,
+            longitude: updatedBin.longitude,
+            base_mode: updatedBin.base_mode,
+            base_threshold_cm: updatedBin.base_threshold_cm,
+            status: updatedBin.status,
+            warning_percent: updatedBin.warning_percent,
+            critical_percent: updatedBin.critical_percent,
+            bin_warning_percent: updatedBin.bin_warning_percent,
+            bin_critical_percent: updatedBin.bin_critical_percent,
+            active_schedules: updatedBin.active_schedules
           };
         }
         return bin;
@@ -143,7 +197,7 @@ function Dashboard({ mqttConnected }) {
    */
   const handleRefresh = () => {
     fetchBins();
-    fetchLogs(selectedBin);
+    setLogsVersion(prev => prev + 1);
   };
 
   if (loading && bins.length === 0) {
@@ -165,12 +219,21 @@ function Dashboard({ mqttConnected }) {
         </div>
       )}
 
-      {!mqttConnected && (
+      {!streamConnected && (
         <div className="alert alert-warning">
-          ⚠️ Real-time updates unavailable. Connecting to MQTT broker...
+          ⚠️ Real-time updates unavailable. Connecting to backend event stream...
         </div>
       )}
 
+      {user?.permissions?.includes('bins:manage') && (
+        <PendingDevices onApproved={fetchBins} />
+      )}
+
+      <AlertInbox
+        refreshKey={alertsVersion}
+        canManage={user?.permissions?.includes('alerts:manage')}
+      />
+
       <div className="dashboard-header">
         <h2>Bin Overview</h2>
         <div className="header-buttons">
@@ -200,6 +263,10 @@ function Dashboard({ mqttConnected }) {
                 onSelect={() => handleBinSelect(bin.bin_id)}
                 selected={selectedBin === bin.bin_id}
                 onConfigUpdate={handleConfigUpdate}
+                liveReadings={liveReadings[bin.bin_id]}
+                liveAlerts={liveAlerts[bin.bin_id]}
+                canCommand={canOnBin(user, 'bins:command', bin)}
+                canConfigure={canOnBin(user, 'bins:configure', bin)}
               />
             ))}
           </div>
@@ -212,17 +279,14 @@ function Dashboard({ mqttConnected }) {
               </h3>
               {selectedBin && (
                 <button
-                  onClick={() => {
-                    setSelectedBin(null);
-                    fetchLogs();
-                  }}
+                  onClick={() => setSelectedBin(null)}
                   className="btn btn-secondary"
                 >
                   Show All
                 </button>
               )}
             </div>
-            <LogTable logs={logs} />
+            <LogTable binId={selectedBin} refreshKey={logsVersion} />
           </div>
         </>
       )}
@@ -0,0 +1,373 @@
+/**
+ * FloorMap Page - Bins placed on building floor plans, updated live
+ * Operators drag bins from the list onto the plan (or drag markers to move
+ * them, or back to the list to remove them)
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  getAllBins,
+  getFloorPlans,
+  createFloorPlan,
+  uploadFloorPlanImage,
+  getFloorPlanImage,
+  deleteFloorPlan,
+  setBinPosition
+} from '../api';
+import eventStream from '../stream';
+import { canOnBin } from '../permissions';
+import { levelStatus } from '../levels';
+import './FloorMap.css';
+
+const IMAGE_TYPES = 'image/png,image/jpeg,image/webp,image/gif';
+
+// Keep positions to 5 decimals, like the database column
+const roundPosition = value => Math.round(Math.min(1, Math.max(0, value)) * 100000) / 100000;
+
+function FloorMap({ user }) {
+  const [plans, setPlans] = useState([]);
+  const [selectedPlanId, setSelectedPlanId] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [bins, setBins] = useState([]);
+  const [newBuilding, setNewBuilding] = useState('');
+  const [newImage, setNewImage] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [message, setMessage] = useState(null);
+  const imageRef = useRef(null);
+
+  const canConfigure = user?.permissions?.includes('bins:configure');
+  const canManage = user?.permissions?.includes('bins:manage');
+  const selectedPlan = plans.find(plan => plan.id === selectedPlanId) || null;
+
+  const fetchPlans = useCallback(async (selectId = null) => {
+    try {
+      const response = await getFloorPlans();
+      const list = response.data || [];
+      setPlans(list);
+      setSelectedPlanId(current => {
+        const wanted = selectId ?? current;
+        return list.some(plan => plan.id === wanted) ? wanted : (list[0]?.id ?? null);
+      });
+    } catch (err) {
+      console.error('Error fetching floor plans:', err);
+      setMessage({ type: 'error', text: 'Failed to load floor plans' });
+    }
+  }, []);
+
+  const fetchBins = useCallback(async () => {
+    try {
+      const response = await getAllBins();
+      setBins(response.data || []);
+    } catch (err) {
+      console.error('Error fetching bins:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPlans();
+    fetchBins();
+  }, [fetchPlans, fetchBins]);
+
+  // Live level, online state and position changes
+  useEffect(() => {
+    const updateBin = (binId, changes) => {
+      setBins(prevBins =>
+        prevBins.map(bin => (bin.bin_id === binId ? { ...bin, ...changes } : bin))
+      );
+    };
+
+    const handleLevel = ({ bin_id: binId, level }) => setBins(prevBins =>
+      prevBins.map(bin => (bin.bin_id === binId ? {
+        ...bin,
+        current_level_percent: level,
+        status: levelStatus(bin, level)
+      } : bin))
+    );
+    const handleStatus = ({ bin_id: binId, is_online: isOnline }) => updateBin(binId, { is_online: isOnline });
+    const handlePosition = ({ bin_id: binId, ...position }) => updateBin(binId, position);
+    // New warning/critical levels can change the status colour
+    const handleConfig = ({ bin_id: binId, status, warning_percent: warningPercent, critical_percent: criticalPercent }) =>
+      updateBin(binId, { status, warning_percent: warningPercent, critical_percent: criticalPercent });
+    const handleAlert = (payload) => {
+      if (payload.type === 'sensor_fault') fetchBins();
+    };
+
+    eventStream.subscribe('level', handleLevel);
+    eventStream.subscribe('status', handleStatus);
+    eventStream.subscribe('position', handlePosition);
+    eventStream.subscribe('alert', handleAlert);
+    eventStream.subscribe('config', handleConfig);
+
+    return () => {
+      eventStream.unsubscribe('level', handleLevel);
+      eventStream.unsubscribe('status', handleStatus);
+      eventStream.unsubscribe('position', handlePosition);
+      eventStream.unsubscribe('alert', handleAlert);
+      eventStream.unsubscribe('config', handleConfig);
+    };
+  }, [fetchBins]);
+
+  // Load the selected plan's image (fetched with the auth header, shown as an object URL)
+  const imageVersion = selectedPlan?.has_image ? selectedPlan.updated_at : null;
+  useEffect(() => {
+    if (!selectedPlanId || !imageVersion) {
+      setImageUrl(null);
+      return;
+    }
+
+    let url = null;
+    let cancelled = false;
+
+    getFloorPlanImage(selectedPlanId)
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch(err => {
+        console.error('Error loading floor plan image:', err);
+        if (!cancelled) setImageUrl(null);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [selectedPlanId, imageVersion]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    try {
+      const response = await createFloorPlan(newBuilding);
+      if (newImage) {
+        await uploadFloorPlanImage(response.data.id, newImage);
+      }
+      setShowCreate(false);
+      setNewBuilding('');
+      setNewImage(null);
+      fetchPlans(response.data.id);
+    } catch (err) {
+      console.error('Create floor plan error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to create floor plan' });
+    }
+  };
+
+  const handleReplaceImage = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !selectedPlan) return;
+
+    try {
+      await uploadFloorPlanImage(selectedPlan.id, file);
+      setMessage({ type: 'success', text: `Floor plan image for ${selectedPlan.building} updated` });
+      fetchPlans();
+    } catch (err) {
+      console.error('Upload floor plan error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to upload image' });
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedPlan) return;
+    if (!window.confirm(`Delete the floor plan for ${selectedPlan.building}? Bins on it lose their position.`)) return;
+
+    try {
+      await deleteFloorPlan(selectedPlan.id);
+      setMessage({ type: 'success', text: `Floor plan for ${selectedPlan.building} deleted` });
+      fetchPlans();
+      fetchBins();
+    } catch (err) {
+      console.error('Delete floor plan error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to delete floor plan' });
+    }
+  };
+
+  /**
+   * Save a bin position (null planId removes the bin from the plan)
+   * The marker moves right away and is reverted if the save fails
+   */
+  const moveBin = async (binId, planId, x = null, y = null) => {
+    const previous = bins.find(bin => bin.bin_id === binId);
+    if (!previous) return;
+
+    const position = { floor_plan_id: planId, plan_x: x, plan_y: y };
+    setBins(prevBins => prevBins.map(bin => (bin.bin_id === binId ? { ...bin, ...position } : bin)));
+
+    try {
+      await setBinPosition(binId, planId === null ? { floor_plan_id: null } : { floor_plan_id: planId, x, y });
+    } catch (err) {
+      console.error('Position update error:', err);
+      setBins(prevBins => prevBins.map(bin => (bin.bin_id === binId ? previous : bin)));
+      setMessage({ type: 'error', text: err.response?.data?.error || `Failed to move ${binId}` });
+    }
+  };
+
+  const handleDragStart = (e, binId) => {
+    e.dataTransfer.setData('text/plain', binId);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDropOnPlan = (e) => {
+    e.preventDefault();
+    const binId = e.dataTransfer.getData('text/plain');
+    if (!binId || !imageRef.current || !selectedPlan) return;
+
+    const rect = imageRef.current.getBoundingClientRect();
+    moveBin(
+      binId,
+      selectedPlan.id,
+      roundPosition((e.clientX - rect.left) / rect.width),
+      roundPosition((e.clientY - rect.top) / rect.height)
+    );
+  };
+
+  const handleDropOnList = (e) => {
+    e.preventDefault();
+    const binId = e.dataTransfer.getData('text/plain');
+    const bin = bins.find(item => item.bin_id === binId);
+    if (bin && bin.floor_plan_id !== null) {
+      moveBin(binId, null);
+    }
+  };
+
+  const allowDrop = (e) => e.preventDefault();
+
+  const canMove = bin => canOnBin(user, 'bins:configure', bin);
+  const placedBins = bins.filter(bin => selectedPlan && bin.floor_plan_id === selectedPlan.id);
+  const unplacedBins = bins.filter(bin => bin.floor_plan_id === null || bin.floor_plan_id === undefined);
+
+  return (
+    <div className="container floor-map">
+      {message && (
+        <div className={`alert alert-${message.type}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">🗺️ Floor Plans</h3>
+          <div className="floor-map-actions">
+            {canConfigure && selectedPlan && (
+              <label className="btn btn-secondary">
+                🖼️ {selectedPlan.has_image ? 'Replace Image' : 'Upload Image'}
+                <input type="file" accept={IMAGE_TYPES} onChange={handleReplaceImage} hidden />
+              </label>
+            )}
+            {canManage && selectedPlan && (
+              <button className="btn btn-danger" onClick={handleDelete}>
+                Delete Plan
+              </button>
+            )}
+            {canConfigure && (
+              <button className="btn btn-primary" onClick={() => setShowCreate(!showCreate)}>
+                + New Plan
+              </button>
+            )}
+          </div>
+        </div>
+
+        {showCreate && (
+          <form className="floor-map-create" onSubmit={handleCreate}>
+            <input
+              className="form-input"
+              value={newBuilding}
+              onChange={(e) => setNewBuilding(e.target.value)}
+              placeholder="Building (e.g. Building A)"
+              required
+            />
+            <input
+              type="file"
+              accept={IMAGE_TYPES}
+              onChange={(e) => setNewImage(e.target.files[0] || null)}
+            />
+            <button type="submit" className="btn btn-primary">Create</button>
+          </form>
+        )}
+
+        {plans.length === 0 ? (
+          <div className="alert alert-info">
+            No floor plans yet.{canConfigure && ' Create one and upload the building image.'}
+          </div>
+        ) : (
+          <div className="floor-map-tabs">
+            {plans.map(plan => (
+              <button
+                key={plan.id}
+                className={`floor-map-tab ${plan.id === selectedPlanId ? 'active' : ''}`}
+                onClick={() => setSelectedPlanId(plan.id)}
+              >
+                {plan.building}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {selectedPlan && (
+        <div className="floor-map-layout">
+          <div className="card floor-map-plan">
+            {imageUrl ? (
+              <div className="floor-map-canvas" onDragOver={allowDrop} onDrop={handleDropOnPlan}>
+                <img ref={imageRef} src={imageUrl} alt={`${selectedPlan.building} floor plan`} draggable="false" />
+                {placedBins.map(bin => (
+                  <div
+                    key={bin.bin_id}
+                    className={`floor-map-marker ${bin.status || 'normal'} ${bin.is_online ? '' : 'offline'}`}
+                    style={{ left: `${Number(bin.plan_x) * 100}%`, top: `${Number(bin.plan_y) * 100}%` }}
+                    title={`${bin.name} (${bin.bin_id}) - ${bin.current_level_percent}% - ${bin.is_online ? 'online' : 'offline'}`}
+                    draggable={canMove(bin)}
+                    onDragStart={(e) => handleDragStart(e, bin.bin_id)}
+                  >
+                    <span className="floor-map-marker-label">
+                      {bin.bin_id} · {bin.current_level_percent}%
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="floor-map-empty">
+                {selectedPlan.has_image ? 'Loading floor plan...' : 'No image uploaded for this floor plan yet.'}
+              </div>
+            )}
+
+            <div className="floor-map-legend">
+              <span><span className="floor-map-dot normal"></span>Normal</span>
+              <span><span className="floor-map-dot warning"></span>Warning</span>
+              <span><span className="floor-map-dot critical"></span>Critical</span>
+              <span><span className="floor-map-dot sensor_fault"></span>Sensor fault</span>
+              <span><span className="floor-map-dot offline"></span>Offline</span>
+            </div>
+          </div>
+
+          <div className="card floor-map-unplaced" onDragOver={allowDrop} onDrop={handleDropOnList}>
+            <h4>Unplaced Bins</h4>
+            {canConfigure && (
+              <p className="floor-map-hint">Drag a bin onto the plan to place it; drag a marker here to remove it.</p>
+            )}
+            {unplacedBins.length === 0 ? (
+              <p className="floor-map-hint">All bins are placed.</p>
+            ) : (
+              unplacedBins.map(bin => (
+                <div
+                  key={bin.bin_id}
+                  className={`floor-map-bin ${canMove(bin) ? 'movable' : ''}`}
+                  draggable={canMove(bin) && Boolean(imageUrl)}
+                  onDragStart={(e) => handleDragStart(e, bin.bin_id)}
+                >
+                  <span className={`floor-map-dot ${bin.status || 'normal'} ${bin.is_online ? '' : 'offline'}`}></span>
+                  <strong>{bin.bin_id}</strong>
+                  <small>{bin.location || bin.name}</small>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FloorMap;
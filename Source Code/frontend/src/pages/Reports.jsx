@@ -0,0 +1,352 @@
+/**
+ * Reports Page - Usage and operations per period, bin and RFID user
+ * Charts and tables come from the backend's rolled-up usage (refreshed every
+ * few minutes), plus an hour-of-day heatmap of lid openings
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ResponsiveContainer,
+  BarChart,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { getAllBins, getUsageReport, getUserReport, getUsageHeatmap } from '../api';
+import './Reports.css';
+
+const PERIODS = [
+  { id: 'day', label: 'Daily', days: 30 },
+  { id: 'week', label: 'Weekly', days: 84 },
+  { id: 'month', label: 'Monthly', days: 365 }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+/**
+ * YYYY-MM-DD for a date input, in local time
+ */
+const toDateInput = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Default from/to inputs for a period (to = today)
+ */
+const defaultRange = (periodId) => {
+  const days = PERIODS.find(period => period.id === periodId).days;
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  return { from: toDateInput(from), to: toDateInput(to) };
+};
+
+/**
+ * Chart label for a period start ("YYYY-MM-DD", local date)
+ */
+const formatPeriod = (periodStart, periodId) => {
+  const [year, month, day] = periodStart.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+
+  if (periodId === 'month') return date.toLocaleDateString([], { month: 'short', year: 'numeric' });
+  const label = date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  return periodId === 'week' ? `Wk ${label}` : label;
+};
+
+function Reports() {
+  const [bins, setBins] = useState([]);
+  const [draft, setDraft] = useState({ period: 'day', bin: '', ...defaultRange('day') });
+  const [query, setQuery] = useState(draft);
+  const [usage, setUsage] = useState(null);
+  const [users, setUsers] = useState(null);
+  const [heatmap, setHeatmap] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getAllBins()
+      .then(response => setBins(response.data || []))
+      .catch(err => console.error('Error fetching bins:', err));
+  }, []);
+
+  /**
+   * Load all three reports for the applied query (dates are whole local days)
+   */
+  const fetchReports = useCallback(async () => {
+    const [fromYear, fromMonth, fromDay] = query.from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = query.to.split('-').map(Number);
+    const params = {
+      period: query.period,
+      from: new Date(fromYear, fromMonth - 1, fromDay).toISOString(),
+      to: new Date(toYear, toMonth - 1, toDay + 1).toISOString()
+    };
+    if (query.bin) params.bin = query.bin;
+
+    setLoading(true);
+    try {
+      const [usageResponse, userResponse, heatmapResponse] = await Promise.all([
+        getUsageReport(params),
+        getUserReport(params),
+        getUsageHeatmap(params)
+      ]);
+      setUsage(usageResponse.data);
+      setUsers(userResponse.data);
+      setHeatmap(heatmapResponse.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching reports:', err);
+      setError(err.response?.data?.error || 'Failed to load reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const handleDraftChange = (field) => (e) => {
+    const value = e.target.value;
+    // A new period starts from its usual range
+    setDraft(field === 'period'
+      ? { ...draft, period: value, ...defaultRange(value) }
+      : { ...draft, [field]: value });
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    if (!draft.from || !draft.to) {
+      setError('Choose a from and to date');
+      return;
+    }
+    setQuery(draft);
+  };
+
+  const chartData = (usage?.periods || []).map(period => ({
+    ...period,
+    label: formatPeriod(period.period_start, usage.period)
+  }));
+
+  const binName = (binId) => bins.find(bin => bin.bin_id === binId)?.name || '';
+
+  return (
+    <div className="container reports">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">📈 Reports</h3>
+          {usage?.rolled_up_at && (
+            <span className="reports-freshness">
+              Data as of {new Date(usage.rolled_up_at).toLocaleTimeString()}
+            </span>
+          )}
+        </div>
+        <form className="reports-form" onSubmit={handleApply}>
+          <div className="form-group">
+            <label className="form-label">Period</label>
+            <select className="form-select" value={draft.period} onChange={handleDraftChange('period')}>
+              {PERIODS.map(period => (
+                <option key={period.id} value={period.id}>{period.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">From</label>
+            <input type="date" className="form-input" value={draft.from} onChange={handleDraftChange('from')} />
+          </div>
+          <div className="form-group">
+            <label className="form-label">To</label>
+            <input type="date" className="form-input" value={draft.to} onChange={handleDraftChange('to')} />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Bin</label>
+            <select className="form-select" value={draft.bin} onChange={handleDraftChange('bin')}>
+              <option value="">All bins</option>
+              {bins.map(bin => (
+                <option key={bin.bin_id} value={bin.bin_id}>{bin.bin_id} - {bin.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="reports-form-actions">
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Loading...' : 'Show'}
+            </button>
+          </div>
+        </form>
+        {error && <div className="alert alert-error">{error}</div>}
+      </div>
+
+      {usage && (
+        <div className="reports-charts">
+          <div className="card">
+            <h4 className="reports-chart-title">Lid openings</h4>
+            {chartData.length === 0 ? (
+              <div className="reports-empty">No usage in this range</div>
+            ) : (
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={chartData} margin={{ top: 10, right: 10, bottom: 0, left: -20 }}>
+                  <XAxis dataKey="label" fontSize={11} />
+                  <YAxis allowDecimals={false} fontSize={11} />
+                  <Tooltip />
+                  <Legend />
+                  <Bar dataKey="opens_proximity" name="Proximity" stackId="opens" fill="#4caf50" />
+                  <Bar dataKey="opens_rfid" name="RFID" stackId="opens" fill="#1976d2" />
+                  <Bar dataKey="opens_manual" name="Manual" stackId="opens" fill="#ff9800" />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+
+          <div className="card">
+            <h4 className="reports-chart-title">RFID access</h4>
+            {chartData.length === 0 ? (
+              <div className="reports-empty">No scans in this range</div>
+            ) : (
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={chartData} margin={{ top: 10, right: 10, bottom: 0, left: -20 }}>
+                  <XAxis dataKey="label" fontSize={11} />
+                  <YAxis allowDecimals={false} fontSize={11} />
+                  <Tooltip />
+                  <Legend />
+                  <Bar dataKey="rfid_granted" name="Granted" fill="#1976d2" />
+                  <Bar dataKey="rfid_denied" name="Denied" fill="#f44336" />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+
+          <div className="card">
+            <h4 className="reports-chart-title">Collections (fill cycles)</h4>
+            {chartData.length === 0 ? (
+              <div className="reports-empty">No collections in this range</div>
+            ) : (
+              <ResponsiveContainer width="100%" height={240}>
+                <ComposedChart data={chartData} margin={{ top: 10, right: 0, bottom: 0, left: -20 }}>
+                  <XAxis dataKey="label" fontSize={11} />
+                  <YAxis yAxisId="count" allowDecimals={false} fontSize={11} />
+                  <YAxis yAxisId="hours" orientation="right" unit="h" fontSize={11} />
+                  <Tooltip />
+                  <Legend />
+                  <Bar yAxisId="count" dataKey="collections" name="Collections" fill="#6d4c41" />
+                  <Line
+                    yAxisId="hours"
+                    dataKey="avg_hours_between_collections"
+                    name="Avg hours between"
+                    stroke="#8e24aa"
+                    connectNulls
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </div>
+      )}
+
+      {heatmap && (
+        <div className="card">
+          <h4 className="reports-chart-title">Usage by hour of day</h4>
+          <div className="heatmap">
+            <div className="heatmap-row">
+              <span className="heatmap-label"></span>
+              {HOURS.map(hour => (
+                <span key={hour} className="heatmap-hour">{hour}</span>
+              ))}
+            </div>
+            {heatmap.grid.map((hours, weekday) => (
+              <div key={weekday} className="heatmap-row">
+                <span className="heatmap-label">{WEEKDAYS[weekday]}</span>
+                {hours.map((opens, hour) => (
+                  <span
+                    key={hour}
+                    className="heatmap-cell"
+                    style={{ backgroundColor: `rgba(25, 118, 210, ${heatmap.max ? opens / heatmap.max : 0})` }}
+                    title={`${WEEKDAYS[weekday]} ${hour}:00–${hour + 1}:00: ${opens} opening(s)`}
+                  ></span>
+                ))}
+              </div>
+            ))}
+          </div>
+          <div className="reports-note">Darker = more lid openings (busiest hour: {heatmap.max})</div>
+        </div>
+      )}
+
+      <div className="reports-tables">
+        {usage && (
+          <div className="card">
+            <h4 className="reports-chart-title">Per bin</h4>
+            {usage.bins.length === 0 ? (
+              <div className="reports-empty">No usage in this range</div>
+            ) : (
+              <table className="table reports-table">
+                <thead>
+                  <tr>
+                    <th>Bin</th>
+                    <th>Openings</th>
+                    <th>Proximity / RFID / Manual</th>
+                    <th>RFID denied</th>
+                    <th>Collections</th>
+                    <th>Avg between</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.bins.map(bin => (
+                    <tr key={bin.bin_id}>
+                      <td>
+                        <strong>{bin.bin_id}</strong>
+                        <div className="reports-subtext">{binName(bin.bin_id)}</div>
+                      </td>
+                      <td>{bin.opens_total}</td>
+                      <td>{bin.opens_proximity} / {bin.opens_rfid} / {bin.opens_manual}</td>
+                      <td>{bin.rfid_denied}</td>
+                      <td>{bin.collections}</td>
+                      <td>
+                        {bin.avg_hours_between_collections === null ? '—' : `${bin.avg_hours_between_collections} h`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
+        {users && (
+          <div className="card">
+            <h4 className="reports-chart-title">Per RFID user</h4>
+            {users.users.length === 0 ? (
+              <div className="reports-empty">No RFID scans in this range</div>
+            ) : (
+              <table className="table reports-table">
+                <thead>
+                  <tr>
+                    <th>User</th>
+                    <th>Granted</th>
+                    <th>Denied</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.users.map(user => (
+                    <tr key={user.rfid_uid}>
+                      <td>
+                        <strong>{user.user_name || 'Unknown card'}</strong>
+                        <div className="reports-subtext">{user.rfid_uid}</div>
+                      </td>
+                      <td>{user.granted}</td>
+                      <td>{user.denied}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Reports;
@@ -0,0 +1,178 @@
+/**
+ * RoutePlan Page - Collection route for full bins, printable for crews
+ */
+
+import React, { useState } from 'react';
+import { planRoute } from '../api';
+import './RoutePlan.css';
+
+// Last depot used, so crews don't retype it every shift
+const DEPOT_STORAGE_KEY = 'routeDepot';
+
+const formatCoordinates = (stop) =>
+  `${Number(stop.latitude).toFixed(5)}, ${Number(stop.longitude).toFixed(5)}`;
+
+const formatReason = (stop) =>
+  stop.reason === 'level'
+    ? 'Full'
+    : `Full by ${new Date(stop.predicted_full_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+function RoutePlan() {
+  const [depot, setDepot] = useState(localStorage.getItem(DEPOT_STORAGE_KEY) || '');
+  const [minLevel, setMinLevel] = useState('');
+  const [shiftHours, setShiftHours] = useState('');
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePlan = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = {};
+      if (depot) params.depot = depot;
+      if (minLevel) params.minLevel = minLevel;
+      if (shiftHours) params.shiftHours = shiftHours;
+
+      const response = await planRoute(params);
+      setRoute(response.data);
+      if (depot) localStorage.setItem(DEPOT_STORAGE_KEY, depot);
+    } catch (err) {
+      console.error('Route planning error:', err);
+      setError(err.response?.data?.error || 'Failed to plan route');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="container route-plan">
+      <div className="card no-print">
+        <div className="card-header">
+          <h3 className="card-title">🚛 Collection Route</h3>
+        </div>
+        <form className="route-form" onSubmit={handlePlan}>
+          <div className="form-group">
+            <label className="form-label">Depot (lat, lng)</label>
+            <input
+              className="form-input"
+              value={depot}
+              onChange={(e) => setDepot(e.target.value)}
+              placeholder="Server default"
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Min level (%)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={minLevel}
+              onChange={(e) => setMinLevel(e.target.value)}
+              placeholder="Bin critical level"
+              min="0"
+              max="100"
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Shift length (h)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={shiftHours}
+              onChange={(e) => setShiftHours(e.target.value)}
+              placeholder="8"
+              min="0"
+              max="24"
+              step="0.5"
+            />
+          </div>
+          <div className="route-form-actions">
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Planning...' : 'Plan Route'}
+            </button>
+            {route && route.stops.length > 0 && (
+              <button type="button" className="btn btn-secondary" onClick={() => window.print()}>
+                🖨️ Print
+              </button>
+            )}
+          </div>
+        </form>
+        {error && <div className="alert alert-error">{error}</div>}
+      </div>
+
+      {route && (
+        <div className="card route-sheet">
+          <div className="route-sheet-header">
+            <h3>Collection Route</h3>
+            <div className="route-summary">
+              <span>{route.stops.length} stop(s)</span>
+              <span>{route.total_distance_km} km total</span>
+              <span>Depot: {formatCoordinates(route.depot)}</span>
+              <span>Bins ≥ {route.min_level === null ? 'their critical level' : `${route.min_level}%`} or full by {new Date(route.shift_end).toLocaleString()}</span>
+              <span>Planned {new Date(route.generated_at).toLocaleString()}</span>
+            </div>
+          </div>
+
+          {route.stops.length === 0 ? (
+            <div className="alert alert-info">No bins need collecting this shift.</div>
+          ) : (
+            <table className="table route-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Bin</th>
+                  <th>Location</th>
+                  <th>Level</th>
+                  <th>Reason</th>
+                  <th>Coordinates</th>
+                  <th>Leg</th>
+                  <th>Total</th>
+                  <th>Done</th>
+                </tr>
+              </thead>
+              <tbody>
+                {route.stops.map(stop => (
+                  <tr key={stop.bin_id}>
+                    <td>{stop.sequence}</td>
+                    <td>
+                      <strong>{stop.bin_id}</strong>
+                      <div className="route-bin-name">{stop.name}</div>
+                    </td>
+                    <td>{stop.location || '-'}</td>
+                    <td>
+                      {stop.level_percent}%
+                      {!stop.is_online && <span className="badge offline route-offline">Offline</span>}
+                    </td>
+                    <td>{formatReason(stop)}</td>
+                    <td className="route-coordinates">{formatCoordinates(stop)}</td>
+                    <td>{stop.leg_distance_km} km</td>
+                    <td>{stop.cumulative_distance_km} km</td>
+                    <td><span className="route-checkbox"></span></td>
+                  </tr>
+                ))}
+                <tr className="route-return">
+                  <td></td>
+                  <td colSpan="5">Return to depot</td>
+                  <td>{route.return_distance_km} km</td>
+                  <td>{route.total_distance_km} km</td>
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+
+          {route.unlocated.length > 0 && (
+            <div className="alert alert-warning route-unlocated">
+              Also due but without coordinates (not routed):{' '}
+              {route.unlocated.map(bin => `${bin.bin_id} (${bin.level_percent}%)`).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RoutePlan;
@@ -0,0 +1,18 @@
+/**
+ * Operator permission checks (mirror the backend role permissions and scopes)
+ */
+
+/**
+ * Check if the operator can perform an action on a bin
+ * (role permission plus optional bin/location scopes)
+ */
+export const canOnBin = (user, permission, bin) => {
+  if (!user?.permissions?.includes(permission)) return false;
+  if (!user.scopes || user.scopes.length === 0) return true;
+
+  return user.scopes.some(scope =>
+    scope.scope_type === 'bin'
+      ? scope.scope_value === bin.bin_id
+      : Boolean(bin.location) && bin.location.startsWith(scope.scope_value)
+  );
+};
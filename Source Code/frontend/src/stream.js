@@ -0,0 +1,137 @@
+/**
+ * Real-time event stream from the backend (Server-Sent Events)
+ * The backend pushes events it has already processed; the browser no longer
+ * connects to the MQTT broker
+ */
+
+import { getStreamUrl, refreshAccessToken, tokenExpired } from './api';
+
+// Event types pushed by the backend (see backend GET /api/stream)
+const EVENT_TYPES = ['level', 'status', 'alert', 'rfid', 'command', 'position', 'collection', 'config'];
+
+const RECONNECT_DELAY_MS = 5000;
+
+class EventStream {
+  constructor() {
+    this.source = null;
+    this.connected = false;
+    this.subscribers = new Map();
+    this.onStatusChange = null;
+    this.reconnectTimer = null;
+    this.active = false;
+  }
+
+  /**
+   * Open the stream; onStatusChange(connected) is called on every change
+   */
+  connect(onStatusChange) {
+    this.onStatusChange = onStatusChange;
+    this.active = true;
+    this.open();
+  }
+
+  open() {
+    console.log('🔌 Connecting to event stream');
+    this.source = new EventSource(getStreamUrl());
+
+    this.source.addEventListener('hello', () => {
+      console.log('✅ Event stream connected');
+      this.setConnected(true);
+    });
+
+    EVENT_TYPES.forEach(type => {
+      this.source.addEventListener(type, (event) => this.handleEvent(type, event));
+    });
+
+    // EventSource retries network errors itself; a rejected request
+    // (e.g. expired token) closes it and needs a fresh connection
+    this.source.onerror = () => {
+      this.setConnected(false);
+      if (this.source.readyState === EventSource.CLOSED) {
+        this.scheduleReconnect();
+      }
+    };
+  }
+
+  scheduleReconnect() {
+    this.close();
+    clearTimeout(this.reconnectTimer);
+
+    this.reconnectTimer = setTimeout(async () => {
+      try {
+        if (tokenExpired()) {
+          await refreshAccessToken();
+        }
+        if (this.active) this.open();
+      } catch (error) {
+        console.error('❌ Event stream reconnect failed:', error.message);
+      }
+    }, RECONNECT_DELAY_MS);
+  }
+
+  setConnected(connected) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    if (this.onStatusChange) this.onStatusChange(connected);
+  }
+
+  /**
+   * Dispatch an event to its subscribers
+   */
+  handleEvent(type, event) {
+    try {
+      const payload = JSON.parse(event.data);
+      (this.subscribers.get(type) || []).forEach(callback => callback(payload));
+    } catch (error) {
+      console.error('Error handling stream event:', error);
+    }
+  }
+
+  /**
+   * Subscribe to an event type
+   */
+  subscribe(type, callback) {
+    if (!this.subscribers.has(type)) {
+      this.subscribers.set(type, []);
+    }
+    this.subscribers.get(type).push(callback);
+  }
+
+  /**
+   * Remove a subscription
+   */
+  unsubscribe(type, callback) {
+    const callbacks = (this.subscribers.get(type) || []).filter(cb => cb !== callback);
+    this.subscribers.set(type, callbacks);
+  }
+
+  close() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+
+  /**
+   * Close the stream (logout / unmount)
+   */
+  disconnect() {
+    this.active = false;
+    clearTimeout(this.reconnectTimer);
+    this.close();
+    this.setConnected(false);
+    this.onStatusChange = null;
+    console.log('Event stream disconnected');
+  }
+
+  /**
+   * Check connection status
+   */
+  isConnected() {
+    return this.connected;
+  }
+}
+
+// Export singleton instance
+const eventStream = new EventStream();
+export default eventStream;